@@ -2,11 +2,16 @@
 
 import cron from 'node-cron';
 import { actualizarCuotasVencidas } from '../services/cuota.service.js';
+import { runWithContext } from '../middleware/requestContext.js';
+
+// Los cambios del cron quedan en auditoría con usuario null y esta "ruta"
+const actualizarVencidasAuditado = () =>
+  runWithContext({ metodo: 'CRON', ruta: 'cron:cuotas-vencidas' }, () => actualizarCuotasVencidas());
 
 export const initCuotasCron = async () => {
   // 1️⃣ Actualizo apenas inicie el servidor
   try {
-    const inicial = await actualizarCuotasVencidas();
+    const inicial = await actualizarVencidasAuditado();
     console.log(`▶ Inicial ► Cuotas vencidas marcadas: ${inicial}`);
   } catch (err) {
     console.error('▶ Inicial ► Error actualizando cuotas vencidas:', err);
@@ -18,7 +23,7 @@ export const initCuotasCron = async () => {
     async () => {
       console.log('🔁 Cron ► Actualización de cuotas vencidas');
       try {
-        const resultado = await actualizarCuotasVencidas();
+        const resultado = await actualizarVencidasAuditado();
         console.log('✅ Cron ► Cuotas vencidas actualizadas:', resultado);
       } catch (error) {
         console.error('❌ Cron ► Error al actualizar cuotas vencidas:', error);
@@ -0,0 +1,27 @@
+// src/cronJobs/gestionesCron.js
+
+import cron from 'node-cron';
+import { evaluarPromesasPendientes } from '../services/gestion.service.js';
+import { runWithContext } from '../middleware/requestContext.js';
+
+const evaluarPromesasAuditado = () =>
+  runWithContext({ metodo: 'CRON', ruta: 'cron:promesas-pago' }, () => evaluarPromesasPendientes());
+
+export const initGestionesCron = () => {
+  // Después del cron de cuotas (2 AM): las promesas vencidas ayer quedan cumplidas / incumplidas
+  cron.schedule(
+    '15 2 * * *',
+    async () => {
+      console.log('🔁 Cron ► Evaluación de promesas de pago');
+      try {
+        const resumen = await evaluarPromesasAuditado();
+        console.log('✅ Cron ► Promesas evaluadas:', resumen);
+      } catch (error) {
+        console.error('❌ Cron ► Error al evaluar promesas de pago:', error);
+      }
+    },
+    {
+      timezone: 'America/Argentina/Tucuman'
+    }
+  );
+};
@@ -0,0 +1,27 @@
+// src/cronJobs/puntajeCron.js
+
+import cron from 'node-cron';
+import { recalcularPuntajes } from '../services/puntaje.service.js';
+import { runWithContext } from '../middleware/requestContext.js';
+
+const recalcularPuntajesAuditado = () =>
+  runWithContext({ metodo: 'CRON', ruta: 'cron:puntaje-crediticio' }, () => recalcularPuntajes({ origen: 'cron' }));
+
+export const initPuntajeCron = () => {
+  // Después de cuotas (2 AM) y promesas (2:15): vencidas y mora ya actualizadas
+  cron.schedule(
+    '45 2 * * *',
+    async () => {
+      console.log('🔁 Cron ► Recalculo de puntaje crediticio');
+      try {
+        const resumen = await recalcularPuntajesAuditado();
+        console.log('✅ Cron ► Puntajes recalculados:', resumen);
+      } catch (error) {
+        console.error('❌ Cron ► Error al recalcular puntajes:', error);
+      }
+    },
+    {
+      timezone: 'America/Argentina/Tucuman'
+    }
+  );
+};
@@ -0,0 +1,73 @@
+// backend/src/middleware/checkPermission.js
+
+import { rolTienePermiso } from '../services/permiso.service.js';
+
+/**
+ * Middleware de autorización por permiso con nombre (tabla roles_permisos).
+ * Uso:
+ *   router.post('/:id/refinanciar', verifyToken, checkPermission('creditos.refinanciar'), handler)
+ *   // varios códigos = alcanza con tener alguno
+ *   router.get('/x', verifyToken, checkPermission(['caja.exportar', 'informes.ver']), handler)
+ */
+
+const checkPermission = (codigos = []) => {
+    const lista = Array.isArray(codigos) ? codigos : [codigos];
+
+    return async (req, res, next) => {
+        // 1) Aseguramos autenticación previa
+        if (!req.user) {
+            return res
+                .status(401)
+                .json({ success: false, message: 'No autenticado (falta usuario en la request)' });
+        }
+
+        // 2) Rol normalizado por verifyToken
+        const rol = req.user.rol_id;
+        if (!Number.isInteger(rol)) {
+            return res
+                .status(401)
+                .json({ success: false, message: 'Token inválido (no contiene rol de usuario)' });
+        }
+
+        // 3) Validamos permiso
+        try {
+            const ok = await rolTienePermiso(rol, lista);
+            if (!ok) {
+                return res
+                    .status(403)
+                    .json({ success: false, message: 'Acceso denegado: permiso requerido', permisos: lista });
+            }
+        } catch (err) {
+            console.error('[checkPermission] Error consultando permisos:', err);
+            return res.status(500).json({ success: false, message: 'Error validando permisos' });
+        }
+
+        // 4) OK
+        return next();
+    };
+};
+
+/**
+ * Descuentos al cobrar: si el body trae algún descuento > 0
+ * (descuento | descuento_mora | descuentoMora | descuento_interes) exige 'pagos.descuento_mora'
+ * o 'pagos.descuento_total'. El alcance (solo mora / total) lo resuelven rutas y servicios
+ * con alcanceDescuentoRol.
+ */
+export const checkDescuentoPermission = () => {
+    const guard = checkPermission(['pagos.descuento_mora', 'pagos.descuento_total']);
+
+    return (req, res, next) => {
+        const body = req.body ?? {};
+        const campos = [body.descuento, body.descuento_mora, body.descuentoMora, body.descuento_interes];
+        const pideDescuento = campos.some((v) => {
+            if (v === null || v === undefined || String(v).trim() === '') return false;
+            const n = Number(String(v).replace(',', '.'));
+            return Number.isFinite(n) ? n > 0 : true;
+        });
+
+        if (!pideDescuento) return next();
+        return guard(req, res, next);
+    };
+};
+
+export default checkPermission;
@@ -0,0 +1,54 @@
+// backend/src/middleware/requestContext.js
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Contexto por request (request id + actor) accesible desde cualquier capa
+ * sin pasar `req` a mano: lo usan los hooks de auditoría de Sequelize.
+ *
+ * - requestContext va a nivel app, antes de las rutas.
+ * - verifyToken completa el actor con setRequestActor(req.user).
+ */
+const storage = new AsyncLocalStorage();
+
+const REQUEST_ID_RE = /^[A-Za-z0-9._-]{1,64}$/;
+
+export const getRequestContext = () => storage.getStore() || null;
+
+/** Completa el actor del contexto actual (no hace nada fuera de una request). */
+export const setRequestActor = (user) => {
+    const ctx = storage.getStore();
+    if (!ctx || !user) return;
+    const sup = user.suplantacion || null;
+    // Bajo suplantación el actor real es el superadmin
+    ctx.usuario_id = sup ? sup.real_id : user.id ?? null;
+    ctx.suplantacion_id = sup ? sup.id : null;
+};
+
+/**
+ * Ejecuta fn con un contexto propio (crons, scripts).
+ * ctx: { request_id?, usuario_id?, origen? }
+ */
+export const runWithContext = (ctx, fn) =>
+    storage.run({ request_id: crypto.randomUUID(), usuario_id: null, suplantacion_id: null, ...ctx }, fn);
+
+export default function requestContext(req, res, next) {
+    const entrante = req.headers['x-request-id'];
+    const requestId = typeof entrante === 'string' && REQUEST_ID_RE.test(entrante) ? entrante : crypto.randomUUID();
+
+    req.requestId = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    storage.run(
+        {
+            request_id: requestId,
+            usuario_id: null,
+            suplantacion_id: null,
+            ip: req.ip || req.socket?.remoteAddress || null,
+            metodo: req.method,
+            ruta: req.originalUrl
+        },
+        () => next()
+    );
+}
@@ -2,10 +2,56 @@
 
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import { sesionVigente, tokenLegadoVigente } from '../services/sesion.service.js';
+import { setRequestActor } from './requestContext.js';
+import {
+    suplantacionVigente,
+    registrarRequestSuplantacion,
+    esMetodoLectura
+} from '../services/suplantacion.service.js';
 
 dotenv.config();
 
-export default function verifyToken(req, res, next) {
+const toIdOrNull = (raw) => {
+    if (Number.isInteger(raw)) return raw;
+    if (typeof raw === 'string' && /^\d+$/.test(raw)) return parseInt(raw, 10);
+    return null;
+};
+
+/**
+ * Requests bajo suplantación: header + campo `suplantacion` en las respuestas JSON
+ * y una fila de auditoría por request al terminar (una sola vez aunque verifyToken
+ * se ejecute más de una vez en la cadena).
+ */
+const instrumentarSuplantacion = (req, res, info) => {
+    if (res.locals.suplantacion) return;
+    res.locals.suplantacion = info;
+
+    res.setHeader('X-Suplantacion', String(info.id));
+
+    const jsonOriginal = res.json.bind(res);
+    res.json = (body) => {
+        if (body && typeof body === 'object' && !Array.isArray(body) && !body.suplantacion) {
+            return jsonOriginal({ ...body, suplantacion: info });
+        }
+        return jsonOriginal(body);
+    };
+
+    const inicio = Date.now();
+    res.on('finish', () => {
+        registrarRequestSuplantacion({
+            suplantacionId: info.id,
+            metodo: req.method,
+            ruta: req.originalUrl,
+            status: res.statusCode,
+            bloqueada: !!res.locals.suplantacionBloqueada,
+            duracionMs: Date.now() - inicio,
+            ip: req.ip || req.socket?.remoteAddress || null
+        });
+    });
+};
+
+export default async function verifyToken(req, res, next) {
     const header = req.headers.authorization || '';
     const token = header.startsWith('Bearer ') ? header.slice(7) : null;
 
@@ -13,9 +59,19 @@ export default function verifyToken(req, res, next) {
         return res.status(401).json({ success: false, message: 'Token requerido' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (_err) {
+        return res.status(401).json({ success: false, message: 'Token inválido' });
+    }
+
+    // El token temporal del paso 2FA no habilita la API
+    if (decoded?.typ === '2fa') {
+        return res.status(401).json({ success: false, message: 'Token inválido' });
+    }
 
+    try {
         // ID de usuario (numérico)
         const rawId =
             decoded?.id ??
@@ -53,10 +109,57 @@ export default function verifyToken(req, res, next) {
             rol_id = parseInt(rawRol, 10);
         }
 
-        req.user = { id, rol_id };
+        // Suplantación ("ver como"): el token trae al usuario suplantado en id/rol_id
+        const impId = toIdOrNull(decoded?.imp);
+        if (impId) {
+            const realId = toIdOrNull(decoded?.real_id);
+            const suplantacion = realId ? await suplantacionVigente(impId, { usuarioId: id, realId }) : null;
+            if (!suplantacion) {
+                return res.status(401).json({
+                    success: false,
+                    code: 'SUPLANTACION_FINALIZADA',
+                    message: 'La suplantación finalizó o expiró.'
+                });
+            }
+
+            const info = { id: suplantacion.id, real_id: realId, usuario_id: id, solo_lectura: suplantacion.solo_lectura };
+            instrumentarSuplantacion(req, res, info);
+            req.user = { id, rol_id, sid: null, suplantacion: info };
+            setRequestActor(req.user);
+
+            // Solo lectura: bloquea escrituras salvo rutas marcadas (p. ej. finalizar la suplantación)
+            if (info.solo_lectura && !esMetodoLectura(req.method) && !req.permiteEscrituraEnSuplantacion) {
+                res.locals.suplantacionBloqueada = true;
+                return res.status(403).json({
+                    success: false,
+                    code: 'SUPLANTACION_SOLO_LECTURA',
+                    message: 'Suplantación de solo lectura: no se permiten modificaciones.'
+                });
+            }
+
+            return next();
+        }
+
+        // Sesión server-side: si fue revocada (logout, cambio de password, usuario inactivo, etc.)
+        // el access token deja de valer aunque no haya expirado.
+        const sid = toIdOrNull(decoded?.sid);
+
+        // Tokens legados (sin sid): corte por antigüedad/fecha además del usuario activo
+        const vigente = sid ? await sesionVigente(sid, id) : await tokenLegadoVigente(decoded, id);
+        if (!vigente) {
+            return res.status(401).json({
+                success: false,
+                code: 'SESION_REVOCADA',
+                message: 'Sesión finalizada. Volvé a iniciar sesión.'
+            });
+        }
+
+        req.user = { id, rol_id, sid };
+        setRequestActor(req.user);
         return next();
-    } catch (_err) {
-        return res.status(401).json({ success: false, message: 'Token inválido' });
+    } catch (err) {
+        console.error('[verifyToken] Error validando sesión:', err);
+        return res.status(500).json({ success: false, message: 'Error validando la sesión' });
     }
 }
 
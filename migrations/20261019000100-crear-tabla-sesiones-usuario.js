@@ -0,0 +1,69 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('sesiones_usuario', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    usuario_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'usuarios', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    refresh_token_hash: {
+      type: Sequelize.STRING(64),
+      allowNull: false
+    },
+    refresh_token_hash_anterior: {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    },
+    rotado_en: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    rotaciones: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    ip: {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    },
+    user_agent: {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    },
+    creada_en: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    ultimo_uso: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    expira_en: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    revocada_en: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    motivo_revocacion: {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    }
+  });
+  await queryInterface.addIndex('sesiones_usuario', ['usuario_id']);
+  await queryInterface.addIndex('sesiones_usuario', ['revocada_en']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('sesiones_usuario');
+}
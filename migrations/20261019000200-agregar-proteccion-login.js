@@ -0,0 +1,85 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize) {
+  // Bloqueo progresivo
+  await queryInterface.addColumn('usuarios', 'intentos_fallidos', {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  });
+  await queryInterface.addColumn('usuarios', 'bloqueos_consecutivos', {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  });
+  await queryInterface.addColumn('usuarios', 'bloqueado_hasta', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+
+  // Ventana horaria de login por rol
+  await queryInterface.addColumn('roles', 'horario_login_desde', {
+    type: Sequelize.TIME,
+    allowNull: true
+  });
+  await queryInterface.addColumn('roles', 'horario_login_hasta', {
+    type: Sequelize.TIME,
+    allowNull: true
+  });
+  await queryInterface.addColumn('roles', 'dias_login', {
+    type: Sequelize.ARRAY(Sequelize.INTEGER),
+    allowNull: true
+  });
+
+  await queryInterface.createTable('intentos_login', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    usuario_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'usuarios', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    nombre_usuario: {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    },
+    ip: {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    },
+    user_agent: {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    },
+    exito: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    motivo: {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    },
+    fecha: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('intentos_login', ['usuario_id']);
+  await queryInterface.addIndex('intentos_login', ['fecha']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('intentos_login');
+  await queryInterface.removeColumn('roles', 'dias_login');
+  await queryInterface.removeColumn('roles', 'horario_login_hasta');
+  await queryInterface.removeColumn('roles', 'horario_login_desde');
+  await queryInterface.removeColumn('usuarios', 'bloqueado_hasta');
+  await queryInterface.removeColumn('usuarios', 'bloqueos_consecutivos');
+  await queryInterface.removeColumn('usuarios', 'intentos_fallidos');
+}
@@ -0,0 +1,49 @@
+'use strict';
+
+// Las filas de `permisos` las sincroniza el server al arrancar (CATALOGO_PERMISOS)
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('permisos', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    codigo: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    modulo: {
+      type: Sequelize.STRING(50),
+      allowNull: false
+    },
+    descripcion: {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    }
+  });
+
+  await queryInterface.createTable('roles_permisos', {
+    rol_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      references: { model: 'roles', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    permiso_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      references: { model: 'permisos', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    }
+  });
+  await queryInterface.addIndex('roles_permisos', ['rol_id', 'permiso_id'], { unique: true });
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('roles_permisos');
+  await queryInterface.dropTable('permisos');
+}
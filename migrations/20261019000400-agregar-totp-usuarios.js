@@ -0,0 +1,38 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('usuarios', 'totp_secret', {
+    type: Sequelize.STRING(255),
+    allowNull: true
+  });
+  await queryInterface.addColumn('usuarios', 'totp_habilitado', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  });
+  await queryInterface.addColumn('usuarios', 'totp_confirmado_en', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+  await queryInterface.addColumn('usuarios', 'totp_ultimo_paso', {
+    type: Sequelize.BIGINT,
+    allowNull: true
+  });
+  await queryInterface.addColumn('usuarios', 'totp_codigos_respaldo', {
+    type: Sequelize.ARRAY(Sequelize.STRING(64)),
+    allowNull: true
+  });
+  await queryInterface.addColumn('roles', 'requiere_2fa', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  });
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('roles', 'requiere_2fa');
+  await queryInterface.removeColumn('usuarios', 'totp_codigos_respaldo');
+  await queryInterface.removeColumn('usuarios', 'totp_ultimo_paso');
+  await queryInterface.removeColumn('usuarios', 'totp_confirmado_en');
+  await queryInterface.removeColumn('usuarios', 'totp_habilitado');
+  await queryInterface.removeColumn('usuarios', 'totp_secret');
+}
@@ -0,0 +1,112 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('suplantaciones', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    superadmin_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'usuarios', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    usuario_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'usuarios', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    sesion_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    motivo: {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    },
+    solo_lectura: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    ip: {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    },
+    user_agent: {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    },
+    creada_en: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    expira_en: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    finalizada_en: {
+      type: Sequelize.DATE,
+      allowNull: true
+    }
+  });
+  await queryInterface.addIndex('suplantaciones', ['superadmin_id']);
+  await queryInterface.addIndex('suplantaciones', ['usuario_id']);
+
+  await queryInterface.createTable('suplantaciones_registros', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    suplantacion_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'suplantaciones', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    metodo: {
+      type: Sequelize.STRING(10),
+      allowNull: false
+    },
+    ruta: {
+      type: Sequelize.STRING(500),
+      allowNull: false
+    },
+    status: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    bloqueada: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    duracion_ms: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    ip: {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    },
+    fecha: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('suplantaciones_registros', ['suplantacion_id']);
+  await queryInterface.addIndex('suplantaciones_registros', ['fecha']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('suplantaciones_registros');
+  await queryInterface.dropTable('suplantaciones');
+}
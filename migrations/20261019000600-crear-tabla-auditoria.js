@@ -0,0 +1,66 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('auditoria', {
+    id: {
+      type: Sequelize.BIGINT,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    entidad: {
+      type: Sequelize.STRING(50),
+      allowNull: false
+    },
+    entidad_id: {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    },
+    accion: {
+      type: Sequelize.ENUM('crear', 'actualizar', 'eliminar'),
+      allowNull: false
+    },
+    cambios: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    // Sin FK: el log sobrevive al usuario
+    usuario_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    suplantacion_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    request_id: {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    },
+    metodo: {
+      type: Sequelize.STRING(10),
+      allowNull: true
+    },
+    ruta: {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    },
+    ip: {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    },
+    fecha: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('auditoria', ['entidad', 'entidad_id']);
+  await queryInterface.addIndex('auditoria', ['usuario_id']);
+  await queryInterface.addIndex('auditoria', ['fecha']);
+  await queryInterface.addIndex('auditoria', ['request_id']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('auditoria');
+  await queryInterface.dropEnum('enum_auditoria_accion');
+}
@@ -0,0 +1,64 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('clientes_fusiones', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    cliente_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'clientes', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    // Sin FK: el cliente fusionado ya no existe
+    cliente_fusionado_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    datos_fusionado: {
+      type: Sequelize.JSONB,
+      allowNull: false
+    },
+    campos_completados: {
+      type: Sequelize.JSONB,
+      allowNull: true
+    },
+    creditos_movidos: {
+      type: Sequelize.ARRAY(Sequelize.INTEGER),
+      allowNull: false,
+      defaultValue: []
+    },
+    ventas_movidas: {
+      type: Sequelize.ARRAY(Sequelize.INTEGER),
+      allowNull: false,
+      defaultValue: []
+    },
+    recibos_movidos: {
+      type: Sequelize.ARRAY(Sequelize.INTEGER),
+      allowNull: false,
+      defaultValue: []
+    },
+    motivo: {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    },
+    usuario_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('clientes_fusiones', ['cliente_id']);
+  await queryInterface.addIndex('clientes_fusiones', ['cliente_fusionado_id']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('clientes_fusiones');
+}
@@ -0,0 +1,87 @@
+'use strict';
+
+const TIPOS_DOCUMENTO = ['dni_frente', 'dni_dorso', 'recibo_sueldo', 'servicio', 'contrato_firmado', 'otro'];
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('clientes_documentos', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    cliente_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'clientes', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    tipo: {
+      type: Sequelize.ENUM(...TIPOS_DOCUMENTO),
+      allowNull: false
+    },
+    version: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    vigente: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    descripcion: {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    },
+    nombre_original: {
+      type: Sequelize.STRING(255),
+      allowNull: false
+    },
+    archivo: {
+      type: Sequelize.STRING(255),
+      allowNull: false
+    },
+    mime: {
+      type: Sequelize.STRING(100),
+      allowNull: false
+    },
+    tamanio: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    sha256: {
+      type: Sequelize.STRING(64),
+      allowNull: false
+    },
+    subido_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_subida: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    eliminado_en: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    eliminado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    }
+  });
+  await queryInterface.addIndex('clientes_documentos', ['cliente_id', 'tipo']);
+  await queryInterface.addIndex('clientes_documentos', ['cliente_id', 'vigente']);
+  // "otro" no versiona (todos quedan en version 1)
+  await queryInterface.addIndex('clientes_documentos', ['cliente_id', 'tipo', 'version'], {
+    unique: true,
+    name: 'clientes_documentos_version_unique',
+    where: { tipo: { [Sequelize.Op.ne]: 'otro' } }
+  });
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('clientes_documentos');
+  await queryInterface.dropEnum('enum_clientes_documentos_tipo');
+}
@@ -0,0 +1,125 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('garantes', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    cliente_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'clientes', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    nombre: {
+      type: Sequelize.STRING(100),
+      allowNull: false
+    },
+    apellido: {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    },
+    dni: {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    },
+    telefono: {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    },
+    telefono_secundario: {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    },
+    email: {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    },
+    direccion: {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    },
+    localidad: {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    },
+    ocupacion: {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    },
+    empleador: {
+      type: Sequelize.STRING(150),
+      allowNull: true
+    },
+    ingresos_mensuales: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: true
+    },
+    observaciones: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    creado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_registro: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('garantes', ['dni'], {
+    unique: true,
+    name: 'garantes_dni_unique',
+    where: { [Sequelize.Op.and]: [{ dni: { [Sequelize.Op.ne]: null } }, { dni: { [Sequelize.Op.ne]: '' } }] }
+  });
+  await queryInterface.addIndex('garantes', ['cliente_id']);
+
+  await queryInterface.createTable('creditos_garantes', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    credito_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'creditos', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    garante_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'garantes', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    relacion: {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    },
+    agregado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_alta: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('creditos_garantes', ['credito_id', 'garante_id'], {
+    unique: true,
+    name: 'creditos_garantes_unique'
+  });
+  await queryInterface.addIndex('creditos_garantes', ['garante_id']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('creditos_garantes');
+  await queryInterface.dropTable('garantes');
+}
@@ -0,0 +1,98 @@
+'use strict';
+
+const OPERACIONES_BLOQUEO = ['credito', 'refinanciacion', 'venta_financiada'];
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('clientes_bloqueos', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    cliente_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'clientes', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    motivo: {
+      type: Sequelize.STRING(500),
+      allowNull: false
+    },
+    bloqueado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_bloqueo: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    vence_en: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    levantado_en: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    levantado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    motivo_levantamiento: {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    }
+  });
+  await queryInterface.addIndex('clientes_bloqueos', ['cliente_id', 'levantado_en']);
+  await queryInterface.addIndex('clientes_bloqueos', ['vence_en']);
+
+  await queryInterface.createTable('clientes_bloqueos_excepciones', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    bloqueo_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'clientes_bloqueos', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    cliente_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    operacion: {
+      type: Sequelize.ENUM(...OPERACIONES_BLOQUEO),
+      allowNull: false
+    },
+    referencia_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    usuario_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    motivo: {
+      type: Sequelize.STRING(500),
+      allowNull: false
+    },
+    fecha: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('clientes_bloqueos_excepciones', ['bloqueo_id']);
+  await queryInterface.addIndex('clientes_bloqueos_excepciones', ['cliente_id']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('clientes_bloqueos_excepciones');
+  await queryInterface.dropTable('clientes_bloqueos');
+  await queryInterface.dropEnum('enum_clientes_bloqueos_excepciones_operacion');
+}
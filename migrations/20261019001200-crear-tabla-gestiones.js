@@ -0,0 +1,88 @@
+'use strict';
+
+const TIPOS_GESTION = ['visita', 'llamada', 'mensaje'];
+const RESULTADOS_GESTION = [
+  'pago',
+  'promesa_pago',
+  'sin_contacto',
+  'ausente',
+  'se_niega',
+  'domicilio_incorrecto',
+  'otro'
+];
+const ESTADOS_PROMESA = ['pendiente', 'cumplida', 'incumplida'];
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('gestiones', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    cliente_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'clientes', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    credito_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'creditos', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    usuario_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    tipo: {
+      type: Sequelize.ENUM(...TIPOS_GESTION),
+      allowNull: false
+    },
+    resultado: {
+      type: Sequelize.ENUM(...RESULTADOS_GESTION),
+      allowNull: false
+    },
+    nota: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    fecha: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    promesa_fecha: {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    },
+    promesa_monto: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: true
+    },
+    promesa_estado: {
+      type: Sequelize.ENUM(...ESTADOS_PROMESA),
+      allowNull: true
+    },
+    promesa_monto_pagado: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: true
+    },
+    promesa_evaluada_en: {
+      type: Sequelize.DATE,
+      allowNull: true
+    }
+  });
+  await queryInterface.addIndex('gestiones', ['cliente_id', 'fecha']);
+  await queryInterface.addIndex('gestiones', ['credito_id']);
+  await queryInterface.addIndex('gestiones', ['usuario_id', 'fecha']);
+  await queryInterface.addIndex('gestiones', ['promesa_estado', 'promesa_fecha']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('gestiones');
+  await queryInterface.dropEnum('enum_gestiones_tipo');
+  await queryInterface.dropEnum('enum_gestiones_resultado');
+  await queryInterface.dropEnum('enum_gestiones_promesa_estado');
+}
@@ -0,0 +1,37 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('clientes', 'latitud', {
+    type: Sequelize.DECIMAL(10, 7),
+    allowNull: true
+  });
+  await queryInterface.addColumn('clientes', 'longitud', {
+    type: Sequelize.DECIMAL(10, 7),
+    allowNull: true
+  });
+  await queryInterface.addColumn('clientes', 'geo_origen', {
+    type: Sequelize.ENUM('manual', 'dispositivo'),
+    allowNull: true
+  });
+  await queryInterface.addColumn('clientes', 'geo_precision_m', {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  });
+  await queryInterface.addColumn('clientes', 'geo_actualizado_en', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+  await queryInterface.addColumn('clientes', 'geo_actualizado_por', {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  });
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('clientes', 'geo_actualizado_por');
+  await queryInterface.removeColumn('clientes', 'geo_actualizado_en');
+  await queryInterface.removeColumn('clientes', 'geo_precision_m');
+  await queryInterface.removeColumn('clientes', 'geo_origen');
+  await queryInterface.removeColumn('clientes', 'longitud');
+  await queryInterface.removeColumn('clientes', 'latitud');
+  await queryInterface.dropEnum('enum_clientes_geo_origen');
+}
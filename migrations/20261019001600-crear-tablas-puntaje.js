@@ -0,0 +1,83 @@
+'use strict';
+
+const ORIGENES_PUNTAJE = ['pago', 'cron', 'manual', 'fusion'];
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('puntaje_configuraciones', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    reglas: {
+      type: Sequelize.JSONB,
+      allowNull: false
+    },
+    activa: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    nota: {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    },
+    creado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_creacion: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('puntaje_configuraciones', ['activa']);
+
+  await queryInterface.createTable('puntajes_historial', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    cliente_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'clientes', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    puntaje: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    puntaje_anterior: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    desglose: {
+      type: Sequelize.JSONB,
+      allowNull: true
+    },
+    configuracion_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    origen: {
+      type: Sequelize.ENUM(...ORIGENES_PUNTAJE),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    fecha: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('puntajes_historial', ['cliente_id', 'fecha']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('puntajes_historial');
+  await queryInterface.dropTable('puntaje_configuraciones');
+  await queryInterface.dropEnum('enum_puntajes_historial_origen');
+}
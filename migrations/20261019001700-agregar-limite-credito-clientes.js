@@ -0,0 +1,79 @@
+'use strict';
+
+const OPERACIONES_BLOQUEO = ['credito', 'refinanciacion', 'venta_financiada'];
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('clientes', 'limite_credito', {
+    type: Sequelize.DECIMAL(14, 2),
+    allowNull: true
+  });
+  await queryInterface.addColumn('clientes', 'limite_credito_motivo', {
+    type: Sequelize.STRING(500),
+    allowNull: true
+  });
+  await queryInterface.addColumn('clientes', 'limite_credito_actualizado_en', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+  await queryInterface.addColumn('clientes', 'limite_credito_actualizado_por', {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  });
+
+  await queryInterface.createTable('clientes_limite_excepciones', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    cliente_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'clientes', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    operacion: {
+      type: Sequelize.ENUM(...OPERACIONES_BLOQUEO),
+      allowNull: false
+    },
+    referencia_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    limite: {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: false
+    },
+    exposicion: {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: false
+    },
+    monto: {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: false
+    },
+    usuario_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    motivo: {
+      type: Sequelize.STRING(500),
+      allowNull: false
+    },
+    fecha: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('clientes_limite_excepciones', ['cliente_id']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('clientes_limite_excepciones');
+  await queryInterface.dropEnum('enum_clientes_limite_excepciones_operacion');
+  await queryInterface.removeColumn('clientes', 'limite_credito_actualizado_por');
+  await queryInterface.removeColumn('clientes', 'limite_credito_actualizado_en');
+  await queryInterface.removeColumn('clientes', 'limite_credito_motivo');
+  await queryInterface.removeColumn('clientes', 'limite_credito');
+}
@@ -0,0 +1,32 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize) {
+  // ADD VALUE no corre dentro de una transacción en PG < 12: va suelto
+  await queryInterface.sequelize.query(
+    "ALTER TYPE creditos_modalidad_enum ADD VALUE IF NOT EXISTS 'frances'"
+  );
+  await queryInterface.addColumn('creditos', 'tasa_periodo', {
+    type: Sequelize.DECIMAL(8, 4),
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('cuotas', 'capital_cuota', {
+    type: Sequelize.DECIMAL(10, 2),
+    allowNull: true
+  });
+  await queryInterface.addColumn('cuotas', 'interes_cuota', {
+    type: Sequelize.DECIMAL(10, 2),
+    allowNull: true
+  });
+  await queryInterface.addColumn('cuotas', 'saldo_capital', {
+    type: Sequelize.DECIMAL(12, 2),
+    allowNull: true
+  });
+}
+// PG no permite quitar un valor de un enum: 'frances' queda en creditos_modalidad_enum
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('cuotas', 'saldo_capital');
+  await queryInterface.removeColumn('cuotas', 'interes_cuota');
+  await queryInterface.removeColumn('cuotas', 'capital_cuota');
+  await queryInterface.removeColumn('creditos', 'tasa_periodo');
+}
@@ -0,0 +1,73 @@
+'use strict';
+
+const TIPOS_DIA_NO_HABIL = ['feriado_nacional', 'feriado_provincial', 'cierre'];
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('calendario_configuracion', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    dias_sin_cobro: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [0]
+    },
+    correr_vencimientos: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    gracia_dia_no_habil: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    actualizado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    actualizado_en: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.createTable('calendario_dias', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    fecha: {
+      type: Sequelize.DATEONLY,
+      allowNull: false,
+      unique: true
+    },
+    tipo: {
+      type: Sequelize.ENUM(...TIPOS_DIA_NO_HABIL),
+      allowNull: false
+    },
+    descripcion: {
+      type: Sequelize.STRING(200),
+      allowNull: false
+    },
+    creado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_creacion: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('calendario_dias', ['tipo']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('calendario_dias');
+  await queryInterface.dropTable('calendario_configuracion');
+  await queryInterface.dropEnum('enum_calendario_dias_tipo');
+}
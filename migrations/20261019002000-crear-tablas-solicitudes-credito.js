@@ -0,0 +1,142 @@
+'use strict';
+
+const ESTADOS_SOLICITUD = ['borrador', 'en_evaluacion', 'aprobada', 'rechazada', 'desembolsada', 'cancelada'];
+const TIPOS_EVENTO_SOLICITUD = ['estado', 'comentario', 'checklist'];
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('solicitudes_credito', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    cliente_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'clientes', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    estado: {
+      type: Sequelize.ENUM(...ESTADOS_SOLICITUD),
+      allowNull: false,
+      defaultValue: 'borrador'
+    },
+    modalidad_credito: {
+      type: Sequelize.STRING(20),
+      allowNull: false
+    },
+    monto_solicitado: {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: false
+    },
+    monto_total_estimado: {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: true
+    },
+    datos_credito: {
+      type: Sequelize.JSONB,
+      allowNull: false
+    },
+    documentos_requeridos: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    checklist: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    tarea_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    credito_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    creado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_creacion: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    fecha_envio: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    resuelto_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_resolucion: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    motivo_rechazo: {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    },
+    desembolsado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_desembolso: {
+      type: Sequelize.DATE,
+      allowNull: true
+    }
+  });
+  await queryInterface.addIndex('solicitudes_credito', ['cliente_id']);
+  await queryInterface.addIndex('solicitudes_credito', ['estado']);
+
+  await queryInterface.createTable('solicitudes_credito_eventos', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    solicitud_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'solicitudes_credito', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    tipo: {
+      type: Sequelize.ENUM(...TIPOS_EVENTO_SOLICITUD),
+      allowNull: false
+    },
+    estado_anterior: {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    },
+    estado_nuevo: {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    },
+    comentario: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    usuario_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('solicitudes_credito_eventos', ['solicitud_id']);
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('solicitudes_credito_eventos');
+  await queryInterface.dropTable('solicitudes_credito');
+  await queryInterface.dropEnum('enum_solicitudes_credito_eventos_tipo');
+  await queryInterface.dropEnum('enum_solicitudes_credito_estado');
+}
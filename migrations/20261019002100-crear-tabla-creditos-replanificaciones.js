@@ -0,0 +1,78 @@
+'use strict';
+
+const TIPOS_REPLANIFICACION = ['amortizacion_anticipada', 'prorroga', 'cambio_dia_pago'];
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('creditos_replanificaciones', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    credito_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'creditos', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    tipo: {
+      type: Sequelize.ENUM(...TIPOS_REPLANIFICACION),
+      allowNull: false
+    },
+    monto: {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: true
+    },
+    saldo_anterior: {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: false
+    },
+    saldo_nuevo: {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: false
+    },
+    cuotas_antes: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    cuotas_despues: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    detalle: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    numero_recibo: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    usuario_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+  await queryInterface.addIndex('creditos_replanificaciones', ['credito_id']);
+
+  // 'capital': amortización anticipada (no se imputa a la cuota)
+  await queryInterface.addColumn('pagos', 'imputacion', {
+    type: Sequelize.ENUM('cuota', 'capital'),
+    allowNull: false,
+    defaultValue: 'cuota'
+  });
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('pagos', 'imputacion');
+  await queryInterface.dropEnum('enum_pagos_imputacion');
+  await queryInterface.dropTable('creditos_replanificaciones');
+  await queryInterface.dropEnum('enum_creditos_replanificaciones_tipo');
+}
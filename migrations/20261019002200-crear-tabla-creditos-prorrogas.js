@@ -0,0 +1,95 @@
+'use strict';
+
+const ESTADOS_PRORROGA = ['pendiente', 'aplicada', 'rechazada'];
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('creditos_prorrogas', {
+    id: {
+      type: Sequelize.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    credito_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'creditos', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    estado: {
+      type: Sequelize.ENUM(...ESTADOS_PRORROGA),
+      allowNull: false,
+      defaultValue: 'pendiente'
+    },
+    periodos: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    cuota_ids: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    cargo: {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    mora_congelada_desde: {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    },
+    mora_congelada_hasta: {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    },
+    motivo: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    tarea_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    replanificacion_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    solicitado_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_solicitud: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    resuelto_por: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    fecha_resolucion: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    motivo_rechazo: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    }
+  });
+  await queryInterface.addIndex('creditos_prorrogas', ['credito_id']);
+  await queryInterface.addIndex('creditos_prorrogas', ['estado']);
+
+  // Ventanas sin mora [{ desde, hasta, prorroga_id }] (YMD inclusive)
+  await queryInterface.addColumn('cuotas', 'mora_congelamientos', {
+    type: Sequelize.JSONB,
+    allowNull: false,
+    defaultValue: []
+  });
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('cuotas', 'mora_congelamientos');
+  await queryInterface.dropTable('creditos_prorrogas');
+  await queryInterface.dropEnum('enum_creditos_prorrogas_estado');
+}
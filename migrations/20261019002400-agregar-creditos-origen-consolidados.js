@@ -0,0 +1,12 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('creditos', 'ids_creditos_origen', {
+    type: Sequelize.JSONB,
+    allowNull: true,
+    comment: 'IDs de los créditos refinanciados en este crédito cuando se consolidaron varios'
+  });
+}
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('creditos', 'ids_creditos_origen');
+}
@@ -0,0 +1,48 @@
+// models/Auditoria.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Log de auditoría: una fila por alta/modificación/baja de las entidades auditadas
+ * (ver registrarHooksAuditoria en services/auditoria.service.js).
+ *
+ * cambios:
+ *  - crear      → { campo: { antes: null, despues } }
+ *  - actualizar → solo los campos que cambiaron
+ *  - eliminar   → { campo: { antes, despues: null } }
+ *  - masivos resumidos (entidad_id null) → { _where: {...}, campo: { antes: null, despues } }
+ */
+const Auditoria = sequelize.define(
+    'Auditoria',
+    {
+        id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+
+        entidad: { type: DataTypes.STRING(50), allowNull: false },
+        entidad_id: { type: DataTypes.STRING(64), allowNull: true },
+        accion: { type: DataTypes.ENUM('crear', 'actualizar', 'eliminar'), allowNull: false },
+        cambios: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+
+        // Actor (null = proceso interno: cron, script, etc.). Sin FK: el log sobrevive al usuario.
+        usuario_id: { type: DataTypes.INTEGER, allowNull: true },
+        suplantacion_id: { type: DataTypes.INTEGER, allowNull: true },
+
+        request_id: { type: DataTypes.STRING(64), allowNull: true },
+        metodo: { type: DataTypes.STRING(10), allowNull: true },
+        ruta: { type: DataTypes.STRING(255), allowNull: true },
+        ip: { type: DataTypes.STRING(64), allowNull: true },
+
+        fecha: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'auditoria',
+        timestamps: false,
+        indexes: [
+            { fields: ['entidad', 'entidad_id'] },
+            { fields: ['usuario_id'] },
+            { fields: ['fecha'] },
+            { fields: ['request_id'] }
+        ]
+    }
+);
+
+export default Auditoria;
@@ -0,0 +1,30 @@
+// models/CalendarioConfiguracion.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Reglas del calendario de cobranza (una sola fila).
+ * - dias_sin_cobro: días de semana que no se cobra (0 = domingo … 6 = sábado)
+ * - correr_vencimientos: al generar cuotas, un vencimiento en día no hábil pasa al siguiente hábil
+ * - gracia_dia_no_habil: si el vencimiento cae en día no hábil, la mora arranca recién
+ *   después del siguiente día hábil
+ */
+const CalendarioConfiguracion = sequelize.define(
+    'CalendarioConfiguracion',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        dias_sin_cobro: { type: DataTypes.JSONB, allowNull: false, defaultValue: [0] },
+        correr_vencimientos: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+        gracia_dia_no_habil: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+
+        actualizado_por: { type: DataTypes.INTEGER, allowNull: true },
+        actualizado_en: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'calendario_configuracion',
+        timestamps: false
+    }
+);
+
+export default CalendarioConfiguracion;
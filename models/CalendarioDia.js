@@ -0,0 +1,34 @@
+// models/CalendarioDia.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+export const TIPOS_DIA_NO_HABIL = ['feriado_nacional', 'feriado_provincial', 'cierre'];
+
+/**
+ * Días no hábiles puntuales (además de los días de semana sin cobranza de CalendarioConfiguracion).
+ * - feriado_nacional / feriado_provincial: calendario oficial (Tucumán)
+ * - cierre: días que la financiera no abre (inventario, duelo, etc.)
+ * Una fila por fecha.
+ */
+const CalendarioDia = sequelize.define(
+    'CalendarioDia',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        fecha: { type: DataTypes.DATEONLY, allowNull: false, unique: true },
+        tipo: { type: DataTypes.ENUM(...TIPOS_DIA_NO_HABIL), allowNull: false },
+        descripcion: { type: DataTypes.STRING(200), allowNull: false },
+
+        creado_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_creacion: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'calendario_dias',
+        timestamps: false,
+        indexes: [
+            { fields: ['tipo'] }
+        ]
+    }
+);
+
+export default CalendarioDia;
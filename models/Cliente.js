@@ -39,11 +39,25 @@ const Cliente = sequelize.define(
 
         puntaje_crediticio: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
 
+        // 💳 Límite de crédito manual (null = se deriva del puntaje por bandas; ver limiteCredito.service)
+        limite_credito: { type: DataTypes.DECIMAL(14, 2), allowNull: true },
+        limite_credito_motivo: { type: DataTypes.STRING(500), allowNull: true },
+        limite_credito_actualizado_en: { type: DataTypes.DATE, allowNull: true },
+        limite_credito_actualizado_por: { type: DataTypes.INTEGER, allowNull: true },
+
         provincia: { type: DataTypes.STRING(100), allowNull: true },
         localidad: { type: DataTypes.STRING(100), allowNull: true },
         dni_foto: { type: DataTypes.STRING(255), allowNull: true },
         cobrador: { type: DataTypes.INTEGER, allowNull: true },
-        zona: { type: DataTypes.INTEGER, allowNull: true }
+        zona: { type: DataTypes.INTEGER, allowNull: true },
+
+        // 📍 Geolocalización (ruta de cobro). geo_origen: 'manual' (carga admin) | 'dispositivo' (GPS del cobrador)
+        latitud: { type: DataTypes.DECIMAL(10, 7), allowNull: true },
+        longitud: { type: DataTypes.DECIMAL(10, 7), allowNull: true },
+        geo_origen: { type: DataTypes.ENUM('manual', 'dispositivo'), allowNull: true },
+        geo_precision_m: { type: DataTypes.INTEGER, allowNull: true },
+        geo_actualizado_en: { type: DataTypes.DATE, allowNull: true },
+        geo_actualizado_por: { type: DataTypes.INTEGER, allowNull: true }
     },
     {
         tableName: 'clientes',
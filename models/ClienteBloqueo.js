@@ -0,0 +1,41 @@
+// models/ClienteBloqueo.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Bloqueos de clientes ("lista negra"): impiden otorgarles crédito nuevo,
+ * refinanciar o financiar una venta.
+ *
+ * - Un bloqueo está vigente mientras no se levante (levantado_en null)
+ *   y no haya vencido (vence_en null = sin vencimiento).
+ * - No se borran: al levantarlos queda quién, cuándo y por qué (historial).
+ * - A lo sumo un bloqueo vigente por cliente (lo controla el service).
+ */
+const ClienteBloqueo = sequelize.define(
+    'ClienteBloqueo',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        cliente_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        motivo: { type: DataTypes.STRING(500), allowNull: false },
+        bloqueado_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_bloqueo: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+        vence_en: { type: DataTypes.DATE, allowNull: true },
+
+        levantado_en: { type: DataTypes.DATE, allowNull: true },
+        levantado_por: { type: DataTypes.INTEGER, allowNull: true },
+        motivo_levantamiento: { type: DataTypes.STRING(500), allowNull: true }
+    },
+    {
+        tableName: 'clientes_bloqueos',
+        timestamps: false,
+        indexes: [
+            { fields: ['cliente_id', 'levantado_en'] },
+            { fields: ['vence_en'] }
+        ]
+    }
+);
+
+export default ClienteBloqueo;
@@ -0,0 +1,36 @@
+// models/ClienteBloqueoExcepcion.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+export const OPERACIONES_BLOQUEO = ['credito', 'refinanciacion', 'venta_financiada'];
+
+/**
+ * Registro de cada vez que un superadmin operó igual sobre un cliente bloqueado.
+ * referencia_id: id del crédito resultante (nuevo / refinanciado).
+ */
+const ClienteBloqueoExcepcion = sequelize.define(
+    'ClienteBloqueoExcepcion',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        bloqueo_id: { type: DataTypes.INTEGER, allowNull: false },
+        cliente_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        operacion: { type: DataTypes.ENUM(...OPERACIONES_BLOQUEO), allowNull: false },
+        referencia_id: { type: DataTypes.INTEGER, allowNull: true },
+
+        usuario_id: { type: DataTypes.INTEGER, allowNull: true },
+        motivo: { type: DataTypes.STRING(500), allowNull: false },
+        fecha: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'clientes_bloqueos_excepciones',
+        timestamps: false,
+        indexes: [
+            { fields: ['bloqueo_id'] },
+            { fields: ['cliente_id'] }
+        ]
+    }
+);
+
+export default ClienteBloqueoExcepcion;
@@ -0,0 +1,58 @@
+// models/ClienteDocumento.js
+import { DataTypes, Op } from 'sequelize';
+import sequelize from './sequelize.js';
+
+export const TIPOS_DOCUMENTO = ['dni_frente', 'dni_dorso', 'recibo_sueldo', 'servicio', 'contrato_firmado', 'otro'];
+
+/**
+ * Documentos adjuntos de clientes (almacenamiento local privado, fuera de /uploads).
+ *
+ * - Por tipo se guardan versiones: subir otro "dni_frente" crea version + 1 y deja
+ *   la anterior con vigente = false (el tipo "otro" no versiona: cada archivo es independiente).
+ * - archivo: ruta relativa a DOCUMENTOS_DIR; solo se descarga por la API (con token).
+ * - Borrado lógico (eliminado_en); si se borra la versión vigente, vuelve a quedar vigente la anterior.
+ */
+const ClienteDocumento = sequelize.define(
+    'ClienteDocumento',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        cliente_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        tipo: { type: DataTypes.ENUM(...TIPOS_DOCUMENTO), allowNull: false },
+        version: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+        vigente: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+
+        descripcion: { type: DataTypes.STRING(255), allowNull: true },
+
+        nombre_original: { type: DataTypes.STRING(255), allowNull: false },
+        archivo: { type: DataTypes.STRING(255), allowNull: false },
+        mime: { type: DataTypes.STRING(100), allowNull: false },
+        tamanio: { type: DataTypes.INTEGER, allowNull: false },
+        sha256: { type: DataTypes.STRING(64), allowNull: false },
+
+        subido_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_subida: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+
+        eliminado_en: { type: DataTypes.DATE, allowNull: true },
+        eliminado_por: { type: DataTypes.INTEGER, allowNull: true }
+    },
+    {
+        tableName: 'clientes_documentos',
+        timestamps: false,
+        indexes: [
+            { fields: ['cliente_id', 'tipo'] },
+            { fields: ['cliente_id', 'vigente'] },
+            {
+                unique: true,
+                fields: ['cliente_id', 'tipo', 'version'],
+                name: 'clientes_documentos_version_unique',
+                // "otro" no versiona (todos quedan en version 1)
+                where: { tipo: { [Op.ne]: 'otro' } }
+            }
+        ]
+    }
+);
+
+export default ClienteDocumento;
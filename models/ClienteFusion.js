@@ -0,0 +1,42 @@
+// models/ClienteFusion.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Registro de fusiones de clientes duplicados.
+ *
+ * - cliente_id: el que sobrevive; cliente_fusionado_id: el eliminado (sin FK, ya no existe).
+ * - datos_fusionado guarda la ficha completa del eliminado para poder reconstruirla.
+ * - *_movidos: ids de las filas que pasaron al superviviente.
+ */
+const ClienteFusion = sequelize.define(
+    'ClienteFusion',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        cliente_id: { type: DataTypes.INTEGER, allowNull: false },
+        cliente_fusionado_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        datos_fusionado: { type: DataTypes.JSONB, allowNull: false },
+        /** Campos vacíos del superviviente que se completaron con datos del fusionado */
+        campos_completados: { type: DataTypes.JSONB, allowNull: true },
+
+        creditos_movidos: { type: DataTypes.ARRAY(DataTypes.INTEGER), allowNull: false, defaultValue: [] },
+        ventas_movidas: { type: DataTypes.ARRAY(DataTypes.INTEGER), allowNull: false, defaultValue: [] },
+        recibos_movidos: { type: DataTypes.ARRAY(DataTypes.INTEGER), allowNull: false, defaultValue: [] },
+
+        motivo: { type: DataTypes.STRING(255), allowNull: true },
+        usuario_id: { type: DataTypes.INTEGER, allowNull: true },
+        fecha: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'clientes_fusiones',
+        timestamps: false,
+        indexes: [
+            { fields: ['cliente_id'] },
+            { fields: ['cliente_fusionado_id'] }
+        ]
+    }
+);
+
+export default ClienteFusion;
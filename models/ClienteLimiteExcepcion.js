@@ -0,0 +1,39 @@
+// models/ClienteLimiteExcepcion.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+import { OPERACIONES_BLOQUEO } from './ClienteBloqueoExcepcion.js';
+
+/**
+ * Registro de cada vez que un superadmin otorgó crédito por encima del límite del cliente.
+ * Guarda la foto del momento: límite, exposición previa y monto de la operación.
+ * referencia_id: id del crédito resultante (nuevo / refinanciado).
+ */
+const ClienteLimiteExcepcion = sequelize.define(
+    'ClienteLimiteExcepcion',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        cliente_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        operacion: { type: DataTypes.ENUM(...OPERACIONES_BLOQUEO), allowNull: false },
+        referencia_id: { type: DataTypes.INTEGER, allowNull: true },
+
+        limite: { type: DataTypes.DECIMAL(14, 2), allowNull: false },
+        exposicion: { type: DataTypes.DECIMAL(14, 2), allowNull: false },
+        monto: { type: DataTypes.DECIMAL(14, 2), allowNull: false },
+
+        usuario_id: { type: DataTypes.INTEGER, allowNull: true },
+        motivo: { type: DataTypes.STRING(500), allowNull: false },
+        fecha: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'clientes_limite_excepciones',
+        timestamps: false,
+        indexes: [
+            { fields: ['cliente_id'] }
+        ]
+    }
+);
+
+export default ClienteLimiteExcepcion;
@@ -6,7 +6,7 @@ import Cliente from './Cliente.js';
 /**
  * Definición:
  * - tipo_credito: periodicidad del cálculo de interés (semanal | quincenal | mensual)
- * - modalidad_credito: variante de negocio (comun | progresivo | libre)
+ * - modalidad_credito: variante de negocio (comun | progresivo | libre | frances)
  *
  * Notas para "libre":
  * - No hay vencimientos ni mora (lo maneja la capa de servicios/cuotas).
@@ -14,6 +14,10 @@ import Cliente from './Cliente.js';
  * - interes_acumulado guarda el interés del ciclo no cubierto (si aplica).
  * - El descuento por pago total/adelantado se reflejará en Recibos.
  *
+ * Notas para "frances":
+ * - Cuota fija con interés sobre saldo; tasa_periodo guarda el % por período aplicado.
+ * - Cada cuota guarda su capital / interés / saldo de capital (tabla de amortización).
+ *
  * NUEVO:
  * - total_actual: campo que refleja el total actual del crédito considerando
  *   saldo_actual + interes_acumulado + intereses vencidos (si corresponde).
@@ -108,10 +112,15 @@ const Credito = sequelize.define(
             type: DataTypes.DECIMAL(5, 2),
             allowNull: true
         },
+        // Solo "frances": % por período sobre saldo (ya con el descuento aplicado)
+        tasa_periodo: {
+            type: DataTypes.DECIMAL(8, 4),
+            allowNull: true
+        },
         modalidad_credito: {
             // Reutiliza el tipo existente en PG: creditos_modalidad_enum
             type: DataTypes.ENUM,
-            values: ['comun', 'progresivo', 'libre'],
+            values: ['comun', 'progresivo', 'libre', 'frances'],
             enumName: 'creditos_modalidad_enum',
             allowNull: false,
             defaultValue: 'comun'
@@ -139,6 +148,13 @@ const Credito = sequelize.define(
             allowNull: true
         },
 
+        // 🔹 Refinanciación consolidada: todos los créditos de origen (id_credito_origen = el primero, por compatibilidad)
+        ids_creditos_origen: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+            comment: 'IDs de los créditos refinanciados en este crédito cuando se consolidaron varios'
+        },
+
         // 🔹 Marca si viene de una venta manual financiada
         origen_venta_manual_financiada: {
             type: DataTypes.BOOLEAN,
@@ -0,0 +1,34 @@
+// models/CreditoGarante.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Vínculo crédito ⇄ garante (un crédito puede tener varios garantes
+ * y una persona puede garantizar varios créditos).
+ */
+const CreditoGarante = sequelize.define(
+    'CreditoGarante',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FKs con ON DELETE CASCADE (ver associations.js)
+        credito_id: { type: DataTypes.INTEGER, allowNull: false },
+        garante_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        // Relación con el deudor (familiar, empleador, conocido...), libre
+        relacion: { type: DataTypes.STRING(100), allowNull: true },
+
+        agregado_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_alta: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'creditos_garantes',
+        timestamps: false,
+        indexes: [
+            { unique: true, fields: ['credito_id', 'garante_id'], name: 'creditos_garantes_unique' },
+            { fields: ['garante_id'] }
+        ]
+    }
+);
+
+export default CreditoGarante;
@@ -0,0 +1,54 @@
+// models/CreditoProrroga.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+// pendiente (espera aprobación en tareas) → aplicada | rechazada ; superadmin la aplica directo
+export const ESTADOS_PRORROGA = ['pendiente', 'aplicada', 'rechazada'];
+
+/**
+ * Prórroga de cuotas (enfermedad, pérdida de empleo, etc.).
+ * - cuota_ids: cuotas a correr `periodos` períodos del crédito
+ * - cargo: cargo por prórroga sumado a la primera cuota corrida
+ * - mora_congelada_desde / hasta: ventana sin mora para las cuotas abiertas del crédito
+ * - tarea_id: TareaPendiente 'prorroga_credito' (solo si la pidió un admin)
+ * - replanificacion_id: registro en creditos_replanificaciones al aplicarse
+ */
+const CreditoProrroga = sequelize.define(
+    'CreditoProrroga',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        credito_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        estado: { type: DataTypes.ENUM(...ESTADOS_PRORROGA), allowNull: false, defaultValue: 'pendiente' },
+
+        periodos: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+        cuota_ids: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+        cargo: { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+
+        mora_congelada_desde: { type: DataTypes.DATEONLY, allowNull: true },
+        mora_congelada_hasta: { type: DataTypes.DATEONLY, allowNull: true },
+
+        motivo: { type: DataTypes.TEXT, allowNull: false },
+
+        tarea_id: { type: DataTypes.INTEGER, allowNull: true },
+        replanificacion_id: { type: DataTypes.INTEGER, allowNull: true },
+
+        solicitado_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_solicitud: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+        resuelto_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_resolucion: { type: DataTypes.DATE, allowNull: true },
+        motivo_rechazo: { type: DataTypes.TEXT, allowNull: true }
+    },
+    {
+        tableName: 'creditos_prorrogas',
+        timestamps: false,
+        indexes: [
+            { fields: ['credito_id'] },
+            { fields: ['estado'] }
+        ]
+    }
+);
+
+export default CreditoProrroga;
@@ -0,0 +1,45 @@
+// models/CreditoReplanificacion.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+export const TIPOS_REPLANIFICACION = ['amortizacion_anticipada', 'prorroga', 'cambio_dia_pago'];
+
+/**
+ * Historial de re-planes de un crédito (cambios sobre las cuotas que quedan por pagar).
+ * - cuotas_antes / cuotas_despues: foto de las cuotas afectadas [{ id, numero_cuota, importe_cuota, fecha_vencimiento }]
+ * - detalle: datos propios de cada tipo (opción elegida, interés bonificado, etc.)
+ * - numero_recibo: recibo emitido si la operación tuvo cobro
+ */
+const CreditoReplanificacion = sequelize.define(
+    'CreditoReplanificacion',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        credito_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        tipo: { type: DataTypes.ENUM(...TIPOS_REPLANIFICACION), allowNull: false },
+
+        monto: { type: DataTypes.DECIMAL(14, 2), allowNull: true },
+        saldo_anterior: { type: DataTypes.DECIMAL(14, 2), allowNull: false },
+        saldo_nuevo: { type: DataTypes.DECIMAL(14, 2), allowNull: false },
+
+        cuotas_antes: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+        cuotas_despues: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+        detalle: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+
+        numero_recibo: { type: DataTypes.INTEGER, allowNull: true },
+
+        usuario_id: { type: DataTypes.INTEGER, allowNull: true },
+        fecha: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'creditos_replanificaciones',
+        timestamps: false,
+        indexes: [
+            { fields: ['credito_id'] }
+        ]
+    }
+);
+
+export default CreditoReplanificacion;
@@ -50,6 +50,28 @@ const Cuota = sequelize.define('Cuota', {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false,
         defaultValue: 0.00
+    },
+
+    // ——— Sistema francés: tabla de amortización por cuota (NULL en otras modalidades) ———
+    // importe_cuota = capital_cuota + interes_cuota; saldo_capital = capital que queda tras pagarla
+    capital_cuota: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+    interes_cuota: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+    saldo_capital: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+    },
+
+    // ——— Prórroga: ventanas sin generación de mora [{ desde, hasta, prorroga_id }] (YMD inclusive) ———
+    mora_congelamientos: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
     }
 }, {
     tableName: 'cuotas',
@@ -0,0 +1,57 @@
+// models/Garante.js
+import { DataTypes, Op } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Garantes de créditos.
+ *
+ * - Puede ser un cliente existente (cliente_id) o una persona externa.
+ *   Si es cliente, los datos personales se copian al alta (snapshot) para la ficha;
+ *   la fuente de verdad sigue siendo el cliente.
+ * - dni normalizado (solo dígitos) y único cuando viene informado: la misma persona
+ *   se reutiliza entre créditos.
+ */
+const Garante = sequelize.define(
+    'Garante',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE SET NULL (ver associations.js)
+        cliente_id: { type: DataTypes.INTEGER, allowNull: true },
+
+        nombre: { type: DataTypes.STRING(100), allowNull: false },
+        apellido: { type: DataTypes.STRING(100), allowNull: true },
+        dni: { type: DataTypes.STRING(20), allowNull: true },
+
+        telefono: { type: DataTypes.STRING(20), allowNull: true },
+        telefono_secundario: { type: DataTypes.STRING(20), allowNull: true },
+        email: { type: DataTypes.STRING(100), allowNull: true },
+        direccion: { type: DataTypes.STRING(255), allowNull: true },
+        localidad: { type: DataTypes.STRING(100), allowNull: true },
+
+        // Datos laborales / ingresos
+        ocupacion: { type: DataTypes.STRING(100), allowNull: true },
+        empleador: { type: DataTypes.STRING(150), allowNull: true },
+        ingresos_mensuales: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+
+        observaciones: { type: DataTypes.TEXT, allowNull: true },
+
+        creado_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_registro: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'garantes',
+        timestamps: false,
+        indexes: [
+            {
+                unique: true,
+                fields: ['dni'],
+                name: 'garantes_dni_unique',
+                where: { [Op.and]: [{ dni: { [Op.ne]: null } }, { dni: { [Op.ne]: '' } }] }
+            },
+            { fields: ['cliente_id'] }
+        ]
+    }
+);
+
+export default Garante;
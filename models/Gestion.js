@@ -0,0 +1,64 @@
+// models/Gestion.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+export const TIPOS_GESTION = ['visita', 'llamada', 'mensaje'];
+
+export const RESULTADOS_GESTION = [
+    'pago',                 // pagó en el momento (el pago se registra aparte en /pagos)
+    'promesa_pago',         // comprometió fecha (+ monto) de pago
+    'sin_contacto',         // no atendió / no respondió
+    'ausente',              // visita: no estaba en el domicilio
+    'se_niega',             // se niega a pagar
+    'domicilio_incorrecto',
+    'otro'
+];
+
+export const ESTADOS_PROMESA = ['pendiente', 'cumplida', 'incumplida'];
+
+/**
+ * Gestiones de cobranza (visitas, llamadas, mensajes) por cliente / crédito.
+ *
+ * - usuario_id: quien hizo la gestión (normalmente el cobrador de la ruta).
+ * - Promesa de pago: promesa_fecha (+ promesa_monto opcional). Se evalúa contra
+ *   los Pagos reales del crédito (o de todos los créditos del cliente si no hay
+ *   credito_id) entre la fecha de la gestión y promesa_fecha inclusive:
+ *     cumplida   → lo pagado en la ventana alcanza el monto (o hubo algún pago si no hay monto)
+ *     incumplida → venció promesa_fecha sin alcanzarlo
+ *     pendiente  → todavía en plazo
+ *   cumplida / incumplida son definitivas.
+ */
+const Gestion = sequelize.define(
+    'Gestion',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        cliente_id: { type: DataTypes.INTEGER, allowNull: false },
+        credito_id: { type: DataTypes.INTEGER, allowNull: true },
+        usuario_id: { type: DataTypes.INTEGER, allowNull: true },
+
+        tipo: { type: DataTypes.ENUM(...TIPOS_GESTION), allowNull: false },
+        resultado: { type: DataTypes.ENUM(...RESULTADOS_GESTION), allowNull: false },
+        nota: { type: DataTypes.TEXT, allowNull: true },
+        fecha: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+
+        promesa_fecha: { type: DataTypes.DATEONLY, allowNull: true },
+        promesa_monto: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+        promesa_estado: { type: DataTypes.ENUM(...ESTADOS_PROMESA), allowNull: true },
+        promesa_monto_pagado: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+        promesa_evaluada_en: { type: DataTypes.DATE, allowNull: true }
+    },
+    {
+        tableName: 'gestiones',
+        timestamps: false,
+        indexes: [
+            { fields: ['cliente_id', 'fecha'] },
+            { fields: ['credito_id'] },
+            { fields: ['usuario_id', 'fecha'] },
+            { fields: ['promesa_estado', 'promesa_fecha'] }
+        ]
+    }
+);
+
+export default Gestion;
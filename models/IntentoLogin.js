@@ -0,0 +1,39 @@
+// models/IntentoLogin.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Historial de intentos de login (exitosos y fallidos).
+ * usuario_id queda null cuando el nombre de usuario no existe.
+ */
+const IntentoLogin = sequelize.define(
+    'IntentoLogin',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        usuario_id: { type: DataTypes.INTEGER, allowNull: true },
+
+        /** Lo que tipeó el usuario (aunque no exista) */
+        nombre_usuario: { type: DataTypes.STRING(100), allowNull: true },
+
+        ip: { type: DataTypes.STRING(64), allowNull: true },
+        user_agent: { type: DataTypes.STRING(255), allowNull: true },
+
+        exito: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+
+        /** 'ok' | 'password_invalida' | 'usuario_inexistente' | 'usuario_inactivo' | 'bloqueado' | 'fuera_de_horario' */
+        motivo: { type: DataTypes.STRING(50), allowNull: true },
+
+        fecha: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'intentos_login',
+        timestamps: false,
+        indexes: [
+            { fields: ['usuario_id'] },
+            { fields: ['fecha'] }
+        ]
+    }
+);
+
+export default IntentoLogin;
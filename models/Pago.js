@@ -28,6 +28,13 @@ const Pago = sequelize.define('Pago', {
     observacion: {
         type: DataTypes.STRING(255),
         allowNull: true
+    },
+    // 'capital': amortización anticipada (va al capital del crédito, no a la cuota).
+    // Se asocia a una cuota solo por la FK / recibo: la mora de esa cuota lo ignora.
+    imputacion: {
+        type: DataTypes.ENUM('cuota', 'capital'),
+        allowNull: false,
+        defaultValue: 'cuota'
     }
 }, {
     tableName: 'pagos',
@@ -0,0 +1,29 @@
+// models/Permiso.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Catálogo de permisos con nombre ("modulo.accion", ej: 'creditos.refinanciar').
+ * Las filas se sincronizan al iniciar el server desde CATALOGO_PERMISOS (permiso.service.js);
+ * la asignación a roles (roles_permisos) es editable vía /roles.
+ */
+const Permiso = sequelize.define('Permiso', {
+    codigo: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+    },
+    modulo: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    descripcion: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    }
+}, {
+    tableName: 'permisos',
+    timestamps: false
+});
+
+export default Permiso;
@@ -44,7 +44,7 @@ const Presupuesto = sequelize.define(
             allowNull: false
         },
         modalidad_credito: {
-            // plan: libre / comun / progresivo
+            // plan: libre / comun / progresivo / frances
             type: DataTypes.STRING(20),
             allowNull: true
         },
@@ -0,0 +1,33 @@
+// models/PuntajeConfiguracion.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Reglas del puntaje crediticio (pesos y umbrales) versionadas.
+ *
+ * - `reglas` es el JSON que interpreta puntaje.service (ver REGLAS_DEFAULT).
+ * - Una sola configuración activa; editar crea una versión nueva y desactiva la anterior,
+ *   así el historial de puntajes sigue apuntando a las reglas con que se calculó.
+ */
+const PuntajeConfiguracion = sequelize.define(
+    'PuntajeConfiguracion',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        reglas: { type: DataTypes.JSONB, allowNull: false },
+        activa: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+        nota: { type: DataTypes.STRING(500), allowNull: true },
+
+        creado_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_creacion: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'puntaje_configuraciones',
+        timestamps: false,
+        indexes: [
+            { fields: ['activa'] }
+        ]
+    }
+);
+
+export default PuntajeConfiguracion;
@@ -0,0 +1,38 @@
+// models/PuntajeHistorial.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+export const ORIGENES_PUNTAJE = ['pago', 'cron', 'manual', 'fusion'];
+
+/**
+ * Historial del puntaje crediticio por cliente.
+ *
+ * - Se registra una fila cada vez que el puntaje cambia (y la primera vez que se calcula).
+ * - `desglose` guarda la explicación completa (reglas aplicadas y métricas) del momento.
+ * - configuracion_id: versión de reglas usada (PuntajeConfiguracion), null = reglas por defecto.
+ */
+const PuntajeHistorial = sequelize.define(
+    'PuntajeHistorial',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        cliente_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        puntaje: { type: DataTypes.INTEGER, allowNull: false },
+        puntaje_anterior: { type: DataTypes.INTEGER, allowNull: true },
+        desglose: { type: DataTypes.JSONB, allowNull: true },
+        configuracion_id: { type: DataTypes.INTEGER, allowNull: true },
+        origen: { type: DataTypes.ENUM(...ORIGENES_PUNTAJE), allowNull: false, defaultValue: 'manual' },
+        fecha: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'puntajes_historial',
+        timestamps: false,
+        indexes: [
+            { fields: ['cliente_id', 'fecha'] }
+        ]
+    }
+);
+
+export default PuntajeHistorial;
@@ -70,7 +70,7 @@ const Recibo = sequelize.define('Recibo', {
         defaultValue: null,
         validate: {
             isIn: {
-                args: [['comun', 'progresivo', 'libre']],
+                args: [['comun', 'progresivo', 'libre', 'frances']],
                 msg: 'modalidad_credito inválida'
             }
         }
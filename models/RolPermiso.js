@@ -0,0 +1,29 @@
+// models/RolPermiso.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+import Role from './Role.js';
+import Permiso from './Permiso.js';
+
+const RolPermiso = sequelize.define('RolPermiso', {
+    rol_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: Role, key: 'id' }
+    },
+    permiso_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: Permiso, key: 'id' }
+    }
+}, {
+    tableName: 'roles_permisos',
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['rol_id', 'permiso_id'] }
+    ]
+});
+
+Role.belongsToMany(Permiso, { through: RolPermiso, foreignKey: 'rol_id', otherKey: 'permiso_id', as: 'permisos' });
+Permiso.belongsToMany(Role, { through: RolPermiso, foreignKey: 'permiso_id', otherKey: 'rol_id', as: 'roles' });
+
+export default RolPermiso;
@@ -6,7 +6,18 @@ const Role = sequelize.define('Role', {
         type: DataTypes.STRING,
         allowNull: false,
         unique: true
-    }
+    },
+
+    // ——— Ventana horaria de login (opcional) ———
+    // Si ambos son null, el rol puede autenticarse a cualquier hora.
+    // Horas en TZ de negocio (APP_TZ). Si desde > hasta, la ventana cruza medianoche.
+    horario_login_desde: { type: DataTypes.TIME, allowNull: true },
+    horario_login_hasta: { type: DataTypes.TIME, allowNull: true },
+    // Días habilitados (0=domingo … 6=sábado). null = todos los días.
+    dias_login: { type: DataTypes.ARRAY(DataTypes.INTEGER), allowNull: true },
+
+    // Si es true, los usuarios del rol no pueden entrar sin segundo factor (TOTP)
+    requiere_2fa: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }
 }, {
     tableName: 'roles',
     timestamps: false
@@ -0,0 +1,85 @@
+// models/SesionUsuario.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Sesiones de usuario (refresh tokens rotativos).
+ *
+ * - Cada login crea una sesión; el access token (JWT corto) lleva su id en `sid`.
+ * - Solo se guarda el hash SHA-256 del refresh token vigente (nunca el token plano).
+ * - Al refrescar se rota el token: el hash anterior deja de ser válido.
+ *   Durante unos segundos (REFRESH_GRACIA_SEGUNDOS) el anterior se reconoce y responde 409
+ *   sin revocar (carreras entre pestañas); pasada esa ventana se asume robo y se revoca la sesión.
+ * - revocada_en != null => la sesión (y todos sus access tokens) dejan de funcionar.
+ */
+const SesionUsuario = sequelize.define(
+    'SesionUsuario',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        usuario_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+
+        refresh_token_hash: {
+            type: DataTypes.STRING(64),
+            allowNull: false
+        },
+
+        /** Hash del refresh token previo a la última rotación (ventana de gracia) */
+        refresh_token_hash_anterior: {
+            type: DataTypes.STRING(64),
+            allowNull: true
+        },
+        rotado_en: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+
+        /** Cantidad de rotaciones realizadas (útil para diagnóstico) */
+        rotaciones: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+
+        ip: { type: DataTypes.STRING(64), allowNull: true },
+        user_agent: { type: DataTypes.STRING(255), allowNull: true },
+
+        creada_en: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        ultimo_uso: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        expira_en: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+
+        revocada_en: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        /** 'logout' | 'cerrar_todas' | 'usuario_actualizado' | 'password_cambiada' | 'usuario_eliminado' | 'reuso_refresh_token' ... */
+        motivo_revocacion: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        }
+    },
+    {
+        tableName: 'sesiones_usuario',
+        timestamps: false,
+        indexes: [
+            { fields: ['usuario_id'] },
+            { fields: ['revocada_en'] }
+        ]
+    }
+);
+
+export default SesionUsuario;
@@ -0,0 +1,59 @@
+// models/SolicitudCredito.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+// borrador → en_evaluacion → aprobada | rechazada ; aprobada → desembolsada ; (borrador | en_evaluacion | aprobada) → cancelada
+export const ESTADOS_SOLICITUD = ['borrador', 'en_evaluacion', 'aprobada', 'rechazada', 'desembolsada', 'cancelada'];
+
+/**
+ * Solicitud de crédito previa al desembolso.
+ * - datos_credito: payload con el que se creará el crédito (mismo formato que POST /creditos)
+ * - documentos_requeridos: tipos de ClienteDocumento que deben estar cargados (y verificados para aprobar)
+ * - checklist: { [tipo]: { verificado, verificado_por, fecha, observacion } } (la presencia se calcula en vivo)
+ * - tarea_id: TareaPendiente 'aprobar_solicitud_credito' abierta al enviar a evaluación
+ * - credito_id: crédito creado al desembolsar (recién ahí impacta en caja)
+ */
+const SolicitudCredito = sequelize.define(
+    'SolicitudCredito',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        cliente_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        estado: { type: DataTypes.ENUM(...ESTADOS_SOLICITUD), allowNull: false, defaultValue: 'borrador' },
+
+        modalidad_credito: { type: DataTypes.STRING(20), allowNull: false },
+        monto_solicitado: { type: DataTypes.DECIMAL(14, 2), allowNull: false },
+        // Total a devolver estimado (simulación del plan al guardar)
+        monto_total_estimado: { type: DataTypes.DECIMAL(14, 2), allowNull: true },
+        datos_credito: { type: DataTypes.JSONB, allowNull: false },
+
+        documentos_requeridos: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+        checklist: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+
+        tarea_id: { type: DataTypes.INTEGER, allowNull: true },
+        credito_id: { type: DataTypes.INTEGER, allowNull: true },
+
+        creado_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_creacion: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+        fecha_envio: { type: DataTypes.DATE, allowNull: true },
+
+        resuelto_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_resolucion: { type: DataTypes.DATE, allowNull: true },
+        motivo_rechazo: { type: DataTypes.STRING(500), allowNull: true },
+
+        desembolsado_por: { type: DataTypes.INTEGER, allowNull: true },
+        fecha_desembolso: { type: DataTypes.DATE, allowNull: true }
+    },
+    {
+        tableName: 'solicitudes_credito',
+        timestamps: false,
+        indexes: [
+            { fields: ['cliente_id'] },
+            { fields: ['estado'] }
+        ]
+    }
+);
+
+export default SolicitudCredito;
@@ -0,0 +1,36 @@
+// models/SolicitudCreditoEvento.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+export const TIPOS_EVENTO_SOLICITUD = ['estado', 'comentario', 'checklist'];
+
+/**
+ * Historial de una solicitud de crédito: cambios de estado, comentarios de evaluación
+ * y verificación de documentos. Solo se agregan filas (no se editan).
+ */
+const SolicitudCreditoEvento = sequelize.define(
+    'SolicitudCreditoEvento',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        solicitud_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        tipo: { type: DataTypes.ENUM(...TIPOS_EVENTO_SOLICITUD), allowNull: false },
+        estado_anterior: { type: DataTypes.STRING(20), allowNull: true },
+        estado_nuevo: { type: DataTypes.STRING(20), allowNull: true },
+        comentario: { type: DataTypes.TEXT, allowNull: true },
+
+        usuario_id: { type: DataTypes.INTEGER, allowNull: true },
+        fecha: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'solicitudes_credito_eventos',
+        timestamps: false,
+        indexes: [
+            { fields: ['solicitud_id'] }
+        ]
+    }
+);
+
+export default SolicitudCreditoEvento;
@@ -0,0 +1,45 @@
+// models/Suplantacion.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Suplantaciones ("ver como") iniciadas por un superadmin.
+ *
+ * - El token de suplantación lleva el id del usuario suplantado (id/rol_id) y el real (`imp`).
+ * - Por defecto es de solo lectura: verifyToken rechaza métodos que no sean GET/HEAD/OPTIONS.
+ * - Queda atada a la sesión del superadmin: si esa sesión se revoca, la suplantación cae.
+ * - finalizada_en != null o expira_en vencido => el token deja de funcionar.
+ */
+const Suplantacion = sequelize.define(
+    'Suplantacion',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FKs con ON DELETE CASCADE (ver associations.js)
+        superadmin_id: { type: DataTypes.INTEGER, allowNull: false },
+        usuario_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        /** Sesión del superadmin desde la que se inició (null si vino con token legacy) */
+        sesion_id: { type: DataTypes.INTEGER, allowNull: true },
+
+        motivo: { type: DataTypes.STRING(255), allowNull: true },
+        solo_lectura: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+
+        ip: { type: DataTypes.STRING(64), allowNull: true },
+        user_agent: { type: DataTypes.STRING(255), allowNull: true },
+
+        creada_en: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+        expira_en: { type: DataTypes.DATE, allowNull: false },
+        finalizada_en: { type: DataTypes.DATE, allowNull: true }
+    },
+    {
+        tableName: 'suplantaciones',
+        timestamps: false,
+        indexes: [
+            { fields: ['superadmin_id'] },
+            { fields: ['usuario_id'] }
+        ]
+    }
+);
+
+export default Suplantacion;
@@ -0,0 +1,36 @@
+// models/SuplantacionRegistro.js
+import { DataTypes } from 'sequelize';
+import sequelize from './sequelize.js';
+
+/**
+ * Una fila por request hecha bajo suplantación (incluidas las rechazadas por solo lectura).
+ */
+const SuplantacionRegistro = sequelize.define(
+    'SuplantacionRegistro',
+    {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+
+        // FK con ON DELETE CASCADE (ver associations.js)
+        suplantacion_id: { type: DataTypes.INTEGER, allowNull: false },
+
+        metodo: { type: DataTypes.STRING(10), allowNull: false },
+        ruta: { type: DataTypes.STRING(500), allowNull: false },
+        status: { type: DataTypes.INTEGER, allowNull: true },
+        /** true si se rechazó por ser escritura en una suplantación de solo lectura */
+        bloqueada: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+        duracion_ms: { type: DataTypes.INTEGER, allowNull: true },
+        ip: { type: DataTypes.STRING(64), allowNull: true },
+
+        fecha: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+    },
+    {
+        tableName: 'suplantaciones_registros',
+        timestamps: false,
+        indexes: [
+            { fields: ['suplantacion_id'] },
+            { fields: ['fecha'] }
+        ]
+    }
+);
+
+export default SuplantacionRegistro;
@@ -7,7 +7,25 @@ const Usuario = sequelize.define('Usuario', {
     nombre_usuario: { type: DataTypes.STRING, allowNull: false, unique: true },
     password: { type: DataTypes.STRING, allowNull: false },
     estado: { type: DataTypes.ENUM('activo', 'inactivo'), defaultValue: 'activo' },
-    fecha_creacion: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+    fecha_creacion: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+
+    // ——— Protección de login (bloqueo progresivo) ———
+    // Fallos consecutivos desde el último login exitoso o bloqueo
+    intentos_fallidos: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    // Cantidad de bloqueos sufridos (cada uno duplica la duración del siguiente)
+    bloqueos_consecutivos: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    bloqueado_hasta: { type: DataTypes.DATE, allowNull: true },
+
+    // ——— Segundo factor (TOTP) ———
+    // Secreto base32 cifrado (AES-256-GCM). Existe desde que se inicia el enrolamiento;
+    // recién cuenta para el login cuando totp_habilitado = true (código confirmado).
+    totp_secret: { type: DataTypes.STRING(255), allowNull: true },
+    totp_habilitado: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    totp_confirmado_en: { type: DataTypes.DATE, allowNull: true },
+    // Último paso de 30s aceptado: evita reusar el mismo código dentro de su ventana
+    totp_ultimo_paso: { type: DataTypes.BIGINT, allowNull: true },
+    // Hashes sha256 de los códigos de respaldo aún no usados
+    totp_codigos_respaldo: { type: DataTypes.ARRAY(DataTypes.STRING(64)), allowNull: true }
 }, {
     tableName: 'usuarios',
     timestamps: false
@@ -14,6 +14,27 @@ import VentaManual from './VentaManual.js';       // ⬅️ Ventas manuales
 import Gasto from './Gasto.js';                   // ⬅️ Gastos
 import Proveedor from './Proveedor.js';           // ⬅️ Proveedores
 import Presupuesto from './Presupuesto.js';       // ⬅️ Presupuestos
+import SesionUsuario from './SesionUsuario.js';   // ⬅️ Sesiones (refresh tokens)
+import IntentoLogin from './IntentoLogin.js';     // ⬅️ Historial de logins
+import Suplantacion from './Suplantacion.js';     // ⬅️ "Ver como" (superadmin)
+import SuplantacionRegistro from './SuplantacionRegistro.js';
+import Auditoria from './Auditoria.js';           // ⬅️ Log de cambios
+import ClienteFusion from './ClienteFusion.js';   // ⬅️ Fusiones de duplicados
+import ClienteDocumento from './ClienteDocumento.js'; // ⬅️ Adjuntos de clientes
+import Garante from './Garante.js';                   // ⬅️ Garantes de créditos
+import CreditoGarante from './CreditoGarante.js';
+import ClienteBloqueo from './ClienteBloqueo.js';     // ⬅️ Bloqueos (lista negra)
+import ClienteBloqueoExcepcion from './ClienteBloqueoExcepcion.js';
+import Gestion from './Gestion.js';                   // ⬅️ Gestiones de cobranza
+import PuntajeConfiguracion from './PuntajeConfiguracion.js'; // ⬅️ Reglas del puntaje crediticio
+import PuntajeHistorial from './PuntajeHistorial.js';   // ⬅️ Historial del puntaje crediticio
+import ClienteLimiteExcepcion from './ClienteLimiteExcepcion.js'; // ⬅️ Créditos otorgados sobre el límite
+import CalendarioDia from './CalendarioDia.js';         // ⬅️ Feriados / cierres (calendario de cobranza)
+import CalendarioConfiguracion from './CalendarioConfiguracion.js'; // ⬅️ Reglas del calendario de cobranza
+import SolicitudCredito from './SolicitudCredito.js';     // ⬅️ Solicitudes de crédito (evaluación / aprobación)
+import SolicitudCreditoEvento from './SolicitudCreditoEvento.js';
+import CreditoReplanificacion from './CreditoReplanificacion.js'; // ⬅️ Historial de re-planes (amortización anticipada, etc.)
+import CreditoProrroga from './CreditoProrroga.js'; // ⬅️ Prórrogas de cuotas (con aprobación)
 
 /* ───────── Relaciones base (con guards) ───────── */
 
@@ -178,6 +199,214 @@ if (!Usuario.associations?.movimientosRegistrados) {
     Usuario.hasMany(CajaMovimiento, { foreignKey: 'usuario_id', as: 'movimientosRegistrados' });
 }
 
+/* ───────── SesionUsuario ───────── */
+if (!SesionUsuario.associations?.usuario) {
+    SesionUsuario.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario', onDelete: 'CASCADE' });
+}
+if (!Usuario.associations?.sesiones) {
+    Usuario.hasMany(SesionUsuario, { foreignKey: 'usuario_id', as: 'sesiones', onDelete: 'CASCADE' });
+}
+
+/* ───────── IntentoLogin ───────── */
+if (!IntentoLogin.associations?.usuario) {
+    IntentoLogin.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario', onDelete: 'CASCADE' });
+}
+if (!Usuario.associations?.intentosLogin) {
+    Usuario.hasMany(IntentoLogin, { foreignKey: 'usuario_id', as: 'intentosLogin', onDelete: 'CASCADE' });
+}
+
+/* ───────── Suplantacion ───────── */
+if (!Suplantacion.associations?.superadmin) {
+    Suplantacion.belongsTo(Usuario, { foreignKey: 'superadmin_id', as: 'superadmin', onDelete: 'CASCADE' });
+}
+if (!Suplantacion.associations?.usuario) {
+    Suplantacion.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario', onDelete: 'CASCADE' });
+}
+if (!Suplantacion.associations?.registros) {
+    Suplantacion.hasMany(SuplantacionRegistro, { foreignKey: 'suplantacion_id', as: 'registros', onDelete: 'CASCADE' });
+}
+if (!SuplantacionRegistro.associations?.suplantacion) {
+    SuplantacionRegistro.belongsTo(Suplantacion, { foreignKey: 'suplantacion_id', as: 'suplantacion', onDelete: 'CASCADE' });
+}
+
+/* ───────── Auditoria ───────── */
+// Sin constraint: el log se conserva aunque el usuario se elimine
+if (!Auditoria.associations?.usuario) {
+    Auditoria.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario', constraints: false });
+}
+
+/* ───────── ClienteFusion ───────── */
+if (!ClienteFusion.associations?.cliente) {
+    ClienteFusion.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente', onDelete: 'CASCADE' });
+}
+if (!Cliente.associations?.fusiones) {
+    Cliente.hasMany(ClienteFusion, { foreignKey: 'cliente_id', as: 'fusiones', onDelete: 'CASCADE' });
+}
+
+/* ───────── ClienteDocumento ───────── */
+if (!ClienteDocumento.associations?.cliente) {
+    ClienteDocumento.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente', onDelete: 'CASCADE' });
+}
+if (!Cliente.associations?.documentos) {
+    Cliente.hasMany(ClienteDocumento, { foreignKey: 'cliente_id', as: 'documentos', onDelete: 'CASCADE' });
+}
+if (!ClienteDocumento.associations?.subidoPor) {
+    ClienteDocumento.belongsTo(Usuario, { foreignKey: 'subido_por', as: 'subidoPor', constraints: false });
+}
+
+/* ───────── Garantes ───────── */
+if (!Garante.associations?.cliente) {
+    Garante.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente', onDelete: 'SET NULL' });
+}
+if (!Cliente.associations?.perfilesGarante) {
+    Cliente.hasMany(Garante, { foreignKey: 'cliente_id', as: 'perfilesGarante', onDelete: 'SET NULL' });
+}
+if (!Credito.associations?.garantes) {
+    Credito.belongsToMany(Garante, {
+        through: CreditoGarante,
+        foreignKey: 'credito_id',
+        otherKey: 'garante_id',
+        as: 'garantes',
+        onDelete: 'CASCADE'
+    });
+}
+if (!Garante.associations?.creditos) {
+    Garante.belongsToMany(Credito, {
+        through: CreditoGarante,
+        foreignKey: 'garante_id',
+        otherKey: 'credito_id',
+        as: 'creditos',
+        onDelete: 'CASCADE'
+    });
+}
+
+/* ───────── Bloqueos de clientes ───────── */
+if (!ClienteBloqueo.associations?.cliente) {
+    ClienteBloqueo.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente', onDelete: 'CASCADE' });
+}
+if (!Cliente.associations?.bloqueos) {
+    Cliente.hasMany(ClienteBloqueo, { foreignKey: 'cliente_id', as: 'bloqueos', onDelete: 'CASCADE' });
+}
+if (!ClienteBloqueo.associations?.bloqueadoPor) {
+    ClienteBloqueo.belongsTo(Usuario, { foreignKey: 'bloqueado_por', as: 'bloqueadoPor', constraints: false });
+}
+if (!ClienteBloqueo.associations?.levantadoPor) {
+    ClienteBloqueo.belongsTo(Usuario, { foreignKey: 'levantado_por', as: 'levantadoPor', constraints: false });
+}
+if (!ClienteBloqueo.associations?.excepciones) {
+    ClienteBloqueo.hasMany(ClienteBloqueoExcepcion, { foreignKey: 'bloqueo_id', as: 'excepciones', onDelete: 'CASCADE' });
+}
+if (!ClienteBloqueoExcepcion.associations?.bloqueo) {
+    ClienteBloqueoExcepcion.belongsTo(ClienteBloqueo, { foreignKey: 'bloqueo_id', as: 'bloqueo', onDelete: 'CASCADE' });
+}
+if (!ClienteBloqueoExcepcion.associations?.usuario) {
+    ClienteBloqueoExcepcion.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario', constraints: false });
+}
+
+/* ───────── Gestiones de cobranza ───────── */
+if (!Gestion.associations?.cliente) {
+    Gestion.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente', onDelete: 'CASCADE' });
+}
+if (!Cliente.associations?.gestiones) {
+    Cliente.hasMany(Gestion, { foreignKey: 'cliente_id', as: 'gestiones', onDelete: 'CASCADE' });
+}
+if (!Gestion.associations?.credito) {
+    Gestion.belongsTo(Credito, { foreignKey: 'credito_id', as: 'credito', onDelete: 'SET NULL' });
+}
+if (!Credito.associations?.gestiones) {
+    Credito.hasMany(Gestion, { foreignKey: 'credito_id', as: 'gestiones', onDelete: 'SET NULL' });
+}
+if (!Gestion.associations?.usuario) {
+    Gestion.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario', constraints: false });
+}
+
+/* ───────── Puntaje crediticio ───────── */
+if (!PuntajeHistorial.associations?.cliente) {
+    PuntajeHistorial.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente', onDelete: 'CASCADE' });
+}
+if (!Cliente.associations?.puntajes) {
+    Cliente.hasMany(PuntajeHistorial, { foreignKey: 'cliente_id', as: 'puntajes', onDelete: 'CASCADE' });
+}
+if (!PuntajeHistorial.associations?.configuracion) {
+    PuntajeHistorial.belongsTo(PuntajeConfiguracion, { foreignKey: 'configuracion_id', as: 'configuracion', constraints: false });
+}
+if (!PuntajeConfiguracion.associations?.creadoPor) {
+    PuntajeConfiguracion.belongsTo(Usuario, { foreignKey: 'creado_por', as: 'creadoPor', constraints: false });
+}
+
+/* ───────── Límite de crédito (excepciones) ───────── */
+if (!ClienteLimiteExcepcion.associations?.cliente) {
+    ClienteLimiteExcepcion.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente', onDelete: 'CASCADE' });
+}
+if (!Cliente.associations?.excepcionesLimite) {
+    Cliente.hasMany(ClienteLimiteExcepcion, { foreignKey: 'cliente_id', as: 'excepcionesLimite', onDelete: 'CASCADE' });
+}
+if (!ClienteLimiteExcepcion.associations?.usuario) {
+    ClienteLimiteExcepcion.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario', constraints: false });
+}
+
+/* ───────── Calendario de cobranza ───────── */
+if (!CalendarioDia.associations?.creadoPor) {
+    CalendarioDia.belongsTo(Usuario, { foreignKey: 'creado_por', as: 'creadoPor', constraints: false });
+}
+if (!CalendarioConfiguracion.associations?.actualizadoPor) {
+    CalendarioConfiguracion.belongsTo(Usuario, { foreignKey: 'actualizado_por', as: 'actualizadoPor', constraints: false });
+}
+
+/* ───────── Solicitudes de crédito ───────── */
+if (!SolicitudCredito.associations?.cliente) {
+    SolicitudCredito.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente', onDelete: 'CASCADE' });
+}
+if (!Cliente.associations?.solicitudesCredito) {
+    Cliente.hasMany(SolicitudCredito, { foreignKey: 'cliente_id', as: 'solicitudesCredito', onDelete: 'CASCADE' });
+}
+if (!SolicitudCredito.associations?.credito) {
+    SolicitudCredito.belongsTo(Credito, { foreignKey: 'credito_id', as: 'credito', constraints: false });
+}
+if (!SolicitudCredito.associations?.creadoPor) {
+    SolicitudCredito.belongsTo(Usuario, { foreignKey: 'creado_por', as: 'creadoPor', constraints: false });
+}
+if (!SolicitudCredito.associations?.resueltoPor) {
+    SolicitudCredito.belongsTo(Usuario, { foreignKey: 'resuelto_por', as: 'resueltoPor', constraints: false });
+}
+if (!SolicitudCredito.associations?.desembolsadoPor) {
+    SolicitudCredito.belongsTo(Usuario, { foreignKey: 'desembolsado_por', as: 'desembolsadoPor', constraints: false });
+}
+if (!SolicitudCredito.associations?.eventos) {
+    SolicitudCredito.hasMany(SolicitudCreditoEvento, { foreignKey: 'solicitud_id', as: 'eventos', onDelete: 'CASCADE' });
+}
+if (!SolicitudCreditoEvento.associations?.solicitud) {
+    SolicitudCreditoEvento.belongsTo(SolicitudCredito, { foreignKey: 'solicitud_id', as: 'solicitud', onDelete: 'CASCADE' });
+}
+if (!SolicitudCreditoEvento.associations?.usuario) {
+    SolicitudCreditoEvento.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario', constraints: false });
+}
+
+/* ───────── Re-planes de créditos ───────── */
+if (!CreditoReplanificacion.associations?.credito) {
+    CreditoReplanificacion.belongsTo(Credito, { foreignKey: 'credito_id', as: 'credito', onDelete: 'CASCADE' });
+}
+if (!Credito.associations?.replanificaciones) {
+    Credito.hasMany(CreditoReplanificacion, { foreignKey: 'credito_id', as: 'replanificaciones', onDelete: 'CASCADE' });
+}
+if (!CreditoReplanificacion.associations?.usuario) {
+    CreditoReplanificacion.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario', constraints: false });
+}
+
+/* ───────── Prórrogas de cuotas ───────── */
+if (!CreditoProrroga.associations?.credito) {
+    CreditoProrroga.belongsTo(Credito, { foreignKey: 'credito_id', as: 'credito', onDelete: 'CASCADE' });
+}
+if (!Credito.associations?.prorrogas) {
+    Credito.hasMany(CreditoProrroga, { foreignKey: 'credito_id', as: 'prorrogas', onDelete: 'CASCADE' });
+}
+if (!CreditoProrroga.associations?.solicitadoPor) {
+    CreditoProrroga.belongsTo(Usuario, { foreignKey: 'solicitado_por', as: 'solicitadoPor', constraints: false });
+}
+if (!CreditoProrroga.associations?.resueltoPor) {
+    CreditoProrroga.belongsTo(Usuario, { foreignKey: 'resuelto_por', as: 'resueltoPor', constraints: false });
+}
+
 export {
     Cliente,
     Credito,
@@ -193,5 +422,26 @@ export {
     VentaManual,
     Gasto,
     Proveedor,
-    Presupuesto // ➕ export
+    Presupuesto, // ➕ export
+    SesionUsuario,
+    IntentoLogin,
+    Suplantacion,
+    SuplantacionRegistro,
+    Auditoria,
+    ClienteFusion,
+    ClienteDocumento,
+    Garante,
+    CreditoGarante,
+    ClienteBloqueo,
+    ClienteBloqueoExcepcion,
+    Gestion,
+    PuntajeConfiguracion,
+    PuntajeHistorial,
+    ClienteLimiteExcepcion,
+    CalendarioDia,
+    CalendarioConfiguracion,
+    SolicitudCredito,
+    SolicitudCreditoEvento,
+    CreditoReplanificacion,
+    CreditoProrroga
 };
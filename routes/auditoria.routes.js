@@ -0,0 +1,39 @@
+import { Router } from 'express';
+import verifyToken from '../middleware/verifyToken.js';
+import checkPermission from '../middleware/checkPermission.js';
+import { obtenerAuditoria, exportarAuditoriaExcel } from '../services/auditoria.service.js';
+
+const router = Router();
+
+/**
+ * GET /auditoria
+ * Query: ?entidad=Credito&entidad_id=15&accion=actualizar&usuario_id=3
+ *        &request_id=...&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&page=1&limit=50
+ */
+router.get('/', verifyToken, checkPermission('auditoria.ver'), async (req, res) => {
+    try {
+        const { data, pagination } = await obtenerAuditoria(req.query);
+        res.json({ success: true, data, pagination });
+    } catch (error) {
+        console.error('[AUDITORIA][GET /]', error);
+        res.status(500).json({ success: false, message: 'Error al obtener la auditoría' });
+    }
+});
+
+// GET /auditoria/export-excel  (mismos filtros que el listado)
+router.get('/export-excel', verifyToken, checkPermission('auditoria.ver'), async (req, res) => {
+    try {
+        const { buffer, filename } = await exportarAuditoriaExcel(req.query);
+        res.setHeader(
+            'Content-Type',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('[AUDITORIA][GET /export-excel]', error);
+        res.status(500).json({ success: false, message: 'Error al exportar la auditoría' });
+    }
+});
+
+export default router;
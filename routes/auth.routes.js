@@ -1,12 +1,85 @@
 import { Router } from 'express';
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import verifyToken from '../middleware/verifyToken.js';
+import checkPermission from '../middleware/checkPermission.js';
 import { loginUsuario } from '../services/usuario.service.js';
+import {
+  crearSesion,
+  refrescarSesion,
+  revocarSesion,
+  revocarSesionPorRefreshToken,
+  revocarSesionesUsuario
+} from '../services/sesion.service.js';
+import {
+  emitirDesafio2FA,
+  leerDesafio2FA,
+  completarLogin2FA,
+  completarEnrolamientoLogin,
+  obtenerEstado2FA,
+  iniciarEnrolamiento2FA,
+  confirmarEnrolamiento2FA,
+  regenerarCodigosRespaldo,
+  desactivar2FA
+} from '../services/totp.service.js';
+import {
+  iniciarSuplantacion,
+  finalizarSuplantacion,
+  obtenerSuplantaciones,
+  obtenerSuplantacion
+} from '../services/suplantacion.service.js';
 
 dotenv.config(); // En producción normalmente el entorno ya está seteado; esto no molesta y ayuda en local.
 
 const router = Router();
 
+const getClientInfo = (req) => ({
+  ip: req.ip || req.socket?.remoteAddress || null,
+  userAgent: req.headers['user-agent'] || null
+});
+
+const getToken2FAFromBody = (req) => {
+  const raw = req.body?.token_2fa ?? req.body?.token2fa;
+  return typeof raw === 'string' ? raw.trim() : '';
+};
+
+const getCodigoFromBody = (req) => {
+  const raw = req.body?.codigo ?? req.body?.code;
+  return raw == null ? '' : String(raw).trim();
+};
+
+// Errores de servicio → respuesta uniforme (incluye 423 de bloqueo durante el paso 2FA)
+const sendError = (res, error, fallback, tag) => {
+  const status = error.status || 500;
+  if (status >= 500) console.error(tag, error);
+  return res.status(status).json({
+    success: false,
+    code: error.code,
+    message: status >= 500 ? fallback : error.message,
+    ...(error.bloqueado_hasta ? { bloqueado_hasta: error.bloqueado_hasta } : {})
+  });
+};
+
+// Marca la ruta como válida aunque la suplantación sea de solo lectura (va antes de verifyToken)
+const permitirEscrituraEnSuplantacion = (req, _res, next) => {
+  req.permiteEscrituraEnSuplantacion = true;
+  next();
+};
+
+// Acciones sobre la cuenta propia (2FA, cerrar todas las sesiones) no se hacen "viendo como" otro
+const rechazarSuplantacion = (req, res, next) => {
+  if (!req.user?.suplantacion) return next();
+  return res.status(403).json({
+    success: false,
+    code: 'SUPLANTACION_NO_PERMITIDA',
+    message: 'Acción no disponible durante una suplantación'
+  });
+};
+
+const getRefreshTokenFromBody = (req) => {
+  const raw = req.body?.refresh_token ?? req.body?.refreshToken;
+  return typeof raw === 'string' ? raw.trim() : '';
+};
+
 // POST /auth/login
 router.post('/login', async (req, res) => {
   const nombre_usuario = typeof req.body?.nombre_usuario === 'string' ? req.body.nombre_usuario.trim() : '';
@@ -16,8 +89,7 @@ router.post('/login', async (req, res) => {
     return res.status(400).json({ success: false, message: 'Faltan credenciales' });
   }
 
-  const JWT_SECRET = process.env.JWT_SECRET;
-  if (!JWT_SECRET) {
+  if (!process.env.JWT_SECRET) {
     // Error de configuración (mejor explícito para staging/prod)
     return res.status(500).json({
       success: false,
@@ -25,33 +97,279 @@ router.post('/login', async (req, res) => {
     });
   }
 
-  const expiresIn = process.env.JWT_EXPIRES_IN || '8h';
-
   try {
-    const usuario = await loginUsuario(nombre_usuario, password);
+    const usuario = await loginUsuario(nombre_usuario, password, getClientInfo(req));
 
     if (!usuario) {
       return res.status(401).json({ success: false, message: 'Usuario o contraseña inválidos' });
     }
 
-    const token = jwt.sign(
-      {
-        id: usuario.id,
-        rol_id: usuario.rol_id
-      },
-      JWT_SECRET,
-      { expiresIn }
-    );
+    // Paso 2FA pendiente: no hay sesión todavía, solo un token temporal para el paso 2
+    if (usuario.paso_2fa) {
+      return res.json({
+        success: true,
+        requiere_2fa: true,
+        paso: usuario.paso_2fa,
+        ...emitirDesafio2FA(usuario, usuario.paso_2fa)
+      });
+    }
+
+    const tokens = await crearSesion(usuario, getClientInfo(req));
 
     return res.json({
       success: true,
-      token,
+      ...tokens,
       usuario: { id: usuario.id, nombre: usuario.nombre_completo }
     });
   } catch (error) {
+    // 423 = bloqueado por intentos fallidos, 403 = fuera del horario del rol
+    if (error.status === 423 || error.status === 403) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+        ...(error.bloqueado_hasta ? { bloqueado_hasta: error.bloqueado_hasta } : {}),
+        ...(error.horario ? { horario: error.horario } : {})
+      });
+    }
     console.error('Error en login:', error);
     return res.status(500).json({ success: false, message: 'Error interno del servidor' });
   }
 });
 
+/* ──────────────────────────────────────────────────────────
+   2FA (TOTP)
+   ────────────────────────────────────────────────────────── */
+
+// POST /auth/2fa/verificar  { token_2fa, codigo }
+// Paso 2 del login: código TOTP (o de respaldo) → access + refresh token.
+router.post('/2fa/verificar', async (req, res) => {
+  const token2fa = getToken2FAFromBody(req);
+  const codigo = getCodigoFromBody(req);
+  if (!token2fa || !codigo) {
+    return res.status(400).json({ success: false, message: 'Faltan token_2fa o codigo' });
+  }
+
+  try {
+    const usuario = await completarLogin2FA(token2fa, codigo, getClientInfo(req));
+    const tokens = await crearSesion(usuario, getClientInfo(req));
+
+    return res.json({
+      success: true,
+      ...tokens,
+      usuario: { id: usuario.id, nombre: usuario.nombre_completo },
+      ...(usuario.metodo === 'respaldo'
+        ? { codigos_respaldo_restantes: usuario.codigos_respaldo_restantes }
+        : {})
+    });
+  } catch (error) {
+    return sendError(res, error, 'Error al verificar el código', 'Error en 2fa/verificar:');
+  }
+});
+
+// Enrolamiento: autenticado (voluntario) o con token_2fa de paso 'enrolar' (rol que lo exige)
+const resolverUsuario2FA = (req, res, next) => {
+  const token2fa = getToken2FAFromBody(req);
+  if (!token2fa) return verifyToken(req, res, () => rechazarSuplantacion(req, res, next));
+
+  try {
+    const { usuarioId } = leerDesafio2FA(token2fa, 'enrolar');
+    req.user = { id: usuarioId, enrolamientoLogin: true };
+    return next();
+  } catch (error) {
+    return sendError(res, error, 'Error al validar el token', 'Error en 2fa:');
+  }
+};
+
+// GET /auth/2fa  → estado del 2FA propio
+router.get('/2fa', verifyToken, rechazarSuplantacion, async (req, res) => {
+  try {
+    const estado = await obtenerEstado2FA(req.user.id);
+    return res.json({ success: true, data: estado });
+  } catch (error) {
+    return sendError(res, error, 'Error al obtener el estado de 2FA', 'Error en GET 2fa:');
+  }
+});
+
+// POST /auth/2fa/enrolar  { token_2fa? }
+// Genera un secreto nuevo y devuelve el URI otpauth:// para armar el QR.
+router.post('/2fa/enrolar', resolverUsuario2FA, async (req, res) => {
+  try {
+    const data = await iniciarEnrolamiento2FA(req.user.id);
+    return res.json({ success: true, data });
+  } catch (error) {
+    return sendError(res, error, 'Error al iniciar el enrolamiento', 'Error en 2fa/enrolar:');
+  }
+});
+
+// POST /auth/2fa/confirmar  { codigo, token_2fa? }
+// Activa el 2FA y devuelve los códigos de respaldo (única vez).
+// Si viene del login (token_2fa) además abre la sesión.
+router.post('/2fa/confirmar', resolverUsuario2FA, async (req, res) => {
+  const codigo = getCodigoFromBody(req);
+  if (!codigo) return res.status(400).json({ success: false, message: 'Falta codigo' });
+
+  try {
+    if (req.user.enrolamientoLogin) {
+      const { usuario, codigos_respaldo } = await completarEnrolamientoLogin(
+        getToken2FAFromBody(req),
+        codigo,
+        getClientInfo(req)
+      );
+      const tokens = await crearSesion(usuario, getClientInfo(req));
+      return res.json({
+        success: true,
+        ...tokens,
+        usuario: { id: usuario.id, nombre: usuario.nombre_completo },
+        codigos_respaldo
+      });
+    }
+
+    const data = await confirmarEnrolamiento2FA(req.user.id, codigo);
+    return res.json({ success: true, message: '2FA activado', data });
+  } catch (error) {
+    return sendError(res, error, 'Error al confirmar el enrolamiento', 'Error en 2fa/confirmar:');
+  }
+});
+
+// POST /auth/2fa/codigos-respaldo  { codigo }  → invalida los anteriores
+router.post('/2fa/codigos-respaldo', verifyToken, rechazarSuplantacion, async (req, res) => {
+  try {
+    const data = await regenerarCodigosRespaldo(req.user.id, getCodigoFromBody(req));
+    return res.json({ success: true, data });
+  } catch (error) {
+    return sendError(res, error, 'Error al regenerar los códigos', 'Error en 2fa/codigos-respaldo:');
+  }
+});
+
+// POST /auth/2fa/desactivar  { codigo }  (no permitido si el rol exige 2FA)
+router.post('/2fa/desactivar', verifyToken, rechazarSuplantacion, async (req, res) => {
+  try {
+    await desactivar2FA(req.user.id, getCodigoFromBody(req));
+    return res.json({ success: true, message: '2FA desactivado' });
+  } catch (error) {
+    return sendError(res, error, 'Error al desactivar 2FA', 'Error en 2fa/desactivar:');
+  }
+});
+
+// POST /auth/refresh  { refresh_token }
+// Rota el refresh token y devuelve un access token nuevo.
+// 409 REFRESH_YA_ROTADO: otro request acaba de rotarlo (el cliente debe usar el más reciente).
+router.post('/refresh', async (req, res) => {
+  const refreshToken = getRefreshTokenFromBody(req);
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Falta refresh_token' });
+  }
+
+  try {
+    const tokens = await refrescarSesion(refreshToken, getClientInfo(req));
+    return res.json({ success: true, ...tokens });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) console.error('Error en refresh:', error);
+    return res.status(status).json({
+      success: false,
+      code: error.code,
+      message: error.message || 'Error al refrescar la sesión'
+    });
+  }
+});
+
+// POST /auth/logout  { refresh_token? }
+// Acepta el refresh token (sirve aunque el access token ya haya expirado)
+// o, si no viene, revoca la sesión del access token actual.
+router.post('/logout', async (req, res, next) => {
+  const refreshToken = getRefreshTokenFromBody(req);
+  if (!refreshToken) return next();
+
+  try {
+    await revocarSesionPorRefreshToken(refreshToken, 'logout');
+    return res.json({ success: true, message: 'Sesión cerrada' });
+  } catch (error) {
+    console.error('Error en logout:', error);
+    return res.status(500).json({ success: false, message: 'Error al cerrar la sesión' });
+  }
+}, permitirEscrituraEnSuplantacion, verifyToken, async (req, res) => {
+  try {
+    // Con un token de suplantación, "salir" termina la suplantación (no toca sesiones del suplantado)
+    if (req.user?.suplantacion) {
+      await finalizarSuplantacion(req.user.suplantacion.id, req.user.suplantacion.real_id);
+    } else if (req.user?.sid) {
+      await revocarSesion(req.user.sid, 'logout');
+    }
+    return res.json({ success: true, message: 'Sesión cerrada' });
+  } catch (error) {
+    console.error('Error en logout:', error);
+    return res.status(500).json({ success: false, message: 'Error al cerrar la sesión' });
+  }
+});
+
+// POST /auth/logout-todas  { incluir_actual?: boolean }
+// Cierra todas las sesiones del usuario autenticado (por defecto conserva la actual).
+router.post('/logout-todas', verifyToken, rechazarSuplantacion, async (req, res) => {
+  try {
+    const incluirActual = req.body?.incluir_actual === true || req.body?.incluir_actual === 'true';
+    const cerradas = await revocarSesionesUsuario(req.user.id, 'cerrar_todas', {
+      exceptoSesionId: incluirActual ? null : req.user.sid
+    });
+    return res.json({ success: true, message: 'Sesiones cerradas', data: { cerradas } });
+  } catch (error) {
+    console.error('Error en logout-todas:', error);
+    return res.status(500).json({ success: false, message: 'Error al cerrar las sesiones' });
+  }
+});
+
+/* ──────────────────────────────────────────────────────────
+   SUPLANTACIÓN ("VER COMO") — SOLO SUPERADMIN
+   ────────────────────────────────────────────────────────── */
+
+// POST /auth/impersonate/finalizar  { suplantacion_id? }
+// Con el token de suplantación termina esa; con el token propio del superadmin, la indicada.
+// (Declarada antes de '/impersonate/:usuarioId' para que no la capture el parámetro)
+router.post('/impersonate/finalizar', permitirEscrituraEnSuplantacion, verifyToken, async (req, res) => {
+  try {
+    const sup = req.user.suplantacion;
+    const id = sup ? sup.id : req.body?.suplantacion_id;
+    const realId = sup ? sup.real_id : req.user.id;
+    if (!id) return res.status(400).json({ success: false, message: 'Falta suplantacion_id' });
+
+    const data = await finalizarSuplantacion(id, realId);
+    return res.json({ success: true, message: 'Suplantación finalizada', data });
+  } catch (error) {
+    return sendError(res, error, 'Error al finalizar la suplantación', 'Error en impersonate/finalizar:');
+  }
+});
+
+// POST /auth/impersonate/:usuarioId  { minutos?, motivo?, permitir_escritura? }
+// Devuelve un token temporal que actúa como el usuario indicado (solo lectura por defecto).
+// Solo superadmin: el service rechaza cualquier otro rol aunque tenga usuarios.suplantar.
+router.post('/impersonate/:usuarioId', verifyToken, rechazarSuplantacion, checkPermission('usuarios.suplantar'), async (req, res) => {
+  try {
+    const data = await iniciarSuplantacion(req.user, req.params.usuarioId, req.body || {}, getClientInfo(req));
+    return res.status(201).json({ success: true, ...data });
+  } catch (error) {
+    return sendError(res, error, 'Error al iniciar la suplantación', 'Error en impersonate:');
+  }
+});
+
+// GET /auth/impersonate  ?superadmin_id&usuario_id&activas&page&limit
+router.get('/impersonate', verifyToken, rechazarSuplantacion, checkPermission('usuarios.suplantar'), async (req, res) => {
+  try {
+    const { data, pagination } = await obtenerSuplantaciones(req.query);
+    return res.json({ success: true, data, pagination });
+  } catch (error) {
+    return sendError(res, error, 'Error al obtener suplantaciones', 'Error en GET impersonate:');
+  }
+});
+
+// GET /auth/impersonate/:id  → detalle con cada request registrada
+router.get('/impersonate/:id', verifyToken, rechazarSuplantacion, checkPermission('usuarios.suplantar'), async (req, res) => {
+  try {
+    const data = await obtenerSuplantacion(req.params.id);
+    return res.json({ success: true, data });
+  } catch (error) {
+    return sendError(res, error, 'Error al obtener la suplantación', 'Error en GET impersonate/:id:');
+  }
+});
+
 export default router;
@@ -1,7 +1,7 @@
 // backend/src/routes/caja.routes.js
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 import {
     crearMovimiento,
     obtenerMovimientos,
@@ -22,7 +22,7 @@ const router = Router();
  *  - Exportación Excel (4 hojas): admin/superadmin (ajustable)
  *  - Exportación Excel (historial movimientos): cualquier usuario autenticado (solo lectura)
  */
-router.post('/movimientos', verifyToken, checkRole([0, 1]), crearMovimiento);
+router.post('/movimientos', verifyToken, checkPermission('caja.movimientos'), crearMovimiento);
 router.get('/movimientos', verifyToken, obtenerMovimientos);
 
 router.get('/resumen-diario', verifyToken, resumenDiario);
@@ -30,7 +30,7 @@ router.get('/resumen-semanal', verifyToken, resumenSemanal);
 router.get('/resumen-mensual', verifyToken, resumenMensual);
 
 // Export XLSX (4 hojas): restringido a admin/superadmin
-router.get('/export-excel', verifyToken, checkRole([0, 1]), exportarExcel);
+router.get('/export-excel', verifyToken, checkPermission('caja.exportar'), exportarExcel);
 
 // ✅ Export XLSX del HISTORIAL (misma data que /movimientos con sus filtros)
 // - Mantengo la ruta actual por compatibilidad
@@ -0,0 +1,121 @@
+import { Router } from 'express';
+import verifyToken from '../middleware/verifyToken.js';
+import checkPermission from '../middleware/checkPermission.js';
+import {
+    obtenerConfiguracionCalendario,
+    actualizarConfiguracionCalendario,
+    listarDiasCalendario,
+    crearDiaCalendario,
+    actualizarDiaCalendario,
+    eliminarDiaCalendario,
+    generarFeriadosAnio,
+    consultarDiaCalendario
+} from '../services/calendario.service.js';
+
+const router = Router();
+
+const sendError = (res, error, fallback, tag) => {
+    console.error(tag, error);
+    res.status(error?.status || 500).json({
+        success: false,
+        code: error?.status ? error.code : undefined,
+        message: error?.status ? error.message : fallback
+    });
+};
+
+/* ───────────────── Configuración ───────────────── */
+
+// GET /calendario/configuracion  (días de semana sin cobro, corrimiento de vencimientos, gracia de mora)
+router.get('/configuracion', verifyToken, checkPermission('calendario.ver'), async (req, res) => {
+    try {
+        const data = await obtenerConfiguracionCalendario();
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener la configuración del calendario', '[CALENDARIO][GET /configuracion]');
+    }
+});
+
+/**
+ * PUT /calendario/configuracion
+ * Body (parcial): { dias_sin_cobro: [0], correr_vencimientos: true, gracia_dia_no_habil: true }
+ * correr_vencimientos afecta a las cuotas que se generen a partir de ahora (no re-fecha las existentes).
+ */
+router.put('/configuracion', verifyToken, checkPermission('calendario.gestionar'), async (req, res) => {
+    try {
+        const data = await actualizarConfiguracionCalendario(req.body || {}, { usuarioId: req.user?.id });
+        res.json({ success: true, message: 'Configuración del calendario actualizada', data });
+    } catch (error) {
+        sendError(res, error, 'Error al actualizar la configuración del calendario', '[CALENDARIO][PUT /configuracion]');
+    }
+});
+
+/* ───────────────── Días no hábiles ───────────────── */
+
+// GET /calendario/habil?fecha=YYYY-MM-DD  (¿se cobra ese día? + siguiente hábil)
+router.get('/habil', verifyToken, checkPermission('calendario.ver'), async (req, res) => {
+    try {
+        const data = await consultarDiaCalendario(req.query.fecha);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al consultar el calendario', '[CALENDARIO][GET /habil]');
+    }
+});
+
+// GET /calendario/dias?anio=2026 | ?desde=&hasta= , ?tipo=feriado_nacional|feriado_provincial|cierre
+router.get('/dias', verifyToken, checkPermission('calendario.ver'), async (req, res) => {
+    try {
+        const data = await listarDiasCalendario(req.query || {});
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al listar los días no hábiles', '[CALENDARIO][GET /dias]');
+    }
+});
+
+/**
+ * POST /calendario/dias/generar
+ * Body: { anio: 2026, incluir_provinciales?: true }
+ * Carga los feriados nacionales y de Tucumán del año; las fechas ya cargadas no se modifican.
+ */
+router.post('/dias/generar', verifyToken, checkPermission('calendario.gestionar'), async (req, res) => {
+    try {
+        const { anio, incluir_provinciales = true } = req.body || {};
+        const data = await generarFeriadosAnio(anio, {
+            incluirProvinciales: incluir_provinciales,
+            usuarioId: req.user?.id
+        });
+        res.status(201).json({ success: true, message: `Feriados ${data.anio}: ${data.creados} cargados`, data });
+    } catch (error) {
+        sendError(res, error, 'Error al generar los feriados', '[CALENDARIO][POST /dias/generar]');
+    }
+});
+
+// POST /calendario/dias  Body: { fecha, tipo, descripcion }
+router.post('/dias', verifyToken, checkPermission('calendario.gestionar'), async (req, res) => {
+    try {
+        const data = await crearDiaCalendario(req.body || {}, { usuarioId: req.user?.id });
+        res.status(201).json({ success: true, message: 'Día no hábil cargado', data });
+    } catch (error) {
+        sendError(res, error, 'Error al cargar el día no hábil', '[CALENDARIO][POST /dias]');
+    }
+});
+
+// PUT /calendario/dias/:id  Body (parcial): { fecha?, tipo?, descripcion? }  (ej. feriado trasladado)
+router.put('/dias/:id', verifyToken, checkPermission('calendario.gestionar'), async (req, res) => {
+    try {
+        const data = await actualizarDiaCalendario(req.params.id, req.body || {});
+        res.json({ success: true, message: 'Día no hábil actualizado', data });
+    } catch (error) {
+        sendError(res, error, 'Error al actualizar el día no hábil', '[CALENDARIO][PUT /dias/:id]');
+    }
+});
+
+router.delete('/dias/:id', verifyToken, checkPermission('calendario.gestionar'), async (req, res) => {
+    try {
+        await eliminarDiaCalendario(req.params.id);
+        res.json({ success: true, message: 'Día no hábil eliminado' });
+    } catch (error) {
+        sendError(res, error, 'Error al eliminar el día no hábil', '[CALENDARIO][DELETE /dias/:id]');
+    }
+});
+
+export default router;
@@ -4,7 +4,7 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 import {
   crearCliente,
   obtenerClientes,
@@ -13,10 +13,50 @@ import {
   actualizarCliente,
   eliminarCliente,
   obtenerClientesPorCobrador,
-  importarClientesDesdePlanilla
+  actualizarUbicacionCliente,
+  importarClientesDesdePlanilla,
+  exportarClientesPlanilla,
+  generarReporteImportacion,
+  escribirPlanilla,
+  COLUMNAS_PLANTILLA,
+  FORMATOS_PLANILLA,
+  MODOS_IMPORTACION
 } from '../services/cliente.service.js';
+import {
+  buscarDuplicados,
+  fusionarClientes,
+  obtenerFusionesCliente
+} from '../services/clienteDuplicado.service.js';
+import {
+  subirDocumento,
+  listarDocumentos,
+  obtenerArchivoDocumento,
+  eliminarDocumento,
+  obtenerTiposDocumento,
+  MAX_BYTES_DOCUMENTO
+} from '../services/clienteDocumento.service.js';
+import {
+  bloquearCliente,
+  desbloquearCliente,
+  obtenerBloqueosCliente,
+  obtenerClientesBloqueados
+} from '../services/clienteBloqueo.service.js';
+import {
+  obtenerEstadoCuentaCliente,
+  imprimirEstadoCuentaCliente
+} from '../services/credito/credito.estadoCuenta.service.js';
+import {
+  obtenerPuntajeCliente,
+  obtenerHistorialPuntaje,
+  calcularPuntajeCliente
+} from '../services/puntaje.service.js';
+import {
+  obtenerDisponibleCliente,
+  actualizarLimiteCliente,
+  obtenerExcepcionesLimite
+} from '../services/limiteCredito.service.js';
+import { refinanciarCreditosConsolidado, obtenerCreditoPorId } from '../services/credito.service.js';
 import CobradorZona from '../models/CobradorZona.js';
-import * as XLSX from 'xlsx';
 
 // ✅ NUEVO: recalcular vencidas antes de servir data al cobrador
 import { actualizarCuotasVencidas, recalcularMoraPorCredito } from '../services/cuota.service.js';
@@ -113,7 +153,7 @@ const storage = multer.diskStorage({
 const upload = multer({ storage });
 
 /* ──────────────────────────────────────────────────────────
-   MULTER: Importación CSV/XLSX (memoria)
+   MULTER: Importación CSV/XLSX/ODS (memoria)
    ────────────────────────────────────────────────────────── */
 const uploadImport = multer({
   storage: multer.memoryStorage(),
@@ -122,53 +162,54 @@ const uploadImport = multer({
     const allowedMimes = [
       'text/csv',
       'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.oasis.opendocument.spreadsheet'
     ];
     const ext = path.extname(file.originalname || '').toLowerCase();
-    const allowedExts = ['.csv', '.xls', '.xlsx'];
+    const allowedExts = ['.csv', '.xls', '.xlsx', '.ods'];
     if (allowedMimes.includes(file.mimetype) || allowedExts.includes(ext)) {
       return cb(null, true);
     }
-    cb(new Error('Formato no soportado. Subí un archivo CSV o XLSX.'));
+    cb(new Error('Formato no soportado. Subí un archivo CSV, XLSX u ODS.'));
   }
 });
 
+/* ──────────────────────────────────────────────────────────
+   MULTER: Documentos de clientes (memoria → el service valida y guarda)
+   ────────────────────────────────────────────────────────── */
+const uploadDocumento = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES_DOCUMENTO, files: 1 }
+});
+
+// Traduce errores de multer (tamaño) a 413 en vez de 500
+const recibirDocumento = (req, res, next) => {
+  uploadDocumento.single('archivo')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `El archivo supera el máximo de ${MAX_BYTES_DOCUMENTO / 1024 / 1024} MB`
+      });
+    }
+    return res.status(400).json({ success: false, message: err.message || 'Archivo inválido' });
+  });
+};
+
 /* ──────────────────────────────────────────────────────────
    NUEVO: Plantilla base de importación
    ────────────────────────────────────────────────────────── */
 /**
- * GET /clientes/import/template?format=xlsx|csv
+ * GET /clientes/import/template?format=xlsx|csv|ods
  * - Por defecto: XLSX
- * - Roles: superadmin (0) y admin (1)
+ * - Mismas columnas que GET /clientes/export (ida y vuelta)
  */
-router.get('/import/template', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.get('/import/template', verifyToken, checkPermission('clientes.importar'), async (req, res) => {
   try {
     const format = String(req.query.format || 'xlsx').toLowerCase();
-    const headers = [
-      'nombre',
-      'apellido',
-      'dni',
-      'fecha_nacimiento',
-      'fecha_registro',
-      'email',
-      'telefono',
-      'telefono_secundario',
-      'direccion',
-      'direccion_secundaria',
-      'referencia_direccion',
-      'referencia_secundaria',
-      'observaciones',
-      'provincia',
-      'localidad',
-      'cobrador',          // ID de usuario (opcional)
-      'cobrador_nombre',   // Alternativa por nombre (opcional)
-      'zona',              // ID de zona (opcional)
-      'zona_nombre',       // Alternativa por nombre (opcional)
-      'historial_crediticio',
-      'puntaje_crediticio'
-    ];
 
     const example = {
+      id: '',
       nombre: 'Juan',
       apellido: 'Pérez',
       dni: '30111222',
@@ -192,35 +233,12 @@ router.get('/import/template', verifyToken, checkRole([0, 1]), async (req, res)
       puntaje_crediticio: 0
     };
 
-    const rows = [example];
-
-    if (format === 'csv') {
-      const escape = (v) => {
-        if (v == null) return '';
-        const s = String(v);
-        if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-        return s;
-      };
-      const csvHeader = headers.map(escape).join(',');
-      const csvBody = rows
-        .map((r) => headers.map((h) => escape(r[h] ?? '')).join(','))
-        .join('\n');
-      const csv = `${csvHeader}\n${csvBody}\n`;
-
-      const filename = `plantilla_import_clientes_${new Date().toISOString().slice(0, 10)}.csv`;
-      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      return res.send(csv);
-    }
-
-    const wsData = [headers, ...rows.map(r => headers.map(h => r[h] ?? ''))];
-    const wb = XLSX.utils.book_new();
-    const ws = XLSX.utils.aoa_to_sheet(wsData);
-    XLSX.utils.book_append_sheet(wb, ws, 'Plantilla');
-
-    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
-    const filename = `plantilla_import_clientes_${new Date().toISOString().slice(0, 10)}.xlsx`;
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const { buffer, filename, mime } = escribirPlanilla(COLUMNAS_PLANTILLA, [example], {
+      formato: format,
+      hoja: 'Plantilla',
+      nombreBase: 'plantilla_import_clientes'
+    });
+    res.setHeader('Content-Type', mime);
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     return res.send(buffer);
   } catch (error) {
@@ -229,6 +247,28 @@ router.get('/import/template', verifyToken, checkRole([0, 1]), async (req, res)
   }
 });
 
+/**
+ * GET /clientes/export?format=xlsx|csv|ods
+ * - Mismo formato exacto que /import/template (incluye id) para editar y reimportar
+ * - Acepta los filtros del listado (zona, cobrador, apellido, localidad, search/q)
+ */
+router.get('/export', verifyToken, checkPermission('clientes.exportar'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'xlsx').toLowerCase();
+    if (!FORMATOS_PLANILLA[format]) {
+      return res.status(400).json({ success: false, message: 'format inválido (xlsx|csv|ods)' });
+    }
+
+    const { buffer, filename, mime } = await exportarClientesPlanilla(req.query, { formato: format });
+    res.setHeader('Content-Type', mime);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(buffer);
+  } catch (error) {
+    console.error('Error al exportar clientes:', error);
+    return res.status(500).json({ success: false, message: 'Error al exportar clientes' });
+  }
+});
+
 /* ──────────────────────────────────────────────────────────
    NUEVO: Definición de columnas/alias/tipos para validación front
    ────────────────────────────────────────────────────────── */
@@ -237,11 +277,15 @@ router.get('/import/template', verifyToken, checkRole([0, 1]), async (req, res)
  * - Devuelve columnas requeridas/opcionales, alias, tipos, ejemplos y notas
  * - Roles: superadmin (0) y admin (1)
  */
-router.get('/import/columns', verifyToken, checkRole([0, 1]), (req, res) => {
+router.get('/import/columns', verifyToken, checkPermission('clientes.importar'), (req, res) => {
   try {
     const payload = {
       required: ['nombre', 'apellido', 'dni'],
+      columns: COLUMNAS_PLANTILLA,
+      modes: MODOS_IMPORTACION,
+      formats: Object.keys(FORMATOS_PLANILLA),
       optional: [
+        'id',
         'fecha_nacimiento', 'fecha_registro', 'email', 'telefono', 'telefono_secundario',
         'direccion', 'direccion_secundaria',
         'referencia_direccion', 'referencia_secundaria',
@@ -255,10 +299,12 @@ router.get('/import/columns', verifyToken, checkRole([0, 1]), (req, res) => {
         telefono_secundario: ['telefono_2'],
         fecha_nacimiento: ['fecha nacimiento'],
         fecha_registro: ['fecha registro'],
+        id: ['cliente_id'],
         direccion: ['direccion_1', 'domicilio'],
         direccion_secundaria: ['direccion_2']
       },
       types: {
+        id: 'number|empty',
         nombre: 'string',
         apellido: 'string',
         dni: 'string-digits',
@@ -296,9 +342,15 @@ router.get('/import/columns', verifyToken, checkRole([0, 1]), (req, res) => {
         zona: '2'
       },
       notes: [
-        'Upsert por "dni": si el DNI existe, se actualiza; si no, se crea.',
-        '`cobrador`/`zona` aceptan ID numérico; `cobrador_nombre`/`zona_nombre` aceptan texto (case-insensitive).',
-        'Fechas en formato ISO (YYYY-MM-DD).',
+        'Modos (?modo=): "upsert" (default) actualiza si existe y crea si no; "crear" solo altas; "actualizar" solo modificaciones.',
+        'Los clientes existentes se buscan por "id" (si viene) o por "dni". Solo superadmin puede cambiar el DNI (fila con id).',
+        'Al actualizar solo se modifican las columnas presentes en la planilla. Celdas vacías no borran datos salvo ?vacios=limpiar.',
+        'nombre, apellido y dni son obligatorios solo para altas.',
+        '`cobrador`/`zona` aceptan ID numérico; `cobrador_nombre`/`zona_nombre` aceptan texto (case-insensitive). Si vienen ambos deben coincidir.',
+        'Fechas en formato ISO (YYYY-MM-DD) o DD/MM/YYYY.',
+        'CSV en UTF-8 o latin1, separado por coma, punto y coma o tab.',
+        'GET /clientes/export devuelve la misma plantilla con los datos actuales (ida y vuelta).',
+        'Con ?reporte=xlsx la respuesta es una planilla con el resultado de cada fila y el motivo de los errores.',
         'Los campos no incluidos se ignoran; `dni_foto` no forma parte de la importación por ahora.'
       ]
     };
@@ -313,11 +365,12 @@ router.get('/import/columns', verifyToken, checkRole([0, 1]), (req, res) => {
    ENDPOINTS
    ────────────────────────────────────────────────────────── */
 
-// 🟣 Importar clientes por planilla (CSV/XLSX)
+// 🟣 Importar clientes por planilla (CSV/XLSX/ODS)
+// Query: ?dryRun=true|false &modo=upsert|crear|actualizar &vacios=ignorar|limpiar &reporte=xlsx
 router.post(
   '/import',
   verifyToken,
-  checkRole([0, 1]),
+  checkPermission('clientes.importar'),
   uploadImport.single('file'),
   async (req, res) => {
     try {
@@ -330,13 +383,24 @@ router.post(
 
       // dryRun: por defecto true (preview). Para commit: ?dryRun=false
       const dryRun = String(req.query.dryRun ?? 'true').toLowerCase() !== 'false';
+      const modo = String(req.query.modo || 'upsert').toLowerCase();
+      const vacios = String(req.query.vacios || 'ignorar').toLowerCase() === 'limpiar' ? 'limpiar' : 'ignorar';
 
-      const { summary, rows } = await importarClientesDesdePlanilla(
+      const resultado = await importarClientesDesdePlanilla(
         req.file.buffer,
         req.file.originalname || 'import',
-        { dryRun }
+        { dryRun, modo, vacios, actorRoleId: req.user?.rol_id ?? null }
       );
 
+      if (String(req.query.reporte || '').toLowerCase() === 'xlsx') {
+        const { buffer, filename, mime } = generarReporteImportacion(resultado);
+        res.setHeader('Content-Type', mime);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('X-Import-Summary', JSON.stringify(resultado.summary));
+        return res.send(buffer);
+      }
+
+      const { summary, rows } = resultado;
       return res.json({
         success: true,
         message: dryRun
@@ -347,7 +411,7 @@ router.post(
       });
     } catch (error) {
       console.error('Error en importación de clientes:', error);
-      return res.status(500).json({
+      return res.status(error?.status || 500).json({
         success: false,
         message: error?.message || 'Error al importar clientes'
       });
@@ -357,7 +421,7 @@ router.post(
 
 // Ruta: Subir foto del DNI y actualizar cliente
 // ✅ Ahora queda controlado por feature flag para poder apagarlo sin borrar código.
-router.post('/:id/dni-foto', verifyToken, checkRole([0]), (req, res, next) => {
+router.post('/:id/dni-foto', verifyToken, checkPermission('clientes.dni_foto'), (req, res, next) => {
   if (!DNI_FOTO_ENABLED) {
     // 404: “no existe” (más discreto) y evita que alguien detecte feature por permisos
     return res.status(404).json({ success: false, message: 'Not Found' });
@@ -388,10 +452,12 @@ router.post('/:id/dni-foto', verifyToken, checkRole([0]), (req, res, next) => {
 });
 
 // GET - Todos los clientes (listado completo)
-router.get('/', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+// Búsqueda libre: ?q= (o search/term/...) difusa sobre nombre, apellido, DNI, teléfonos, dirección y localidad,
+// ordenada por relevancia y con `busqueda.coincidencias` resaltadas. ?page&limit → paginado.
+router.get('/', verifyToken, checkPermission('clientes.ver'), async (req, res) => {
   try {
-    const clientes = await obtenerClientes(req.query);
-    res.json({ success: true, data: clientes });
+    const { data, pagination } = await obtenerClientes(req.query);
+    res.json({ success: true, data, ...(pagination ? { pagination } : {}) });
   } catch (error) {
     console.error('Error al obtener clientes:', error);
     res.status(500).json({ success: false, message: 'Error al obtener clientes' });
@@ -399,18 +465,47 @@ router.get('/', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
 });
 
 // GET - Clientes básico (id, nombre, apellido, cobrador, zona) ideal para <select>
-router.get('/basico', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+// Misma búsqueda libre y paginado opcional que el listado completo
+router.get('/basico', verifyToken, checkPermission('clientes.ver'), async (req, res) => {
   try {
-    const clientes = await obtenerClientesBasico(req.query);
-    res.json({ success: true, data: clientes });
+    const { data, pagination } = await obtenerClientesBasico(req.query);
+    res.json({ success: true, data, ...(pagination ? { pagination } : {}) });
   } catch (error) {
     console.error('Error al obtener clientes (básico):', error);
     res.status(500).json({ success: false, message: 'Error al obtener clientes (básico)' });
   }
 });
 
-// GET - Clientes del cobrador (solo para rol 2 - Cobrador)
-router.get('/por-cobrador/:id', verifyToken, checkRole([2]), async (req, res) => {
+// GET - Tipos de documento, formatos y tamaño máximo aceptados
+router.get('/documentos/tipos', verifyToken, checkPermission('clientes.documentos_ver'), (req, res) => {
+  res.json({ success: true, data: obtenerTiposDocumento() });
+});
+
+// GET - Clientes con bloqueo vigente (?q=nombre/apellido/DNI&page=1&limit=50)
+router.get('/bloqueados', verifyToken, checkPermission('clientes.bloqueos_ver'), async (req, res) => {
+  try {
+    const { data, pagination } = await obtenerClientesBloqueados(req.query);
+    res.json({ success: true, data, pagination });
+  } catch (error) {
+    console.error('Error al listar clientes bloqueados:', error);
+    res.status(500).json({ success: false, message: 'Error al listar clientes bloqueados' });
+  }
+});
+
+// GET - Posibles duplicados (DNI normalizado, nombre similar, teléfono, dirección)
+// Query: ?umbral=50&cliente_id=&page=1&limit=50
+router.get('/duplicados', verifyToken, checkPermission('clientes.fusionar'), async (req, res) => {
+  try {
+    const { data, pagination, umbral } = await buscarDuplicados(req.query);
+    res.json({ success: true, data, pagination, umbral });
+  } catch (error) {
+    console.error('Error al buscar duplicados:', error);
+    res.status(500).json({ success: false, message: 'Error al buscar clientes duplicados' });
+  }
+});
+
+// GET - Clientes del cobrador (cartera propia: solo el usuario dueño de la cartera)
+router.get('/por-cobrador/:id', verifyToken, checkPermission('clientes.cartera_propia'), async (req, res) => {
   try {
     // ✅ Seguridad opcional: si el middleware expone el id del usuario, validamos que coincida
     const tokenUserId = req.user?.id ?? req.userId ?? req.usuario?.id ?? null;
@@ -444,7 +539,7 @@ router.get('/por-cobrador/:id', verifyToken, checkRole([2]), async (req, res) =>
 });
 
 // GET - Cliente por ID
-router.get('/:id', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+router.get('/:id', verifyToken, checkPermission('clientes.ver'), async (req, res) => {
   try {
     const cliente = await obtenerClientePorId(req.params.id);
     if (!cliente) return res.status(404).json({ success: false, message: 'Cliente no encontrado' });
@@ -455,8 +550,364 @@ router.get('/:id', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
   }
 });
 
+// POST - Fusionar duplicados en el cliente :id (sobrevive :id)
+// Body: { duplicado_id | duplicados: number[], motivo?, completar_datos?: boolean }
+router.post('/:id/fusionar', verifyToken, checkPermission('clientes.fusionar'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const duplicados = Array.isArray(body.duplicados) ? body.duplicados : [body.duplicado_id].filter((x) => x != null);
+
+    const data = await fusionarClientes(req.params.id, duplicados, {
+      motivo: body.motivo,
+      completar_datos: body.completar_datos,
+      usuarioId: req.user?.id
+    });
+    res.json({ success: true, message: 'Clientes fusionados exitosamente', data });
+  } catch (error) {
+    console.error('Error al fusionar clientes:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al fusionar clientes'
+    });
+  }
+});
+
+// GET - Historial de fusiones del cliente
+router.get('/:id/fusiones', verifyToken, checkPermission('clientes.fusionar'), async (req, res) => {
+  try {
+    const data = await obtenerFusionesCliente(req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error al obtener fusiones:', error);
+    res.status(500).json({ success: false, message: 'Error al obtener fusiones del cliente' });
+  }
+});
+
+/* ──────────────────────────────────────────────────────────
+   DOCUMENTOS ADJUNTOS
+   ────────────────────────────────────────────────────────── */
+
+// GET - Documentos del cliente (?tipo=&historial=true para ver versiones anteriores)
+router.get('/:id/documentos', verifyToken, checkPermission('clientes.documentos_ver'), async (req, res) => {
+  try {
+    const data = await listarDocumentos(req.params.id, req.query);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error al listar documentos:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al listar documentos'
+    });
+  }
+});
+
+// POST - Subir documento (multipart: archivo + tipo + descripcion?)
+router.post('/:id/documentos', verifyToken, checkPermission('clientes.documentos_gestionar'), recibirDocumento, async (req, res) => {
+  try {
+    const doc = await subirDocumento(req.params.id, req.file, req.body || {}, { usuarioId: req.user?.id });
+    const { archivo: _archivo, ...data } = doc.get({ plain: true });
+    res.status(201).json({ success: true, message: 'Documento subido', data });
+  } catch (error) {
+    console.error('Error al subir documento:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al subir documento'
+    });
+  }
+});
+
+// GET - Descarga autenticada (?descargar=true fuerza attachment; por defecto inline)
+router.get('/:id/documentos/:docId/archivo', verifyToken, checkPermission('clientes.documentos_ver'), async (req, res) => {
+  try {
+    const { ruta, mime, nombre, tamanio } = await obtenerArchivoDocumento(req.params.id, req.params.docId);
+    const disposition = String(req.query.descargar) === 'true' ? 'attachment' : 'inline';
+
+    res.setHeader('Content-Type', mime);
+    res.setHeader('Content-Length', String(tamanio));
+    const nombreAscii = String(nombre).replace(/[^\x20-\x7e]/g, '_');
+    res.setHeader(
+      'Content-Disposition',
+      `${disposition}; filename="${nombreAscii}"; filename*=UTF-8''${encodeURIComponent(nombre)}`
+    );
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    fs.createReadStream(ruta)
+      .on('error', (err) => {
+        console.error('Error leyendo documento:', err);
+        if (!res.headersSent) res.status(500).json({ success: false, message: 'Error al leer el documento' });
+        else res.destroy(err);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error('Error al descargar documento:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al descargar documento'
+    });
+  }
+});
+
+// DELETE - Baja lógica del documento
+router.delete('/:id/documentos/:docId', verifyToken, checkPermission('clientes.documentos_gestionar'), async (req, res) => {
+  try {
+    await eliminarDocumento(req.params.id, req.params.docId, { usuarioId: req.user?.id });
+    res.json({ success: true, message: 'Documento eliminado' });
+  } catch (error) {
+    console.error('Error al eliminar documento:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al eliminar documento'
+    });
+  }
+});
+
+// PUT - Ubicación del cliente (GPS del dispositivo del cobrador o carga manual)
+// Body: { latitud, longitud, precision_m?, origen?: 'dispositivo' | 'manual' }
+router.put('/:id/ubicacion', verifyToken, checkPermission('clientes.ubicacion'), async (req, res) => {
+  try {
+    const data = await actualizarUbicacionCliente(req.params.id, req.body || {}, {
+      actorRoleId: getRoleIdFromReq(req),
+      usuarioId: req.user?.id
+    });
+    res.json({ success: true, message: 'Ubicación actualizada', data });
+  } catch (error) {
+    console.error('Error al actualizar ubicación:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      code: error?.status ? error.code : undefined,
+      message: error?.status ? error.message : 'Error al actualizar la ubicación del cliente'
+    });
+  }
+});
+
+/* ──────────────────────────────────────────────────────────
+   BLOQUEOS (lista negra para crédito)
+   ────────────────────────────────────────────────────────── */
+
+// GET - Historial de bloqueos del cliente (con overrides registrados)
+router.get('/:id/bloqueos', verifyToken, checkPermission('clientes.bloqueos_ver'), async (req, res) => {
+  try {
+    const data = await obtenerBloqueosCliente(req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error al obtener bloqueos:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al obtener bloqueos del cliente'
+    });
+  }
+});
+
+// POST - Bloquear cliente. Body: { motivo, vence_en?: 'YYYY-MM-DD' }
+router.post('/:id/bloqueo', verifyToken, checkPermission('clientes.bloquear'), async (req, res) => {
+  try {
+    const data = await bloquearCliente(req.params.id, req.body || {}, { usuarioId: req.user?.id });
+    res.status(201).json({ success: true, message: 'Cliente bloqueado', data });
+  } catch (error) {
+    console.error('Error al bloquear cliente:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al bloquear cliente'
+    });
+  }
+});
+
+// DELETE - Levantar el bloqueo vigente. Body: { motivo? }
+router.delete('/:id/bloqueo', verifyToken, checkPermission('clientes.bloquear'), async (req, res) => {
+  try {
+    const data = await desbloquearCliente(req.params.id, req.body || {}, { usuarioId: req.user?.id });
+    res.json({ success: true, message: 'Bloqueo levantado', data });
+  } catch (error) {
+    console.error('Error al desbloquear cliente:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al desbloquear cliente'
+    });
+  }
+});
+
+/* ──────────────────────────────────────────────────────────
+   ESTADO DE CUENTA (créditos, cuotas, pagos, refinanciaciones y deuda actual)
+   ────────────────────────────────────────────────────────── */
+
+// GET - Estado de cuenta en PDF (?desde=YYYY-MM-DD&hasta=YYYY-MM-DD; sin desde = todo el historial)
+router.get('/:id/estado-cuenta.pdf', verifyToken, checkPermission('clientes.estado_cuenta'), async (req, res) => {
+  try {
+    await imprimirEstadoCuentaCliente(req, res);
+  } catch (error) {
+    console.error('Error al imprimir estado de cuenta:', error);
+    res.status(500).json({ success: false, message: 'Error al generar el estado de cuenta' });
+  }
+});
+
+// GET - Estado de cuenta (JSON, mismos filtros que el PDF)
+router.get('/:id/estado-cuenta', verifyToken, checkPermission('clientes.estado_cuenta'), async (req, res) => {
+  try {
+    const data = await obtenerEstadoCuentaCliente(req.params.id, req.query || {});
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error al obtener estado de cuenta:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      code: error?.status ? error.code : undefined,
+      message: error?.status ? error.message : 'Error al obtener el estado de cuenta'
+    });
+  }
+});
+
+/* ──────────────────────────────────────────────────────────
+   PUNTAJE CREDITICIO (explicado por reglas + historial)
+   ────────────────────────────────────────────────────────── */
+
+// GET - Puntaje calculado en vivo con desglose por regla, métricas y últimos cambios
+router.get('/:id/puntaje', verifyToken, checkPermission('puntaje.ver'), async (req, res) => {
+  try {
+    const data = await obtenerPuntajeCliente(req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error al obtener puntaje:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al obtener el puntaje del cliente'
+    });
+  }
+});
+
+// GET - Historial de cambios del puntaje (?page=1&limit=50)
+router.get('/:id/puntaje/historial', verifyToken, checkPermission('puntaje.ver'), async (req, res) => {
+  try {
+    const { data, pagination } = await obtenerHistorialPuntaje(req.params.id, req.query);
+    res.json({ success: true, data, pagination });
+  } catch (error) {
+    console.error('Error al obtener historial de puntaje:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al obtener el historial del puntaje'
+    });
+  }
+});
+
+// POST - Recalcular y guardar el puntaje del cliente ahora
+router.post('/:id/puntaje/recalcular', verifyToken, checkPermission('puntaje.recalcular'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ success: false, message: 'ID de cliente inválido' });
+    }
+    await calcularPuntajeCliente(id, { origen: 'manual' });
+    const data = await obtenerPuntajeCliente(id);
+    res.json({ success: true, message: 'Puntaje recalculado', data });
+  } catch (error) {
+    console.error('Error al recalcular puntaje:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al recalcular el puntaje del cliente'
+    });
+  }
+});
+
+/* ──────────────────────────────────────────────────────────
+   LÍMITE DE CRÉDITO (manual o por banda de puntaje)
+   ────────────────────────────────────────────────────────── */
+
+// GET - Límite vigente, exposición (saldo de créditos abiertos), disponible y overrides registrados
+router.get('/:id/limite', verifyToken, checkPermission('clientes.limite_ver'), async (req, res) => {
+  try {
+    const data = await obtenerDisponibleCliente(req.params.id);
+    const excepciones = await obtenerExcepcionesLimite(req.params.id);
+    res.json({ success: true, data: { ...data, excepciones } });
+  } catch (error) {
+    console.error('Error al obtener límite de crédito:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al obtener el límite de crédito del cliente'
+    });
+  }
+});
+
+// PUT - Fijar límite manual ({ limite_credito, motivo }); limite_credito null/'' vuelve al límite por puntaje
+router.put('/:id/limite', verifyToken, checkPermission('clientes.limite_gestionar'), async (req, res) => {
+  try {
+    const data = await actualizarLimiteCliente(req.params.id, req.body || {}, { usuarioId: req.user?.id ?? null });
+    res.json({ success: true, message: 'Límite de crédito actualizado', data });
+  } catch (error) {
+    console.error('Error al actualizar límite de crédito:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      message: error?.status ? error.message : 'Error al actualizar el límite de crédito del cliente'
+    });
+  }
+});
+
+/* ──────────────────────────────────────────────────────────
+   REFINANCIACIÓN CONSOLIDADA (varios créditos → uno)
+   ────────────────────────────────────────────────────────── */
+
+/**
+ * POST - Refinanciar varios créditos del cliente en uno solo (libres y no libres mezclados)
+ * Body: { credito_ids: [..], opcion: 'P1'|'P2'|'manual', tasaManual?, tipo_credito?, cantidad_cuotas?,
+ *         cobrador_id?, forzar_bloqueo?, forzar_limite?, motivo_forzado? }
+ */
+router.post('/:id/refinanciar-consolidado', verifyToken, checkPermission('creditos.refinanciar'), async (req, res) => {
+  try {
+    const {
+      credito_ids,
+      opcion,
+      tasaManual = 0,
+      tipo_credito,
+      cantidad_cuotas,
+      cobrador_id,
+      forzar_bloqueo,
+      forzar_limite,
+      motivo_forzado
+    } = req.body || {};
+
+    if (!Array.isArray(credito_ids) || credito_ids.length < 2) {
+      return res.status(400).json({ success: false, message: 'credito_ids debe listar al menos dos créditos' });
+    }
+    if (!['P1', 'P2', 'manual'].includes(opcion)) {
+      return res.status(400).json({ success: false, message: 'Opción inválida (P1, P2 o manual)' });
+    }
+    if (tipo_credito && !['semanal', 'quincenal', 'mensual'].includes(String(tipo_credito).toLowerCase())) {
+      return res.status(400).json({ success: false, message: 'tipo_credito inválido' });
+    }
+
+    const resultado = await refinanciarCreditosConsolidado({
+      clienteId: Number(req.params.id),
+      creditoIds: credito_ids,
+      opcion,
+      tasaManual,
+      tipo_credito: tipo_credito ? String(tipo_credito).toLowerCase() : undefined,
+      cantidad_cuotas: cantidad_cuotas ? Number(cantidad_cuotas) : undefined,
+      cobrador_id: cobrador_id ? Number(cobrador_id) : undefined,
+      rol_id: req.user.rol_id,
+      usuario_id: req.user.id,
+      forzar_bloqueo,
+      forzar_limite,
+      motivo_forzado
+    });
+
+    const creditoNuevo = await obtenerCreditoPorId(resultado.credito_nuevo_id, { rol_id: req.user.rol_id });
+    res.status(201).json({
+      success: true,
+      message: `Créditos ${resultado.creditos_originales_ids.map((id) => `#${id}`).join(', ')} refinanciados en el crédito #${resultado.credito_nuevo_id}`,
+      data: { ...resultado, credito: creditoNuevo }
+    });
+  } catch (error) {
+    console.error('Error en refinanciación consolidada:', error);
+    res.status(error?.status || 500).json({
+      success: false,
+      code: error?.status ? error.code : undefined,
+      message: error?.status ? error.message : 'Error al refinanciar los créditos del cliente',
+      ...(error?.code === 'CLIENTE_BLOQUEADO' ? { bloqueo: error.bloqueo } : {}),
+      ...(error?.code === 'LIMITE_CREDITO_EXCEDIDO' ? { limite: error.limite } : {})
+    });
+  }
+});
+
 // POST - Crear cliente
-router.post('/', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.post('/', verifyToken, checkPermission('clientes.crear'), async (req, res) => {
   try {
     const body = req.body || {};
 
@@ -497,12 +948,12 @@ router.post('/', verifyToken, checkRole([0, 1]), async (req, res) => {
     });
   } catch (error) {
     console.error('Error al crear cliente:', error);
-    res.status(500).json({ success: false, message: error?.message || 'Error interno' });
+    res.status(error?.status || 500).json({ success: false, message: error?.message || 'Error interno' });
   }
 });
 
 // PUT - Actualizar cliente (superadmin y admin; admin NO puede cambiar DNI)
-router.put('/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.put('/:id', verifyToken, checkPermission('clientes.editar'), async (req, res) => {
   try {
     const { id } = req.params;
     const body = req.body || {};
@@ -578,13 +1029,16 @@ router.put('/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
     if (status === 403) {
       return res.status(403).json({ success: false, message: error?.message || 'No autorizado' });
     }
+    if (status === 400 || status === 409) {
+      return res.status(status).json({ success: false, code: error?.code, message: error?.message });
+    }
 
     res.status(500).json({ success: false, message: error?.message || 'Error interno' });
   }
 });
 
 // DELETE - Eliminar cliente (SOLO superadmin)
-router.delete('/:id', verifyToken, checkRole([0]), async (req, res) => {
+router.delete('/:id', verifyToken, checkPermission('clientes.eliminar'), async (req, res) => {
   try {
     await eliminarCliente(req.params.id);
     res.json({ success: true, message: 'Cliente eliminado exitosamente' });
@@ -1,7 +1,7 @@
 // backend/src/routes/compras.routes.js
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 import {
   crearCompra,
   listarCompras,
@@ -19,8 +19,8 @@ const router = Router();
  */
 router.get('/', verifyToken, listarCompras);
 router.get('/:id', verifyToken, obtenerCompra);
-router.post('/', verifyToken, checkRole([0,1]), crearCompra);
-router.put('/:id', verifyToken, checkRole([0,1]), actualizarCompra);
-router.delete('/:id', verifyToken, checkRole([0,1]), eliminarCompra);
+router.post('/', verifyToken, checkPermission('compras.gestionar'), crearCompra);
+router.put('/:id', verifyToken, checkPermission('compras.gestionar'), actualizarCompra);
+router.delete('/:id', verifyToken, checkPermission('compras.gestionar'), eliminarCompra);
 
 export default router;
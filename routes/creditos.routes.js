@@ -2,7 +2,7 @@
 
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 import {
     obtenerCreditos,
     obtenerCreditoPorId,
@@ -14,16 +14,34 @@ import {
     esCreditoEliminable,
     obtenerResumenLibre,
     refinanciarCredito,
-    imprimirFichaCredito
+    previsualizarRefinanciacion,
+    imprimirFichaCredito,
+    simularPlanCredito,
+    simularAmortizacionAnticipada,
+    registrarAmortizacionAnticipada,
+    obtenerReplanificacionesCredito,
+    simularProrroga,
+    solicitarProrroga,
+    listarProrrogasCredito,
+    simularCambioDiaPago,
+    cambiarDiaPago
 } from '../services/credito.service.js';
+import {
+    obtenerGarantesCredito,
+    agregarGarantesCredito,
+    quitarGaranteCredito
+} from '../services/garante.service.js';
+import { asegurarCalendario } from '../services/calendario.service.js';
+import { construirPlanCuotas } from '../services/credito/credito.utils.js';
 
 const router = Router();
 
 /* ───────────── Helpers ───────────── */
 const TIPOS_VALIDOS = new Set(['semanal', 'quincenal', 'mensual']);
-const MODS_VALIDAS = new Set(['comun', 'progresivo', 'libre']);
+const MODS_VALIDAS = new Set(['comun', 'progresivo', 'libre', 'frances']);
 const ESTADOS_VALIDOS = new Set(['pendiente', 'parcial', 'vencido', 'pagado', 'refinanciado', 'anulado']);
 const DESCUENTO_SOBRE_VALIDOS = new Set(['mora', 'total']); // ← nuevo
+const OPCIONES_AMORTIZACION = new Set(['reducir_cuotas', 'reducir_importe']);
 const isValidYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
 const isNum = (v) => v !== null && v !== undefined && !Number.isNaN(Number(v));
 const isInt = (v) => Number.isInteger(Number(v));
@@ -59,13 +77,11 @@ const calcularInteresProporcionalMin60 = (tipo_credito, cantidad_cuotas) => {
 
 /**
  * Construye las cuotas para simulación SIN tocar la base.
- * Respeta la lógica de generarCuotasServicio:
+ * Usa el mismo plan que generarCuotasServicio (construirPlanCuotas):
  *  - modalidad = 'progresivo' → cuotas crecientes (suma i/sum)
  *  - modalidad = 'comun'     → cuotas fijas
- * Si se envía fecha_compromiso_pago (YYYY-MM-DD), calcula fecha_vencimiento
- * igual que el servicio real:
- *  - mensual -> +meses (i-1)
- *  - semanal/quincenal -> +días (7/15/30) * (i-1)
+ * Si se envía fecha_compromiso_pago (YYYY-MM-DD) calcula fecha_vencimiento igual que el servicio real;
+ * si no, las cuotas van sin fecha_vencimiento.
  */
 const construirCuotasPreview = ({
     modalidad_credito,
@@ -73,83 +89,14 @@ const construirCuotasPreview = ({
     tipo_credito,
     monto_total_devolver,
     fecha_compromiso_pago
-}) => {
-    const mod = String(modalidad_credito || '').toLowerCase();
-    const nRaw = Number(cantidad_cuotas) || 0;
-    const n = Math.max(nRaw, 1);
-    const M = Number(monto_total_devolver) || 0;
-
-    const cuotasArr = [];
-
-    if (mod === 'progresivo') {
-        const sum = (n * (n + 1)) / 2;
-        let acumulado = 0;
-        for (let i = 1; i <= n; i++) {
-            const importe = parseFloat((M * (i / sum)).toFixed(2));
-            cuotasArr.push({ numero_cuota: i, importe_cuota: importe });
-            acumulado += importe;
-        }
-        const diff = parseFloat((M - acumulado).toFixed(2));
-        cuotasArr[n - 1].importe_cuota = parseFloat(
-            (cuotasArr[n - 1].importe_cuota + diff).toFixed(2)
-        );
-    } else {
-        // comun (PLAN DE CUOTAS FIJAS)
-        const fija = parseFloat((M / n).toFixed(2));
-        for (let i = 1; i <= n; i++) {
-            cuotasArr.push({ numero_cuota: i, importe_cuota: fija });
-        }
-        const totalCalc = fija * n;
-        const diff = parseFloat((M - totalCalc).toFixed(2));
-        cuotasArr[n - 1].importe_cuota = parseFloat(
-            (cuotasArr[n - 1].importe_cuota + diff).toFixed(2)
-        );
-    }
-
-    // Fechas de vencimiento (opcionales)
-    if (fecha_compromiso_pago && isValidYMD(fecha_compromiso_pago)) {
-        const [year, month, day] = fecha_compromiso_pago
-            .split('-')
-            .map((x) => parseInt(x, 10));
-
-        const baseDate = new Date(year, month - 1, day, 12, 0, 0); // mediodía (evita corridas)
-
-        const tipo = String(tipo_credito || '').toLowerCase();
-        const diasPorPeriodo =
-            tipo === 'semanal' ? 7 : tipo === 'quincenal' ? 15 : 30;
-
-        const addMonthsNative = (date, months) => {
-            const d = new Date(date);
-            const targetMonth = d.getMonth() + Number(months || 0);
-            d.setMonth(targetMonth);
-            return d;
-        };
-
-        cuotasArr.forEach((c) => {
-            const idx = Math.max(Number(c.numero_cuota) - 1, 0);
-
-            let d;
-            if (tipo === 'mensual') {
-                d = addMonthsNative(baseDate, idx);
-            } else {
-                d = new Date(baseDate);
-                d.setDate(d.getDate() + diasPorPeriodo * idx);
-            }
-
-            const yyyy = d.getFullYear();
-            const mm = String(d.getMonth() + 1).padStart(2, '0');
-            const dd = String(d.getDate()).padStart(2, '0');
-            c.fecha_vencimiento = `${yyyy}-${mm}-${dd}`;
-        });
-    } else {
-        // Si no se envía fecha_compromiso_pago, devolvemos sin fecha_vencimiento
-        cuotasArr.forEach((c) => {
-            c.fecha_vencimiento = null;
-        });
-    }
-
-    return cuotasArr;
-};
+}) =>
+    construirPlanCuotas({
+        modalidad_credito: String(modalidad_credito || '').toLowerCase() === 'progresivo' ? 'progresivo' : 'comun',
+        tipo_credito: String(tipo_credito || '').toLowerCase(),
+        cantidad_cuotas,
+        monto_total_devolver,
+        fecha_compromiso_pago: isValidYMD(fecha_compromiso_pago) ? fecha_compromiso_pago : null
+    });
 
 /**
  * 🔒 Parseo seguro de YYYY-MM-DD a Date local.
@@ -195,7 +142,10 @@ function validarPayloadCredito(body = {}, isUpdate = false) {
         fecha_acreditacion,
         fecha_compromiso_pago,
         cobrador_id,
-        es_credito_anterior
+        es_credito_anterior,
+        garantes,
+        forzar_bloqueo,
+        forzar_limite
     } = body ?? {};
 
     const mod = String(modalidad_credito || '').toLowerCase();
@@ -211,7 +161,7 @@ function validarPayloadCredito(body = {}, isUpdate = false) {
     // modalidad_credito
     if (!isUpdate || modalidad_credito !== undefined) {
         if (!MODS_VALIDAS.has(mod)) {
-            errors.push('modalidad_credito inválida (comun|progresivo|libre)');
+            errors.push('modalidad_credito inválida (comun|progresivo|libre|frances)');
         }
     }
 
@@ -230,7 +180,7 @@ function validarPayloadCredito(body = {}, isUpdate = false) {
     if (!isUpdate) {
         if (!esLibre) {
             if (!isNum(interes) || Number(interes) < 0) {
-                errors.push('interes es requerido en comun/progresivo y debe ser numérico y ≥ 0');
+                errors.push('interes es requerido en comun/progresivo/frances y debe ser numérico y ≥ 0');
             }
         } else {
             // libre: si viene, validar; si no viene, OK
@@ -330,6 +280,31 @@ function validarPayloadCredito(body = {}, isUpdate = false) {
         }
     }
 
+    // forzar_bloqueo (solo en creación; el service exige superadmin + motivo_forzado)
+    if (!isUpdate && forzar_bloqueo !== undefined && !isBool(forzar_bloqueo)) {
+        errors.push('forzar_bloqueo debe ser booleano');
+    }
+
+    // forzar_limite (solo en creación; el service exige superadmin + motivo_forzado)
+    if (!isUpdate && forzar_limite !== undefined && !isBool(forzar_limite)) {
+        errors.push('forzar_limite debe ser booleano');
+    }
+
+    // garantes (solo en creación; luego se gestionan en /creditos/:id/garantes)
+    if (!isUpdate && garantes !== undefined && garantes !== null) {
+        if (!Array.isArray(garantes)) {
+            errors.push('garantes debe ser un array');
+        } else {
+            garantes.forEach((g, i) => {
+                const tieneRef = g && (isNum(g.garante_id) || isNum(g.cliente_id));
+                const tieneNombre = g && typeof g.nombre === 'string' && g.nombre.trim() !== '';
+                if (!tieneRef && !tieneNombre) {
+                    errors.push(`garantes[${i}]: enviar garante_id, cliente_id o los datos del garante (nombre obligatorio)`);
+                }
+            });
+        }
+    }
+
     return errors;
 }
 
@@ -351,7 +326,7 @@ function validarPayloadSimulacion(body = {}) {
     // modalidad_credito
     const mod = String(modalidad_credito || '').toLowerCase();
     if (!MODS_VALIDAS.has(mod)) {
-        errors.push('modalidad_credito inválida (comun|progresivo|libre)');
+        errors.push('modalidad_credito inválida (comun|progresivo|libre|frances)');
     }
 
     // tipo_credito
@@ -390,7 +365,7 @@ function validarPayloadSimulacion(body = {}) {
 /* 1) Créditos por cliente (con filtros opcionales) */
 router.get(
     '/cliente/:clienteId',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.ver'),
     async (req, res) => {
         try {
             const clienteId = Number(req.params.clienteId);
@@ -436,10 +411,10 @@ router.get(
     }
 );
 
-/* 1.0) SIMULAR crédito (para Cotizador: comun/progresivo) */
+/* 1.0) SIMULAR crédito (para Cotizador: comun/progresivo/frances) */
 router.post(
     '/simular',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.simular'),
     async (req, res) => {
         try {
             const errores = validarPayloadSimulacion(req.body);
@@ -462,10 +437,45 @@ router.post(
 
             const mod = String(modalidad_credito || '').toLowerCase();
 
-            if (!['comun', 'progresivo'].includes(mod)) {
+            // 📅 Vencimientos corridos con el calendario de cobranza al día (igual que al generar)
+            await asegurarCalendario();
+
+            if (!['comun', 'progresivo', 'frances'].includes(mod)) {
                 return res.status(400).json({
                     success: false,
-                    message: 'La simulación actualmente sólo soporta modalidades "comun" y "progresivo".'
+                    message: 'La simulación actualmente sólo soporta modalidades "comun", "progresivo" y "frances".'
+                });
+            }
+
+            // Francés: la tabla de amortización (capital / interés / saldo por cuota) la arma el service
+            if (mod === 'frances') {
+                const plan = simularPlanCredito({
+                    modalidad_credito: mod,
+                    tipo_credito,
+                    cantidad_cuotas: Number(cantidad_cuotas),
+                    monto_acreditar: Number(monto_acreditar),
+                    descuento,
+                    rol_id: req.user?.rol_id ?? null,
+                    fecha_compromiso_pago: isValidYMD(fecha_compromiso_pago) ? fecha_compromiso_pago : undefined
+                });
+
+                return res.json({
+                    success: true,
+                    data: {
+                        modalidad_credito: mod,
+                        tipo_credito,
+                        cantidad_cuotas: plan.cantidad_cuotas,
+                        monto_acreditar: plan.monto_acreditar,
+                        interes: plan.interes_pct,
+                        tasa_periodo: plan.tasa_periodo_pct,
+                        descuento: plan.descuento_pct,
+                        interes_total: plan.interes_total,
+                        monto_total_devolver: plan.monto_total_devolver,
+                        cuotas: plan.cuotas.map((c) => ({
+                            ...c,
+                            fecha_vencimiento: isValidYMD(fecha_compromiso_pago) ? c.fecha_vencimiento : null
+                        }))
+                    }
                 });
             }
 
@@ -516,7 +526,7 @@ router.post(
 /* 1.1) Ficha PDF del crédito */
 router.get(
     '/:id/ficha.pdf',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.ver'),
     async (req, res) => {
         try {
             await imprimirFichaCredito(req, res);
@@ -530,7 +540,7 @@ router.get(
 /* 1.2) Obtener crédito por ID */
 router.get(
     '/:id',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.ver'),
     async (req, res) => {
         try {
             const id = Number(req.params.id);
@@ -549,10 +559,65 @@ router.get(
     }
 );
 
+/* 1.2.1) Garantes del crédito (con situación de mora de cada uno) */
+router.get(
+    '/:id/garantes',
+    verifyToken, checkPermission('creditos.ver'),
+    async (req, res) => {
+        try {
+            const data = await obtenerGarantesCredito(Number(req.params.id));
+            res.json({ success: true, data: data.garantes, advertencias: data.advertencias });
+        } catch (error) {
+            console.error('Error al obtener garantes del crédito:', error);
+            const status = error?.status || 500;
+            res.status(status).json({ success: false, message: error?.status ? error.message : 'Error al obtener garantes' });
+        }
+    }
+);
+
+/* 1.2.2) Agregar garantes: body { garantes: [{ garante_id } | { cliente_id } | { nombre, dni, ... }] } */
+router.post(
+    '/:id/garantes',
+    verifyToken, checkPermission('garantes.gestionar'),
+    async (req, res) => {
+        try {
+            const data = await agregarGarantesCredito(Number(req.params.id), req.body?.garantes, {
+                usuarioId: req.user.id
+            });
+            res.status(201).json({
+                success: true,
+                message: 'Garantes vinculados',
+                data: data.garantes,
+                advertencias: data.advertencias
+            });
+        } catch (error) {
+            console.error('Error al vincular garantes:', error);
+            const status = error?.status || 500;
+            res.status(status).json({ success: false, message: error?.status ? error.message : 'Error al vincular garantes' });
+        }
+    }
+);
+
+/* 1.2.3) Quitar un garante del crédito */
+router.delete(
+    '/:id/garantes/:garanteId',
+    verifyToken, checkPermission('garantes.gestionar'),
+    async (req, res) => {
+        try {
+            await quitarGaranteCredito(Number(req.params.id), Number(req.params.garanteId));
+            res.json({ success: true, message: 'Garante desvinculado del crédito' });
+        } catch (error) {
+            console.error('Error al desvincular garante:', error);
+            const status = error?.status || 500;
+            res.status(status).json({ success: false, message: error?.status ? error.message : 'Error al desvincular garante' });
+        }
+    }
+);
+
 /* 1.3) Pre-chequeo eliminable */
 router.get(
     '/:id/eliminable',
-    verifyToken, checkRole([0]),
+    verifyToken, checkPermission('creditos.eliminar'),
     async (req, res) => {
         try {
             const { eliminable, cantidadPagos } = await esCreditoEliminable(req.params.id);
@@ -567,7 +632,7 @@ router.get(
 /* 2) Resumen LIBRE */
 router.get(
     '/:id/resumen-libre',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.ver'),
     async (req, res) => {
         try {
             const { fecha } = req.query; // opcional: YYYY-MM-DD
@@ -590,7 +655,7 @@ router.get(
 /* 2.1) Alias compat */
 router.get(
     '/:id/libre/resumen',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.ver'),
     async (req, res) => {
         try {
             const { fecha } = req.query;
@@ -613,7 +678,7 @@ router.get(
 /* 3) Obtener todos los créditos */
 router.get(
     '/',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.ver'),
     async (req, res) => {
         try {
             const lista = await obtenerCreditos(req.query, { rol_id: req.user.rol_id });
@@ -629,7 +694,7 @@ router.get(
 /* 4) Crear crédito */
 router.post(
     '/',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.crear'),
     async (req, res) => {
         try {
             const errors = validarPayloadCredito(req.body, false);
@@ -644,15 +709,24 @@ router.post(
             });
 
             const credito = await obtenerCreditoPorId(id, { rol_id: req.user.rol_id });
+            const advertencias = credito?.get ? credito.get('advertencias_garantes') : credito?.advertencias_garantes;
             res.status(201).json({
                 success: true,
                 message: 'Crédito creado exitosamente',
-                data: credito
+                data: credito,
+                // ⚠️ no bloquea el alta: avisa si algún garante garantiza/debe créditos en mora
+                advertencias: advertencias || []
             });
         } catch (error) {
             console.error('Error al crear crédito:', error);
             const status = error?.status || 500;
-            res.status(status).json({ success: false, message: error?.message || 'Error al crear crédito' });
+            res.status(status).json({
+                success: false,
+                message: error?.message || 'Error al crear crédito',
+                // 🚫 el front ofrece "forzar" (solo superadmin) a partir de estos codes
+                ...(error?.code === 'CLIENTE_BLOQUEADO' ? { code: error.code, bloqueo: error.bloqueo } : {}),
+                ...(error?.code === 'LIMITE_CREDITO_EXCEDIDO' ? { code: error.code, limite: error.limite } : {})
+            });
         }
     }
 );
@@ -660,10 +734,10 @@ router.post(
 /* 4.1) Refinanciar crédito */
 router.post(
     '/:id/refinanciar',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.refinanciar'),
     async (req, res) => {
         try {
-            const { opcion, tasaManual = 0, tipo_credito, cantidad_cuotas } = req.body || {};
+            const { opcion, tasaManual = 0, tipo_credito, cantidad_cuotas, forzar_bloqueo, forzar_limite, motivo_forzado } = req.body || {};
             const valid = ['P1', 'P2', 'manual'];
             if (!valid.includes(opcion)) {
                 return res.status(400).json({ success: false, message: 'Opción inválida (P1, P2 o manual)' });
@@ -678,7 +752,11 @@ router.post(
                 tasaManual,
                 tipo_credito,
                 cantidad_cuotas: cantidad_cuotas ? Number(cantidad_cuotas) : undefined,
-                rol_id: req.user.rol_id
+                rol_id: req.user.rol_id,
+                usuario_id: req.user.id,
+                forzar_bloqueo,
+                forzar_limite,
+                motivo_forzado
             });
 
             const creditoNuevo = await obtenerCreditoPorId(nuevoId, { rol_id: req.user.rol_id });
@@ -690,7 +768,48 @@ router.post(
         } catch (error) {
             console.error('Error al refinanciar crédito:', error);
             const status = error?.status || 500;
-            res.status(status).json({ success: false, message: error?.message || 'Error al refinanciar crédito' });
+            res.status(status).json({
+                success: false,
+                message: error?.message || 'Error al refinanciar crédito',
+                ...(error?.code === 'CLIENTE_BLOQUEADO' ? { code: error.code, bloqueo: error.bloqueo } : {}),
+                ...(error?.code === 'LIMITE_CREDITO_EXCEDIDO' ? { code: error.code, limite: error.limite } : {})
+            });
+        }
+    }
+);
+
+/* 4.2) Vista previa de la refinanciación (no registra nada)
+   Body: igual que POST /creditos/:id/refinanciar (sin los forzar_*) */
+router.post(
+    '/:id/refinanciar/preview',
+    verifyToken, checkPermission('creditos.refinanciar'),
+    async (req, res) => {
+        try {
+            const { opcion, tasaManual = 0, tipo_credito, cantidad_cuotas } = req.body || {};
+            if (!['P1', 'P2', 'manual'].includes(opcion)) {
+                return res.status(400).json({ success: false, message: 'Opción inválida (P1, P2 o manual)' });
+            }
+            if (tipo_credito && !TIPOS_VALIDOS.has(String(tipo_credito).toLowerCase())) {
+                return res.status(400).json({ success: false, message: 'tipo_credito inválido' });
+            }
+
+            const data = await previsualizarRefinanciacion({
+                creditoId: Number(req.params.id),
+                opcion,
+                tasaManual,
+                tipo_credito: tipo_credito ? String(tipo_credito).toLowerCase() : undefined,
+                cantidad_cuotas: cantidad_cuotas ? Number(cantidad_cuotas) : undefined,
+                rol_id: req.user.rol_id
+            });
+
+            res.json({ success: true, data });
+        } catch (error) {
+            console.error('Error en vista previa de refinanciación:', error);
+            res.status(error?.status || 500).json({
+                success: false,
+                code: error?.status ? error.code : undefined,
+                message: error?.status ? error.message : 'Error al previsualizar la refinanciación'
+            });
         }
     }
 );
@@ -698,7 +817,7 @@ router.post(
 /* 5) Actualizar crédito */
 router.put(
     '/:id',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.editar'),
     async (req, res) => {
         try {
             const errors = validarPayloadCredito(req.body, true);
@@ -728,7 +847,7 @@ router.put(
 /* 6) Eliminar crédito */
 router.delete(
     '/:id',
-    verifyToken, checkRole([0]),
+    verifyToken, checkPermission('creditos.eliminar'),
     async (req, res) => {
         try {
             const { eliminable, cantidadPagos } = await esCreditoEliminable(req.params.id);
@@ -755,7 +874,7 @@ router.delete(
 /* 7) Cancelar crédito (UN recibo) */
 router.post(
     '/:id/cancelar',
-    verifyToken, checkRole([0, 1]),
+    verifyToken, checkPermission('creditos.cancelar'),
     async (req, res) => {
         try {
             const {
@@ -790,4 +909,234 @@ router.post(
     }
 );
 
-export default router;
\ No newline at end of file
+
+/* 8) Amortización anticipada (común / progresivo) */
+
+/** Valida { monto, opcion } del body; devuelve el mensaje de error o null */
+const validarAmortizacion = ({ monto, opcion } = {}) => {
+    if (!isNum(monto) || Number(monto) <= 0) return 'monto debe ser un número mayor a 0';
+    if (!OPCIONES_AMORTIZACION.has(String(opcion))) {
+        return 'opcion inválida (usar "reducir_cuotas" o "reducir_importe")';
+    }
+    return null;
+};
+
+const responderErrorAmortizacion = (res, error, fallback) => {
+    console.error(fallback, error);
+    res.status(error?.status || 500).json({
+        success: false,
+        code: error?.status ? error.code : undefined,
+        message: error?.status ? error.message : fallback,
+        ...(error?.cuotas_vencidas ? { cuotas_vencidas: error.cuotas_vencidas } : {})
+    });
+};
+
+// POST /creditos/:id/amortizacion-anticipada/simular  Body: { monto, opcion }  (no registra nada)
+router.post(
+    '/:id/amortizacion-anticipada/simular',
+    verifyToken, checkPermission(['creditos.amortizar', 'creditos.ver']),
+    async (req, res) => {
+        try {
+            const body = req.body || {};
+            const invalido = validarAmortizacion(body);
+            if (invalido) return res.status(400).json({ success: false, message: invalido });
+
+            const data = await simularAmortizacionAnticipada(Number(req.params.id), {
+                monto: Number(body.monto),
+                opcion: String(body.opcion)
+            });
+            res.json({ success: true, data });
+        } catch (error) {
+            responderErrorAmortizacion(res, error, 'Error al simular la amortización anticipada');
+        }
+    }
+);
+
+// POST /creditos/:id/amortizacion-anticipada  Body: { monto, opcion, forma_pago_id, observacion? }
+router.post(
+    '/:id/amortizacion-anticipada',
+    verifyToken, checkPermission('creditos.amortizar'),
+    async (req, res) => {
+        try {
+            const body = req.body || {};
+            const invalido = validarAmortizacion(body);
+            if (invalido) return res.status(400).json({ success: false, message: invalido });
+            if (!isInt(body.forma_pago_id) || Number(body.forma_pago_id) <= 0) {
+                return res.status(400).json({ success: false, message: 'forma_pago_id es obligatorio' });
+            }
+
+            const data = await registrarAmortizacionAnticipada({
+                credito_id: Number(req.params.id),
+                monto: Number(body.monto),
+                opcion: String(body.opcion),
+                forma_pago_id: Number(body.forma_pago_id),
+                observacion: body.observacion ?? null,
+                rol_id: req.user.rol_id,
+                usuario_id: req.user.id
+            });
+            res.status(201).json({ success: true, message: 'Amortización anticipada registrada', data });
+        } catch (error) {
+            responderErrorAmortizacion(res, error, 'Error al registrar la amortización anticipada');
+        }
+    }
+);
+
+// GET /creditos/:id/replanificaciones  (historial de re-planes)
+router.get(
+    '/:id/replanificaciones',
+    verifyToken, checkPermission('creditos.ver'),
+    async (req, res) => {
+        try {
+            const data = await obtenerReplanificacionesCredito(Number(req.params.id));
+            res.json({ success: true, data });
+        } catch (error) {
+            console.error('Error al obtener re-planes del crédito:', error);
+            res.status(error?.status || 500).json({
+                success: false,
+                message: error?.status ? error.message : 'Error al obtener re-planes del crédito'
+            });
+        }
+    }
+);
+
+
+/* 9) Prórroga de cuotas (admin la solicita → tarea para superadmin; superadmin la aplica directo) */
+
+const responderErrorProrroga = (res, error, fallback) => {
+    console.error(fallback, error);
+    res.status(error?.status || 500).json({
+        success: false,
+        code: error?.status ? error.code : undefined,
+        message: error?.status ? error.message : fallback,
+        ...(error?.cuotas_invalidas ? { cuotas_invalidas: error.cuotas_invalidas } : {}),
+        ...(error?.cuotas_posteriores ? { cuotas_posteriores: error.cuotas_posteriores } : {})
+    });
+};
+
+// POST /creditos/:id/prorrogas/simular  Body: igual que POST /creditos/:id/prorrogas (no registra nada)
+router.post(
+    '/:id/prorrogas/simular',
+    verifyToken, checkPermission(['creditos.prorrogar', 'creditos.ver']),
+    async (req, res) => {
+        try {
+            const data = await simularProrroga(Number(req.params.id), req.body || {});
+            res.json({ success: true, data });
+        } catch (error) {
+            responderErrorProrroga(res, error, 'Error al simular la prórroga');
+        }
+    }
+);
+
+/**
+ * POST /creditos/:id/prorrogas
+ * Body: { periodos, cuota_ids? | cantidad_cuotas?, arrastrar_posteriores?, cargo?, congelar_mora_desde?, congelar_mora_hasta?, motivo }
+ * Sin cuota_ids ni cantidad_cuotas se corren todas las cuotas pendientes.
+ * Si la selección deja cuotas posteriores sin correr → 409 PRORROGA_NO_FINAL (cuotas_posteriores),
+ * salvo arrastrar_posteriores: true (también se corren; la simulación las lista en cuotas_arrastradas).
+ */
+router.post(
+    '/:id/prorrogas',
+    verifyToken, checkPermission('creditos.prorrogar'),
+    async (req, res) => {
+        try {
+            const data = await solicitarProrroga(Number(req.params.id), req.body || {}, {
+                usuarioId: req.user.id,
+                rolId: req.user.rol_id
+            });
+            const aplicada = data.estado === 'aplicada';
+            res.status(201).json({
+                success: true,
+                message: aplicada ? 'Prórroga aplicada' : 'Prórroga enviada a aprobación',
+                data
+            });
+        } catch (error) {
+            responderErrorProrroga(res, error, 'Error al registrar la prórroga');
+        }
+    }
+);
+
+// GET /creditos/:id/prorrogas
+router.get(
+    '/:id/prorrogas',
+    verifyToken, checkPermission('creditos.ver'),
+    async (req, res) => {
+        try {
+            const data = await listarProrrogasCredito(Number(req.params.id));
+            res.json({ success: true, data });
+        } catch (error) {
+            responderErrorProrroga(res, error, 'Error al obtener las prórrogas del crédito');
+        }
+    }
+);
+
+
+/* 10) Cambio de día de pago (no aplica a créditos libres) */
+
+const responderErrorDiaPago = (res, error, fallback) => {
+    console.error(fallback, error);
+    res.status(error?.status || 500).json({
+        success: false,
+        code: error?.status ? error.code : undefined,
+        message: error?.status ? error.message : fallback,
+        ...(error?.cuotas_vencidas ? { cuotas_vencidas: error.cuotas_vencidas } : {})
+    });
+};
+
+/** Valida { nueva_fecha, cobrar_interes } del body; devuelve el mensaje de error o null */
+const validarCambioDiaPago = ({ nueva_fecha, cobrar_interes } = {}) => {
+    if (!isValidYMD(nueva_fecha)) return 'nueva_fecha es obligatoria (YYYY-MM-DD)';
+    if (cobrar_interes !== undefined && !isBool(cobrar_interes)) return 'cobrar_interes debe ser booleano';
+    return null;
+};
+
+// POST /creditos/:id/cambiar-dia-pago/simular  Body: { nueva_fecha, cobrar_interes? }  (no registra nada)
+router.post(
+    '/:id/cambiar-dia-pago/simular',
+    verifyToken, checkPermission(['creditos.editar', 'creditos.ver']),
+    async (req, res) => {
+        try {
+            const body = req.body || {};
+            const invalido = validarCambioDiaPago(body);
+            if (invalido) return res.status(400).json({ success: false, message: invalido });
+
+            const data = await simularCambioDiaPago(Number(req.params.id), {
+                nueva_fecha: body.nueva_fecha,
+                cobrar_interes: body.cobrar_interes === true
+            });
+            res.json({ success: true, data });
+        } catch (error) {
+            responderErrorDiaPago(res, error, 'Error al simular el cambio de día de pago');
+        }
+    }
+);
+
+/**
+ * POST /creditos/:id/cambiar-dia-pago
+ * Body: { nueva_fecha, cobrar_interes?, observacion? }
+ * nueva_fecha = nuevo vencimiento de la próxima cuota impaga; las siguientes mantienen la periodicidad.
+ */
+router.post(
+    '/:id/cambiar-dia-pago',
+    verifyToken, checkPermission('creditos.editar'),
+    async (req, res) => {
+        try {
+            const body = req.body || {};
+            const invalido = validarCambioDiaPago(body);
+            if (invalido) return res.status(400).json({ success: false, message: invalido });
+
+            const data = await cambiarDiaPago({
+                credito_id: Number(req.params.id),
+                nueva_fecha: body.nueva_fecha,
+                cobrar_interes: body.cobrar_interes === true,
+                observacion: body.observacion ?? null,
+                rol_id: req.user.rol_id,
+                usuario_id: req.user.id
+            });
+            res.json({ success: true, message: 'Día de pago actualizado', data });
+        } catch (error) {
+            responderErrorDiaPago(res, error, 'Error al cambiar el día de pago');
+        }
+    }
+);
+
+export default router;
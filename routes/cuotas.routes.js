@@ -1,7 +1,7 @@
 // src/routes/cuotas.routes.js
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission, { checkDescuentoPermission } from '../middleware/checkPermission.js';
 import {
     obtenerCuotas,
     obtenerCuotaPorId,
@@ -18,6 +18,8 @@ import {
     // NUEVO: endpoint para tabla de cuotas vencidas
     obtenerCuotasVencidas
 } from '../services/cuota.service.js';
+import { puntoValido } from '../services/cuota/cuota.ruta.service.js';
+import { alcanceDescuentoRol } from '../services/permiso.service.js';
 
 const router = Router();
 
@@ -81,7 +83,7 @@ const resolveModalidadByCreditoId = async (creditoId) => {
 /* ──────────────────────────────────────────────────────────────────────────
  * Crear nueva cuota (Superadmin y Admin)
  * ────────────────────────────────────────────────────────────────────────── */
-router.post('/', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.post('/', verifyToken, checkPermission('cuotas.gestionar'), async (req, res) => {
     try {
         const cuota = await crearCuota(req.body);
         res.status(201).json({
@@ -98,7 +100,7 @@ router.post('/', verifyToken, checkRole([0, 1]), async (req, res) => {
 /* ──────────────────────────────────────────────────────────────────────────
  * Ver todas las cuotas (Superadmin, Admin y Cobrador)
  * ────────────────────────────────────────────────────────────────────────── */
-router.get('/', verifyToken, checkRole([0, 1, 2]), async (_req, res) => {
+router.get('/', verifyToken, checkPermission('cuotas.ver'), async (_req, res) => {
     try {
         const cuotas = await obtenerCuotas();
         res.json({ success: true, data: cuotas });
@@ -111,7 +113,7 @@ router.get('/', verifyToken, checkRole([0, 1, 2]), async (_req, res) => {
 /* ──────────────────────────────────────────────────────────────────────────
  * NUEVO: Listar solo cuotas vencidas (para la notificación)
  * ────────────────────────────────────────────────────────────────────────── */
-router.get('/vencidas', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+router.get('/vencidas', verifyToken, checkPermission('cuotas.ver'), async (req, res) => {
     try {
         const lista = await obtenerCuotasVencidas(req.query);
         res.json({ success: true, data: lista });
@@ -123,8 +125,9 @@ router.get('/vencidas', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
 
 /* ──────────────────────────────────────────────────────────────────────────
  * NUEVO: Ruta de cobro del cobrador logueado
+ * Query opcional: ?orden=optimo&lat=&lng= (punto de partida, p. ej. GPS del cobrador)
  * ────────────────────────────────────────────────────────────────────────── */
-router.get('/ruta-cobro', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+router.get('/ruta-cobro', verifyToken, checkPermission('cuotas.ver'), async (req, res) => {
     try {
         const rol_id = req.user?.rol_id ?? null;
 
@@ -144,6 +147,22 @@ router.get('/ruta-cobro', verifyToken, checkRole([0, 1, 2]), async (req, res) =>
             });
         }
 
+        const orden = req.query?.orden ? String(req.query.orden).toLowerCase() : null;
+        if (orden && orden !== 'optimo') {
+            return res.status(400).json({ success: false, message: 'orden inválido (valores: optimo)' });
+        }
+
+        // Punto de partida: ambos o ninguno
+        const hayLat = req.query?.lat != null && req.query.lat !== '';
+        const hayLng = req.query?.lng != null && req.query.lng !== '';
+        let inicio = null;
+        if (hayLat || hayLng) {
+            inicio = puntoValido(req.query.lat, req.query.lng);
+            if (!inicio) {
+                return res.status(400).json({ success: false, message: 'lat/lng inválidos (lat -90..90, lng -180..180, ambos requeridos)' });
+            }
+        }
+
         const includeVencidas = String(req.query?.includeVencidas ?? '1') !== '0';
         const includePendientesHoy = String(req.query?.includePendientesHoy ?? '1') !== '0';
         const hoy = todayYMD();
@@ -180,7 +199,11 @@ router.get('/ruta-cobro', verifyToken, checkRole([0, 1, 2]), async (req, res) =>
             clienteId: req.query?.clienteId,
 
             // modo de respuesta
-            modo: req.query?.modo // 'plano' | 'separado' (si lo implementan)
+            modo: req.query?.modo, // 'plano' | 'separado' (si lo implementan)
+
+            // orden por recorrido (opcional)
+            orden,
+            inicio
         });
 
         res.json({ success: true, data: result });
@@ -193,7 +216,7 @@ router.get('/ruta-cobro', verifyToken, checkRole([0, 1, 2]), async (req, res) =>
 /* ──────────────────────────────────────────────────────────────────────────
  * Ver cuota por ID
  * ────────────────────────────────────────────────────────────────────────── */
-router.get('/:id', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+router.get('/:id', verifyToken, checkPermission('cuotas.ver'), async (req, res) => {
     try {
         const cuota = await obtenerCuotaPorId(req.params.id);
         if (!cuota) {
@@ -209,7 +232,7 @@ router.get('/:id', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
 /* ──────────────────────────────────────────────────────────────────────────
  * Actualizar cuota (Superadmin y Admin)
  * ────────────────────────────────────────────────────────────────────────── */
-router.put('/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.put('/:id', verifyToken, checkPermission('cuotas.gestionar'), async (req, res) => {
     try {
         const cuotaActualizada = await actualizarCuota(req.params.id, req.body);
         if (!cuotaActualizada) {
@@ -229,7 +252,7 @@ router.put('/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
 /* ──────────────────────────────────────────────────────────────────────────
  * Eliminar cuota (Superadmin y Admin)
  * ────────────────────────────────────────────────────────────────────────── */
-router.delete('/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.delete('/:id', verifyToken, checkPermission('cuotas.gestionar'), async (req, res) => {
     try {
         const eliminado = await eliminarCuota(req.params.id);
         if (!eliminado) {
@@ -245,15 +268,15 @@ router.delete('/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
 /* ──────────────────────────────────────────────────────────────────────────
  * Pagar cuota (acepta descuento opcional)
  *
- * REGLA NUEVA:
- * - Superadmin (0): puede aplicar descuento normal (según reglas del service)
- * - Admin (1): SOLO puede aplicar descuento SOBRE MORA
- *   - En créditos "libre" NO hay mora => si admin manda descuento, se rechaza (403)
+ * REGLA (por permisos, no por rol_id):
+ * - pagos.descuento_total: descuento normal (según reglas del service)
+ * - solo pagos.descuento_mora: descuento SOLO SOBRE MORA
+ *   - En créditos "libre" NO hay mora => si manda descuento, se rechaza (403)
  *
  * Nota: enviamos `descuento_scope: 'mora'` para que el service aplique el descuento
- * únicamente a mora (blindaje definitivo en el próximo paso).
+ * únicamente a mora (el service vuelve a resolver el alcance por permisos).
  * ────────────────────────────────────────────────────────────────────────── */
-router.put('/pagar/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.put('/pagar/:id', verifyToken, checkPermission('pagos.registrar'), checkDescuentoPermission(), async (req, res) => {
     try {
         const rol_id = req.user?.rol_id ?? null;
         const usuario_id = req.user?.id ?? null;
@@ -266,13 +289,15 @@ router.put('/pagar/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
             });
         }
 
-        // Admin: si manda descuento, es descuento solo mora
+        const alcance = await alcanceDescuentoRol(rol_id);
+
+        // Solo mora: si manda descuento, es descuento solo mora
         let descuentoToSend = normalizePct(descuento);
-        if (rol_id === 1) {
+        if (alcance === 'mora') {
             descuentoToSend = normalizePct(descuento_mora !== null ? descuento_mora : descuento);
 
             if (descuentoToSend > 0) {
-                // Bloqueo fuerte: admin no puede "descontar" en Libre (sería capital/interés)
+                // Bloqueo fuerte: sin descuento_total no se puede "descontar" en Libre (sería capital/interés)
                 const cuotaInfo = await obtenerCuotaPorId(req.params.id);
                 if (!cuotaInfo) {
                     return res.status(404).json({ success: false, message: 'Cuota no encontrada' });
@@ -281,7 +306,7 @@ router.put('/pagar/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
                 if (modalidad === 'libre') {
                     return res.status(403).json({
                         success: false,
-                        message: 'Permiso denegado: el admin solo puede aplicar descuentos sobre la mora. En créditos LIBRE no hay mora para descontar.'
+                        message: 'Permiso denegado: solo podés aplicar descuentos sobre la mora. En créditos LIBRE no hay mora para descontar.'
                     });
                 }
             }
@@ -295,8 +320,8 @@ router.put('/pagar/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
             rol_id,
             usuario_id,
 
-            // bandera para que el service aplique el descuento SOLO a mora (admin)
-            descuento_scope: rol_id === 1 ? 'mora' : 'total'
+            // bandera para que el service aplique el descuento SOLO a mora (sin descuento_total)
+            descuento_scope: alcance === 'total' ? 'total' : 'mora'
         });
 
         // Nuevo service retorna { cuota, recibo }
@@ -332,7 +357,7 @@ router.put('/pagar/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
 /* ──────────────────────────────────────────────────────────────────────────
  * Actualizar cuotas vencidas automáticamente
  * ────────────────────────────────────────────────────────────────────────── */
-router.put('/actualizar-vencidas', verifyToken, checkRole([0, 1, 2]), async (_req, res) => {
+router.put('/actualizar-vencidas', verifyToken, checkPermission('cuotas.actualizar_vencidas'), async (_req, res) => {
     try {
         const resultado = await actualizarCuotasVencidas();
         res.json({ success: true, message: 'Cuotas vencidas actualizadas', data: resultado });
@@ -345,7 +370,7 @@ router.put('/actualizar-vencidas', verifyToken, checkRole([0, 1, 2]), async (_re
 /* ──────────────────────────────────────────────────────────────────────────
  * Recalcular mora de UNA cuota (idempotente)
  * ────────────────────────────────────────────────────────────────────────── */
-router.put('/:id/recalcular-mora', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.put('/:id/recalcular-mora', verifyToken, checkPermission('cuotas.gestionar'), async (req, res) => {
     try {
         const mora = await recalcularMoraCuota(req.params.id);
         res.json({
@@ -362,7 +387,7 @@ router.put('/:id/recalcular-mora', verifyToken, checkRole([0, 1]), async (req, r
 /* ──────────────────────────────────────────────────────────────────────────
  * Recalcular mora por lote (idempotente)
  * ────────────────────────────────────────────────────────────────────────── */
-router.post('/recalcular-mora', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.post('/recalcular-mora', verifyToken, checkPermission('cuotas.gestionar'), async (req, res) => {
     try {
         const { credito_id, cuota_ids, todas_vencidas } = req.body ?? {};
 
@@ -418,7 +443,7 @@ router.post('/recalcular-mora', verifyToken, checkRole([0, 1]), async (req, res)
 /* ──────────────────────────────────────────────────────────────────────────
  * Obtener cuotas por crédito (recalcula mora en el service)
  * ────────────────────────────────────────────────────────────────────────── */
-router.get('/credito/:creditoId', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+router.get('/credito/:creditoId', verifyToken, checkPermission('cuotas.ver'), async (req, res) => {
     try {
         const cuotas = await obtenerCuotasPorCredito(req.params.creditoId);
         res.json({ success: true, data: cuotas });
@@ -431,14 +456,14 @@ router.get('/credito/:creditoId', verifyToken, checkRole([0, 1, 2]), async (req,
 /* ──────────────────────────────────────────────────────────────────────────
  * Registrar pago parcial (acepta descuento opcional en body)
  *
- * REGLA NUEVA:
- * - Superadmin (0): descuento normal
- * - Admin (1): SOLO descuento sobre mora
- *   - Si podemos determinar que es crédito LIBRE y admin manda descuento => 403
+ * REGLA (por permisos, no por rol_id):
+ * - pagos.descuento_total: descuento normal
+ * - solo pagos.descuento_mora: SOLO descuento sobre mora
+ *   - Si podemos determinar que es crédito LIBRE y manda descuento => 403
  *
  * Enviamos `descuento_scope` para que el service aplique el descuento únicamente a mora.
  * ────────────────────────────────────────────────────────────────────────── */
-router.post('/pago-parcial', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.post('/pago-parcial', verifyToken, checkPermission('pagos.registrar'), checkDescuentoPermission(), async (req, res) => {
     try {
         const rol_id = req.user?.rol_id ?? null;
         const usuario_id = req.user?.id ?? null;
@@ -449,8 +474,9 @@ router.post('/pago-parcial', verifyToken, checkRole([0, 1]), async (req, res) =>
             : req.body?.descuento;
 
         const descuentoToSend = normalizePct(descuentoIncoming);
+        const alcance = await alcanceDescuentoRol(rol_id);
 
-        if (rol_id === 1 && descuentoToSend > 0) {
+        if (alcance === 'mora' && descuentoToSend > 0) {
             // Best-effort: intentar detectar libre para bloquear
             const cuotaId = req.body?.cuota_id ?? req.body?.cuotaId ?? null;
             const creditoId = req.body?.credito_id ?? req.body?.creditoId ?? null;
@@ -467,7 +493,7 @@ router.post('/pago-parcial', verifyToken, checkRole([0, 1]), async (req, res) =>
             if (modalidad === 'libre') {
                 return res.status(403).json({
                     success: false,
-                    message: 'Permiso denegado: el admin solo puede aplicar descuentos sobre la mora. En créditos LIBRE no hay mora para descontar.'
+                    message: 'Permiso denegado: solo podés aplicar descuentos sobre la mora. En créditos LIBRE no hay mora para descontar.'
                 });
             }
         }
@@ -478,7 +504,7 @@ router.post('/pago-parcial', verifyToken, checkRole([0, 1]), async (req, res) =>
             descuento: descuentoToSend,
             rol_id,
             usuario_id,
-            descuento_scope: rol_id === 1 ? 'mora' : 'total'
+            descuento_scope: alcance === 'total' ? 'total' : 'mora'
         });
 
         res.status(200).json({
@@ -1,7 +1,7 @@
 // backend/src/routes/formasPago.routes.js
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 import {
     obtenerFormasPago,
     obtenerFormaPagoPorId,
@@ -17,7 +17,7 @@ const router = Router();
  * Listado de formas de pago (para selects, etc.)
  * Acceso: superadmin/admin (roles 0 y 1) -> SOLO VER
  */
-router.get('/', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.get('/', verifyToken, checkPermission('formas_pago.ver'), async (req, res) => {
     try {
         const formas = await obtenerFormasPago();
         res.json(formas);
@@ -32,7 +32,7 @@ router.get('/', verifyToken, checkRole([0, 1]), async (req, res) => {
  * Detalle de una forma de pago
  * Acceso: superadmin/admin (roles 0 y 1) -> SOLO VER
  */
-router.get('/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.get('/:id', verifyToken, checkPermission('formas_pago.ver'), async (req, res) => {
     try {
         const forma = await obtenerFormaPagoPorId(req.params.id);
         if (!forma) {
@@ -50,7 +50,7 @@ router.get('/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
  * Crear nueva forma de pago
  * Acceso: sólo superadmin (rol 0)
  */
-router.post('/', verifyToken, checkRole([0]), async (req, res) => {
+router.post('/', verifyToken, checkPermission('formas_pago.gestionar'), async (req, res) => {
     try {
         const nueva = await crearFormaPago(req.body);
         res.status(201).json(nueva);
@@ -70,7 +70,7 @@ router.post('/', verifyToken, checkRole([0]), async (req, res) => {
  * Actualizar forma de pago existente
  * Acceso: sólo superadmin (rol 0)
  */
-router.put('/:id', verifyToken, checkRole([0]), async (req, res) => {
+router.put('/:id', verifyToken, checkPermission('formas_pago.gestionar'), async (req, res) => {
     try {
         const actualizada = await actualizarFormaPago(req.params.id, req.body);
         if (!actualizada) {
@@ -93,7 +93,7 @@ router.put('/:id', verifyToken, checkRole([0]), async (req, res) => {
  * Eliminar forma de pago
  * Acceso: sólo superadmin (rol 0)
  */
-router.delete('/:id', verifyToken, checkRole([0]), async (req, res) => {
+router.delete('/:id', verifyToken, checkPermission('formas_pago.gestionar'), async (req, res) => {
     try {
         const deleted = await eliminarFormaPago(req.params.id);
 
@@ -0,0 +1,70 @@
+import { Router } from 'express';
+import verifyToken from '../middleware/verifyToken.js';
+import checkPermission from '../middleware/checkPermission.js';
+import {
+    obtenerGarantes,
+    obtenerGarantePorId,
+    crearGarante,
+    actualizarGarante
+} from '../services/garante.service.js';
+
+const router = Router();
+
+const sendError = (res, error, fallback, tag) => {
+    console.error(tag, error);
+    res.status(error?.status || 500).json({
+        success: false,
+        code: error?.status ? error.code : undefined,
+        message: error?.status ? error.message : fallback
+    });
+};
+
+/**
+ * GET /garantes
+ * Query: ?q=texto (nombre, apellido o DNI)&cliente_id=&page=1&limit=50
+ */
+router.get('/', verifyToken, checkPermission('garantes.ver'), async (req, res) => {
+    try {
+        const { data, pagination } = await obtenerGarantes(req.query);
+        res.json({ success: true, data, pagination });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener garantes', '[GARANTES][GET /]');
+    }
+});
+
+// GET /garantes/:id  (créditos que garantiza + advertencias de mora)
+router.get('/:id', verifyToken, checkPermission('garantes.ver'), async (req, res) => {
+    try {
+        const data = await obtenerGarantePorId(req.params.id);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener el garante', '[GARANTES][GET /:id]');
+    }
+});
+
+/**
+ * POST /garantes
+ * Body: { cliente_id } para registrar a un cliente existente, o
+ *       { nombre, apellido?, dni?, telefono?, email?, direccion?, localidad?,
+ *         ocupacion?, empleador?, ingresos_mensuales?, observaciones? }
+ */
+router.post('/', verifyToken, checkPermission('garantes.gestionar'), async (req, res) => {
+    try {
+        const data = await crearGarante(req.body || {}, { usuarioId: req.user?.id });
+        res.status(201).json({ success: true, message: 'Garante registrado', data });
+    } catch (error) {
+        sendError(res, error, 'Error al registrar el garante', '[GARANTES][POST /]');
+    }
+});
+
+// PUT /garantes/:id  (actualización parcial de datos de contacto e ingresos)
+router.put('/:id', verifyToken, checkPermission('garantes.gestionar'), async (req, res) => {
+    try {
+        const data = await actualizarGarante(req.params.id, req.body || {});
+        res.json({ success: true, message: 'Garante actualizado', data });
+    } catch (error) {
+        sendError(res, error, 'Error al actualizar el garante', '[GARANTES][PUT /:id]');
+    }
+});
+
+export default router;
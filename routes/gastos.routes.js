@@ -1,7 +1,7 @@
 // backend/src/routes/gastos.routes.js
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 import {
     crearGasto,
     listarGastos,
@@ -18,8 +18,8 @@ const router = Router();
  */
 router.get('/', verifyToken, listarGastos);
 router.get('/:id', verifyToken, obtenerGasto);
-router.post('/', verifyToken, checkRole([0, 1]), crearGasto);
-router.put('/:id', verifyToken, checkRole([0, 1]), actualizarGasto);
-router.delete('/:id', verifyToken, checkRole([0, 1]), eliminarGasto);
+router.post('/', verifyToken, checkPermission('gastos.gestionar'), crearGasto);
+router.put('/:id', verifyToken, checkPermission('gastos.gestionar'), actualizarGasto);
+router.delete('/:id', verifyToken, checkPermission('gastos.gestionar'), eliminarGasto);
 
 export default router;
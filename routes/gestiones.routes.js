@@ -0,0 +1,92 @@
+import { Router } from 'express';
+import verifyToken from '../middleware/verifyToken.js';
+import checkPermission from '../middleware/checkPermission.js';
+import {
+    obtenerCatalogoGestiones,
+    obtenerGestiones,
+    obtenerGestionPorId,
+    registrarGestion,
+    reportePromesas,
+    evaluarPromesasPendientes
+} from '../services/gestion.service.js';
+
+const router = Router();
+
+const sendError = (res, error, fallback, tag) => {
+    console.error(tag, error);
+    res.status(error?.status || 500).json({
+        success: false,
+        code: error?.status ? error.code : undefined,
+        message: error?.status ? error.message : fallback
+    });
+};
+
+const actor = (req) => ({ usuarioId: req.user?.id, rolId: req.user?.rol_id });
+
+// GET /gestiones/catalogo  (tipos, resultados y estados de promesa para los selects)
+router.get('/catalogo', verifyToken, checkPermission('gestiones.ver'), (req, res) => {
+    res.json({ success: true, data: obtenerCatalogoGestiones() });
+});
+
+/**
+ * GET /gestiones/reportes/promesas
+ * Query: ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD&cobradorId=&zonaId=
+ * Promesas con vencimiento en el rango, por cobrador y por zona + detalle de incumplidas.
+ */
+router.get('/reportes/promesas', verifyToken, checkPermission('gestiones.reportes'), async (req, res) => {
+    try {
+        const data = await reportePromesas(req.query);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al generar el reporte de promesas', '[GESTIONES][GET /reportes/promesas]');
+    }
+});
+
+// POST /gestiones/promesas/evaluar  (re-evalúa ya las promesas pendientes; el cron lo hace a diario)
+router.post('/promesas/evaluar', verifyToken, checkPermission('gestiones.reportes'), async (req, res) => {
+    try {
+        const data = await evaluarPromesasPendientes(req.body || {});
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al evaluar promesas de pago', '[GESTIONES][POST /promesas/evaluar]');
+    }
+});
+
+/**
+ * GET /gestiones
+ * Query: ?cliente_id=&credito_id=&usuario_id=&tipo=&resultado=&promesa_estado=&desde=&hasta=&page=1&limit=50
+ * El cobrador solo ve sus propias gestiones.
+ */
+router.get('/', verifyToken, checkPermission('gestiones.ver'), async (req, res) => {
+    try {
+        const { data, pagination } = await obtenerGestiones(req.query, actor(req));
+        res.json({ success: true, data, pagination });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener gestiones', '[GESTIONES][GET /]');
+    }
+});
+
+router.get('/:id', verifyToken, checkPermission('gestiones.ver'), async (req, res) => {
+    try {
+        const data = await obtenerGestionPorId(req.params.id, actor(req));
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener la gestión', '[GESTIONES][GET /:id]');
+    }
+});
+
+/**
+ * POST /gestiones
+ * Body: { cliente_id, credito_id?, tipo: visita|llamada|mensaje, resultado, nota?, fecha?,
+ *         promesa_fecha?, promesa_monto? }  (promesa solo con resultado "promesa_pago")
+ */
+router.post('/', verifyToken, checkPermission('gestiones.registrar'), async (req, res) => {
+    try {
+        const data = await registrarGestion(req.body || {}, actor(req));
+        res.status(201).json({ success: true, message: 'Gestión registrada', data });
+    } catch (error) {
+        sendError(res, error, 'Error al registrar la gestión', '[GESTIONES][POST /]');
+    }
+});
+
+export default router;
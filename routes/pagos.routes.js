@@ -1,17 +1,18 @@
 // routes/pagos.routes.js
 import express from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission, { checkDescuentoPermission } from '../middleware/checkPermission.js';
 import {
   registrarPago,
   registrarPagoTotal,
   obtenerPagosPorCuota
 } from '../services/pago.service.js';
+import { alcanceDescuentoRol } from '../services/permiso.service.js';
 
 const router = express.Router();
 
 /* ──────────────────────────────────────────────────────────────
- * Helpers para reglas de descuento por rol
+ * Helpers para reglas de descuento por permisos
  * ────────────────────────────────────────────────────────────── */
 const sanitizeNumber = (value) => {
   if (value === null || value === undefined) return 0;
@@ -29,7 +30,7 @@ const sanitizeNumber = (value) => {
 };
 
 /**
- * Admin (rol 1): SOLO descuento sobre mora.
+ * Sin 'pagos.descuento_total' (solo 'pagos.descuento_mora'): SOLO descuento sobre mora.
  * - Si llega "descuento" (legacy) u otros campos, lo mapeamos a "descuento_mora"
  * - Forzamos descuento_scope='mora'
  * - Eliminamos "descuento" para que NO viaje al service como campo legacy
@@ -39,10 +40,10 @@ const sanitizeNumber = (value) => {
  *   (ahí el descuento se aplica únicamente sobre la mora).
  * - En créditos LIBRE puede existir mora si está vencido por fecha_compromiso_pago.
  */
-const enforceAdminDiscountOnlyMora = (req, res, next) => {
+const enforceDescuentoSoloMora = async (req, res, next) => {
   try {
     const rol_id = req.user?.rol_id ?? req.user?.rol ?? null;
-    if (Number(rol_id) !== 1) return next();
+    if ((await alcanceDescuentoRol(rol_id)) === 'total') return next();
 
     const body = req.body ?? {};
 
@@ -68,7 +69,7 @@ const enforceAdminDiscountOnlyMora = (req, res, next) => {
 
     return next();
   } catch (e) {
-    console.error('[PAGOS][enforceAdminDiscountOnlyMora]', e);
+    console.error('[PAGOS][enforceDescuentoSoloMora]', e);
     return res.status(500).json({ success: false, message: 'Error validando permisos de descuento' });
   }
 };
@@ -76,28 +77,31 @@ const enforceAdminDiscountOnlyMora = (req, res, next) => {
 /**
  * Pago parcial de una cuota
  *
- * 🔒 Impactar pagos: solo Superadmin (0) y Admin (1)
- * 🔒 Admin: descuento SOLO sobre mora
+ * 🔒 Impactar pagos: permiso 'pagos.registrar' (por defecto Superadmin y Admin)
+ * 🔒 Descuentos: permiso 'pagos.descuento_mora'; Admin: descuento SOLO sobre mora
  */
 router.post(
   '/',
   verifyToken,
-  checkRole([0, 1]),
-  enforceAdminDiscountOnlyMora,
+  checkPermission('pagos.registrar'),
+  checkDescuentoPermission(),
+  enforceDescuentoSoloMora,
   registrarPago
 );
 
 /**
  * Pago total / liquidación
  *
- * 🔒 Impactar pagos: solo Superadmin (0) y Admin (1)
+ * 🔒 Impactar pagos: permiso 'pagos.registrar' (por defecto Superadmin y Admin)
+ * 🔒 Descuentos: permiso 'pagos.descuento_mora'
  * 🔒 Admin: descuento SOLO sobre mora (en cualquier modalidad; si no hay mora, no tiene efecto)
  */
 router.post(
   '/total',
   verifyToken,
-  checkRole([0, 1]),
-  enforceAdminDiscountOnlyMora,
+  checkPermission('pagos.registrar'),
+  checkDescuentoPermission(),
+  enforceDescuentoSoloMora,
   registrarPagoTotal
 );
 
@@ -105,6 +109,6 @@ router.post(
  * Historial de pagos de una cuota
  * (lectura: superadmin/admin/cobrador)
  */
-router.get('/cuota/:cuotaId', verifyToken, checkRole([0, 1, 2]), obtenerPagosPorCuota);
+router.get('/cuota/:cuotaId', verifyToken, checkPermission('pagos.ver'), obtenerPagosPorCuota);
 
 export default router;
\ No newline at end of file
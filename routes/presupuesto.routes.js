@@ -15,7 +15,7 @@ const router = Router();
 const normalizarModalidad = (raw) => {
     if (!raw) return null;
     const v = String(raw).trim().toLowerCase();
-    if (v === 'libre' || v === 'comun' || v === 'progresivo') {
+    if (v === 'libre' || v === 'comun' || v === 'progresivo' || v === 'frances') {
         return v;
     }
     return null;
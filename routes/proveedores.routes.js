@@ -1,7 +1,7 @@
 // backend/src/routes/proveedores.routes.js
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 import {
     listarProveedores,
     obtenerProveedor,
@@ -18,10 +18,10 @@ const router = Router();
  * - Altas/Ediciones/Bajas: admin/superadmin (roles [0,1])
  */
 
-router.get('/', verifyToken, checkRole([0, 1, 2]), listarProveedores);
-router.get('/:id', verifyToken, checkRole([0, 1, 2]), obtenerProveedor);
-router.post('/', verifyToken, checkRole([0, 1]), crearProveedor);
-router.put('/:id', verifyToken, checkRole([0, 1]), actualizarProveedor);
-router.delete('/:id', verifyToken, checkRole([0, 1]), eliminarProveedor);
+router.get('/', verifyToken, checkPermission('proveedores.ver'), listarProveedores);
+router.get('/:id', verifyToken, checkPermission('proveedores.ver'), obtenerProveedor);
+router.post('/', verifyToken, checkPermission('proveedores.gestionar'), crearProveedor);
+router.put('/:id', verifyToken, checkPermission('proveedores.gestionar'), actualizarProveedor);
+router.delete('/:id', verifyToken, checkPermission('proveedores.gestionar'), eliminarProveedor);
 
 export default router;
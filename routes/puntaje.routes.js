@@ -0,0 +1,55 @@
+import { Router } from 'express';
+import verifyToken from '../middleware/verifyToken.js';
+import checkPermission from '../middleware/checkPermission.js';
+import {
+    obtenerConfiguracionPuntaje,
+    actualizarConfiguracionPuntaje,
+    recalcularPuntajes
+} from '../services/puntaje.service.js';
+
+const router = Router();
+
+const sendError = (res, error, fallback, tag) => {
+    console.error(tag, error);
+    res.status(error?.status || 500).json({
+        success: false,
+        code: error?.status ? error.code : undefined,
+        message: error?.status ? error.message : fallback
+    });
+};
+
+// GET /puntaje/configuracion  (reglas activas + defaults + descripción de cada regla)
+router.get('/configuracion', verifyToken, checkPermission('puntaje.ver'), async (req, res) => {
+    try {
+        const data = await obtenerConfiguracionPuntaje();
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener la configuración del puntaje', '[PUNTAJE][GET /configuracion]');
+    }
+});
+
+/**
+ * PUT /puntaje/configuracion
+ * Body: { reglas: { cuota_a_tiempo: { puntos: 8 }, ... } (parciales), nota? }
+ * Crea una versión nueva y la activa; los puntajes se recalculan en el cron nocturno o con POST /recalcular.
+ */
+router.put('/configuracion', verifyToken, checkPermission('puntaje.configurar'), async (req, res) => {
+    try {
+        const data = await actualizarConfiguracionPuntaje(req.body || {}, { usuarioId: req.user?.id });
+        res.json({ success: true, message: 'Configuración del puntaje actualizada', data });
+    } catch (error) {
+        sendError(res, error, 'Error al actualizar la configuración del puntaje', '[PUNTAJE][PUT /configuracion]');
+    }
+});
+
+// POST /puntaje/recalcular  (recalcula ya todos los clientes; el cron lo hace a diario)
+router.post('/recalcular', verifyToken, checkPermission('puntaje.configurar'), async (req, res) => {
+    try {
+        const data = await recalcularPuntajes({ origen: 'manual' });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al recalcular puntajes', '[PUNTAJE][POST /recalcular]');
+    }
+});
+
+export default router;
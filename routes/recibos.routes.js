@@ -4,7 +4,7 @@ import Recibo from '../models/Recibo.js';
 import Cuota from '../models/Cuota.js';
 import Credito from '../models/Credito.js';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 
 const router = Router();
 
@@ -45,12 +45,14 @@ const esReciboLibre = (reciboPlain = {}) => {
  * Construye un objeto "recibo_ui" listo para el front.
  * Reglas:
  *  - SIEMPRE: saldo_anterior, pago (monto_pagado/pago_a_cuenta), saldo_actual, mora_cobrada, descuento_aplicado e importe_cuota_original.
- *  - SOLO LIBRE: principal_pagado, interes_ciclo_cobrado y saldos de capital del crédito.
+ *  - SOLO LIBRE / FRANCÉS: principal_pagado, interes_ciclo_cobrado y saldos de capital del crédito.
  */
 const buildReciboUI = (reciboPlain) => {
     if (!reciboPlain) return null;
 
     const libre = esReciboLibre(reciboPlain);
+    // Francés: el recibo separa capital / interés de la cuota igual que LIBRE
+    const frances = String(reciboPlain.modalidad_credito || '').toLowerCase() === 'frances';
     const {
         numero_recibo,
         fecha,
@@ -106,7 +108,7 @@ const buildReciboUI = (reciboPlain) => {
             mora_cobrada !== undefined ? nonAplicaIfZero(mora_cobrada) : undefined
     };
 
-    if (!libre) {
+    if (!libre && !frances) {
         // NO-LIBRE → oculto capital/interés de ciclo y saldos de capital del crédito
         return base;
     }
@@ -180,7 +182,7 @@ const withUI = async (reciboInstanceOrPlain, modalidadForzada = null) => {
  * Obtener recibos por crédito (JOIN a cuotas)
  * GET /api/recibos/credito/:creditoId
  */
-router.get('/credito/:creditoId', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+router.get('/credito/:creditoId', verifyToken, checkPermission('recibos.ver'), async (req, res) => {
     try {
         const creditoId = Number(req.params.creditoId);
         if (!Number.isFinite(creditoId) || creditoId <= 0) {
@@ -224,7 +226,7 @@ router.get('/credito/:creditoId', verifyToken, checkRole([0, 1, 2]), async (req,
  * Obtener recibos por cuota
  * GET /api/recibos/cuota/:cuotaId
  */
-router.get('/cuota/:cuotaId', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+router.get('/cuota/:cuotaId', verifyToken, checkPermission('recibos.ver'), async (req, res) => {
     try {
         const cuotaId = Number(req.params.cuotaId);
         if (!Number.isFinite(cuotaId) || cuotaId <= 0) {
@@ -261,7 +263,7 @@ router.get('/cuota/:cuotaId', verifyToken, checkRole([0, 1, 2]), async (req, res
  * Obtener un recibo por pago_id
  * GET /api/recibos/pago/:pagoId
  */
-router.get('/pago/:pagoId', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+router.get('/pago/:pagoId', verifyToken, checkPermission('recibos.ver'), async (req, res) => {
     try {
         const pagoId = Number(req.params.pagoId);
         if (!Number.isFinite(pagoId) || pagoId <= 0) {
@@ -285,7 +287,7 @@ router.get('/pago/:pagoId', verifyToken, checkRole([0, 1, 2]), async (req, res)
  * Obtener un recibo por su número (PK)
  * GET /api/recibos/:id
  */
-router.get('/:id', verifyToken, checkRole([0, 1, 2]), async (req, res) => {
+router.get('/:id', verifyToken, checkPermission('recibos.ver'), async (req, res) => {
     try {
         const id = Number(req.params.id);
         if (!Number.isFinite(id) || id <= 0) {
@@ -1,9 +1,32 @@
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
+import checkPermission from '../middleware/checkPermission.js';
 import { obtenerRoles } from '../services/roles.service.js';
+import { actualizarHorarioRol } from '../services/acceso.service.js';
+import { actualizarRequiere2FARol } from '../services/totp.service.js';
+import {
+    obtenerCatalogoPermisos,
+    obtenerRolesConPermisos,
+    obtenerPermisosDeRol,
+    obtenerCodigosPermisoRol,
+    asignarPermisosRol,
+    crearRol,
+    actualizarRol,
+    eliminarRol,
+    CATALOGO_PERMISOS,
+    ROL_SUPERADMIN
+} from '../services/permiso.service.js';
 
 const router = Router();
 
+const sendError = (res, error, fallback, tag) => {
+    console.error(tag, error);
+    res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : fallback
+    });
+};
+
 // GET - Obtener todos los roles
 router.get('/', verifyToken, async (req, res) => {
     try {
@@ -14,4 +37,111 @@ router.get('/', verifyToken, async (req, res) => {
     }
 });
 
+/* ──────────────────────────────────────────────────────────
+   PERMISOS (ORDENADO ANTES DE '/:id' PARA EVITAR COLISIONES)
+   ────────────────────────────────────────────────────────── */
+
+// GET - Catálogo de permisos
+router.get('/permisos', verifyToken, checkPermission('roles.gestionar'), async (req, res) => {
+    try {
+        const permisos = await obtenerCatalogoPermisos();
+        res.json({ success: true, data: permisos });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener permisos', '[ROLES][GET /permisos]');
+    }
+});
+
+// GET - Permisos del usuario logueado (para que el front muestre/oculte acciones)
+router.get('/mis-permisos', verifyToken, async (req, res) => {
+    try {
+        const permisos = req.user.rol_id === ROL_SUPERADMIN
+            ? CATALOGO_PERMISOS.map((p) => p.codigo)
+            : [...(await obtenerCodigosPermisoRol(req.user.rol_id))];
+        res.json({ success: true, data: { rol_id: req.user.rol_id, permisos } });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener permisos', '[ROLES][GET /mis-permisos]');
+    }
+});
+
+// GET - Roles con sus permisos
+router.get('/con-permisos', verifyToken, checkPermission('roles.gestionar'), async (req, res) => {
+    try {
+        const roles = await obtenerRolesConPermisos();
+        res.json({ success: true, data: roles });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener roles', '[ROLES][GET /con-permisos]');
+    }
+});
+
+// POST - Crear rol custom. Body: { nombre_rol, permisos?: string[] }
+router.post('/', verifyToken, checkPermission('roles.gestionar'), async (req, res) => {
+    try {
+        const rol = await crearRol(req.body || {});
+        res.status(201).json({ success: true, message: 'Rol creado exitosamente', data: rol });
+    } catch (error) {
+        sendError(res, error, 'Error al crear rol', '[ROLES][POST /]');
+    }
+});
+
+// GET - Permisos de un rol
+router.get('/:id/permisos', verifyToken, checkPermission('roles.gestionar'), async (req, res) => {
+    try {
+        const rol = await obtenerPermisosDeRol(req.params.id);
+        res.json({ success: true, data: rol });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener permisos del rol', '[ROLES][GET /:id/permisos]');
+    }
+});
+
+// PUT - Reemplazar permisos de un rol. Body: { permisos: string[] }
+router.put('/:id/permisos', verifyToken, checkPermission('roles.gestionar'), async (req, res) => {
+    try {
+        const rol = await asignarPermisosRol(req.params.id, req.body?.permisos);
+        res.json({ success: true, message: 'Permisos actualizados', data: rol });
+    } catch (error) {
+        sendError(res, error, 'Error al actualizar permisos del rol', '[ROLES][PUT /:id/permisos]');
+    }
+});
+
+// PUT - Renombrar rol. Body: { nombre_rol }
+router.put('/:id', verifyToken, checkPermission('roles.gestionar'), async (req, res) => {
+    try {
+        const rol = await actualizarRol(req.params.id, req.body || {});
+        res.json({ success: true, message: 'Rol actualizado exitosamente', data: rol });
+    } catch (error) {
+        sendError(res, error, 'Error al actualizar rol', '[ROLES][PUT /:id]');
+    }
+});
+
+// DELETE - Eliminar rol custom (sin usuarios asignados)
+router.delete('/:id', verifyToken, checkPermission('roles.gestionar'), async (req, res) => {
+    try {
+        await eliminarRol(req.params.id);
+        res.json({ success: true, message: 'Rol eliminado exitosamente' });
+    } catch (error) {
+        sendError(res, error, 'Error al eliminar rol', '[ROLES][DELETE /:id]');
+    }
+});
+
+// PUT - Ventana horaria de login del rol
+// Body: { horario_login_desde: 'HH:mm'|null, horario_login_hasta: 'HH:mm'|null, dias_login: number[]|null }
+router.put('/:id/horario', verifyToken, checkPermission('roles.gestionar'), async (req, res) => {
+    try {
+        const rol = await actualizarHorarioRol(req.params.id, req.body || {});
+        res.json({ success: true, message: 'Horario de login actualizado', data: rol });
+    } catch (error) {
+        sendError(res, error, 'Error al actualizar horario del rol', '[ROLES][PUT /:id/horario]');
+    }
+});
+
+// PUT - 2FA obligatorio para el rol. Body: { requiere_2fa: boolean }
+router.put('/:id/2fa', verifyToken, checkPermission('roles.gestionar'), async (req, res) => {
+    try {
+        const rol = await actualizarRequiere2FARol(req.params.id, req.body?.requiere_2fa);
+        res.json({ success: true, message: 'Exigencia de 2FA actualizada', data: rol });
+    } catch (error) {
+        sendError(res, error, 'Error al actualizar 2FA del rol', '[ROLES][PUT /:id/2fa]');
+    }
+});
+
 export default router;
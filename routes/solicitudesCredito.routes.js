@@ -0,0 +1,175 @@
+import { Router } from 'express';
+import verifyToken from '../middleware/verifyToken.js';
+import checkPermission from '../middleware/checkPermission.js';
+import {
+    listarSolicitudes,
+    obtenerSolicitud,
+    crearSolicitud,
+    actualizarSolicitud,
+    enviarSolicitud,
+    verificarDocumentoSolicitud,
+    comentarSolicitud,
+    aprobarSolicitud,
+    rechazarSolicitud,
+    cancelarSolicitud,
+    desembolsarSolicitud
+} from '../services/solicitudCredito.service.js';
+import { obtenerCreditoPorId } from '../services/credito.service.js';
+
+const router = Router();
+
+const sendError = (res, error, fallback, tag) => {
+    console.error(tag, error);
+    res.status(error?.status || 500).json({
+        success: false,
+        code: error?.status ? error.code : undefined,
+        message: error?.status ? error.message : fallback,
+        // datos para que el front muestre qué falta / ofrezca "forzar" (solo superadmin)
+        ...(error?.faltantes ? { faltantes: error.faltantes } : {}),
+        ...(error?.sin_verificar ? { sin_verificar: error.sin_verificar } : {}),
+        ...(error?.code === 'CLIENTE_BLOQUEADO' ? { bloqueo: error.bloqueo } : {}),
+        ...(error?.code === 'LIMITE_CREDITO_EXCEDIDO' ? { limite: error.limite } : {})
+    });
+};
+
+const actor = (req) => ({ usuarioId: req.user?.id, rolId: req.user?.rol_id });
+
+/* ───────────────── Consultas ───────────────── */
+
+// GET /solicitudes-credito?estado=en_evaluacion,aprobada&cliente_id=&desde=&hasta=&page=&limit=
+router.get('/', verifyToken, checkPermission('solicitudes.ver'), async (req, res) => {
+    try {
+        const { data, pagination } = await listarSolicitudes(req.query || {});
+        res.json({ success: true, data, pagination });
+    } catch (error) {
+        sendError(res, error, 'Error al listar solicitudes de crédito', '[SOLICITUDES][GET /]');
+    }
+});
+
+// GET /solicitudes-credito/:id  (historial, checklist y situación del cliente)
+router.get('/:id', verifyToken, checkPermission('solicitudes.ver'), async (req, res) => {
+    try {
+        const data = await obtenerSolicitud(req.params.id);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener la solicitud de crédito', '[SOLICITUDES][GET /:id]');
+    }
+});
+
+/* ───────────────── Borrador ───────────────── */
+
+/**
+ * POST /solicitudes-credito
+ * Body: { cliente_id, monto_acreditar, modalidad_credito, tipo_credito, cantidad_cuotas, descuento?,
+ *         fecha_compromiso_pago?, cobrador_id?, detalle_producto?, garantes?, documentos_requeridos?, comentario? }
+ */
+router.post('/', verifyToken, checkPermission('solicitudes.gestionar'), async (req, res) => {
+    try {
+        const data = await crearSolicitud(req.body || {}, actor(req));
+        res.status(201).json({ success: true, message: 'Solicitud de crédito cargada', data });
+    } catch (error) {
+        sendError(res, error, 'Error al cargar la solicitud de crédito', '[SOLICITUDES][POST /]');
+    }
+});
+
+// PUT /solicitudes-credito/:id  (solo en borrador; body parcial)
+router.put('/:id', verifyToken, checkPermission('solicitudes.gestionar'), async (req, res) => {
+    try {
+        const data = await actualizarSolicitud(req.params.id, req.body || {}, actor(req));
+        res.json({ success: true, message: 'Solicitud de crédito actualizada', data });
+    } catch (error) {
+        sendError(res, error, 'Error al actualizar la solicitud de crédito', '[SOLICITUDES][PUT /:id]');
+    }
+});
+
+// POST /solicitudes-credito/:id/enviar  Body: { comentario? }  (abre la tarea de aprobación)
+router.post('/:id/enviar', verifyToken, checkPermission('solicitudes.gestionar'), async (req, res) => {
+    try {
+        const data = await enviarSolicitud(req.params.id, { ...actor(req), comentario: req.body?.comentario });
+        res.json({ success: true, message: 'Solicitud enviada a evaluación', data });
+    } catch (error) {
+        sendError(res, error, 'Error al enviar la solicitud a evaluación', '[SOLICITUDES][POST /:id/enviar]');
+    }
+});
+
+// POST /solicitudes-credito/:id/comentarios  Body: { comentario }
+router.post('/:id/comentarios', verifyToken, checkPermission(['solicitudes.gestionar', 'solicitudes.aprobar']), async (req, res) => {
+    try {
+        const data = await comentarSolicitud(req.params.id, req.body?.comentario, actor(req));
+        res.status(201).json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al comentar la solicitud', '[SOLICITUDES][POST /:id/comentarios]');
+    }
+});
+
+// POST /solicitudes-credito/:id/cancelar  Body: { motivo? }
+router.post('/:id/cancelar', verifyToken, checkPermission('solicitudes.gestionar'), async (req, res) => {
+    try {
+        const data = await cancelarSolicitud(req.params.id, { ...actor(req), motivo: req.body?.motivo });
+        res.json({ success: true, message: 'Solicitud cancelada', data });
+    } catch (error) {
+        sendError(res, error, 'Error al cancelar la solicitud', '[SOLICITUDES][POST /:id/cancelar]');
+    }
+});
+
+/* ───────────────── Evaluación ───────────────── */
+
+// PATCH /solicitudes-credito/:id/checklist/:tipo  Body: { verificado: boolean, observacion? }
+router.patch('/:id/checklist/:tipo', verifyToken, checkPermission('solicitudes.aprobar'), async (req, res) => {
+    try {
+        const data = await verificarDocumentoSolicitud(req.params.id, req.params.tipo, req.body || {}, actor(req));
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Error al verificar el documento', '[SOLICITUDES][PATCH /:id/checklist/:tipo]');
+    }
+});
+
+// POST /solicitudes-credito/:id/aprobar  Body: { comentario? }
+router.post('/:id/aprobar', verifyToken, checkPermission('solicitudes.aprobar'), async (req, res) => {
+    try {
+        const data = await aprobarSolicitud(req.params.id, { ...actor(req), comentario: req.body?.comentario });
+        res.json({ success: true, message: 'Solicitud aprobada', data });
+    } catch (error) {
+        sendError(res, error, 'Error al aprobar la solicitud', '[SOLICITUDES][POST /:id/aprobar]');
+    }
+});
+
+// POST /solicitudes-credito/:id/rechazar  Body: { motivo }
+router.post('/:id/rechazar', verifyToken, checkPermission('solicitudes.aprobar'), async (req, res) => {
+    try {
+        const data = await rechazarSolicitud(req.params.id, { ...actor(req), motivo: req.body?.motivo });
+        res.json({ success: true, message: 'Solicitud rechazada', data });
+    } catch (error) {
+        sendError(res, error, 'Error al rechazar la solicitud', '[SOLICITUDES][POST /:id/rechazar]');
+    }
+});
+
+/* ───────────────── Desembolso ───────────────── */
+
+/**
+ * POST /solicitudes-credito/:id/desembolsar
+ * Body: { fecha_compromiso_pago?, forzar_bloqueo?, forzar_limite?, motivo_forzado? }
+ * Crea el crédito aprobado y registra el egreso en caja.
+ */
+router.post('/:id/desembolsar', verifyToken, checkPermission('solicitudes.desembolsar'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        for (const campo of ['forzar_bloqueo', 'forzar_limite']) {
+            if (body[campo] !== undefined && typeof body[campo] !== 'boolean') {
+                return res.status(400).json({ success: false, message: `${campo} debe ser booleano` });
+            }
+        }
+
+        const { solicitud, credito_id } = await desembolsarSolicitud(req.params.id, body, actor(req));
+        const credito = await obtenerCreditoPorId(credito_id, { rol_id: req.user.rol_id });
+        res.status(201).json({
+            success: true,
+            message: `Crédito #${credito_id} desembolsado`,
+            data: { solicitud, credito }
+        });
+    } catch (error) {
+        sendError(res, error, 'Error al desembolsar la solicitud', '[SOLICITUDES][POST /:id/desembolsar]');
+    }
+});
+
+export default router;
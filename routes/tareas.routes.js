@@ -1,16 +1,23 @@
 import { Router } from 'express';
 
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 
 import { crearTareaTest } from '../services/tareas.service.js';
 import { aprobarTarea } from '../services/tareas.service.js';
 import { rechazarTarea } from '../services/tareas.service.js';
 import { obtenerTareas } from '../services/tareas.service.js';
 import { solicitarAnulacionCredito } from '../services/credito.service.js';
+import { TIPO_TAREA_SOLICITUD } from '../services/solicitudCredito.service.js';
+import { rolTienePermiso } from '../services/permiso.service.js';
 
 const router = Router();
 
+// Quien resuelve tareas ve todas; quien solo aprueba solicitudes de crédito ve esas
+const PERMISOS_TAREAS = ['tareas.resolver', 'solicitudes.aprobar'];
+const tiposVisibles = async (rolId) =>
+    (await rolTienePermiso(rolId, ['tareas.resolver'])) ? null : [TIPO_TAREA_SOLICITUD];
+
 /**
  * TEST: crea una tarea de prueba
  */
@@ -40,7 +47,7 @@ router.post('/test', async (req, res) => {
 router.post(
     '/',
     verifyToken,
-    checkRole([1]), // admin
+    checkPermission('tareas.solicitar'),
     async (req, res) => {
         try {
             const { tipo, datos } = req.body;
@@ -76,7 +83,7 @@ router.post(
 router.post(
     '/pendientes',
     verifyToken,
-    checkRole([1]), // admin
+    checkPermission('tareas.solicitar'),
     async (req, res) => {
         try {
             const { tipo, datos } = req.body;
@@ -106,31 +113,56 @@ router.post(
 );
 
 /**
- * APROBAR TAREA (solo superadmin)
+ * APROBAR TAREA (superadmin; admin solo solicitudes de crédito)
  * PATCH /tareas/:id/aprobar
  */
-router.patch('/:id/aprobar', verifyToken, checkRole([0]), async (req, res) => {
-    const tarea = await aprobarTarea(req.params.id, req.user.id);
-    res.json({ success: true, data: tarea });
+router.patch('/:id/aprobar', verifyToken, checkPermission(PERMISOS_TAREAS), async (req, res) => {
+    try {
+        const tarea = await aprobarTarea(req.params.id, req.user.id, {
+            rolId: req.user.rol_id,
+            tipos: await tiposVisibles(req.user.rol_id)
+        });
+        res.json({ success: true, data: tarea });
+    } catch (err) {
+        console.error('[ERROR al aprobar tarea]', err);
+        res.status(err.status || 500).json({
+            success: false,
+            code: err.code,
+            message: err.message || 'Error al aprobar tarea'
+        });
+    }
 });
 
 /**
- * RECHAZAR TAREA (solo superadmin)
+ * RECHAZAR TAREA (superadmin; admin solo solicitudes de crédito)
  * PATCH /tareas/:id/rechazar
+ * Body opcional: { motivo } (queda como motivo de rechazo de la solicitud de crédito / prórroga)
  */
-router.patch('/:id/rechazar', verifyToken, checkRole([0]), async (req, res) => {
-    const tarea = await rechazarTarea(req.params.id, req.user.id);
-    res.json({ success: true, data: tarea });
+router.patch('/:id/rechazar', verifyToken, checkPermission(PERMISOS_TAREAS), async (req, res) => {
+    try {
+        const tarea = await rechazarTarea(req.params.id, req.user.id, {
+            motivo: req.body?.motivo,
+            tipos: await tiposVisibles(req.user.rol_id)
+        });
+        res.json({ success: true, data: tarea });
+    } catch (err) {
+        console.error('[ERROR al rechazar tarea]', err);
+        res.status(err.status || 500).json({
+            success: false,
+            code: err.code,
+            message: err.message || 'Error al rechazar tarea'
+        });
+    }
 });
 
 /**
- * LISTAR TAREAS (solo superadmin)
+ * LISTAR TAREAS (superadmin; admin solo solicitudes de crédito)
  * GET /tareas?estado=pendiente|aprobada|rechazada
  */
-router.get('/', verifyToken, checkRole([0]), async (req, res) => {
+router.get('/', verifyToken, checkPermission(PERMISOS_TAREAS), async (req, res) => {
     try {
         const estado = req.query.estado; // 'pendiente', 'aprobada', 'rechazada'
-        const tareas = await obtenerTareas({ estado });
+        const tareas = await obtenerTareas({ estado, tipos: await tiposVisibles(req.user.rol_id) });
         res.json({ success: true, data: tareas });
     } catch (err) {
         console.error('[ERROR al obtener tareas]', err);
@@ -1,6 +1,6 @@
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 import Cliente from '../models/Cliente.js';
 
 import {
@@ -13,6 +13,9 @@ import {
     obtenerCobradoresConZonas,
     obtenerCobradoresBasico
 } from '../services/usuario.service.js';
+import { obtenerSesionesActivas, revocarSesionesUsuario } from '../services/sesion.service.js';
+import { obtenerAccesosUsuario, desbloquearUsuario } from '../services/acceso.service.js';
+import { resetear2FA } from '../services/totp.service.js';
 
 const router = Router();
 
@@ -39,7 +42,7 @@ router.get('/me', verifyToken, async (req, res) => {
 });
 
 // GET - todos los usuarios
-router.get('/', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.get('/', verifyToken, checkPermission('usuarios.ver'), async (req, res) => {
     try {
         const usuarios = await obtenerUsuarios();
         res.json({ success: true, data: usuarios });
@@ -54,7 +57,7 @@ router.get('/', verifyToken, checkRole([0, 1]), async (req, res) => {
    ────────────────────────────────────────────────────────── */
 
 // GET - cobradores básico (id, nombre_completo)
-router.get('/cobradores', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.get('/cobradores', verifyToken, checkPermission('usuarios.ver'), async (req, res) => {
     try {
         const cobradores = await obtenerCobradoresBasico();
         res.json({ success: true, data: cobradores });
@@ -65,7 +68,7 @@ router.get('/cobradores', verifyToken, checkRole([0, 1]), async (req, res) => {
 });
 
 // GET - cobradores con sus zonas asignadas
-router.get('/cobradores/zonas', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.get('/cobradores/zonas', verifyToken, checkPermission('usuarios.ver'), async (req, res) => {
     try {
         const cobradores = await obtenerCobradoresConZonas();
         res.json({ success: true, data: cobradores });
@@ -76,7 +79,7 @@ router.get('/cobradores/zonas', verifyToken, checkRole([0, 1]), async (req, res)
 });
 
 // GET - usuario por ID
-router.get('/:id', verifyToken, checkRole([0]), async (req, res) => {
+router.get('/:id', verifyToken, checkPermission('usuarios.gestionar'), async (req, res) => {
     try {
         const usuario = await obtenerUsuarioPorId(req.params.id);
         if (!usuario) {
@@ -90,7 +93,7 @@ router.get('/:id', verifyToken, checkRole([0]), async (req, res) => {
 });
 
 // POST - crear usuario
-router.post('/', verifyToken, checkRole([0]), async (req, res) => {
+router.post('/', verifyToken, checkPermission('usuarios.gestionar'), async (req, res) => {
     try {
         const id = await crearUsuario(req.body);
         res.status(201).json({ success: true, message: 'Usuario creado exitosamente', data: { id } });
@@ -101,7 +104,7 @@ router.post('/', verifyToken, checkRole([0]), async (req, res) => {
 });
 
 // PUT - actualizar usuario
-router.put('/:id', verifyToken, checkRole([0]), async (req, res) => {
+router.put('/:id', verifyToken, checkPermission('usuarios.gestionar'), async (req, res) => {
     try {
         await actualizarUsuario(req.params.id, req.body);
         res.json({ success: true, message: 'Usuario actualizado exitosamente' });
@@ -112,7 +115,7 @@ router.put('/:id', verifyToken, checkRole([0]), async (req, res) => {
 });
 
 // DELETE - eliminar usuario
-router.delete('/:id', verifyToken, checkRole([0]), async (req, res) => {
+router.delete('/:id', verifyToken, checkPermission('usuarios.gestionar'), async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -121,16 +124,13 @@ router.delete('/:id', verifyToken, checkRole([0]), async (req, res) => {
             return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
         }
 
-        const rolId = usuario.rol?.id;
-        if (rolId === 2) {
-            // Uso correcto de la columna 'cobrador'
-            const clienteAsignado = await Cliente.findOne({ where: { cobrador: id } });
-            if (clienteAsignado) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'No se puede eliminar un cobrador con clientes asignados'
-                });
-            }
+        // Cualquier usuario con cartera (columna 'cobrador'), sin importar el rol
+        const clienteAsignado = await Cliente.findOne({ where: { cobrador: id } });
+        if (clienteAsignado) {
+            return res.status(400).json({
+                success: false,
+                message: 'No se puede eliminar un usuario con clientes asignados'
+            });
         }
 
         await eliminarUsuario(id);
@@ -145,7 +145,7 @@ router.delete('/:id', verifyToken, checkRole([0]), async (req, res) => {
 });
 
 // PUT - cambiar contraseña de usuario
-router.put('/:id/password', verifyToken, checkRole([0]), async (req, res) => {
+router.put('/:id/password', verifyToken, checkPermission('usuarios.gestionar'), async (req, res) => {
     try {
         const { password } = req.body;
         if (!password) {
@@ -159,5 +159,66 @@ router.put('/:id/password', verifyToken, checkRole([0]), async (req, res) => {
     }
 });
 
-export default router;
+// GET - sesiones activas de un usuario
+router.get('/:id/sesiones', verifyToken, checkPermission('usuarios.gestionar'), async (req, res) => {
+    try {
+        const sesiones = await obtenerSesionesActivas(req.params.id);
+        res.json({ success: true, data: sesiones });
+    } catch (error) {
+        console.error('[USUARIOS][GET /:id/sesiones]', error);
+        res.status(500).json({ success: false, message: 'Error obteniendo sesiones' });
+    }
+});
+
+// POST - cerrar todas las sesiones de un usuario (ej: celular perdido)
+router.post('/:id/cerrar-sesiones', verifyToken, checkPermission('usuarios.gestionar'), async (req, res) => {
+    try {
+        const cerradas = await revocarSesionesUsuario(req.params.id, 'cerrar_todas');
+        res.json({ success: true, message: 'Sesiones cerradas', data: { cerradas } });
+    } catch (error) {
+        console.error('[USUARIOS][POST /:id/cerrar-sesiones]', error);
+        res.status(500).json({ success: false, message: 'Error cerrando sesiones' });
+    }
+});
+
+// GET - historial de accesos (intentos de login) de un usuario
+// ?exito=true|false&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&page=1&limit=50
+router.get('/:id/accesos', verifyToken, checkPermission('usuarios.gestionar'), async (req, res) => {
+    try {
+        const { data, pagination } = await obtenerAccesosUsuario(req.params.id, req.query);
+        res.json({ success: true, data, pagination });
+    } catch (error) {
+        console.error('[USUARIOS][GET /:id/accesos]', error);
+        res.status(500).json({ success: false, message: 'Error obteniendo historial de accesos' });
+    }
+});
+
+// POST - desbloquear usuario bloqueado por intentos fallidos
+router.post('/:id/desbloquear', verifyToken, checkPermission('usuarios.gestionar'), async (req, res) => {
+    try {
+        await desbloquearUsuario(req.params.id);
+        res.json({ success: true, message: 'Usuario desbloqueado' });
+    } catch (error) {
+        console.error('[USUARIOS][POST /:id/desbloquear]', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error desbloqueando usuario'
+        });
+    }
+});
 
+// POST - resetear 2FA (dispositivo perdido): borra secreto y códigos, corta sus sesiones
+router.post('/:id/2fa/reset', verifyToken, checkPermission('usuarios.reset_2fa'), async (req, res) => {
+    try {
+        await resetear2FA(req.params.id);
+        res.json({ success: true, message: '2FA reseteado. El usuario deberá volver a configurarlo.' });
+    } catch (error) {
+        console.error('[USUARIOS][POST /:id/2fa/reset]', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error reseteando 2FA'
+        });
+    }
+});
+
+export default router;
@@ -1,7 +1,7 @@
 // backend/src/routes/ventas.routes.js
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 import {
   crearVentaManual,
   listarVentasManuales,
@@ -27,15 +27,15 @@ const router = Router();
 /* ===== Rutas principales con /manuales ===== */
 router.get('/manuales', verifyToken, listarVentasManuales);
 router.get('/manuales/:id', verifyToken, obtenerVentaManual);
-router.post('/manuales', verifyToken, checkRole([0, 1]), crearVentaManual);
+router.post('/manuales', verifyToken, checkPermission('ventas.gestionar'), crearVentaManual);
 // ❌ Sin PUT/PATCH: edición deshabilitada
-router.delete('/manuales/:id', verifyToken, checkRole([0, 1]), eliminarVentaManual);
+router.delete('/manuales/:id', verifyToken, checkPermission('ventas.gestionar'), eliminarVentaManual);
 
 /* ===== Alias en raíz (/api/ventas) ===== */
 router.get('/', verifyToken, listarVentasManuales);
 router.get('/:id', verifyToken, obtenerVentaManual);
-router.post('/', verifyToken, checkRole([0, 1]), crearVentaManual);
+router.post('/', verifyToken, checkPermission('ventas.gestionar'), crearVentaManual);
 // ❌ Sin PUT/PATCH: edición deshabilitada
-router.delete('/:id', verifyToken, checkRole([0, 1]), eliminarVentaManual);
+router.delete('/:id', verifyToken, checkPermission('ventas.gestionar'), eliminarVentaManual);
 
 export default router;
\ No newline at end of file
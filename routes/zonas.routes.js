@@ -1,6 +1,6 @@
 import { Router } from 'express';
 import verifyToken from '../middleware/verifyToken.js';
-import checkRole from '../middleware/checkRole.js';
+import checkPermission from '../middleware/checkPermission.js';
 import {
     obtenerZonas,
     obtenerZonaPorId,
@@ -26,7 +26,7 @@ const mapErrorToStatus = (err) => {
 };
 
 // GET - Todas las zonas (solo superadmin/admin -> lectura)
-router.get('/', verifyToken, checkRole([0, 1]), async (_req, res) => {
+router.get('/', verifyToken, checkPermission('zonas.ver'), async (_req, res) => {
     try {
         const zonas = await obtenerZonas();
         res.json({ success: true, data: zonas });
@@ -37,7 +37,7 @@ router.get('/', verifyToken, checkRole([0, 1]), async (_req, res) => {
 });
 
 // GET - Zona por ID (solo superadmin/admin -> lectura)
-router.get('/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
+router.get('/:id', verifyToken, checkPermission('zonas.ver'), async (req, res) => {
     try {
         const id = parseId(req.params.id);
         if (!id) {
@@ -57,7 +57,7 @@ router.get('/:id', verifyToken, checkRole([0, 1]), async (req, res) => {
 });
 
 // POST - Crear zona (solo superadmin)
-router.post('/', verifyToken, checkRole([0]), async (req, res) => {
+router.post('/', verifyToken, checkPermission('zonas.gestionar'), async (req, res) => {
     try {
         const id = await crearZona(req.body);
         res.status(201).json({ success: true, message: 'Zona creada exitosamente', data: { id } });
@@ -69,7 +69,7 @@ router.post('/', verifyToken, checkRole([0]), async (req, res) => {
 });
 
 // PUT - Actualizar zona (solo superadmin)
-router.put('/:id', verifyToken, checkRole([0]), async (req, res) => {
+router.put('/:id', verifyToken, checkPermission('zonas.gestionar'), async (req, res) => {
     try {
         const id = parseId(req.params.id);
         if (!id) {
@@ -92,7 +92,7 @@ router.put('/:id', verifyToken, checkRole([0]), async (req, res) => {
 });
 
 // DELETE - Eliminar zona (solo si no tiene clientes) (solo superadmin)
-router.delete('/:id', verifyToken, checkRole([0]), async (req, res) => {
+router.delete('/:id', verifyToken, checkPermission('zonas.gestionar'), async (req, res) => {
     try {
         const id = parseId(req.params.id);
         if (!id) {
@@ -65,6 +65,11 @@ const UPLOADS_PUBLIC_ENABLED = parseBool(process.env.UPLOADS_PUBLIC_ENABLED, fal
  */
 const { default: sequelize } = await import('./models/sequelize.js');
 const { initCuotasCron } = await import('./cronJobs/cuotasCron.js');
+const { initGestionesCron } = await import('./cronJobs/gestionesCron.js');
+const { initPuntajeCron } = await import('./cronJobs/puntajeCron.js');
+const { sincronizarCatalogoPermisos } = await import('./services/permiso.service.js');
+const { prepararBusquedaClientes } = await import('./services/clienteBusqueda.service.js');
+const { cargarCalendario } = await import('./services/calendario.service.js');
 
 /* ─── Modelos ─── */
 await import('./models/Role.js');
@@ -84,6 +89,38 @@ await import('./models/Compra.js');
 await import('./models/Gasto.js');
 await import('./models/VentaManual.js');
 await import('./models/Proveedor.js');
+await import('./models/SesionUsuario.js');
+await import('./models/IntentoLogin.js');
+await import('./models/Permiso.js');
+await import('./models/RolPermiso.js');
+await import('./models/Suplantacion.js');
+await import('./models/SuplantacionRegistro.js');
+await import('./models/Auditoria.js');
+await import('./models/ClienteFusion.js');
+await import('./models/ClienteDocumento.js');
+await import('./models/Garante.js');
+await import('./models/CreditoGarante.js');
+await import('./models/ClienteBloqueo.js');
+await import('./models/ClienteBloqueoExcepcion.js');
+await import('./models/Gestion.js');
+await import('./models/PuntajeConfiguracion.js');
+await import('./models/PuntajeHistorial.js');
+await import('./models/ClienteLimiteExcepcion.js');
+await import('./models/CalendarioDia.js');
+await import('./models/CalendarioConfiguracion.js');
+await import('./models/SolicitudCredito.js');
+await import('./models/SolicitudCreditoEvento.js');
+await import('./models/CreditoReplanificacion.js');
+await import('./models/CreditoProrroga.js');
+
+/* ─── Auditoría (hooks sobre entidades de negocio) ─── */
+const { registrarHooksAuditoria } = await import('./services/auditoria.service.js');
+registrarHooksAuditoria(
+  ['Credito', 'Cuota', 'Pago', 'Cliente', 'CajaMovimiento', 'Compra', 'Gasto', 'VentaManual', 'Garante', 'CreditoGarante', 'ClienteBloqueo', 'PuntajeConfiguracion', 'CalendarioDia', 'CalendarioConfiguracion', 'SolicitudCredito', 'CreditoReplanificacion', 'CreditoProrroga']
+    .map((nombre) => sequelize.models[nombre]),
+  // Alto volumen (crons de mora, cache de calendario): una fila resumen por update/destroy masivo
+  { masivosResumidos: ['Cuota', 'CalendarioDia'] }
+);
 
 /* ─── Rutas ─── */
 const { default: clientesRoutes } = await import('./routes/clientes.routes.js');
@@ -101,6 +138,13 @@ const { default: presupuestoRoutes } = await import('./routes/presupuesto.routes
 const { default: recibosRoutes } = await import('./routes/recibos.routes.js');
 const { default: cajaRoutes } = await import('./routes/caja.routes.js');
 const { default: comprasRoutes } = await import('./routes/compras.routes.js');
+const { default: auditoriaRoutes } = await import('./routes/auditoria.routes.js');
+const { default: garantesRoutes } = await import('./routes/garantes.routes.js');
+const { default: gestionesRoutes } = await import('./routes/gestiones.routes.js');
+const { default: puntajeRoutes } = await import('./routes/puntaje.routes.js');
+const { default: calendarioRoutes } = await import('./routes/calendario.routes.js');
+const { default: solicitudesCreditoRoutes } = await import('./routes/solicitudesCredito.routes.js');
+const { default: requestContext } = await import('./middleware/requestContext.js');
 const { default: gastosRoutes } = await import('./routes/gastos.routes.js');
 const { default: ventasRoutes } = await import('./routes/ventas.routes.js');
 const { default: exportacionesRoutes } = await import('./routes/exportaciones.routes.js');
@@ -154,9 +198,9 @@ app.use(
     origin: corsOriginHandler,
     credentials: CORS_CREDENTIALS,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
     // útil para downloads cuando el back setea Content-Disposition
-    exposedHeaders: ['Content-Disposition'],
+    exposedHeaders: ['Content-Disposition', 'X-Request-Id', 'X-Suplantacion', 'X-Import-Summary'],
     maxAge: 86400,
     optionsSuccessStatus: 204,
   })
@@ -165,6 +209,9 @@ app.use(
 app.use(express.json({ limit: JSON_LIMIT }));
 app.use(express.urlencoded({ extended: true }));
 
+// Request id + actor por request (auditoría)
+app.use(requestContext);
+
 /* ─── Archivos estáticos ─── */
 const uploadsDir = path.resolve(process.cwd(), 'uploads');
 
@@ -217,6 +264,12 @@ app.use(`${API_PREFIX}/gastos`, gastosRoutes);
 app.use(`${API_PREFIX}/ventas`, ventasRoutes);
 app.use(`${API_PREFIX}/exportaciones`, exportacionesRoutes);
 app.use(`${API_PREFIX}/proveedores`, proveedoresRoutes);
+app.use(`${API_PREFIX}/auditoria`, auditoriaRoutes);
+app.use(`${API_PREFIX}/garantes`, garantesRoutes);
+app.use(`${API_PREFIX}/gestiones`, gestionesRoutes);
+app.use(`${API_PREFIX}/puntaje`, puntajeRoutes);
+app.use(`${API_PREFIX}/calendario`, calendarioRoutes);
+app.use(`${API_PREFIX}/solicitudes-credito`, solicitudesCreditoRoutes);
 
 /* ─── Start/Stop ─── */
 let server = null;
@@ -243,9 +296,35 @@ const start = async () => {
       console.log('ℹ️ Sync deshabilitado (DB_SYNC=false).');
     }
 
+    // Catálogo de permisos: no bloquea el arranque si la tabla aún no existe
+    try {
+      const { creados } = await sincronizarCatalogoPermisos();
+      console.log(`🔐 Catálogo de permisos sincronizado (${creados} nuevos)`);
+    } catch (e) {
+      console.error('⚠️ No se pudo sincronizar el catálogo de permisos:', e?.message || e);
+    }
+
+    // Búsqueda difusa de clientes (unaccent + pg_trgm); sin permisos queda en modo ILIKE
+    const { disponible: busquedaDifusa } = await prepararBusquedaClientes();
+    console.log(`🔎 Búsqueda de clientes: ${busquedaDifusa ? 'difusa (unaccent + trigramas)' : 'ILIKE'}`);
+
+    // Calendario de cobranza (feriados / días sin cobro) en memoria para vencimientos y mora
+    try {
+      const { dias } = await cargarCalendario();
+      console.log(`📅 Calendario de cobranza cargado (${dias} días no hábiles)`);
+    } catch (e) {
+      console.error('⚠️ No se pudo cargar el calendario de cobranza:', e?.message || e);
+    }
+
     initCuotasCron();
     console.log('⏱️ Cron de cuotas inicializado');
 
+    initGestionesCron();
+    console.log('⏱️ Cron de promesas de pago inicializado');
+
+    initPuntajeCron();
+    console.log('⏱️ Cron de puntaje crediticio inicializado');
+
     server = app.listen(PORT, HOST, () => {
       console.log(`🚀 Servidor corriendo en http://${HOST === '0.0.0.0' ? 'localhost' : HOST}:${PORT}`);
       console.log(`🔗 Prefix API: ${API_PREFIX || '(sin prefijo)'}`);
@@ -0,0 +1,282 @@
+// services/acceso.service.js
+import { Op } from 'sequelize';
+import IntentoLogin from '../models/IntentoLogin.js';
+import Usuario from '../models/Usuario.js';
+import Role from '../models/Role.js';
+import sequelize from '../models/sequelize.js';
+
+/* ───────────────── Config ───────────────── */
+
+const toInt = (v, def) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : def;
+};
+
+// Fallos consecutivos tolerados antes de bloquear
+const getMaxIntentos = () => Math.max(1, toInt(process.env.LOGIN_MAX_INTENTOS, 5));
+// Duración del primer bloqueo; cada bloqueo siguiente duplica (tope LOGIN_BLOQUEO_MAX_MINUTOS)
+const getBloqueoBaseMin = () => Math.max(1, toInt(process.env.LOGIN_BLOQUEO_MINUTOS, 15));
+const getBloqueoMaxMin = () => Math.max(1, toInt(process.env.LOGIN_BLOQUEO_MAX_MINUTOS, 24 * 60));
+
+const APP_TZ = process.env.APP_TZ || 'America/Argentina/Tucuman';
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const truncate = (v, max) => {
+    if (v == null) return null;
+    const s = String(v);
+    return s.length > max ? s.slice(0, max) : s;
+};
+
+const httpError = (status, message, code, extra = {}) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    Object.assign(err, extra);
+    return err;
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/** { dia: 0..6, minutos: minutos desde 00:00 } en la TZ del negocio */
+const nowPartsTZ = (d = new Date()) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: APP_TZ,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    }).formatToParts(d);
+
+    const get = (type) => parts.find((p) => p.type === type)?.value;
+    const hour = toInt(get('hour'), 0) % 24; // algunos runtimes devuelven "24" a medianoche
+    const minute = toInt(get('minute'), 0);
+
+    return { dia: WEEKDAYS[get('weekday')] ?? 0, minutos: hour * 60 + minute };
+};
+
+/** 'HH:mm' | 'HH:mm:ss' → minutos desde 00:00 (o null) */
+const timeToMinutes = (t) => {
+    const m = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(t ?? '').trim());
+    if (!m) return null;
+    const h = Number(m[1]);
+    const min = Number(m[2]);
+    if (h > 23 || min > 59) return null;
+    return h * 60 + min;
+};
+
+/* ───────────────── Historial ───────────────── */
+
+export const registrarIntentoLogin = async ({
+    usuarioId = null,
+    nombreUsuario = null,
+    ip = null,
+    userAgent = null,
+    exito = false,
+    motivo = null
+}) => {
+    try {
+        await IntentoLogin.create({
+            usuario_id: usuarioId,
+            nombre_usuario: truncate(nombreUsuario, 100),
+            ip: truncate(ip, 64),
+            user_agent: truncate(userAgent, 255),
+            exito: Boolean(exito),
+            motivo,
+            fecha: new Date()
+        });
+    } catch (err) {
+        // El log de accesos nunca debe impedir (ni habilitar) un login
+        console.error('[ACCESOS] No se pudo registrar el intento de login:', err);
+    }
+};
+
+/**
+ * GET /usuarios/:id/accesos
+ * Filtros: exito=true|false, desde, hasta (YYYY-MM-DD), page, limit
+ */
+export const obtenerAccesosUsuario = async (usuarioId, query = {}) => {
+    const { page = 1, limit = 50, exito, desde, hasta } = query || {};
+
+    const pageNum = Math.max(1, Number(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, Number(limit) || 50));
+    const offset = (pageNum - 1) * limitNum;
+
+    const where = { usuario_id: asInt(usuarioId) };
+    if (exito === 'true' || exito === true) where.exito = true;
+    if (exito === 'false' || exito === false) where.exito = false;
+
+    // Argentina no tiene horario de verano: el día de negocio es UTC-3
+    const rango = {};
+    if (desde && /^\d{4}-\d{2}-\d{2}$/.test(String(desde))) rango[Op.gte] = new Date(`${desde}T00:00:00-03:00`);
+    if (hasta && /^\d{4}-\d{2}-\d{2}$/.test(String(hasta))) rango[Op.lte] = new Date(`${hasta}T23:59:59.999-03:00`);
+    if (Object.getOwnPropertySymbols(rango).length) where.fecha = rango;
+
+    const { rows, count } = await IntentoLogin.findAndCountAll({
+        where,
+        order: [['fecha', 'DESC'], ['id', 'DESC']],
+        limit: limitNum,
+        offset
+    });
+
+    return {
+        data: rows.map((r) => r.get({ plain: true })),
+        pagination: { page: pageNum, limit: limitNum, total: count }
+    };
+};
+
+/* ───────────────── Bloqueo progresivo ───────────────── */
+
+/** Lanza 423 si el usuario está bloqueado en este momento. */
+export const assertNoBloqueado = (usuario) => {
+    const hasta = usuario?.bloqueado_hasta ? new Date(usuario.bloqueado_hasta) : null;
+    if (hasta && hasta > new Date()) {
+        throw httpError(
+            423,
+            'Usuario bloqueado temporalmente por intentos fallidos. Intentá más tarde o pedí el desbloqueo a un superadmin.',
+            'USUARIO_BLOQUEADO',
+            { bloqueado_hasta: hasta }
+        );
+    }
+};
+
+/**
+ * Suma un fallo. Al llegar a LOGIN_MAX_INTENTOS bloquea por
+ * base * 2^(bloqueos previos) minutos (con tope) y reinicia el contador.
+ * Devuelve la fecha de bloqueo si se bloqueó en este intento.
+ * El contador se lee con la fila bloqueada (FOR UPDATE): fallos concurrentes no se pisan.
+ */
+export const registrarFalloLogin = async (usuario) =>
+    sequelize.transaction(async (t) => {
+        const actual = await Usuario.findByPk(usuario.id, {
+            attributes: ['id', 'intentos_fallidos', 'bloqueos_consecutivos'],
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+        if (!actual) return null;
+
+        const fallos = Number(actual.intentos_fallidos || 0) + 1;
+
+        if (fallos < getMaxIntentos()) {
+            await Usuario.update({ intentos_fallidos: fallos }, { where: { id: usuario.id }, transaction: t });
+            return null;
+        }
+
+        const bloqueos = Number(actual.bloqueos_consecutivos || 0);
+        const minutos = Math.min(getBloqueoBaseMin() * 2 ** bloqueos, getBloqueoMaxMin());
+        const hasta = new Date(Date.now() + minutos * 60 * 1000);
+
+        await Usuario.update(
+            { intentos_fallidos: 0, bloqueos_consecutivos: bloqueos + 1, bloqueado_hasta: hasta },
+            { where: { id: usuario.id }, transaction: t }
+        );
+
+        return hasta;
+    });
+
+/** Login exitoso: limpia contadores de fallos y bloqueos. */
+export const registrarExitoLogin = async (usuario) => {
+    if (!usuario.intentos_fallidos && !usuario.bloqueos_consecutivos && !usuario.bloqueado_hasta) return;
+    await Usuario.update(
+        { intentos_fallidos: 0, bloqueos_consecutivos: 0, bloqueado_hasta: null },
+        { where: { id: usuario.id } }
+    );
+};
+
+/** Desbloqueo manual (superadmin). */
+export const desbloquearUsuario = async (usuarioId) => {
+    const usuario = await Usuario.findByPk(asInt(usuarioId), { attributes: ['id'] });
+    if (!usuario) throw httpError(404, 'Usuario no encontrado', 'USUARIO_NO_ENCONTRADO');
+
+    await Usuario.update(
+        { intentos_fallidos: 0, bloqueos_consecutivos: 0, bloqueado_hasta: null },
+        { where: { id: usuario.id } }
+    );
+};
+
+/* ───────────────── Ventana horaria por rol ───────────────── */
+
+/**
+ * ¿El rol puede autenticarse ahora?
+ * - Sin horario ni días configurados → siempre.
+ * - desde > hasta → ventana nocturna que cruza medianoche.
+ */
+export const rolEnHorarioLogin = (rol, fecha = new Date()) => {
+    if (!rol) return true;
+
+    const { dia, minutos } = nowPartsTZ(fecha);
+
+    const dias = Array.isArray(rol.dias_login) ? rol.dias_login.map(Number) : null;
+    if (dias && dias.length > 0 && !dias.includes(dia)) return false;
+
+    const desde = timeToMinutes(rol.horario_login_desde);
+    const hasta = timeToMinutes(rol.horario_login_hasta);
+    if (desde == null || hasta == null) return true;
+
+    return desde <= hasta
+        ? minutos >= desde && minutos <= hasta
+        : minutos >= desde || minutos <= hasta;
+};
+
+/** Lanza 403 si el rol del usuario está fuera de su ventana de login. */
+export const assertHorarioLogin = async (rolId) => {
+    const id = asInt(rolId);
+    if (id == null) return;
+
+    const rol = await Role.findByPk(id, {
+        attributes: ['id', 'nombre_rol', 'horario_login_desde', 'horario_login_hasta', 'dias_login']
+    });
+
+    if (!rolEnHorarioLogin(rol)) {
+        throw httpError(403, 'Tu rol no tiene permitido iniciar sesión en este horario', 'FUERA_DE_HORARIO', {
+            horario: rol
+                ? {
+                    desde: rol.horario_login_desde,
+                    hasta: rol.horario_login_hasta,
+                    dias: rol.dias_login
+                }
+                : null
+        });
+    }
+};
+
+/**
+ * Configura (o limpia con nulls) la ventana horaria de un rol.
+ * data: { horario_login_desde, horario_login_hasta, dias_login }
+ */
+export const actualizarHorarioRol = async (rolId, data = {}) => {
+    const rol = await Role.findByPk(asInt(rolId));
+    if (!rol) throw httpError(404, 'Rol no encontrado', 'ROL_NO_ENCONTRADO');
+
+    const desdeRaw = data.horario_login_desde ?? null;
+    const hastaRaw = data.horario_login_hasta ?? null;
+
+    if ((desdeRaw == null) !== (hastaRaw == null)) {
+        throw httpError(400, 'Indicá ambos extremos del horario (desde y hasta) o ninguno');
+    }
+    if (desdeRaw != null && (timeToMinutes(desdeRaw) == null || timeToMinutes(hastaRaw) == null)) {
+        throw httpError(400, 'Horario inválido: usá el formato HH:mm');
+    }
+
+    let dias = null;
+    if (Array.isArray(data.dias_login) && data.dias_login.length > 0) {
+        dias = [...new Set(data.dias_login.map((d) => asInt(d)))];
+        if (dias.some((d) => d == null || d < 0 || d > 6)) {
+            throw httpError(400, 'dias_login inválido: usá números de 0 (domingo) a 6 (sábado)');
+        }
+        dias.sort((a, b) => a - b);
+    }
+
+    await rol.update({
+        horario_login_desde: desdeRaw,
+        horario_login_hasta: hastaRaw,
+        dias_login: dias
+    });
+
+    return rol;
+};
@@ -0,0 +1,289 @@
+// services/auditoria.service.js
+import { Op } from 'sequelize';
+import * as XLSX from 'xlsx';
+import Auditoria from '../models/Auditoria.js';
+import Usuario from '../models/Usuario.js';
+import { getRequestContext } from '../middleware/requestContext.js';
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const truncate = (v, max) => {
+    if (v == null) return null;
+    const s = String(v);
+    return s.length > max ? s.slice(0, max) : s;
+};
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Nunca se guardan en claro en el log
+const CAMPOS_OCULTOS = new Set(['password', 'totp_secret', 'totp_codigos_respaldo']);
+
+/** Valor apto para JSONB (fechas a ISO, literales/fn de Sequelize como texto) */
+const serializar = (v) => {
+    if (v === undefined || v === null) return null;
+    if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v.toISOString();
+    if (Buffer.isBuffer(v)) return `[${v.length} bytes]`;
+    if (typeof v === 'object') {
+        if (Array.isArray(v) || Object.getPrototypeOf(v) === Object.prototype) return v;
+        return String(v.val ?? v);
+    }
+    return v;
+};
+
+/** Evita falsos cambios tipo "100.00" vs 100 o Date vs string ISO */
+const mismoValor = (a, b) => {
+    const sa = serializar(a);
+    const sb = serializar(b);
+    if (sa === sb) return true;
+    if (sa == null || sb == null) return false;
+    if (typeof sa === 'object' || typeof sb === 'object') return JSON.stringify(sa) === JSON.stringify(sb);
+    const na = Number(sa);
+    const nb = Number(sb);
+    if (sa !== '' && sb !== '' && Number.isFinite(na) && Number.isFinite(nb)) return na === nb;
+    return String(sa) === String(sb);
+};
+
+const valorVisible = (campo, v) => (CAMPOS_OCULTOS.has(campo) ? (v == null ? null : '***') : serializar(v));
+
+const snapshot = (instance, lado) => {
+    const out = {};
+    for (const [campo, v] of Object.entries(instance.get({ plain: true }))) {
+        if (v !== null && typeof v === 'object' && !(v instanceof Date) && !Array.isArray(v)
+            && Object.getPrototypeOf(v) !== Object.prototype) continue; // includes
+        out[campo] = lado === 'despues'
+            ? { antes: null, despues: valorVisible(campo, v) }
+            : { antes: valorVisible(campo, v), despues: null };
+    }
+    return out;
+};
+
+/** where de Sequelize apto para JSONB (los operadores son Symbol: se guardan como "[in]", "[gte]"...) */
+const serializarWhere = (w) => {
+    if (Array.isArray(w)) return w.map(serializarWhere);
+    if (w === null || typeof w !== 'object' || w instanceof Date || Object.getPrototypeOf(w) !== Object.prototype) {
+        return serializar(w);
+    }
+    const out = {};
+    for (const k of Reflect.ownKeys(w)) {
+        const clave = typeof k === 'symbol' ? `[${k.description}]` : k;
+        out[clave] = serializarWhere(w[k]);
+    }
+    return out;
+};
+
+const idDe = (instance) => {
+    if (!instance) return null;
+    const pk = instance.constructor.primaryKeyAttribute || 'id';
+    const v = instance.get(pk);
+    return v == null ? null : String(v);
+};
+
+/* ───────────────── Escritura ───────────────── */
+
+/**
+ * Inserta la fila de auditoría. Con transacción se difiere al commit
+ * (si la operación se revierte, no queda registro). Nunca rompe la operación auditada.
+ */
+const escribir = async (entidad, instance, accion, cambios, options = {}) => {
+    if (!cambios || Object.keys(cambios).length === 0) return;
+
+    const ctx = getRequestContext() || {};
+    const fila = {
+        entidad,
+        entidad_id: idDe(instance),
+        accion,
+        cambios,
+        usuario_id: ctx.usuario_id ?? null,
+        suplantacion_id: ctx.suplantacion_id ?? null,
+        request_id: truncate(ctx.request_id, 64),
+        metodo: truncate(ctx.metodo, 10),
+        ruta: truncate(ctx.ruta, 255),
+        ip: truncate(ctx.ip, 64),
+        fecha: new Date()
+    };
+
+    const insertar = async () => {
+        try {
+            await Auditoria.create(fila);
+        } catch (err) {
+            console.error(`[auditoria] No se pudo registrar ${accion} de ${entidad}#${fila.entidad_id}:`, err?.message || err);
+        }
+    };
+
+    if (options.transaction && typeof options.transaction.afterCommit === 'function') {
+        options.transaction.afterCommit(insertar);
+    } else {
+        await insertar();
+    }
+};
+
+/**
+ * Engancha hooks de auditoría a los modelos indicados.
+ * - update/destroy masivos (Model.update / Model.destroy con where) se fuerzan a
+ *   individualHooks para tener el antes/después de cada fila.
+ * - Excepción: los modelos de alto volumen (opciones.masivosResumidos, ej. Cuota en los
+ *   crons de mora) no cargan fila por fila; cada operación masiva deja UNA fila resumen
+ *   (entidad_id null) con el where y los valores aplicados.
+ * - El diff se calcula en beforeUpdate (después del save Sequelize pisa los valores previos).
+ */
+export const registrarHooksAuditoria = (modelos = [], { masivosResumidos = [] } = {}) => {
+    const resumidos = new Set(masivosResumidos);
+
+    for (const Model of modelos) {
+        if (!Model || Model.__auditoriaRegistrada) continue;
+        Model.__auditoriaRegistrada = true;
+
+        const entidad = Model.name;
+
+        if (resumidos.has(entidad)) {
+            Model.addHook('afterBulkUpdate', 'auditoria', async (options) => {
+                if (options.individualHooks) return; // ya los registró afterUpdate
+                const cambios = { _where: { antes: null, despues: serializarWhere(options.where) } };
+                for (const [campo, v] of Object.entries(options.attributes || {})) {
+                    cambios[campo] = { antes: null, despues: valorVisible(campo, v) };
+                }
+                await escribir(entidad, null, 'actualizar', cambios, options);
+            });
+            Model.addHook('afterBulkDestroy', 'auditoria', async (options) => {
+                if (options.individualHooks) return; // ya los registró afterDestroy
+                await escribir(entidad, null, 'eliminar', { _where: { antes: serializarWhere(options.where), despues: null } }, options);
+            });
+        } else {
+            Model.addHook('beforeBulkUpdate', 'auditoria', (options) => {
+                options.individualHooks = true;
+            });
+            Model.addHook('beforeBulkDestroy', 'auditoria', (options) => {
+                options.individualHooks = true;
+            });
+        }
+
+        Model.addHook('afterCreate', 'auditoria', (instance, options) =>
+            escribir(entidad, instance, 'crear', snapshot(instance, 'despues'), options));
+
+        Model.addHook('afterBulkCreate', 'auditoria', async (instances, options) => {
+            if (options.individualHooks) return; // ya los registró afterCreate
+            for (const instance of instances) {
+                await escribir(entidad, instance, 'crear', snapshot(instance, 'despues'), options);
+            }
+        });
+
+        Model.addHook('beforeUpdate', 'auditoria', (instance) => {
+            const cambios = {};
+            for (const campo of instance.changed() || []) {
+                const antes = instance.previous(campo);
+                const despues = instance.get(campo);
+                if (mismoValor(antes, despues)) continue;
+                cambios[campo] = { antes: valorVisible(campo, antes), despues: valorVisible(campo, despues) };
+            }
+            instance.__auditoriaCambios = cambios;
+        });
+
+        Model.addHook('afterUpdate', 'auditoria', async (instance, options) => {
+            const cambios = instance.__auditoriaCambios;
+            delete instance.__auditoriaCambios;
+            await escribir(entidad, instance, 'actualizar', cambios, options);
+        });
+
+        Model.addHook('afterDestroy', 'auditoria', (instance, options) =>
+            escribir(entidad, instance, 'eliminar', snapshot(instance, 'antes'), options));
+    }
+};
+
+/* ───────────────── Consulta ───────────────── */
+
+const buildWhere = (query = {}) => {
+    const where = {};
+
+    if (query.entidad) where.entidad = String(query.entidad).trim();
+    if (query.entidad_id != null && String(query.entidad_id).trim() !== '') {
+        where.entidad_id = String(query.entidad_id).trim();
+    }
+    if (query.accion) where.accion = String(query.accion).trim();
+    if (asInt(query.usuario_id)) where.usuario_id = asInt(query.usuario_id);
+    if (query.request_id) where.request_id = String(query.request_id).trim();
+
+    // Fechas de negocio en Argentina (UTC-3)
+    const fecha = {};
+    if (YMD_RE.test(String(query.desde || ''))) fecha[Op.gte] = new Date(`${query.desde}T00:00:00-03:00`);
+    if (YMD_RE.test(String(query.hasta || ''))) fecha[Op.lte] = new Date(`${query.hasta}T23:59:59.999-03:00`);
+    if (Object.getOwnPropertySymbols(fecha).length) where.fecha = fecha;
+
+    return where;
+};
+
+/**
+ * Listado paginado.
+ * Filtros: entidad, entidad_id, accion, usuario_id, request_id, desde, hasta (YYYY-MM-DD)
+ */
+export const obtenerAuditoria = async (query = {}) => {
+    const pageNum = Math.max(1, asInt(query.page) || 1);
+    const limitNum = Math.min(200, Math.max(1, asInt(query.limit) || 50));
+
+    const { rows, count } = await Auditoria.findAndCountAll({
+        where: buildWhere(query),
+        include: [{ model: Usuario, as: 'usuario', attributes: ['id', 'nombre_completo', 'nombre_usuario'] }],
+        order: [['fecha', 'DESC'], ['id', 'DESC']],
+        limit: limitNum,
+        offset: (pageNum - 1) * limitNum
+    });
+
+    return { data: rows, pagination: { page: pageNum, limit: limitNum, total: count } };
+};
+
+const MAX_FILAS_EXPORT = 50000;
+
+/**
+ * XLSX con los mismos filtros que el listado: una fila por campo modificado.
+ * Devuelve { buffer, filename }.
+ */
+export const exportarAuditoriaExcel = async (query = {}) => {
+    const rows = await Auditoria.findAll({
+        where: buildWhere(query),
+        include: [{ model: Usuario, as: 'usuario', attributes: ['id', 'nombre_completo', 'nombre_usuario'] }],
+        order: [['fecha', 'DESC'], ['id', 'DESC']],
+        limit: MAX_FILAS_EXPORT
+    });
+
+    const fmt = (v) => (v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : v);
+
+    const sheet = [];
+    for (const r of rows) {
+        const p = r.get({ plain: true });
+        const base = {
+            ID: p.id,
+            FECHA: p.fecha ? new Date(p.fecha).toISOString() : '',
+            USUARIO: p.usuario?.nombre_completo || p.usuario?.nombre_usuario || (p.usuario_id != null ? `Usuario #${p.usuario_id}` : 'Sistema'),
+            SUPLANTACION: p.suplantacion_id ?? '',
+            ENTIDAD: p.entidad,
+            'ENTIDAD ID': p.entidad_id ?? '',
+            ACCION: p.accion,
+            'REQUEST ID': p.request_id ?? '',
+            RUTA: p.metodo && p.ruta ? `${p.metodo} ${p.ruta}` : ''
+        };
+        const campos = Object.entries(p.cambios || {});
+        if (campos.length === 0) {
+            sheet.push({ ...base, CAMPO: '', ANTES: '', DESPUES: '' });
+            continue;
+        }
+        for (const [campo, { antes, despues } = {}] of campos) {
+            sheet.push({ ...base, CAMPO: campo, ANTES: fmt(antes), DESPUES: fmt(despues) });
+        }
+    }
+
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(sheet);
+    XLSX.utils.book_append_sheet(wb, ws, 'AUDITORIA');
+
+    const buffer = XLSX.write(wb, { bookType: 'xlsx', type: 'buffer' });
+
+    const d = YMD_RE.test(String(query.desde || '')) ? query.desde : '';
+    const h = YMD_RE.test(String(query.hasta || '')) ? query.hasta : '';
+    const rangoTxt = d && h ? `${d}_a_${h}` : (d || h || 'completo');
+
+    return { buffer, filename: `auditoria_${rangoTxt}.xlsx` };
+};
@@ -0,0 +1,417 @@
+// services/calendario.service.js
+// Calendario de cobranza: feriados (nacionales / Tucumán), cierres propios y días de semana sin cobro.
+// - Vencimientos: opción de correr al siguiente día hábil al generar cuotas
+// - Mora: gracia si el vencimiento cae en día no hábil (arranca después del siguiente hábil)
+// El calendario se mantiene en memoria (la mora se simula de forma síncrona) y se recarga
+// al modificarlo o cuando pasa CACHE_TTL_MS (por si hay varias instancias).
+import { Op } from 'sequelize';
+import CalendarioDia, { TIPOS_DIA_NO_HABIL } from '../models/CalendarioDia.js';
+import CalendarioConfiguracion from '../models/CalendarioConfiguracion.js';
+import Usuario from '../models/Usuario.js';
+
+/* ───────────────── Helpers ───────────────── */
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Tope defensivo al buscar el siguiente día hábil (evita loops si se cargan todos los días como no hábiles)
+const MAX_DIAS_BUSQUEDA = 60;
+
+const NOMBRES_DIA = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+
+const CONFIG_DEFAULT = Object.freeze({
+    dias_sin_cobro: [0],
+    correr_vencimientos: false,
+    gracia_dia_no_habil: true
+});
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+const esVerdadero = (v) => v === true || v === 'true' || v === 1 || v === '1';
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Acepta 'YYYY-MM-DD' o Date; devuelve 'YYYY-MM-DD' o null */
+const toYMD = (v) => {
+    if (!v) return null;
+    if (v instanceof Date) {
+        if (Number.isNaN(v.getTime())) return null;
+        const y = v.getFullYear();
+        const m = String(v.getMonth() + 1).padStart(2, '0');
+        const d = String(v.getDate()).padStart(2, '0');
+        return `${y}-${m}-${d}`;
+    }
+    const s = String(v).slice(0, 10);
+    return YMD_RE.test(s) ? s : null;
+};
+
+// Aritmética de fechas en UTC sobre YMD (sin corrimientos por TZ)
+const ymdToUTC = (ymd) => {
+    const [y, m, d] = ymd.split('-').map((x) => Number.parseInt(x, 10));
+    return new Date(Date.UTC(y, m - 1, d));
+};
+const utcToYMD = (date) => date.toISOString().slice(0, 10);
+const sumarDias = (ymd, dias) => {
+    const d = ymdToUTC(ymd);
+    d.setUTCDate(d.getUTCDate() + dias);
+    return utcToYMD(d);
+};
+const diaSemana = (ymd) => ymdToUTC(ymd).getUTCDay();
+
+const fechaValida = (v, campo = 'fecha') => {
+    const ymd = toYMD(v);
+    if (!ymd || utcToYMD(ymdToUTC(ymd)) !== ymd) {
+        throw httpError(400, `${campo} inválida (YYYY-MM-DD)`, 'FECHA_INVALIDA');
+    }
+    return ymd;
+};
+
+const normalizarDiasSinCobro = (v) => {
+    if (!Array.isArray(v)) throw httpError(400, 'dias_sin_cobro debe ser una lista de días (0 = domingo … 6 = sábado)', 'CONFIG_INVALIDA');
+    const dias = [...new Set(v.map(asInt))];
+    if (dias.some((d) => d === null || d < 0 || d > 6)) {
+        throw httpError(400, 'dias_sin_cobro solo admite valores de 0 (domingo) a 6 (sábado)', 'CONFIG_INVALIDA');
+    }
+    if (dias.length === 7) throw httpError(400, 'Debe quedar al menos un día de cobranza en la semana', 'CONFIG_INVALIDA');
+    return dias.sort((a, b) => a - b);
+};
+
+/* ───────────────── Cache en memoria ───────────────── */
+
+const cache = {
+    cargadoEn: 0,
+    config: { ...CONFIG_DEFAULT },
+    dias: new Map() // 'YYYY-MM-DD' -> { tipo, descripcion }
+};
+
+/** Carga (o recarga) feriados/cierres y la configuración desde la DB */
+export const cargarCalendario = async () => {
+    const [dias, config] = await Promise.all([
+        CalendarioDia.findAll({ attributes: ['fecha', 'tipo', 'descripcion'], raw: true }),
+        CalendarioConfiguracion.findOne({ order: [['id', 'ASC']], raw: true })
+    ]);
+
+    cache.dias = new Map(dias.map((d) => [toYMD(d.fecha), { tipo: d.tipo, descripcion: d.descripcion }]));
+    cache.config = {
+        dias_sin_cobro: Array.isArray(config?.dias_sin_cobro) ? config.dias_sin_cobro : [...CONFIG_DEFAULT.dias_sin_cobro],
+        correr_vencimientos: config ? Boolean(config.correr_vencimientos) : CONFIG_DEFAULT.correr_vencimientos,
+        gracia_dia_no_habil: config ? Boolean(config.gracia_dia_no_habil) : CONFIG_DEFAULT.gracia_dia_no_habil
+    };
+    cache.cargadoEn = Date.now();
+
+    return { dias: cache.dias.size, config: cache.config };
+};
+
+/** Recarga si el cache está vencido; ante error de DB sigue con lo que había */
+export const asegurarCalendario = async () => {
+    if (Date.now() - cache.cargadoEn < CACHE_TTL_MS) return;
+    try {
+        await cargarCalendario();
+    } catch (e) {
+        cache.cargadoEn = Date.now(); // no reintentar en cada llamada
+        console.error('[Calendario] No se pudo recargar el calendario:', e?.message || e);
+    }
+};
+
+/* ───────────────── Consultas (síncronas, sobre el cache) ───────────────── */
+
+/** null si es hábil; si no, { tipo, descripcion } (tipo 'sin_cobro' para días de semana sin cobranza) */
+export const motivoDiaNoHabil = (fecha) => {
+    const ymd = toYMD(fecha);
+    if (!ymd) return null;
+
+    const dia = cache.dias.get(ymd);
+    if (dia) return dia;
+
+    const dow = diaSemana(ymd);
+    if (cache.config.dias_sin_cobro.includes(dow)) {
+        return { tipo: 'sin_cobro', descripcion: `${NOMBRES_DIA[dow]} (sin cobranza)` };
+    }
+    return null;
+};
+
+export const esDiaHabil = (fecha) => motivoDiaNoHabil(fecha) === null;
+
+/** Primer día hábil >= fecha (YMD) */
+export const siguienteDiaHabil = (fecha) => {
+    let ymd = toYMD(fecha);
+    if (!ymd) return null;
+    for (let i = 0; i < MAX_DIAS_BUSQUEDA && !esDiaHabil(ymd); i++) {
+        ymd = sumarDias(ymd, 1);
+    }
+    return ymd;
+};
+
+/** Vencimiento a guardar al generar cuotas: corrido al siguiente hábil si la opción está activa */
+export const ajustarVencimiento = (fecha) => {
+    const ymd = toYMD(fecha);
+    if (!ymd || !cache.config.correr_vencimientos) return ymd;
+    return siguienteDiaHabil(ymd);
+};
+
+/**
+ * Fecha desde la que se considera vencida la cuota para la mora:
+ * con gracia, un vencimiento en día no hábil se puede pagar sin mora hasta el siguiente hábil.
+ */
+export const vencimientoEfectivoMora = (fecha) => {
+    const ymd = toYMD(fecha);
+    if (!ymd || !cache.config.gracia_dia_no_habil) return ymd;
+    return siguienteDiaHabil(ymd);
+};
+
+/**
+ * Vencimientos anteriores a `hoy` que todavía están en gracia (su vencimiento efectivo es >= hoy).
+ * Son los días no hábiles consecutivos inmediatamente anteriores a hoy.
+ */
+export const vencimientosEnGracia = (hoy) => {
+    const hoyYMD = toYMD(hoy);
+    if (!hoyYMD || !cache.config.gracia_dia_no_habil) return [];
+
+    const fechas = [];
+    let ymd = sumarDias(hoyYMD, -1);
+    for (let i = 0; i < MAX_DIAS_BUSQUEDA && !esDiaHabil(ymd); i++) {
+        fechas.push(ymd);
+        ymd = sumarDias(ymd, -1);
+    }
+    return fechas;
+};
+
+/* ───────────────── Feriados oficiales ───────────────── */
+
+/** Domingo de Pascua (algoritmo de Meeus/Jones/Butcher, calendario gregoriano) */
+const domingoPascua = (anio) => {
+    const a = anio % 19;
+    const b = Math.floor(anio / 100);
+    const c = anio % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const mes = Math.floor((h + l - 7 * m + 114) / 31);
+    const dia = ((h + l - 7 * m + 114) % 31) + 1;
+    return `${anio}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+};
+
+const FERIADOS_NACIONALES_FIJOS = [
+    ['01-01', 'Año Nuevo'],
+    ['03-24', 'Día Nacional de la Memoria por la Verdad y la Justicia'],
+    ['04-02', 'Día del Veterano y de los Caídos en la Guerra de Malvinas'],
+    ['05-01', 'Día del Trabajador'],
+    ['05-25', 'Día de la Revolución de Mayo'],
+    ['06-17', 'Paso a la Inmortalidad del General Martín Miguel de Güemes'],
+    ['06-20', 'Paso a la Inmortalidad del General Manuel Belgrano'],
+    ['07-09', 'Día de la Independencia'],
+    ['08-17', 'Paso a la Inmortalidad del General José de San Martín'],
+    ['10-12', 'Día del Respeto a la Diversidad Cultural'],
+    ['11-20', 'Día de la Soberanía Nacional'],
+    ['12-08', 'Día de la Inmaculada Concepción de María'],
+    ['12-25', 'Navidad']
+];
+
+const FERIADOS_TUCUMAN = [
+    ['09-24', 'Batalla de Tucumán']
+];
+
+/**
+ * Feriados oficiales del año (fecha nominal).
+ * Los trasladables (17/6, 17/8, 12/10, 20/11) se mueven por decreto cada año: ajustarlos con PUT /calendario/dias/:id.
+ */
+export const feriadosOficiales = (anio, { incluirProvinciales = true } = {}) => {
+    const pascua = domingoPascua(anio);
+    const lista = [
+        ...FERIADOS_NACIONALES_FIJOS.map(([md, descripcion]) => ({ fecha: `${anio}-${md}`, tipo: 'feriado_nacional', descripcion })),
+        { fecha: sumarDias(pascua, -48), tipo: 'feriado_nacional', descripcion: 'Carnaval' },
+        { fecha: sumarDias(pascua, -47), tipo: 'feriado_nacional', descripcion: 'Carnaval' },
+        { fecha: sumarDias(pascua, -2), tipo: 'feriado_nacional', descripcion: 'Viernes Santo' }
+    ];
+    if (incluirProvinciales) {
+        lista.push(...FERIADOS_TUCUMAN.map(([md, descripcion]) => ({ fecha: `${anio}-${md}`, tipo: 'feriado_provincial', descripcion })));
+    }
+    return lista.sort((a, b) => a.fecha.localeCompare(b.fecha));
+};
+
+/* ───────────────── CRUD días no hábiles ───────────────── */
+
+const normalizarDia = (data = {}, { parcial = false } = {}) => {
+    const out = {};
+
+    if (!parcial || data.fecha !== undefined) out.fecha = fechaValida(data.fecha);
+
+    if (!parcial || data.tipo !== undefined) {
+        const tipo = String(data.tipo ?? '').trim().toLowerCase();
+        if (!TIPOS_DIA_NO_HABIL.includes(tipo)) {
+            throw httpError(400, `tipo inválido (${TIPOS_DIA_NO_HABIL.join('|')})`, 'TIPO_INVALIDO');
+        }
+        out.tipo = tipo;
+    }
+
+    if (!parcial || data.descripcion !== undefined) {
+        const descripcion = String(data.descripcion ?? '').trim().slice(0, 200);
+        if (!descripcion) throw httpError(400, 'descripcion es requerida', 'DESCRIPCION_REQUERIDA');
+        out.descripcion = descripcion;
+    }
+
+    return out;
+};
+
+const assertFechaLibre = async (fecha, excluirId = null) => {
+    const existente = await CalendarioDia.findOne({
+        where: { fecha, ...(excluirId ? { id: { [Op.ne]: excluirId } } : {}) },
+        attributes: ['id', 'descripcion']
+    });
+    if (existente) {
+        throw httpError(409, `La fecha ${fecha} ya está cargada (${existente.descripcion})`, 'DIA_DUPLICADO');
+    }
+};
+
+/** Filtros: ?anio= | ?desde=&hasta= , ?tipo= */
+export const listarDiasCalendario = async (query = {}) => {
+    const where = {};
+
+    const anio = asInt(query.anio);
+    if (anio) {
+        where.fecha = { [Op.between]: [`${anio}-01-01`, `${anio}-12-31`] };
+    } else if (query.desde || query.hasta) {
+        const rango = {};
+        if (query.desde) rango[Op.gte] = fechaValida(query.desde, 'desde');
+        if (query.hasta) rango[Op.lte] = fechaValida(query.hasta, 'hasta');
+        where.fecha = rango;
+    }
+
+    if (query.tipo) {
+        const tipo = String(query.tipo).trim().toLowerCase();
+        if (!TIPOS_DIA_NO_HABIL.includes(tipo)) {
+            throw httpError(400, `tipo inválido (${TIPOS_DIA_NO_HABIL.join('|')})`, 'TIPO_INVALIDO');
+        }
+        where.tipo = tipo;
+    }
+
+    return CalendarioDia.findAll({
+        where,
+        include: [{ model: Usuario, as: 'creadoPor', attributes: ['id', 'nombre_completo'] }],
+        order: [['fecha', 'ASC']]
+    });
+};
+
+export const crearDiaCalendario = async (data, { usuarioId = null } = {}) => {
+    const dia = normalizarDia(data);
+    await assertFechaLibre(dia.fecha);
+
+    const creado = await CalendarioDia.create({ ...dia, creado_por: asInt(usuarioId), fecha_creacion: new Date() });
+    await cargarCalendario();
+    return creado;
+};
+
+export const actualizarDiaCalendario = async (id, data) => {
+    const dia = await CalendarioDia.findByPk(asInt(id));
+    if (!dia) throw httpError(404, 'Día no encontrado en el calendario');
+
+    const cambios = normalizarDia(data, { parcial: true });
+    if (cambios.fecha && cambios.fecha !== toYMD(dia.fecha)) await assertFechaLibre(cambios.fecha, dia.id);
+
+    await dia.update(cambios);
+    await cargarCalendario();
+    return dia;
+};
+
+export const eliminarDiaCalendario = async (id) => {
+    const dia = await CalendarioDia.findByPk(asInt(id));
+    if (!dia) throw httpError(404, 'Día no encontrado en el calendario');
+
+    await dia.destroy();
+    await cargarCalendario();
+};
+
+/**
+ * Carga los feriados oficiales de un año. Las fechas ya cargadas no se tocan
+ * (si se corrigió un trasladable a mano, se respeta).
+ */
+export const generarFeriadosAnio = async (anioRaw, { incluirProvinciales = true, usuarioId = null } = {}) => {
+    const anio = asInt(anioRaw);
+    if (!anio || anio < 2000 || anio > 2100) throw httpError(400, 'anio inválido', 'ANIO_INVALIDO');
+
+    const feriados = feriadosOficiales(anio, { incluirProvinciales: esVerdadero(incluirProvinciales) });
+    const existentes = await CalendarioDia.findAll({
+        where: { fecha: feriados.map((f) => f.fecha) },
+        attributes: ['fecha'],
+        raw: true
+    });
+    const yaCargadas = new Set(existentes.map((e) => toYMD(e.fecha)));
+
+    const nuevos = feriados
+        .filter((f) => !yaCargadas.has(f.fecha))
+        .map((f) => ({ ...f, creado_por: asInt(usuarioId), fecha_creacion: new Date() }));
+
+    if (nuevos.length) await CalendarioDia.bulkCreate(nuevos);
+    await cargarCalendario();
+
+    return { anio, creados: nuevos.length, existentes: yaCargadas.size, feriados: nuevos };
+};
+
+/* ───────────────── Configuración ───────────────── */
+
+export const obtenerConfiguracionCalendario = async () => {
+    const config = await CalendarioConfiguracion.findOne({
+        order: [['id', 'ASC']],
+        include: [{ model: Usuario, as: 'actualizadoPor', attributes: ['id', 'nombre_completo'] }]
+    });
+    const base = config ? config.get({ plain: true }) : { ...CONFIG_DEFAULT, id: null };
+
+    return {
+        ...base,
+        dias_sin_cobro_nombres: (base.dias_sin_cobro || []).map((d) => NOMBRES_DIA[d]),
+        defaults: CONFIG_DEFAULT
+    };
+};
+
+/** Body (parcial): { dias_sin_cobro?, correr_vencimientos?, gracia_dia_no_habil? } */
+export const actualizarConfiguracionCalendario = async (data = {}, { usuarioId = null } = {}) => {
+    const cambios = {};
+    if (data.dias_sin_cobro !== undefined) cambios.dias_sin_cobro = normalizarDiasSinCobro(data.dias_sin_cobro);
+    for (const campo of ['correr_vencimientos', 'gracia_dia_no_habil']) {
+        if (data[campo] === undefined) continue;
+        if (typeof data[campo] !== 'boolean') throw httpError(400, `${campo} debe ser booleano`, 'CONFIG_INVALIDA');
+        cambios[campo] = data[campo];
+    }
+    if (!Object.keys(cambios).length) throw httpError(400, 'No hay cambios para guardar', 'CONFIG_INVALIDA');
+
+    const meta = { actualizado_por: asInt(usuarioId), actualizado_en: new Date() };
+    const config = await CalendarioConfiguracion.findOne({ order: [['id', 'ASC']] });
+    if (config) {
+        await config.update({ ...cambios, ...meta });
+    } else {
+        await CalendarioConfiguracion.create({ ...CONFIG_DEFAULT, ...cambios, ...meta });
+    }
+
+    await cargarCalendario();
+    return obtenerConfiguracionCalendario();
+};
+
+/** ¿Es hábil la fecha? + siguiente hábil y vencimiento efectivo para mora */
+export const consultarDiaCalendario = async (fechaRaw) => {
+    await asegurarCalendario();
+    const fecha = fechaValida(fechaRaw);
+    const motivo = motivoDiaNoHabil(fecha);
+
+    return {
+        fecha,
+        habil: motivo === null,
+        motivo,
+        siguiente_habil: siguienteDiaHabil(fecha),
+        vencimiento_efectivo_mora: vencimientoEfectivoMora(fecha)
+    };
+};
@@ -3,8 +3,12 @@ import Usuario from '../models/Usuario.js';
 import Zona from '../models/Zona.js';
 import Cuota from '../models/Cuota.js';
 import FormaPago from '../models/FormaPago.js';
+import Credito from '../models/Credito.js';
 import { buildFilters } from '../utils/buildFilters.js';
 import { Op } from 'sequelize';
+import { bloqueoVigente } from './clienteBloqueo.service.js';
+import { puntoValido } from './cuota/cuota.ruta.service.js';
+import { rankearClientes, resaltarCoincidencias } from './clienteBusqueda.service.js';
 
 /* ⬇️ NUEVO: lectura de CSV/XLSX */
 import * as XLSX from 'xlsx';
@@ -73,6 +77,58 @@ const assertDniDisponible = async (dni, { excludeId = null } = {}) => {
     if (existing) throwDniDuplicado(dni);
 };
 
+/* ──────────────────────────────────────────────────────────
+   Helpers geolocalización
+   ────────────────────────────────────────────────────────── */
+
+const CAMPOS_GEO_INTERNOS = ['geo_origen', 'geo_precision_m', 'geo_actualizado_en', 'geo_actualizado_por'];
+
+const throwCoordenadasInvalidas = () => {
+    const err = new Error('Coordenadas inválidas: enviar latitud (-90..90) y longitud (-180..180) juntas, o ambas vacías para borrarlas.');
+    err.code = 'COORDENADAS_INVALIDAS';
+    err.status = 400;
+    throw err;
+};
+
+/** { latitud, longitud } normalizadas, null si ambas vienen vacías (borrar) */
+const normalizarCoordenadas = (lat, lng) => {
+    if (str(lat) === '' && str(lng) === '') return null;
+    const punto = puntoValido(lat, lng);
+    if (!punto) throwCoordenadasInvalidas();
+    return { latitud: punto.lat.toFixed(7), longitud: punto.lng.toFixed(7) };
+};
+
+const mismaUbicacion = (a, b) =>
+    Number(a?.latitud ?? NaN) === Number(b?.latitud ?? NaN) &&
+    Number(a?.longitud ?? NaN) === Number(b?.longitud ?? NaN);
+
+/**
+ * Aplica latitud/longitud del payload (alta/edición manual): valida y, si cambió,
+ * marca origen "manual". Los campos geo_* no se aceptan desde afuera.
+ */
+const aplicarUbicacionManual = (payload, previo = null) => {
+    for (const campo of CAMPOS_GEO_INTERNOS) delete payload[campo];
+
+    const tieneLat = Object.prototype.hasOwnProperty.call(payload, 'latitud');
+    const tieneLng = Object.prototype.hasOwnProperty.call(payload, 'longitud');
+    if (!tieneLat && !tieneLng) return payload;
+    if (tieneLat !== tieneLng) throwCoordenadasInvalidas();
+
+    const coords = normalizarCoordenadas(payload.latitud, payload.longitud);
+    const nuevo = coords ?? { latitud: null, longitud: null };
+    Object.assign(payload, nuevo);
+
+    const sinCambios = previo
+        ? mismaUbicacion(nuevo, previo) || (!coords && previo.latitud == null)
+        : !coords;
+    if (!sinCambios) {
+        payload.geo_origen = coords ? 'manual' : null;
+        payload.geo_precision_m = null;
+        payload.geo_actualizado_en = coords ? new Date() : null;
+    }
+    return payload;
+};
+
 /* ──────────────────────────────────────────────────────────
     Buscador (nombre/apellido/dni/cobrador)
    ────────────────────────────────────────────────────────── */
@@ -96,11 +152,12 @@ const getSearchTerm = (query = {}) => {
 };
 
 /**
- * Inyecta búsqueda libre en el WHERE existente.
+ * Inyecta búsqueda libre en el WHERE existente (modo ILIKE, fallback de la búsqueda difusa).
  * Incluye:
  * - nombre
  * - apellido  ✅ (fix)
  * - dni
+ * - teléfonos, dirección y localidad
  * - cobradorUsuario.nombre_completo (si está el include)
  * - "nombre apellido" y "apellido nombre" (concat)
  */
@@ -115,6 +172,10 @@ const withSearchWhere = (baseWhere, query = {}) => {
         { nombre: { [Op.iLike]: like } },
         { apellido: { [Op.iLike]: like } }, // ✅ clave
         { dni: { [Op.iLike]: like } },
+        { telefono: { [Op.iLike]: like } },
+        { telefono_secundario: { [Op.iLike]: like } },
+        { direccion: { [Op.iLike]: like } },
+        { localidad: { [Op.iLike]: like } },
         // requiere include de cobradorUsuario (lo agregamos en los findAll)
         { '$cobradorUsuario.nombre_completo$': { [Op.iLike]: like } },
 
@@ -135,6 +196,60 @@ const withSearchWhere = (baseWhere, query = {}) => {
     return { [Op.and]: [base, { [Op.or]: or }] };
 };
 
+/**
+ * Búsqueda libre con ranking: difusa (unaccent + trigramas, ver clienteBusqueda.service)
+ * o ILIKE si la base no tiene las extensiones.
+ * Devuelve { where, term, ranking: Map(id → score) | null }
+ */
+const aplicarBusqueda = async (baseWhere, query = {}) => {
+    const term = getSearchTerm(query);
+    if (!term) return { where: baseWhere || {}, term: '', ranking: null };
+
+    const ranking = await rankearClientes(term);
+    if (!ranking) return { where: withSearchWhere(baseWhere, query), term, ranking: null };
+
+    const porIds = { id: { [Op.in]: ranking.map((r) => r.id) } };
+    const base = baseWhere && Object.keys(baseWhere).length ? baseWhere : null;
+
+    return {
+        where: base ? { [Op.and]: [base, porIds] } : porIds,
+        term,
+        ranking: new Map(ranking.map((r) => [r.id, r.score]))
+    };
+};
+
+/** Ordena por relevancia (estable: a igual score respeta el orden previo) */
+const ordenarPorRanking = (rows, ranking) => {
+    if (!ranking) return rows;
+    return rows
+        .map((row, i) => ({ row, i, score: ranking.get(Number(row.id)) ?? 0 }))
+        .sort((a, b) => b.score - a.score || a.i - b.i)
+        .map((x) => x.row);
+};
+
+/** Paginado opcional: solo si vienen ?page o ?limit (sin ellos se devuelve todo, como siempre) */
+const paginarSiCorresponde = (rows, query = {}) => {
+    if (query.page === undefined && query.limit === undefined) {
+        return { data: rows, pagination: null };
+    }
+    const page = Math.max(1, Number.parseInt(query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, Number.parseInt(query.limit, 10) || 50));
+    return {
+        data: rows.slice((page - 1) * limit, page * limit),
+        pagination: { page, limit, total: rows.length }
+    };
+};
+
+/** Agrega { score, coincidencias } a cada fila cuando hay término de búsqueda */
+const anexarBusqueda = (plain, term, ranking) => {
+    if (!term) return plain;
+    plain.busqueda = {
+        score: ranking ? ranking.get(Number(plain.id)) ?? null : null,
+        coincidencias: resaltarCoincidencias(plain, term)
+    };
+    return plain;
+};
+
 /* ──────────────────────────────────────────────────────────
     LISTADOS (full y básico para selects)
    ────────────────────────────────────────────────────────── */
@@ -178,12 +293,13 @@ const normalizeClienteForFront = (plain) => {
 };
 
 // 🟢 Obtener todos los clientes con filtros opcionales (listado completo)
-export const obtenerClientes = async (query) => {
+// Con búsqueda libre: ordenado por relevancia + coincidencias resaltadas. ?page/?limit → paginado.
+export const obtenerClientes = async (query = {}) => {
     // base filters (zona/cobrador/apellido/localidad/etc.)
     const baseWhere = buildFilters(query, ['dni', 'zona', 'cobrador', 'apellido', 'localidad']);
 
-    // ✅ agregamos búsqueda libre que incluya apellido
-    const where = withSearchWhere(baseWhere, query);
+    // ✅ búsqueda libre difusa (nombre, apellido, dni, teléfonos, dirección, localidad)
+    const { where, term, ranking } = await aplicarBusqueda(baseWhere, query);
 
     const clientes = await Cliente.findAll({
         where,
@@ -193,21 +309,28 @@ export const obtenerClientes = async (query) => {
         ],
     });
 
-    return (clientes || []).map((c) => {
-        const plain = c?.toJSON ? c.toJSON() : c;
-        return normalizeClienteForFront(plain);
-    });
+    const { data, pagination } = paginarSiCorresponde(ordenarPorRanking(clientes || [], ranking), query);
+
+    return {
+        data: data.map((c) => {
+            const plain = c?.toJSON ? c.toJSON() : c;
+            return anexarBusqueda(normalizeClienteForFront(plain), term, ranking);
+        }),
+        pagination
+    };
 };
 
 // 🟢 Obtener clientes en formato básico (ideal para <select>), con filtros opcionales
 export const obtenerClientesBasico = async (query = {}) => {
     const baseWhere = buildFilters(query, ['dni', 'zona', 'cobrador', 'apellido', 'localidad']);
-    const where = withSearchWhere(baseWhere, query);
+    const { where, term, ranking } = await aplicarBusqueda(baseWhere, query);
 
-    return Cliente.findAll({
+    const clientes = await Cliente.findAll({
         where,
-        // ✅ Incluimos DNI para poder mostrarlo en el selector
-        attributes: ['id', 'nombre', 'apellido', 'dni', 'cobrador', 'zona'],
+        // ✅ Incluimos DNI para poder mostrarlo en el selector (+ teléfonos/dirección para resaltar coincidencias)
+        attributes: term
+            ? ['id', 'nombre', 'apellido', 'dni', 'cobrador', 'zona', 'telefono', 'telefono_secundario', 'direccion', 'localidad']
+            : ['id', 'nombre', 'apellido', 'dni', 'cobrador', 'zona'],
         // ✅ include “silencioso” para poder filtrar por nombre del cobrador cuando haya búsqueda libre
         include: [
             { model: Usuario, as: 'cobradorUsuario', attributes: [], required: false },
@@ -217,6 +340,13 @@ export const obtenerClientesBasico = async (query = {}) => {
             ['nombre', 'ASC'],
         ],
     });
+
+    const { data, pagination } = paginarSiCorresponde(ordenarPorRanking(clientes, ranking), query);
+
+    return {
+        data: term ? data.map((c) => anexarBusqueda(c.get({ plain: true }), term, ranking)) : data,
+        pagination
+    };
 };
 
 /* ──────────────────────────────────────────────────────────
@@ -269,6 +399,13 @@ export const obtenerClientePorId = async (id) => {
     if (!cliente) return null;
 
     const plain = cliente.toJSON();
+
+    // 🚫 Para que el front muestre el aviso sin otra llamada
+    const bloqueo = await bloqueoVigente(plain.id);
+    plain.bloqueo_vigente = bloqueo
+        ? { id: bloqueo.id, motivo: bloqueo.motivo, fecha_bloqueo: bloqueo.fecha_bloqueo, vence_en: bloqueo.vence_en }
+        : null;
+
     return normalizeClienteForFront(plain);
 };
 
@@ -343,6 +480,10 @@ export const crearCliente = async (data) => {
             // dni_foto: data.dni_foto || null, // ⛔️ Por ahora fuera de la importación (se mantiene el campo en el modelo)
             historial_crediticio: data.historial_crediticio || 'Desaprobado',
             puntaje_crediticio: data.puntaje_crediticio ?? 0,
+            ...aplicarUbicacionManual({
+                ...(data?.latitud !== undefined ? { latitud: data.latitud } : {}),
+                ...(data?.longitud !== undefined ? { longitud: data.longitud } : {})
+            }),
         });
 
         return nuevoCliente.id;
@@ -377,6 +518,14 @@ export const actualizarCliente = async (id, data, { actorRoleId = null } = {}) =
     // Clon defensivo (evita mutar referencia externa)
     const payload = data ? { ...data } : {};
 
+    // 📍 Coordenadas: validación + metadatos de origen (los geo_* no se editan a mano)
+    aplicarUbicacionManual(payload, clientePrevio);
+
+    // 💳 El límite de crédito se gestiona solo por PUT /clientes/:id/limite (queda quién y por qué)
+    for (const campo of ['limite_credito', 'limite_credito_motivo', 'limite_credito_actualizado_en', 'limite_credito_actualizado_por']) {
+        delete payload[campo];
+    }
+
     // ✅ Si la función de DNI FOTO está apagada, NO permitimos modificar dni_foto por API (ningún rol)
     if (!DNI_FOTO_ENABLED && Object.prototype.hasOwnProperty.call(payload, 'dni_foto')) {
         delete payload.dni_foto;
@@ -438,16 +587,117 @@ export const actualizarCliente = async (id, data, { actorRoleId = null } = {}) =
 // 🟢 Eliminar cliente por ID
 export const eliminarCliente = (id) => Cliente.destroy({ where: { id } });
 
+/**
+ * ¿El cliente es de la cartera del cobrador? (asignado en el cliente o cobrador
+ * de alguno de sus créditos)
+ */
+export const clienteEnCartera = async (cliente, cobradorId) => {
+    const uid = Number(cobradorId);
+    if (!cliente || !Number.isFinite(uid)) return false;
+    if (Number(cliente.cobrador) === uid) return true;
+    return (await Credito.count({ where: { cliente_id: cliente.id, cobrador_id: uid } })) > 0;
+};
+
+/**
+ * 📍 Ubicación capturada desde el dispositivo (o cargada a mano por un admin).
+ * data: { latitud, longitud, precision_m?, origen?: 'dispositivo' | 'manual' }
+ * El cobrador solo puede ubicar clientes de su cartera.
+ */
+export const actualizarUbicacionCliente = async (id, data = {}, { actorRoleId = null, usuarioId = null } = {}) => {
+    const cliente = await Cliente.findByPk(id);
+    if (!cliente) {
+        const err = new Error('Cliente no encontrado');
+        err.status = 404;
+        err.code = 'CLIENTE_NO_ENCONTRADO';
+        throw err;
+    }
+
+    if (Number(actorRoleId) === 2 && !(await clienteEnCartera(cliente, usuarioId))) {
+        throwForbidden('El cliente no pertenece a tu cartera');
+    }
+
+    const coords = normalizarCoordenadas(data.latitud, data.longitud);
+    if (!coords) throwCoordenadasInvalidas();
+
+    const origen = data.origen === 'manual' ? 'manual' : 'dispositivo';
+    const precision = Number(data.precision_m);
+
+    await cliente.update({
+        ...coords,
+        geo_origen: origen,
+        geo_precision_m: Number.isFinite(precision) && precision >= 0 ? Math.round(precision) : null,
+        geo_actualizado_en: new Date(),
+        geo_actualizado_por: usuarioId != null ? Number(usuarioId) : null
+    });
+
+    return {
+        id: cliente.id,
+        latitud: Number(cliente.latitud),
+        longitud: Number(cliente.longitud),
+        geo_origen: cliente.geo_origen,
+        geo_precision_m: cliente.geo_precision_m,
+        geo_actualizado_en: cliente.geo_actualizado_en
+    };
+};
+
 /* ──────────────────────────────────────────────────────────
-   IMPORTACIÓN POR PLANILLA (CSV/XLSX)
+   IMPORTACIÓN / EXPORTACIÓN POR PLANILLA (CSV/XLSX/ODS)
    ────────────────────────────────────────────────────────── */
 
+/**
+ * Columnas de la plantilla, en orden. /import/template y /export usan exactamente
+ * estas columnas, así un export editado se puede volver a importar (ida y vuelta).
+ * - id: vacío para clientes nuevos; si viene, la fila actualiza ese cliente.
+ */
+export const COLUMNAS_PLANTILLA = [
+    'id',
+    'nombre',
+    'apellido',
+    'dni',
+    'fecha_nacimiento',
+    'fecha_registro',
+    'email',
+    'telefono',
+    'telefono_secundario',
+    'direccion',
+    'direccion_secundaria',
+    'referencia_direccion',
+    'referencia_secundaria',
+    'observaciones',
+    'provincia',
+    'localidad',
+    'cobrador',          // ID de usuario (opcional)
+    'cobrador_nombre',   // Alternativa por nombre (opcional)
+    'zona',              // ID de zona (opcional)
+    'zona_nombre',       // Alternativa por nombre (opcional)
+    'historial_crediticio',
+    'puntaje_crediticio'
+];
+
+/** Formatos de planilla soportados (lectura y escritura) */
+export const FORMATOS_PLANILLA = {
+    xlsx: { ext: '.xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { ext: '.csv', mime: 'text/csv; charset=utf-8' },
+    ods: { ext: '.ods', mime: 'application/vnd.oasis.opendocument.spreadsheet' }
+};
+
+/**
+ * Modos de importación:
+ * - crear:      solo altas; si el DNI ya existe la fila da error
+ * - actualizar: solo modifica clientes existentes (por id o DNI); si no existe, error
+ * - upsert:     actualiza si existe, crea si no (default)
+ */
+export const MODOS_IMPORTACION = ['crear', 'actualizar', 'upsert'];
+
 /**
  * Mapea encabezados posibles de la planilla a campos del modelo.
  * Podés agregar alias sin problemas (case-insensitive).
  */
 const HEADER_MAP = {
-    // requeridos
+    id: 'id',
+    cliente_id: 'id',
+
+    // requeridos (en altas)
     nombre: 'nombre',
     apellido: 'apellido',
     dni: 'dni',
@@ -496,32 +746,71 @@ const HEADER_MAP = {
     zona_id: 'zona',
     zona_nombre: 'zona_nombre',
 
-    // (si más adelante lo agregan en template)
     historial_crediticio: 'historial_crediticio',
     puntaje_crediticio: 'puntaje_crediticio',
 };
 
+// Campos de texto que se copian tal cual (con su largo máximo en el modelo)
+const CAMPOS_TEXTO = {
+    nombre: 100,
+    apellido: 100,
+    email: 100,
+    telefono: 20,
+    telefono_secundario: 20,
+    direccion: 255,
+    direccion_secundaria: 255,
+    referencia_direccion: 255,
+    referencia_secundaria: 255,
+    observaciones: null,
+    provincia: 100,
+    localidad: 100
+};
+
+const CAMPOS_FECHA = ['fecha_nacimiento', 'fecha_registro'];
+const CAMPOS_REQUERIDOS = ['nombre', 'apellido', 'dni'];
+const HISTORIALES = ['Aprobado', 'Desaprobado'];
+
 /** Helpers básicos */
 const isEmpty = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
-const toDateOrNull = (v) => {
+const has = (obj, k) => Object.prototype.hasOwnProperty.call(obj, k);
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Fecha de planilla → 'YYYY-MM-DD'.
+ * Acepta ISO, DD/MM/YYYY y fechas numéricas de Excel/ODS.
+ * Devuelve null si está vacía y undefined si es inválida.
+ */
+const toYMDOrNull = (v) => {
     if (isEmpty(v)) return null;
-    if (v instanceof Date && !isNaN(v)) return v;
+    if (v instanceof Date) return Number.isNaN(v.getTime()) ? undefined : v.toISOString().slice(0, 10);
 
-    // Excel numeric date
+    let y;
+    let m;
+    let d;
     if (typeof v === 'number') {
-        const d = XLSX.SSF.parse_date_code(v);
-        if (!d) return null;
-        const dt = new Date(Date.UTC(d.y, (d.m || 1) - 1, d.d || 1));
-        return isNaN(dt) ? null : dt;
+        const p = XLSX.SSF.parse_date_code(v);
+        if (!p) return undefined;
+        ({ y, m, d } = p);
+    } else {
+        const t = str(v);
+        let match = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+        if (match) {
+            [, y, m, d] = match.map(Number);
+        } else {
+            match = t.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+            if (!match) return undefined;
+            [, d, m, y] = match.map(Number);
+        }
     }
 
-    const t = str(v);
-    const dt = new Date(t);
-    return isNaN(dt) ? null : dt;
+    const dt = new Date(Date.UTC(y, m - 1, d));
+    if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return undefined;
+    return `${y}-${pad2(m)}-${pad2(d)}`;
 };
 
 /**
  * Normaliza una fila cruda (keys arbitrarias) a nuestro shape interno según HEADER_MAP.
+ * Solo quedan las columnas presentes en la planilla (clave para el "patch").
  */
 const normalizeRow = (raw) => {
     const out = {};
@@ -529,218 +818,339 @@ const normalizeRow = (raw) => {
         if (k == null) continue;
         const key = k.toString().trim().toLowerCase();
         const mapped = HEADER_MAP[key];
-        if (mapped) out[mapped] = v;
+        if (mapped && !(has(out, mapped) && isEmpty(v))) out[mapped] = v;
     }
     return out;
 };
 
 /**
- * Busca IDs de cobrador/zona a partir de id directo o por nombre.
+ * Resuelve cobrador/zona por ID o por nombre (case-insensitive).
+ * Si vienen ambos, el nombre tiene que corresponder al ID.
+ * Devuelve { id, error } (id undefined = la planilla no trae el dato).
  */
-const resolveCobradorYZona = async (row) => {
-    let resolvedCobrador = null;
-    let resolvedZona = null;
-
-    // COBRADOR por ID
-    if (!isEmpty(row.cobrador)) {
-        const id = Number(row.cobrador);
-        if (!Number.isNaN(id)) {
-            const u = await Usuario.findByPk(id, { attributes: ['id'] });
-            if (u) resolvedCobrador = u.id;
-        }
-    }
+const resolverReferencia = async (row, { campoId, campoNombre, Model, atributoNombre, etiqueta }) => {
+    const traeId = has(row, campoId) && !isEmpty(row[campoId]);
+    const traeNombre = has(row, campoNombre) && !isEmpty(row[campoNombre]);
 
-    // COBRADOR por nombre (case-insensitive)
-    if (!resolvedCobrador && !isEmpty(row.cobrador_nombre)) {
-        const nombre = str(row.cobrador_nombre).toLowerCase();
-        const u = await Usuario.findOne({
-            where: Usuario.sequelize.where(
-                Usuario.sequelize.fn('LOWER', Usuario.sequelize.col('nombre_completo')),
-                nombre
-            ),
-            attributes: ['id'],
-        });
-        if (u) resolvedCobrador = u.id;
+    if (!traeId && !traeNombre) {
+        const presente = has(row, campoId) || has(row, campoNombre);
+        return { id: presente ? null : undefined, vacio: presente };
     }
 
-    // ZONA por ID
-    if (!isEmpty(row.zona)) {
-        const id = Number(row.zona);
-        if (!Number.isNaN(id)) {
-            const z = await Zona.findByPk(id, { attributes: ['id'] });
-            if (z) resolvedZona = z.id;
-        }
+    let registro = null;
+    if (traeId) {
+        const id = Number(row[campoId]);
+        if (!Number.isInteger(id)) return { error: `"${campoId}" debe ser un ID numérico.` };
+        registro = await Model.findByPk(id, { attributes: ['id', atributoNombre] });
+        if (!registro) return { error: `No existe ${etiqueta} con ID ${id}.` };
     }
 
-    // ZONA por nombre (case-insensitive)
-    if (!resolvedZona && !isEmpty(row.zona_nombre)) {
-        const nombre = str(row.zona_nombre).toLowerCase();
-        const z = await Zona.findOne({
-            where: Zona.sequelize.where(
-                Zona.sequelize.fn('LOWER', Zona.sequelize.col('nombre')),
-                nombre
-            ),
-            attributes: ['id'],
-        });
-        if (z) resolvedZona = z.id;
+    if (traeNombre) {
+        const nombre = str(row[campoNombre]).toLowerCase();
+        if (registro) {
+            if (str(registro[atributoNombre]).toLowerCase() !== nombre) {
+                return { error: `"${campoId}" y "${campoNombre}" no coinciden (ID ${registro.id} es "${registro[atributoNombre]}").` };
+            }
+        } else {
+            registro = await Model.findOne({
+                where: Model.sequelize.where(
+                    Model.sequelize.fn('LOWER', Model.sequelize.col(atributoNombre)),
+                    nombre
+                ),
+                attributes: ['id'],
+            });
+            if (!registro) return { error: `No existe ${etiqueta} "${str(row[campoNombre])}".` };
+        }
     }
 
-    return { cobrador: resolvedCobrador, zona: resolvedZona };
+    return { id: registro.id };
 };
 
 /**
- * Valida una fila normalizada. Devuelve array de errores (strings).
+ * Convierte una fila normalizada en los cambios a aplicar.
+ * Solo incluye columnas presentes en la planilla. Celdas vacías:
+ * - vacios = 'ignorar' (default): no modifican el dato existente
+ * - vacios = 'limpiar': lo dejan en null (salvo nombre/apellido/dni)
  */
-const validateRow = (row) => {
+const construirCambios = async (row, { vacios = 'ignorar' } = {}) => {
+    const cambios = {};
     const errors = [];
-    const dni = cleanDni(row.dni);
+    const limpiar = vacios === 'limpiar';
 
-    if (isEmpty(row.nombre)) errors.push('El campo "nombre" es requerido.');
-    if (isEmpty(row.apellido)) errors.push('El campo "apellido" es requerido.');
-    if (isEmpty(dni)) errors.push('El campo "dni" es requerido o inválido.');
+    const aplicar = (campo, valor) => {
+        if (valor === null) {
+            if (limpiar && !CAMPOS_REQUERIDOS.includes(campo)) cambios[campo] = null;
+            return;
+        }
+        cambios[campo] = valor;
+    };
 
-    if (!isEmpty(row.email)) {
-        const ok = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str(row.email));
-        if (!ok) errors.push('El campo "email" tiene formato inválido.');
+    for (const [campo, max] of Object.entries(CAMPOS_TEXTO)) {
+        if (!has(row, campo)) continue;
+        const v = isEmpty(row[campo]) ? null : str(row[campo]);
+        if (v !== null && max && v.length > max) {
+            errors.push(`El campo "${campo}" supera los ${max} caracteres.`);
+            continue;
+        }
+        aplicar(campo, v);
     }
 
-    return { errors, dni };
-};
-
-/**
- * Convierte una fila normalizada al shape final compatible con crear/actualizar.
- */
-const toClientPayload = (row, resolved) => ({
-    nombre: str(row.nombre) || null,
-    apellido: str(row.apellido) || null,
-    dni: cleanDni(row.dni) || null,
+    if (has(row, 'dni') && !isEmpty(row.dni)) {
+        const dni = cleanDni(row.dni);
+        if (!dni) errors.push('El campo "dni" es inválido.');
+        else cambios.dni = dni;
+    }
 
-    fecha_nacimiento: toDateOrNull(row.fecha_nacimiento),
-    fecha_registro: toDateOrNull(row.fecha_registro),
+    if (!isEmpty(cambios.email) && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cambios.email)) {
+        errors.push('El campo "email" tiene formato inválido.');
+    }
 
-    email: isEmpty(row.email) ? null : str(row.email),
+    for (const campo of CAMPOS_FECHA) {
+        if (!has(row, campo)) continue;
+        const ymd = toYMDOrNull(row[campo]);
+        if (ymd === undefined) errors.push(`El campo "${campo}" no es una fecha válida (YYYY-MM-DD o DD/MM/YYYY).`);
+        else aplicar(campo, ymd);
+    }
 
-    telefono: isEmpty(row.telefono) ? null : str(row.telefono),
-    telefono_secundario: isEmpty(row.telefono_secundario) ? null : str(row.telefono_secundario),
+    if (has(row, 'historial_crediticio') && !isEmpty(row.historial_crediticio)) {
+        const h = HISTORIALES.find((x) => x.toLowerCase() === str(row.historial_crediticio).toLowerCase());
+        if (!h) errors.push(`"historial_crediticio" debe ser ${HISTORIALES.join(' o ')}.`);
+        else cambios.historial_crediticio = h;
+    }
 
-    direccion: isEmpty(row.direccion) ? null : str(row.direccion),
-    direccion_secundaria: isEmpty(row.direccion_secundaria) ? null : str(row.direccion_secundaria),
+    if (has(row, 'puntaje_crediticio') && !isEmpty(row.puntaje_crediticio)) {
+        const n = Number(row.puntaje_crediticio);
+        if (!Number.isInteger(n)) errors.push('"puntaje_crediticio" debe ser un número entero.');
+        else cambios.puntaje_crediticio = n;
+    }
 
-    referencia_direccion: isEmpty(row.referencia_direccion) ? null : str(row.referencia_direccion),
-    referencia_secundaria: isEmpty(row.referencia_secundaria) ? null : str(row.referencia_secundaria),
+    const cobrador = await resolverReferencia(row, {
+        campoId: 'cobrador', campoNombre: 'cobrador_nombre', Model: Usuario, atributoNombre: 'nombre_completo', etiqueta: 'cobrador'
+    });
+    if (cobrador.error) errors.push(cobrador.error);
+    else if (cobrador.id !== undefined) aplicar('cobrador', cobrador.id);
 
-    observaciones: isEmpty(row.observaciones) ? null : str(row.observaciones),
+    const zona = await resolverReferencia(row, {
+        campoId: 'zona', campoNombre: 'zona_nombre', Model: Zona, atributoNombre: 'nombre', etiqueta: 'zona'
+    });
+    if (zona.error) errors.push(zona.error);
+    else if (zona.id !== undefined) aplicar('zona', zona.id);
 
-    provincia: isEmpty(row.provincia) ? null : str(row.provincia),
-    localidad: isEmpty(row.localidad) ? null : str(row.localidad),
+    return { cambios, errors };
+};
 
-    cobrador: resolved.cobrador ?? null,
-    zona: resolved.zona ?? null,
+/** Compara para no "actualizar" lo que no cambió ("100" vs 100, null vs "") */
+const mismoValorCliente = (a, b) => {
+    if (isEmpty(a) && isEmpty(b)) return true;
+    if (isEmpty(a) || isEmpty(b)) return false;
+    return String(a).trim() === String(b).trim();
+};
 
-    historial_crediticio: isEmpty(row.historial_crediticio) ? undefined : str(row.historial_crediticio),
-    puntaje_crediticio: isEmpty(row.puntaje_crediticio) ? undefined : Number(row.puntaje_crediticio),
-});
+/**
+ * Lee la planilla a filas { encabezado: valor }.
+ * CSV: se decodifica como UTF-8 (con o sin BOM) y, si no es UTF-8 válido, como latin1
+ * (CSV guardado por Excel en Windows). Separador , ; o tab (autodetectado).
+ */
+const readBufferToRows = (buffer, filename = '') => {
+    const ext = String(filename).toLowerCase().match(/\.[a-z0-9]+$/)?.[0] || '';
+
+    let wb;
+    if (ext === '.csv' || ext === '.txt') {
+        let text = buffer.toString('utf8');
+        if (text.includes('\uFFFD')) text = buffer.toString('latin1');
+        text = text.replace(/^\uFEFF/, '');
+        // raw: todo como texto (conserva ceros a la izquierda de DNI/teléfonos)
+        wb = XLSX.read(text, { type: 'string', raw: true });
+    } else {
+        wb = XLSX.read(buffer, { type: 'buffer' });
+    }
 
-const readBufferToRows = (buffer) => {
-    const wb = XLSX.read(buffer, { type: 'buffer' });
     const firstSheetName = wb.SheetNames[0];
+    if (!firstSheetName) return [];
     const sheet = wb.Sheets[firstSheetName];
-    return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+    return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
 };
 
-export const importarClientesDesdePlanilla = async (fileBuffer, filename, { dryRun = true } = {}) => {
-    const rawRows = readBufferToRows(fileBuffer, filename);
+/**
+ * Importa clientes desde CSV/XLSX/ODS.
+ *
+ * Opciones:
+ * - dryRun (default true): valida y arma el reporte sin escribir
+ * - modo: crear | actualizar | upsert (default upsert)
+ * - vacios: ignorar (default) | limpiar
+ * - actorRoleId: solo superadmin puede cambiar el DNI de un cliente existente (fila con id)
+ *
+ * Los clientes existentes se buscan por "id" (si la columna trae valor) o por DNI,
+ * y se actualizan SOLO las columnas presentes en la planilla.
+ *
+ * Devuelve { summary, rows, originales } (originales: filas crudas, para el reporte).
+ */
+export const importarClientesDesdePlanilla = async (
+    fileBuffer,
+    filename,
+    { dryRun = true, modo = 'upsert', vacios = 'ignorar', actorRoleId = null } = {}
+) => {
+    if (!MODOS_IMPORTACION.includes(modo)) {
+        const err = new Error(`Modo de importación inválido. Valores: ${MODOS_IMPORTACION.join(', ')}`);
+        err.status = 400;
+        throw err;
+    }
+
+    let rawRows;
+    try {
+        rawRows = readBufferToRows(fileBuffer, filename);
+    } catch (e) {
+        const err = new Error(`No se pudo leer la planilla: ${e?.message || e}`);
+        err.status = 400;
+        throw err;
+    }
+
+    const rol = actorRoleId != null ? Number(actorRoleId) : null;
+    const puedeCambiarDni = rol === null || rol === 0;
 
     const results = [];
     let created = 0;
     let updated = 0;
+    let unchanged = 0;
     let errorsCount = 0;
 
+    // Repetidos dentro de la misma planilla
+    const filaPorDni = new Map();
+    const filaPorId = new Map();
+
     let index = 0;
     for (const raw of rawRows) {
         index += 1;
+        const fila = index + 1; // +1 por la fila de encabezados
 
         const norm = normalizeRow(raw);
-        const { errors: valErrors, dni } = validateRow(norm);
+        const { cambios, errors } = await construirCambios(norm, { vacios });
 
-        let resolved = { cobrador: null, zona: null };
-        if (valErrors.length === 0) {
-            resolved = await resolveCobradorYZona(norm);
-        }
-
-        const payload = toClientPayload(norm, resolved);
+        const idFila = isEmpty(norm.id) ? null : Number(norm.id);
+        if (idFila !== null && (!Number.isInteger(idFila) || idFila <= 0)) errors.push('"id" debe ser un número entero.');
 
+        let dni = cambios.dni || cleanDni(norm.dni) || null;
         let action = null;
         let targetId = null;
+        let camposModificados = [];
+
+        const registrar = (status, extra = {}) => {
+            if (status === 'error') errorsCount += 1;
+            results.push({
+                index,
+                fila,
+                status,
+                action,
+                dni,
+                id: targetId,
+                campos: camposModificados,
+                errors: [],
+                dataApplied: null,
+                ...extra
+            });
+        };
 
         try {
-            if (valErrors.length > 0) {
-                errorsCount += 1;
-                results.push({
-                    index,
-                    status: 'error',
-                    action: null,
-                    dni,
-                    id: null,
-                    errors: valErrors,
-                    dataApplied: null,
-                });
+            if (idFila && filaPorId.has(idFila)) errors.push(`El id ${idFila} está repetido en la planilla (fila ${filaPorId.get(idFila)}).`);
+            if (dni && filaPorDni.has(dni)) errors.push(`El DNI ${dni} está repetido en la planilla (fila ${filaPorDni.get(dni)}).`);
+            if (idFila) filaPorId.set(idFila, fila);
+            if (dni) filaPorDni.set(dni, fila);
+
+            if (errors.length) {
+                registrar('error', { errors });
                 continue;
             }
 
-            const existing = await Cliente.findOne({ where: { dni } });
+            // Match: id explícito o DNI
+            let existing = null;
+            if (idFila) {
+                existing = await Cliente.findByPk(idFila);
+                if (!existing) {
+                    registrar('error', { errors: [`No existe un cliente con id ${idFila}.`] });
+                    continue;
+                }
+            } else if (dni) {
+                existing = await Cliente.findOne({ where: { dni } });
+            }
 
             if (!existing) {
                 action = 'create';
+                if (modo === 'actualizar') {
+                    registrar('error', { errors: [`No existe un cliente con DNI ${dni || '(vacío)'}; el modo "actualizar" no crea clientes.`] });
+                    continue;
+                }
+
+                const faltantes = CAMPOS_REQUERIDOS.filter((c) => isEmpty(cambios[c]));
+                if (faltantes.length) {
+                    registrar('error', { errors: faltantes.map((c) => `El campo "${c}" es requerido para dar de alta.`) });
+                    continue;
+                }
+
+                const payload = {
+                    ...cambios,
+                    historial_crediticio: cambios.historial_crediticio ?? 'Desaprobado',
+                    puntaje_crediticio: cambios.puntaje_crediticio ?? 0,
+                };
+                camposModificados = Object.keys(cambios);
+
                 if (!dryRun) {
-                    const createdClient = await Cliente.create({
-                        ...payload,
-                        historial_crediticio: payload.historial_crediticio ?? 'Desaprobado',
-                        puntaje_crediticio: Number.isFinite(payload.puntaje_crediticio) ? payload.puntaje_crediticio : 0,
-                    });
+                    const createdClient = await Cliente.create(payload);
                     targetId = createdClient.id;
-                    created += 1;
-                } else {
-                    created += 1;
                 }
-            } else {
-                action = 'update';
-                targetId = existing.id;
-                if (!dryRun) {
-                    const { dni: _omitDni, ...rest } = payload;
-                    await Cliente.update(rest, { where: { id: existing.id } });
-                    updated += 1;
-                } else {
-                    updated += 1;
+                created += 1;
+                registrar('ok', { dataApplied: payload });
+                continue;
+            }
+
+            action = 'update';
+            targetId = existing.id;
+            dni = dni || existing.dni;
+
+            if (modo === 'crear') {
+                registrar('error', { errors: [`Ya existe el cliente #${existing.id} con DNI ${existing.dni}; el modo "crear" no modifica clientes.`] });
+                continue;
+            }
+
+            // Cambio de DNI (solo posible al matchear por id)
+            if (cambios.dni && cambios.dni !== cleanDni(existing.dni)) {
+                if (!puedeCambiarDni) {
+                    registrar('error', { errors: ['Sin permisos: solo superadmin puede modificar el DNI de un cliente.'] });
+                    continue;
+                }
+                const otro = await Cliente.findOne({
+                    where: { dni: cambios.dni, id: { [Op.ne]: existing.id } },
+                    attributes: ['id']
+                });
+                if (otro) {
+                    registrar('error', { errors: [`El DNI ${cambios.dni} ya pertenece al cliente #${otro.id}.`] });
+                    continue;
                 }
             }
 
-            results.push({
-                index,
-                status: 'ok',
-                action,
-                dni,
-                id: targetId,
-                errors: [],
-                dataApplied: payload,
-            });
-        } catch (e) {
-            errorsCount += 1;
+            const diff = {};
+            for (const [campo, valor] of Object.entries(cambios)) {
+                if (!mismoValorCliente(existing.get(campo), valor)) diff[campo] = valor;
+            }
+            camposModificados = Object.keys(diff);
 
+            if (!camposModificados.length) {
+                action = 'unchanged';
+                unchanged += 1;
+                registrar('ok');
+                continue;
+            }
+
+            if (!dryRun) {
+                await Cliente.update(diff, { where: { id: existing.id } });
+            }
+            updated += 1;
+            registrar('ok', { dataApplied: diff });
+        } catch (e) {
             let msg = e.message || 'Error inesperado al procesar la fila.';
             if (isUniqueConstraintError(e)) {
                 msg = `DNI duplicado en base de datos (DNI: ${dni}).`;
             }
-
-            results.push({
-                index,
-                status: 'error',
-                action,
-                dni,
-                id: targetId,
-                errors: [msg],
-                dataApplied: payload,
-            });
+            registrar('error', { errors: [msg], dataApplied: cambios });
         }
     }
 
@@ -748,9 +1158,125 @@ export const importarClientesDesdePlanilla = async (fileBuffer, filename, { dryR
         total: rawRows.length,
         created,
         updated,
+        unchanged,
         errors: errorsCount,
         dryRun,
+        modo,
+        vacios,
     };
 
-    return { summary, rows: results };
-};
\ No newline at end of file
+    return { summary, rows: results, originales: rawRows };
+};
+
+/* ───────────── Escritura de planillas ───────────── */
+
+const csvEscape = (v) => {
+    if (v == null) return '';
+    const s = String(v);
+    if (/[",;\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+    return s;
+};
+
+/**
+ * Arma el archivo a partir de encabezados + filas (objetos).
+ * CSV con BOM para que Excel respete los acentos.
+ */
+export const escribirPlanilla = (headers, rows, { formato = 'xlsx', hoja = 'Clientes', nombreBase = 'clientes' } = {}) => {
+    const fmt = FORMATOS_PLANILLA[formato] ? formato : 'xlsx';
+    const { ext, mime } = FORMATOS_PLANILLA[fmt];
+    const filename = `${nombreBase}_${new Date().toISOString().slice(0, 10)}${ext}`;
+
+    if (fmt === 'csv') {
+        const csvHeader = headers.map(csvEscape).join(',');
+        const csvBody = rows.map((r) => headers.map((h) => csvEscape(r[h] ?? '')).join(',')).join('\n');
+        return { buffer: Buffer.from(`\uFEFF${csvHeader}\n${csvBody}${rows.length ? '\n' : ''}`, 'utf8'), filename, mime };
+    }
+
+    const wsData = [headers, ...rows.map((r) => headers.map((h) => r[h] ?? ''))];
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(wsData), hoja);
+    return { buffer: XLSX.write(wb, { type: 'buffer', bookType: fmt }), filename, mime };
+};
+
+/**
+ * Exporta clientes con las columnas exactas de la plantilla de importación.
+ * Filtros: los mismos del listado (zona, cobrador, apellido, localidad, búsqueda libre).
+ */
+export const exportarClientesPlanilla = async (query = {}, { formato = 'xlsx' } = {}) => {
+    const baseWhere = buildFilters(query, ['dni', 'zona', 'cobrador', 'apellido', 'localidad']);
+    const { where } = await aplicarBusqueda(baseWhere, query);
+
+    const clientes = await Cliente.findAll({
+        where,
+        include: [
+            { model: Usuario, as: 'cobradorUsuario', attributes: ['id', 'nombre_completo'], required: false },
+            { model: Zona, as: 'clienteZona', attributes: ['id', 'nombre'], required: false },
+        ],
+        order: [['id', 'ASC']],
+    });
+
+    const rows = clientes.map((c) => {
+        const p = c.get({ plain: true });
+        const row = {};
+        for (const col of COLUMNAS_PLANTILLA) row[col] = p[col] ?? '';
+        row.cobrador = p.cobradorUsuario?.id ?? '';
+        row.cobrador_nombre = p.cobradorUsuario?.nombre_completo ?? '';
+        row.zona = p.clienteZona?.id ?? '';
+        row.zona_nombre = p.clienteZona?.nombre ?? '';
+        return row;
+    });
+
+    return escribirPlanilla(COLUMNAS_PLANTILLA, rows, { formato, hoja: 'Clientes', nombreBase: 'clientes' });
+};
+
+/**
+ * Reporte por fila de una importación (xlsx): resultado, acción, campos y errores,
+ * seguido de las columnas originales para corregir y volver a subir.
+ */
+export const generarReporteImportacion = ({ summary, rows, originales = [] }) => {
+    const ACCIONES = { create: 'alta', update: 'actualización', unchanged: 'sin cambios' };
+
+    const columnasOriginales = [];
+    for (const o of originales) {
+        for (const k of Object.keys(o)) if (!columnasOriginales.includes(k)) columnasOriginales.push(k);
+    }
+
+    const detalle = rows.map((r) => {
+        const base = {
+            FILA: r.fila,
+            RESULTADO: r.status === 'ok' ? 'OK' : 'ERROR',
+            ACCION: ACCIONES[r.action] || '',
+            ID: r.id ?? '',
+            DNI: r.dni ?? '',
+            CAMPOS: (r.campos || []).join(', '),
+            ERRORES: (r.errors || []).join(' | ')
+        };
+        const original = originales[r.index - 1] || {};
+        for (const k of columnasOriginales) base[k] = original[k] ?? '';
+        return base;
+    });
+
+    const wb = XLSX.utils.book_new();
+    const wsDetalle = XLSX.utils.json_to_sheet(detalle, {
+        header: ['FILA', 'RESULTADO', 'ACCION', 'ID', 'DNI', 'CAMPOS', 'ERRORES', ...columnasOriginales]
+    });
+    XLSX.utils.book_append_sheet(wb, wsDetalle, 'RESULTADO');
+
+    const resumen = [
+        ['Modo', summary.modo],
+        ['Celdas vacías', summary.vacios],
+        ['Previsualización (sin guardar)', summary.dryRun ? 'Sí' : 'No'],
+        ['Filas', summary.total],
+        ['Altas', summary.created],
+        ['Actualizaciones', summary.updated],
+        ['Sin cambios', summary.unchanged],
+        ['Errores', summary.errors]
+    ];
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Concepto', 'Valor'], ...resumen]), 'RESUMEN');
+
+    return {
+        buffer: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }),
+        filename: `reporte_import_clientes_${new Date().toISOString().slice(0, 10)}.xlsx`,
+        mime: FORMATOS_PLANILLA.xlsx.mime
+    };
+};
@@ -0,0 +1,262 @@
+// services/clienteBloqueo.service.js
+import { Op } from 'sequelize';
+import sequelize from '../models/sequelize.js';
+import Cliente from '../models/Cliente.js';
+import Usuario from '../models/Usuario.js';
+import ClienteBloqueo from '../models/ClienteBloqueo.js';
+import ClienteBloqueoExcepcion, { OPERACIONES_BLOQUEO } from '../models/ClienteBloqueoExcepcion.js';
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+const texto = (v, max = 500) => {
+    const s = String(v ?? '').trim();
+    return s ? s.slice(0, max) : null;
+};
+
+const esVerdadero = (v) => v === true || v === 'true' || v === 1 || v === '1';
+
+const ETIQUETA_OPERACION = {
+    credito: 'otorgarle crédito',
+    refinanciacion: 'refinanciar',
+    venta_financiada: 'financiarle una venta'
+};
+
+/** Vigente = no levantado y sin vencer (vence_en null = indefinido) */
+const whereVigente = (ahora = new Date()) => ({
+    levantado_en: null,
+    [Op.or]: [{ vence_en: null }, { vence_en: { [Op.gt]: ahora } }]
+});
+
+const estaVigente = (b, ahora = new Date()) =>
+    !b.levantado_en && (!b.vence_en || new Date(b.vence_en) > ahora);
+
+/** 'YYYY-MM-DD' → fin de ese día (el bloqueo dura todo el día indicado) */
+const parseVencimiento = (v) => {
+    if (v === undefined || v === null || v === '') return null;
+
+    const s = String(v).trim();
+    const d = /^\d{4}-\d{2}-\d{2}$/.test(s)
+        ? new Date(`${s}T23:59:59.999`)
+        : new Date(s);
+
+    if (Number.isNaN(d.getTime())) throw httpError(400, 'vence_en inválido (usar YYYY-MM-DD)');
+    if (d <= new Date()) throw httpError(400, 'vence_en debe ser una fecha futura');
+    return d;
+};
+
+const fmtFecha = (d) => {
+    const x = new Date(d);
+    const dd = String(x.getDate()).padStart(2, '0');
+    const mm = String(x.getMonth() + 1).padStart(2, '0');
+    return `${dd}/${mm}/${x.getFullYear()}`;
+};
+
+const assertCliente = async (clienteId, options = {}) => {
+    const cliente = await Cliente.findByPk(asInt(clienteId), { attributes: ['id', 'nombre', 'apellido'], ...options });
+    if (!cliente) throw httpError(404, 'Cliente no encontrado', 'CLIENTE_NO_ENCONTRADO');
+    return cliente;
+};
+
+const INCLUDE_USUARIOS = [
+    { model: Usuario, as: 'bloqueadoPor', attributes: ['id', 'nombre_completo'] },
+    { model: Usuario, as: 'levantadoPor', attributes: ['id', 'nombre_completo'] }
+];
+
+/* ───────────────── Consulta ───────────────── */
+
+/** Bloqueo vigente más reciente del cliente (o null) */
+export const bloqueoVigente = async (clienteId, { transaction } = {}) => {
+    const id = asInt(clienteId);
+    if (!id) return null;
+
+    return ClienteBloqueo.findOne({
+        where: { cliente_id: id, ...whereVigente() },
+        order: [['fecha_bloqueo', 'DESC'], ['id', 'DESC']],
+        transaction
+    });
+};
+
+/** Historial completo de bloqueos del cliente, con las excepciones registradas */
+export const obtenerBloqueosCliente = async (clienteId) => {
+    const cliente = await assertCliente(clienteId);
+
+    const bloqueos = await ClienteBloqueo.findAll({
+        where: { cliente_id: cliente.id },
+        include: [
+            ...INCLUDE_USUARIOS,
+            {
+                model: ClienteBloqueoExcepcion,
+                as: 'excepciones',
+                include: [{ model: Usuario, as: 'usuario', attributes: ['id', 'nombre_completo'] }]
+            }
+        ],
+        order: [['fecha_bloqueo', 'DESC'], ['id', 'DESC'], [{ model: ClienteBloqueoExcepcion, as: 'excepciones' }, 'fecha', 'DESC']]
+    });
+
+    const ahora = new Date();
+    const data = bloqueos.map((b) => ({ ...b.toJSON(), vigente: estaVigente(b, ahora) }));
+
+    return {
+        cliente_id: cliente.id,
+        bloqueado: data.some((b) => b.vigente),
+        bloqueos: data
+    };
+};
+
+/**
+ * Clientes con bloqueo vigente (paginado).
+ * query: { q? (nombre, apellido o DNI), page?, limit? }
+ */
+export const obtenerClientesBloqueados = async (query = {}) => {
+    const pageNum = Math.max(1, asInt(query.page) || 1);
+    const limitNum = Math.min(200, Math.max(1, asInt(query.limit) || 50));
+
+    const where = whereVigente();
+    const q = texto(query.q, 100);
+    if (q) {
+        where[Op.and] = [{
+            [Op.or]: [
+                { '$cliente.nombre$': { [Op.iLike]: `%${q}%` } },
+                { '$cliente.apellido$': { [Op.iLike]: `%${q}%` } },
+                { '$cliente.dni$': { [Op.iLike]: `%${q}%` } }
+            ]
+        }];
+    }
+
+    const { rows, count } = await ClienteBloqueo.findAndCountAll({
+        where,
+        include: [
+            { model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido', 'dni', 'telefono'], required: true },
+            { model: Usuario, as: 'bloqueadoPor', attributes: ['id', 'nombre_completo'] }
+        ],
+        order: [['fecha_bloqueo', 'DESC'], ['id', 'DESC']],
+        limit: limitNum,
+        offset: (pageNum - 1) * limitNum,
+        distinct: true
+    });
+
+    return {
+        data: rows,
+        pagination: { page: pageNum, limit: limitNum, total: count }
+    };
+};
+
+/* ───────────────── Alta / baja ───────────────── */
+
+/**
+ * Bloquea al cliente. data: { motivo, vence_en? }
+ * Si ya tiene un bloqueo vigente → 409 (levantarlo antes de cargar otro).
+ */
+export const bloquearCliente = async (clienteId, data = {}, { usuarioId = null } = {}) => {
+    const motivo = texto(data.motivo);
+    if (!motivo) throw httpError(400, 'El motivo del bloqueo es obligatorio');
+    const venceEn = parseVencimiento(data.vence_en);
+
+    return sequelize.transaction(async (t) => {
+        // lock del cliente: serializa bloqueos concurrentes sobre el mismo cliente
+        const cliente = await assertCliente(clienteId, { transaction: t, lock: t.LOCK.UPDATE });
+
+        const actual = await bloqueoVigente(cliente.id, { transaction: t });
+        if (actual) {
+            throw httpError(409, 'El cliente ya tiene un bloqueo vigente', 'CLIENTE_YA_BLOQUEADO');
+        }
+
+        return ClienteBloqueo.create({
+            cliente_id: cliente.id,
+            motivo,
+            bloqueado_por: asInt(usuarioId),
+            fecha_bloqueo: new Date(),
+            vence_en: venceEn
+        }, { transaction: t });
+    });
+};
+
+/** Levanta el/los bloqueo(s) vigente(s) del cliente. data: { motivo? } */
+export const desbloquearCliente = async (clienteId, data = {}, { usuarioId = null } = {}) =>
+    sequelize.transaction(async (t) => {
+        const cliente = await assertCliente(clienteId, { transaction: t, lock: t.LOCK.UPDATE });
+
+        const [cantidad] = await ClienteBloqueo.update(
+            {
+                levantado_en: new Date(),
+                levantado_por: asInt(usuarioId),
+                motivo_levantamiento: texto(data.motivo)
+            },
+            { where: { cliente_id: cliente.id, ...whereVigente() }, transaction: t }
+        );
+
+        if (!cantidad) throw httpError(404, 'El cliente no tiene un bloqueo vigente', 'CLIENTE_NO_BLOQUEADO');
+        return { cliente_id: cliente.id, levantados: cantidad };
+    });
+
+/* ───────────────── Control en operaciones ───────────────── */
+
+/**
+ * Verifica que el cliente no esté bloqueado antes de una operación de crédito.
+ *
+ * - Sin bloqueo → null.
+ * - Bloqueado → 409 CLIENTE_BLOQUEADO, salvo que un superadmin fuerce la operación
+ *   (forzar + motivo); en ese caso devuelve { bloqueo, motivo } para registrar la
+ *   excepción con registrarExcepcionBloqueo una vez creada la operación.
+ */
+export const assertClienteHabilitado = async (
+    clienteId,
+    { operacion = 'credito', forzar = false, motivoForzado = null, rolId = null, transaction } = {}
+) => {
+    const bloqueo = await bloqueoVigente(clienteId, { transaction });
+    if (!bloqueo) return null;
+
+    if (!esVerdadero(forzar)) {
+        const hasta = bloqueo.vence_en ? ` (hasta el ${fmtFecha(bloqueo.vence_en)})` : '';
+        const err = httpError(
+            409,
+            `Cliente bloqueado: no se puede ${ETIQUETA_OPERACION[operacion] || 'operar'}. Motivo: ${bloqueo.motivo}${hasta}`,
+            'CLIENTE_BLOQUEADO'
+        );
+        err.bloqueo = { id: bloqueo.id, motivo: bloqueo.motivo, fecha_bloqueo: bloqueo.fecha_bloqueo, vence_en: bloqueo.vence_en };
+        throw err;
+    }
+
+    if (Number(rolId) !== 0) {
+        throw httpError(403, 'Solo un superadmin puede operar sobre un cliente bloqueado', 'BLOQUEO_SOLO_SUPERADMIN');
+    }
+
+    const motivo = texto(motivoForzado);
+    if (!motivo) {
+        throw httpError(400, 'Indicá el motivo para operar sobre un cliente bloqueado (motivo_forzado)', 'MOTIVO_FORZADO_REQUERIDO');
+    }
+
+    return { bloqueo, motivo };
+};
+
+/** Deja constancia del override de un superadmin (no-op si no hubo override) */
+export const registrarExcepcionBloqueo = async (
+    forzado,
+    { operacion, referenciaId = null, usuarioId = null } = {},
+    { transaction } = {}
+) => {
+    if (!forzado?.bloqueo) return null;
+    if (!OPERACIONES_BLOQUEO.includes(operacion)) throw httpError(500, `Operación de bloqueo desconocida: ${operacion}`);
+
+    return ClienteBloqueoExcepcion.create({
+        bloqueo_id: forzado.bloqueo.id,
+        cliente_id: forzado.bloqueo.cliente_id,
+        operacion,
+        referencia_id: asInt(referenciaId),
+        usuario_id: asInt(usuarioId),
+        motivo: forzado.motivo,
+        fecha: new Date()
+    }, { transaction });
+};
@@ -0,0 +1,323 @@
+// services/clienteBusqueda.service.js
+// Búsqueda difusa de clientes sobre PostgreSQL (unaccent + pg_trgm).
+// - Ignora acentos y mayúsculas: "Gonzales" encuentra "González"
+// - Tolera errores de tipeo (similitud de trigramas) y coincidencias parciales
+// - Teléfonos y DNI se comparan solo por dígitos ("381-555" encuentra "3815551234")
+// - Cada palabra del término tiene que coincidir en algún campo; el puntaje es el promedio
+// Si las extensiones no están disponibles (permisos de la base), devuelve null y el caller
+// usa la búsqueda ILIKE de siempre.
+
+import { QueryTypes } from 'sequelize';
+import sequelize from '../models/sequelize.js';
+
+/* ───────────────── Config ───────────────── */
+
+// Tope de candidatos rankeados por búsqueda (el filtro/paginado se aplica después)
+const MAX_CANDIDATOS = 1000;
+
+// Máximo de palabras del término que se consideran
+const MAX_TOKENS = 5;
+
+// Dígitos mínimos para comparar contra DNI/teléfonos (evita que "1" matchee todo)
+const MIN_DIGITOS = 3;
+
+// Similitud mínima (Dice sobre bigramas) para resaltar una palabra por coincidencia aproximada
+const UMBRAL_RESALTADO = 0.5;
+
+/* ───────────────── Expresiones SQL ─────────────────
+   Tienen que coincidir EXACTAMENTE con las de los índices para que el planner los use. */
+
+const texto = (col) => `f_unaccent(lower(coalesce(c.${col}, '')))`;
+const digitos = (col) => `regexp_replace(coalesce(c.${col}, ''), '\\D', '', 'g')`;
+
+const EXPR = {
+    nombre: texto('nombre'),
+    apellido: texto('apellido'),
+    direccion: texto('direccion'),
+    localidad: texto('localidad'),
+    dni: digitos('dni'),
+    telefono: digitos('telefono'),
+    telefono_secundario: digitos('telefono_secundario'),
+    cobrador: `f_unaccent(lower(coalesce(u.nombre_completo, '')))`
+};
+
+// Peso de cada campo de texto en el puntaje (apellido/nombre pesan más que la dirección)
+const PESOS_TEXTO = {
+    apellido: 1,
+    nombre: 1,
+    direccion: 0.6,
+    localidad: 0.6,
+    cobrador: 0.5
+};
+
+const INDICES = [
+    ['clientes_busq_nombre_trgm', EXPR.nombre],
+    ['clientes_busq_apellido_trgm', EXPR.apellido],
+    ['clientes_busq_direccion_trgm', EXPR.direccion],
+    ['clientes_busq_localidad_trgm', EXPR.localidad],
+    ['clientes_busq_dni_trgm', EXPR.dni],
+    ['clientes_busq_telefono_trgm', EXPR.telefono],
+    ['clientes_busq_telefono2_trgm', EXPR.telefono_secundario]
+];
+
+/* ───────────────── Estado ───────────────── */
+
+// null = no se intentó todavía; true/false = resultado de prepararBusquedaClientes
+let disponible = null;
+
+/**
+ * Crea (idempotente) extensiones, la función inmutable f_unaccent y los índices GIN de trigramas.
+ * unaccent() es STABLE y no se puede indexar: el wrapper IMMUTABLE fija el diccionario.
+ * Se llama al arrancar el server; si falla (sin permisos) la búsqueda cae al modo ILIKE.
+ */
+export const prepararBusquedaClientes = async () => {
+    try {
+        await sequelize.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+        await sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+        await sequelize.query(`
+            CREATE OR REPLACE FUNCTION f_unaccent(text) RETURNS text AS
+            $$ SELECT public.unaccent('public.unaccent'::regdictionary, $1) $$
+            LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+        `);
+
+        for (const [nombre, expr] of INDICES) {
+            const exprTabla = expr.replace(/c\./g, '');
+            await sequelize.query(
+                `CREATE INDEX IF NOT EXISTS ${nombre} ON clientes USING gin ((${exprTabla}) gin_trgm_ops)`
+            );
+        }
+
+        disponible = true;
+    } catch (e) {
+        console.error('[busquedaClientes] Búsqueda difusa no disponible (se usa ILIKE):', e?.message || e);
+        disponible = false;
+    }
+    return { disponible };
+};
+
+const busquedaDifusaDisponible = async () => {
+    if (disponible === null) await prepararBusquedaClientes();
+    return disponible;
+};
+
+/* ───────────────── Normalización ───────────────── */
+
+/** Un carácter sin acento y en minúscula (conserva largo: sirve para mapear posiciones) */
+const normalizarCaracter = (ch) =>
+    (ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()[0]) ?? ch;
+
+const normalizarConPosiciones = (valor) => Array.from(String(valor ?? ''), normalizarCaracter).join('');
+
+/**
+ * Palabras del término de búsqueda: { texto, digitos }
+ * "30.123.456" → un solo token (texto "30123456", digitos "30123456")
+ */
+export const tokenizarBusqueda = (term) =>
+    String(term ?? '')
+        .split(/\s+/)
+        .map((raw) => ({
+            texto: normalizarConPosiciones(raw).replace(/[^a-z0-9]+/g, ''),
+            digitos: raw.replace(/\D+/g, '')
+        }))
+        .filter((t) => t.texto)
+        .slice(0, MAX_TOKENS);
+
+/* ───────────────── Ranking ───────────────── */
+
+const condicionToken = (i, tok) => {
+    const ors = [];
+    for (const campo of Object.keys(PESOS_TEXTO)) {
+        ors.push(`${EXPR[campo]} LIKE :like${i}`, `:t${i} <% ${EXPR[campo]}`);
+    }
+    if (tok.digitos.length >= MIN_DIGITOS) {
+        ors.push(
+            `${EXPR.dni} LIKE :dlike${i}`,
+            `${EXPR.telefono} LIKE :dlike${i}`,
+            `${EXPR.telefono_secundario} LIKE :dlike${i}`
+        );
+    }
+    return `(${ors.join(' OR ')})`;
+};
+
+const puntajeToken = (i, tok) => {
+    const partes = Object.entries(PESOS_TEXTO).map(
+        ([campo, peso]) => `word_similarity(:t${i}, ${EXPR[campo]}) * ${peso}`
+    );
+    // prefijo exacto en apellido/nombre: lo que el operador suele tipear primero
+    partes.push(`CASE WHEN ${EXPR.apellido} LIKE :prefix${i} OR ${EXPR.nombre} LIKE :prefix${i} THEN 1.2 ELSE 0 END`);
+    if (tok.digitos.length >= MIN_DIGITOS) {
+        partes.push(`CASE WHEN ${EXPR.dni} = :d${i} THEN 1.5 WHEN ${EXPR.dni} LIKE :dlike${i} THEN 1 ELSE 0 END`);
+        partes.push(`CASE WHEN ${EXPR.telefono} LIKE :dlike${i} OR ${EXPR.telefono_secundario} LIKE :dlike${i} THEN 0.9 ELSE 0 END`);
+    }
+    return `GREATEST(${partes.join(', ')})`;
+};
+
+/**
+ * Ids de clientes que coinciden con el término, ordenados por relevancia.
+ * Devuelve [{ id, score }] o null si la búsqueda difusa no está disponible.
+ */
+export const rankearClientes = async (term) => {
+    const tokens = tokenizarBusqueda(term);
+    if (!tokens.length) return [];
+    if (!(await busquedaDifusaDisponible())) return null;
+
+    const replacements = { max: MAX_CANDIDATOS };
+    tokens.forEach((tok, i) => {
+        replacements[`t${i}`] = tok.texto;
+        replacements[`like${i}`] = `%${tok.texto}%`;
+        replacements[`prefix${i}`] = `${tok.texto}%`;
+        if (tok.digitos.length >= MIN_DIGITOS) {
+            replacements[`d${i}`] = tok.digitos;
+            replacements[`dlike${i}`] = `%${tok.digitos}%`;
+        }
+    });
+
+    const score = tokens.map((tok, i) => puntajeToken(i, tok)).join(' + ');
+    const where = tokens.map((tok, i) => condicionToken(i, tok)).join(' AND ');
+
+    const filas = await sequelize.query(
+        `SELECT c.id, (${score}) / ${tokens.length} AS score
+           FROM clientes c
+           LEFT JOIN usuarios u ON u.id = c.cobrador
+          WHERE ${where}
+          ORDER BY score DESC, c.apellido ASC, c.nombre ASC
+          LIMIT :max`,
+        { replacements, type: QueryTypes.SELECT }
+    );
+
+    return filas.map((f) => ({ id: Number(f.id), score: Math.round(Number(f.score) * 1000) / 1000 }));
+};
+
+/* ───────────────── Resaltado ───────────────── */
+
+const CAMPOS_TEXTO_RESALTADO = ['nombre', 'apellido', 'direccion', 'localidad'];
+const CAMPOS_DIGITOS_RESALTADO = ['dni', 'telefono', 'telefono_secundario'];
+
+/** Coeficiente de Dice sobre bigramas (0..1) */
+const similitud = (a, b) => {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const bigramas = (s) => {
+        const m = new Map();
+        for (let i = 0; i < s.length - 1; i++) {
+            const g = s.slice(i, i + 2);
+            m.set(g, (m.get(g) || 0) + 1);
+        }
+        return m;
+    };
+    const ga = bigramas(a);
+    const gb = bigramas(b);
+    let inter = 0;
+    for (const [g, n] of ga) inter += Math.min(n, gb.get(g) || 0);
+    const total = Math.max(1, a.length - 1) + Math.max(1, b.length - 1);
+    return (2 * inter) / total;
+};
+
+const buscarOcurrencias = (haystack, needle) => {
+    const rangos = [];
+    if (!needle) return rangos;
+    let desde = 0;
+    while (desde <= haystack.length - needle.length) {
+        const pos = haystack.indexOf(needle, desde);
+        if (pos === -1) break;
+        rangos.push([pos, pos + needle.length]);
+        desde = pos + needle.length;
+    }
+    return rangos;
+};
+
+const rangosTexto = (valor, tokens) => {
+    const norm = normalizarConPosiciones(valor);
+    const rangos = [];
+
+    for (const tok of tokens) {
+        const exactos = buscarOcurrencias(norm, tok.texto);
+        if (exactos.length) {
+            rangos.push(...exactos);
+            continue;
+        }
+        // Sin coincidencia literal: resaltamos la palabra más parecida (typo / acento)
+        let mejor = null;
+        for (const m of norm.matchAll(/[a-z0-9]+/g)) {
+            const s = similitud(m[0], tok.texto);
+            if (s >= UMBRAL_RESALTADO && (!mejor || s > mejor.s)) {
+                mejor = { s, rango: [m.index, m.index + m[0].length] };
+            }
+        }
+        if (mejor) rangos.push(mejor.rango);
+    }
+    return rangos;
+};
+
+const rangosDigitos = (valor, tokens) => {
+    const original = String(valor ?? '');
+    const posiciones = [];
+    let soloDigitos = '';
+    for (let i = 0; i < original.length; i++) {
+        if (/\d/.test(original[i])) {
+            soloDigitos += original[i];
+            posiciones.push(i);
+        }
+    }
+
+    const rangos = [];
+    for (const tok of tokens) {
+        if (tok.digitos.length < MIN_DIGITOS) continue;
+        for (const [ini, fin] of buscarOcurrencias(soloDigitos, tok.digitos)) {
+            rangos.push([posiciones[ini], posiciones[fin - 1] + 1]);
+        }
+    }
+    return rangos;
+};
+
+const unirRangos = (rangos) => {
+    const orden = [...rangos].sort((a, b) => a[0] - b[0]);
+    const out = [];
+    for (const r of orden) {
+        const ult = out[out.length - 1];
+        if (ult && r[0] <= ult[1]) ult[1] = Math.max(ult[1], r[1]);
+        else out.push([...r]);
+    }
+    return out;
+};
+
+const escaparHtml = (s) =>
+    s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const marcar = (valor, rangos) => {
+    let out = '';
+    let cursor = 0;
+    for (const [ini, fin] of rangos) {
+        out += escaparHtml(valor.slice(cursor, ini));
+        out += `<mark>${escaparHtml(valor.slice(ini, fin))}</mark>`;
+        cursor = fin;
+    }
+    return out + escaparHtml(valor.slice(cursor));
+};
+
+/**
+ * Campos del cliente que coinciden con el término.
+ * [{ campo, valor, resaltado ('<mark>' sobre HTML escapado), posiciones: [{ inicio, fin }] }]
+ */
+export const resaltarCoincidencias = (cliente, term) => {
+    const tokens = tokenizarBusqueda(term);
+    if (!tokens.length || !cliente) return [];
+
+    const out = [];
+    const agregar = (campo, rangos) => {
+        const valor = String(cliente[campo] ?? '');
+        if (!valor || !rangos.length) return;
+        const unidos = unirRangos(rangos);
+        out.push({
+            campo,
+            valor,
+            resaltado: marcar(valor, unidos),
+            posiciones: unidos.map(([inicio, fin]) => ({ inicio, fin }))
+        });
+    };
+
+    for (const campo of CAMPOS_TEXTO_RESALTADO) agregar(campo, rangosTexto(cliente[campo], tokens));
+    for (const campo of CAMPOS_DIGITOS_RESALTADO) agregar(campo, rangosDigitos(cliente[campo], tokens));
+
+    return out;
+};
@@ -0,0 +1,223 @@
+// services/clienteDocumento.service.js
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Op } from 'sequelize';
+import sequelize from '../models/sequelize.js';
+import Cliente from '../models/Cliente.js';
+import Usuario from '../models/Usuario.js';
+import ClienteDocumento, { TIPOS_DOCUMENTO } from '../models/ClienteDocumento.js';
+
+/* ───────────────── Config ───────────────── */
+
+const toInt = (v, def) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : def;
+};
+
+// Fuera de /uploads a propósito: nunca lo sirve express.static
+const getDocumentosDir = () => path.resolve(process.cwd(), process.env.DOCUMENTOS_DIR || 'storage/documentos');
+
+export const MAX_BYTES_DOCUMENTO = Math.max(1, toInt(process.env.DOCUMENTOS_MAX_MB, 10)) * 1024 * 1024;
+
+// mime → extensiones aceptadas + firma de los primeros bytes
+const FORMATOS = {
+    'application/pdf': { exts: ['.pdf'], firma: (b) => b.subarray(0, 4).toString('latin1') === '%PDF' },
+    'image/jpeg': { exts: ['.jpg', '.jpeg'], firma: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    'image/png': { exts: ['.png'], firma: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    'image/webp': {
+        exts: ['.webp'],
+        firma: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP'
+    }
+};
+
+export const MIMES_DOCUMENTO = Object.keys(FORMATOS);
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+const nombreSeguro = (v) =>
+    String(v || 'documento').replace(/[\r\n"\\/]+/g, '_').slice(0, 255);
+
+const assertCliente = async (clienteId, options = {}) => {
+    const cliente = await Cliente.findByPk(asInt(clienteId), { attributes: ['id'], ...options });
+    if (!cliente) throw httpError(404, 'Cliente no encontrado', 'CLIENTE_NO_ENCONTRADO');
+    return cliente;
+};
+
+/** Valida tipo declarado, extensión y contenido real del archivo */
+const validarArchivo = (file) => {
+    if (!file?.buffer?.length) throw httpError(400, 'No se recibió ningún archivo. Usá el campo "archivo".');
+    if (file.buffer.length > MAX_BYTES_DOCUMENTO) {
+        throw httpError(413, `El archivo supera el máximo de ${MAX_BYTES_DOCUMENTO / 1024 / 1024} MB`, 'ARCHIVO_MUY_GRANDE');
+    }
+
+    const formato = FORMATOS[file.mimetype];
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (!formato || !formato.exts.includes(ext)) {
+        throw httpError(415, 'Formato no soportado. Se aceptan PDF, JPG, PNG o WEBP.', 'FORMATO_NO_SOPORTADO');
+    }
+    if (!formato.firma(file.buffer)) {
+        throw httpError(415, 'El contenido del archivo no coincide con su formato', 'FORMATO_NO_SOPORTADO');
+    }
+
+    return formato.exts[0];
+};
+
+const rutaAbsoluta = (archivo) => {
+    const base = getDocumentosDir();
+    const abs = path.resolve(base, archivo);
+    // defensa extra: nunca salir del directorio base
+    if (!abs.startsWith(base + path.sep)) throw httpError(400, 'Ruta de documento inválida');
+    return abs;
+};
+
+/* ───────────────── API ───────────────── */
+
+export const obtenerTiposDocumento = () => ({
+    tipos: TIPOS_DOCUMENTO,
+    mimes: MIMES_DOCUMENTO,
+    max_bytes: MAX_BYTES_DOCUMENTO
+});
+
+/**
+ * Guarda un documento nuevo para el cliente.
+ * file: objeto de multer (memoryStorage). data: { tipo, descripcion? }
+ */
+export const subirDocumento = async (clienteId, file, data = {}, { usuarioId = null } = {}) => {
+    const tipo = String(data.tipo || '').trim();
+    if (!TIPOS_DOCUMENTO.includes(tipo)) {
+        throw httpError(400, `Tipo de documento inválido. Valores: ${TIPOS_DOCUMENTO.join(', ')}`);
+    }
+
+    const ext = validarArchivo(file);
+    const cliente = await assertCliente(clienteId);
+
+    const relativo = path.join(String(cliente.id), `${crypto.randomUUID()}${ext}`);
+    const destino = rutaAbsoluta(relativo);
+    await fs.promises.mkdir(path.dirname(destino), { recursive: true });
+    await fs.promises.writeFile(destino, file.buffer, { flag: 'wx' });
+
+    try {
+        return await sequelize.transaction(async (t) => {
+            let version = 1;
+
+            // Versionado por tipo (salvo "otro")
+            if (tipo !== 'otro') {
+                // Lock del cliente: dos subidas simultáneas del mismo tipo no pueden leer el mismo max
+                // (además el índice único cliente_id + tipo + version lo garantiza en la base)
+                await assertCliente(cliente.id, { transaction: t, lock: t.LOCK.UPDATE });
+
+                const ultima = await ClienteDocumento.max('version', {
+                    where: { cliente_id: cliente.id, tipo },
+                    transaction: t
+                });
+                version = (Number(ultima) || 0) + 1;
+
+                await ClienteDocumento.update(
+                    { vigente: false },
+                    { where: { cliente_id: cliente.id, tipo, vigente: true }, transaction: t }
+                );
+            }
+
+            return ClienteDocumento.create({
+                cliente_id: cliente.id,
+                tipo,
+                version,
+                vigente: true,
+                descripcion: data.descripcion ? String(data.descripcion).slice(0, 255) : null,
+                nombre_original: nombreSeguro(file.originalname),
+                archivo: relativo,
+                mime: file.mimetype,
+                tamanio: file.buffer.length,
+                sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+                subido_por: asInt(usuarioId),
+                fecha_subida: new Date()
+            }, { transaction: t });
+        });
+    } catch (err) {
+        // si falló la DB no dejamos huérfano el archivo
+        await fs.promises.unlink(destino).catch(() => {});
+        throw err;
+    }
+};
+
+/**
+ * Documentos del cliente. Por defecto solo los vigentes.
+ * query: { tipo?, historial? (incluye versiones anteriores) }
+ */
+export const listarDocumentos = async (clienteId, query = {}) => {
+    const cliente = await assertCliente(clienteId);
+
+    const where = { cliente_id: cliente.id, eliminado_en: null };
+    if (query.tipo) where.tipo = String(query.tipo);
+    if (!(query.historial === true || query.historial === 'true')) where.vigente = true;
+
+    return ClienteDocumento.findAll({
+        where,
+        attributes: { exclude: ['archivo'] },
+        include: [{ model: Usuario, as: 'subidoPor', attributes: ['id', 'nombre_completo'] }],
+        order: [['tipo', 'ASC'], ['version', 'DESC'], ['id', 'DESC']]
+    });
+};
+
+/** Metadatos + ruta absoluta para servir la descarga */
+export const obtenerArchivoDocumento = async (clienteId, documentoId) => {
+    const doc = await ClienteDocumento.findOne({
+        where: { id: asInt(documentoId), cliente_id: asInt(clienteId), eliminado_en: null }
+    });
+    if (!doc) throw httpError(404, 'Documento no encontrado', 'DOCUMENTO_NO_ENCONTRADO');
+
+    const ruta = rutaAbsoluta(doc.archivo);
+    try {
+        await fs.promises.access(ruta, fs.constants.R_OK);
+    } catch {
+        throw httpError(410, 'El archivo del documento ya no está disponible', 'ARCHIVO_NO_DISPONIBLE');
+    }
+
+    return { ruta, mime: doc.mime, nombre: doc.nombre_original, tamanio: doc.tamanio };
+};
+
+/**
+ * Baja lógica. Si era la versión vigente de su tipo, la versión anterior
+ * (no eliminada) vuelve a quedar vigente.
+ */
+export const eliminarDocumento = async (clienteId, documentoId, { usuarioId = null } = {}) =>
+    sequelize.transaction(async (t) => {
+        const doc = await ClienteDocumento.findOne({
+            where: { id: asInt(documentoId), cliente_id: asInt(clienteId), eliminado_en: null },
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+        if (!doc) throw httpError(404, 'Documento no encontrado', 'DOCUMENTO_NO_ENCONTRADO');
+
+        const eraVigente = doc.vigente;
+        await doc.update({ eliminado_en: new Date(), eliminado_por: asInt(usuarioId), vigente: false }, { transaction: t });
+
+        if (eraVigente && doc.tipo !== 'otro') {
+            const anterior = await ClienteDocumento.findOne({
+                where: {
+                    cliente_id: doc.cliente_id,
+                    tipo: doc.tipo,
+                    eliminado_en: null,
+                    id: { [Op.ne]: doc.id }
+                },
+                order: [['version', 'DESC']],
+                transaction: t
+            });
+            if (anterior) await anterior.update({ vigente: true }, { transaction: t });
+        }
+
+        return doc;
+    });
@@ -0,0 +1,442 @@
+// services/clienteDuplicado.service.js
+import { Op, QueryTypes } from 'sequelize';
+import sequelize from '../models/sequelize.js';
+import Cliente from '../models/Cliente.js';
+import Credito from '../models/Credito.js';
+import VentaManual from '../models/VentaManual.js';
+import Recibo from '../models/Recibo.js';
+import ClienteFusion from '../models/ClienteFusion.js';
+import ClienteDocumento from '../models/ClienteDocumento.js';
+import Garante from '../models/Garante.js';
+import ClienteBloqueo from '../models/ClienteBloqueo.js';
+import ClienteBloqueoExcepcion from '../models/ClienteBloqueoExcepcion.js';
+import Gestion from '../models/Gestion.js';
+import ClienteLimiteExcepcion from '../models/ClienteLimiteExcepcion.js';
+import SolicitudCredito from '../models/SolicitudCredito.js';
+import PuntajeHistorial from '../models/PuntajeHistorial.js';
+import { calcularPuntajeCliente } from './puntaje.service.js';
+
+/* ───────────────── Config ───────────────── */
+
+// Puntaje mínimo para considerar un par como posible duplicado
+const UMBRAL_DEFAULT = 50;
+
+const PUNTOS = {
+    dni_igual: 60,
+    dni_similar: 35,      // un dígito de diferencia (typo)
+    dni_distinto: -30,    // ambos con DNI y claramente distintos: probablemente familiares
+    telefono: 25,
+    nombre_muy_similar: 30,
+    nombre_similar: 15,
+    direccion: 15
+};
+
+// Bloques enormes (nombres muy comunes, teléfonos de relleno) se descartan para no comparar N² sin límite
+const MAX_BLOQUE = 300;
+
+// Tope de pares candidatos que devuelve la base por búsqueda
+const MAX_PARES = 20000;
+
+const ATRIBUTOS_BASICOS = [
+    'id', 'nombre', 'apellido', 'dni', 'telefono', 'telefono_secundario',
+    'direccion', 'localidad', 'cobrador', 'zona', 'fecha_registro'
+];
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+/** minúsculas, sin acentos, solo letras/números separados por un espacio */
+const normalizarTexto = (v) =>
+    String(v ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9ñ]+/g, ' ')
+        .trim();
+
+const normalizarDni = (v) => String(v ?? '').replace(/\D+/g, '').replace(/^0+/, '');
+
+// Teléfono: últimos 7 dígitos (ignora 0, 54, 9, 15 y característica, que se cargan a veces sí y a veces no)
+const normalizarTelefono = (v) => {
+    const d = String(v ?? '').replace(/\D+/g, '');
+    return d.length >= 7 ? d.slice(-7) : '';
+};
+
+const PALABRAS_DIRECCION = new Set([
+    'calle', 'av', 'avda', 'avenida', 'nro', 'numero', 'n', 'no', 'bo', 'b', 'barrio', 'pje', 'pasaje', 'sn', 's'
+]);
+
+const normalizarDireccion = (direccion, localidad) => {
+    const base = normalizarTexto(direccion).split(' ').filter((t) => t && !PALABRAS_DIRECCION.has(t)).join(' ');
+    if (base.length < 5) return '';
+    return `${base}|${normalizarTexto(localidad)}`;
+};
+
+const nombreCompletoNormalizado = (c) =>
+    normalizarTexto(`${c.nombre ?? ''} ${c.apellido ?? ''}`).split(' ').filter(Boolean).sort().join(' ');
+
+/** Coeficiente de Dice sobre bigramas (0..1) */
+const similitud = (a, b) => {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const bigramas = (s) => {
+        const m = new Map();
+        for (let i = 0; i < s.length - 1; i++) {
+            const g = s.slice(i, i + 2);
+            m.set(g, (m.get(g) || 0) + 1);
+        }
+        return m;
+    };
+    const ga = bigramas(a);
+    const gb = bigramas(b);
+    let inter = 0;
+    for (const [g, n] of ga) inter += Math.min(n, gb.get(g) || 0);
+    const total = Math.max(1, a.length - 1) + Math.max(1, b.length - 1);
+    return (2 * inter) / total;
+};
+
+/** Distancia de edición ≤ 1 (sustitución, inserción o borrado de un carácter) */
+const distanciaUno = (a, b) => {
+    if (a === b) return false;
+    if (Math.abs(a.length - b.length) > 1) return false;
+    let i = 0;
+    let j = 0;
+    let difs = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { i++; j++; continue; }
+        if (++difs > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else { i++; j++; }
+    }
+    return difs + (a.length - i) + (b.length - j) <= 1;
+};
+
+/** Datos normalizados de un cliente para comparar */
+const perfil = (c) => ({
+    id: c.id,
+    dni: normalizarDni(c.dni),
+    telefonos: [...new Set([normalizarTelefono(c.telefono), normalizarTelefono(c.telefono_secundario)].filter(Boolean))],
+    nombre: nombreCompletoNormalizado(c),
+    direccion: normalizarDireccion(c.direccion, c.localidad)
+});
+
+/* ───────────────── Candidatos (SQL) ─────────────────
+   Claves de bloqueo calculadas en la base: solo se comparan clientes que comparten al menos una.
+   - d:  DNI (solo dígitos, sin ceros a la izquierda)
+   - dv: DNI borrando un dígito (detecta typos de un carácter)
+   - t:  teléfono (últimos 7 dígitos, principal o secundario)
+   - n:  primer nombre + primer apellido normalizados (en cualquier orden)
+   La dirección no bloquea: solo suma puntaje a pares que ya coinciden por otra clave. */
+
+const textoSql = (col) =>
+    `trim(regexp_replace(translate(lower(coalesce(${col}, '')), 'áéíóúüàèìòùâêîôû', 'aeiouuaeiouaeiou'), '[^a-z0-9ñ]+', ' ', 'g'))`;
+const telefonoSql = (col) => `right(regexp_replace(coalesce(${col}, ''), '\\D', '', 'g'), 7)`;
+
+const SQL_CANDIDATOS = `
+    WITH base AS (
+        SELECT id,
+               ltrim(regexp_replace(coalesce(dni, ''), '\\D', '', 'g'), '0') AS dni,
+               ARRAY[${telefonoSql('telefono')}, ${telefonoSql('telefono_secundario')}] AS tels,
+               split_part(${textoSql('nombre')}, ' ', 1) AS n1,
+               split_part(${textoSql('apellido')}, ' ', 1) AS a1
+          FROM clientes
+    ),
+    claves AS (
+        SELECT id, 'd:' || dni AS clave FROM base WHERE length(dni) >= 6
+        UNION
+        SELECT id, 'dv:' || left(dni, i - 1) || substr(dni, i + 1)
+          FROM base, generate_series(1, length(dni)) AS i
+         WHERE length(dni) >= 6
+        UNION
+        SELECT id, 't:' || t FROM base, unnest(tels) AS t WHERE length(t) = 7
+        UNION
+        SELECT id, 'n:' || least(n1, a1) || '|' || greatest(n1, a1)
+          FROM base
+         WHERE length(n1) >= 2 AND length(a1) >= 3
+    ),
+    chicas AS (
+        SELECT clave FROM claves GROUP BY clave HAVING count(*) BETWEEN 2 AND :maxBloque
+    )
+    SELECT DISTINCT a.id AS x, b.id AS y
+      FROM claves a
+      JOIN claves b ON b.clave = a.clave AND b.id > a.id
+     WHERE a.clave IN (SELECT clave FROM chicas)
+       AND (CAST(:clienteId AS integer) IS NULL OR a.id = :clienteId OR b.id = :clienteId)
+     LIMIT :maxPares`;
+
+/** Pares [x, y] (x < y) que comparten alguna clave de bloqueo */
+const paresCandidatos = async (clienteId = null) => {
+    const filas = await sequelize.query(SQL_CANDIDATOS, {
+        replacements: { maxBloque: MAX_BLOQUE, maxPares: MAX_PARES, clienteId },
+        type: QueryTypes.SELECT
+    });
+    return filas.map((f) => [Number(f.x), Number(f.y)]);
+};
+
+/** Puntúa un par. Devuelve { puntaje, razones, similitud_nombre } */
+const puntuarPar = (a, b) => {
+    let puntaje = 0;
+    const razones = [];
+
+    if (a.dni && b.dni) {
+        if (a.dni === b.dni) {
+            puntaje += PUNTOS.dni_igual;
+            razones.push('dni_igual');
+        } else if (distanciaUno(a.dni, b.dni)) {
+            puntaje += PUNTOS.dni_similar;
+            razones.push('dni_similar');
+        } else {
+            puntaje += PUNTOS.dni_distinto;
+        }
+    }
+
+    if (a.telefonos.some((t) => b.telefonos.includes(t))) {
+        puntaje += PUNTOS.telefono;
+        razones.push('telefono');
+    }
+
+    const sim = similitud(a.nombre, b.nombre);
+    if (sim >= 0.9) {
+        puntaje += PUNTOS.nombre_muy_similar;
+        razones.push('nombre_muy_similar');
+    } else if (sim >= 0.75) {
+        puntaje += PUNTOS.nombre_similar;
+        razones.push('nombre_similar');
+    }
+
+    if (a.direccion && a.direccion === b.direccion) {
+        puntaje += PUNTOS.direccion;
+        razones.push('direccion');
+    }
+
+    return { puntaje, razones, similitud_nombre: Math.round(sim * 100) / 100 };
+};
+
+/* ───────────────── Detección ───────────────── */
+
+/**
+ * Pares de clientes candidatos a duplicado, ordenados por puntaje.
+ * El bloqueo se resuelve en SQL; solo se cargan y puntúan los clientes de los pares candidatos.
+ * query: { umbral?, cliente_id?, page?, limit? }
+ *  - cliente_id: solo pares que involucren a ese cliente
+ */
+export const buscarDuplicados = async (query = {}) => {
+    const umbral = asInt(query.umbral) ?? UMBRAL_DEFAULT;
+    const clienteId = asInt(query.cliente_id);
+    const pageNum = Math.max(1, asInt(query.page) || 1);
+    const limitNum = Math.min(200, Math.max(1, asInt(query.limit) || 50));
+
+    const candidatos = await paresCandidatos(clienteId);
+    const ids = [...new Set(candidatos.flat())];
+
+    const clientes = ids.length
+        ? await Cliente.findAll({ where: { id: { [Op.in]: ids } }, attributes: ATRIBUTOS_BASICOS, raw: true })
+        : [];
+    const porId = new Map(clientes.map((c) => [c.id, c]));
+    const perfiles = new Map(clientes.map((c) => [c.id, perfil(c)]));
+
+    const pares = [];
+    for (const [x, y] of candidatos) {
+        if (!perfiles.has(x) || !perfiles.has(y)) continue;
+        const r = puntuarPar(perfiles.get(x), perfiles.get(y));
+        if (r.puntaje >= umbral) {
+            pares.push({ ...r, clientes: [porId.get(x), porId.get(y)] });
+        }
+    }
+
+    pares.sort((a, b) => b.puntaje - a.puntaje || a.clientes[0].id - b.clientes[0].id);
+
+    const offset = (pageNum - 1) * limitNum;
+    return {
+        data: pares.slice(offset, offset + limitNum),
+        pagination: { page: pageNum, limit: limitNum, total: pares.length },
+        umbral
+    };
+};
+
+/* ───────────────── Fusión ───────────────── */
+
+// Si están vacíos en el superviviente se completan con los del fusionado
+const CAMPOS_COMPLETABLES = [
+    'dni', 'fecha_nacimiento', 'email', 'telefono', 'telefono_secundario',
+    'direccion', 'direccion_secundaria', 'referencia_direccion', 'referencia_secundaria',
+    'provincia', 'localidad', 'dni_foto', 'cobrador', 'zona'
+];
+
+const vacio = (v) => v === null || v === undefined || (typeof v === 'string' && v.trim() === '');
+
+/**
+ * Fusiona uno o más duplicados dentro del cliente superviviente (una sola transacción):
+ *  1) mueve créditos, ventas manuales, recibos y documentos al superviviente
+ *  2) elimina los duplicados (su ficha completa queda en clientes_fusiones)
+ *  3) completa campos vacíos del superviviente con datos de los duplicados (opcional)
+ *  4) recalcula el puntaje del superviviente con los créditos absorbidos (fuera de la transacción)
+ *
+ * opciones: { motivo?, completar_datos? (default true), usuarioId? }
+ */
+export const fusionarClientes = async (supervivienteId, duplicadoIds = [], opciones = {}) => {
+    const idSup = asInt(supervivienteId);
+    const ids = [...new Set((Array.isArray(duplicadoIds) ? duplicadoIds : [duplicadoIds]).map(asInt))];
+
+    if (!idSup) throw httpError(400, 'Cliente inválido');
+    if (ids.length === 0 || ids.some((x) => !x)) throw httpError(400, 'Indicá los ids de los clientes duplicados');
+    if (ids.includes(idSup)) throw httpError(400, 'Un cliente no puede fusionarse consigo mismo');
+
+    const completar = opciones.completar_datos !== false && opciones.completar_datos !== 'false';
+
+    const resultado = await sequelize.transaction(async (t) => {
+        const superviviente = await Cliente.findByPk(idSup, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!superviviente) throw httpError(404, 'Cliente superviviente no encontrado', 'CLIENTE_NO_ENCONTRADO');
+
+        const duplicados = await Cliente.findAll({
+            where: { id: { [Op.in]: ids } },
+            order: [['id', 'ASC']],
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+        if (duplicados.length !== ids.length) {
+            const encontrados = new Set(duplicados.map((d) => d.id));
+            throw httpError(404, `Clientes no encontrados: ${ids.filter((x) => !encontrados.has(x)).join(', ')}`, 'CLIENTE_NO_ENCONTRADO');
+        }
+
+        const completados = {};
+        const observacionesExtra = [];
+        const resumen = [];
+
+        for (const dup of duplicados) {
+            const datos = dup.get({ plain: true });
+
+            const [creditos, ventas, recibos] = await Promise.all([
+                Credito.findAll({ where: { cliente_id: dup.id }, attributes: ['id'], raw: true, transaction: t }),
+                VentaManual.findAll({ where: { cliente_id: dup.id }, attributes: ['id'], raw: true, transaction: t }),
+                Recibo.findAll({ where: { cliente_id: dup.id }, attributes: ['numero_recibo'], raw: true, transaction: t })
+            ]);
+
+            if (creditos.length) {
+                await Credito.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+            }
+            if (ventas.length) {
+                await VentaManual.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+            }
+            if (recibos.length) {
+                // cliente_nombre queda como estaba: es el snapshot impreso en el recibo
+                await Recibo.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+            }
+
+            // Documentos: pasan como historial (no vigentes) para no pisar los del superviviente.
+            // Las versiones se corren detrás de las del superviviente (índice único cliente_id + tipo + version)
+            const tiposDup = await ClienteDocumento.findAll({
+                where: { cliente_id: dup.id, tipo: { [Op.ne]: 'otro' } },
+                attributes: ['tipo'],
+                group: ['tipo'],
+                raw: true,
+                transaction: t
+            });
+            for (const { tipo } of tiposDup) {
+                const maxSup = Number(await ClienteDocumento.max('version', { where: { cliente_id: idSup, tipo }, transaction: t })) || 0;
+                await ClienteDocumento.update(
+                    { cliente_id: idSup, vigente: false, version: sequelize.literal(`version + ${maxSup}`) },
+                    { where: { cliente_id: dup.id, tipo }, transaction: t }
+                );
+            }
+            await ClienteDocumento.update(
+                { cliente_id: idSup, vigente: false },
+                { where: { cliente_id: dup.id }, transaction: t }
+            );
+
+            // Si el duplicado figuraba como garante, el perfil pasa al superviviente
+            await Garante.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+
+            // Bloqueos (vigentes o no) + excepciones: un duplicado bloqueado deja bloqueado al superviviente
+            await ClienteBloqueo.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+            await ClienteBloqueoExcepcion.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+            await Gestion.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+            await ClienteLimiteExcepcion.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+            await SolicitudCredito.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+            // Historial de puntaje: la FK es CASCADE, si no se mueve se pierde con dup.destroy()
+            await PuntajeHistorial.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+            // Fusiones previas donde el duplicado fue superviviente: misma FK CASCADE
+            await ClienteFusion.update({ cliente_id: idSup }, { where: { cliente_id: dup.id }, transaction: t });
+
+            const camposDup = {};
+            if (completar) {
+                for (const campo of CAMPOS_COMPLETABLES) {
+                    if (vacio(superviviente.get(campo)) && completados[campo] === undefined && !vacio(datos[campo])) {
+                        completados[campo] = datos[campo];
+                        camposDup[campo] = datos[campo];
+                    }
+                }
+                if (!vacio(datos.observaciones)) {
+                    observacionesExtra.push(`[Fusionado cliente #${dup.id}] ${String(datos.observaciones).trim()}`);
+                }
+            }
+
+            await ClienteFusion.create({
+                cliente_id: idSup,
+                cliente_fusionado_id: dup.id,
+                datos_fusionado: datos,
+                campos_completados: Object.keys(camposDup).length ? camposDup : null,
+                creditos_movidos: creditos.map((c) => c.id),
+                ventas_movidas: ventas.map((v) => v.id),
+                recibos_movidos: recibos.map((r) => r.numero_recibo),
+                motivo: opciones.motivo ? String(opciones.motivo).slice(0, 255) : null,
+                usuario_id: asInt(opciones.usuarioId),
+                fecha: new Date()
+            }, { transaction: t });
+
+            // Se elimina antes de completar datos: el DNI es único y puede pasar al superviviente
+            await dup.destroy({ transaction: t });
+
+            resumen.push({
+                cliente_fusionado_id: dup.id,
+                creditos_movidos: creditos.length,
+                ventas_movidas: ventas.length,
+                recibos_movidos: recibos.length
+            });
+        }
+
+        if (Object.keys(completados).length || observacionesExtra.length) {
+            const cambios = { ...completados };
+            if (observacionesExtra.length) {
+                cambios.observaciones = [superviviente.observaciones, ...observacionesExtra]
+                    .filter((x) => !vacio(x))
+                    .join('\n');
+            }
+            await superviviente.update(cambios, { transaction: t });
+        }
+
+        return {
+            cliente_id: idSup,
+            fusionados: resumen,
+            campos_completados: Object.keys(completados)
+        };
+    });
+
+    // La fusión ya quedó confirmada: si el puntaje falla se loguea y lo corrige el cron nocturno
+    try {
+        resultado.puntaje_crediticio = await calcularPuntajeCliente(idSup, { origen: 'fusion' });
+    } catch (e) {
+        console.warn('[puntaje] No se pudo recalcular el puntaje tras la fusión:', { clienteId: idSup, error: e?.message });
+    }
+
+    return resultado;
+};
+
+/** Historial de fusiones en las que participó el cliente (como superviviente) */
+export const obtenerFusionesCliente = (clienteId) =>
+    ClienteFusion.findAll({
+        where: { cliente_id: asInt(clienteId) },
+        order: [['fecha', 'DESC']]
+    });
@@ -0,0 +1,363 @@
+// financiera-backend/services/credito/credito.amortizacion.service.js
+// Amortización anticipada (común / progresivo): un pago extra que va al capital y re-planifica las cuotas futuras.
+// Importante: este módulo NO debe importar credito.core.service.js para evitar ciclos
+// (actualizarEstadoCredito se recibe por parámetro, como en la refinanciación).
+
+import { Op } from 'sequelize';
+import { Credito, Cliente, Cuota, Pago, Usuario, FormaPago, CreditoReplanificacion } from '../../models/associations.js';
+
+import {
+  todayYMD,
+  nowTime,
+  toNumber,
+  fix2,
+  fmtARS,
+  factorTotalSobreCapital,
+  createReciboSafe,
+  registrarIngresoDesdeReciboEnTx
+} from './credito.utils.js';
+import { assertRolPermiso } from '../permiso.service.js';
+
+/* ===================== Helpers locales ===================== */
+
+export const OPCIONES_AMORTIZACION = ['reducir_cuotas', 'reducir_importe'];
+
+const MODALIDADES_AMORTIZABLES = ['comun', 'progresivo'];
+
+const httpError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const fotoCuota = (c, importe = c.importe_cuota) => ({
+  id: c.id,
+  numero_cuota: c.numero_cuota,
+  importe_cuota: fix2(importe),
+  fecha_vencimiento: c.fecha_vencimiento
+});
+
+/**
+ * Carga el crédito y valida que admita amortización anticipada.
+ * Devuelve { credito, cuotas (no pagadas, ordenadas), futuras (sin pagos), enCurso (parciales) }
+ */
+const cargarCreditoAmortizable = async (creditoId, { transaction } = {}) => {
+  const credito = await Credito.findByPk(creditoId, {
+    transaction,
+    ...(transaction ? { lock: transaction.LOCK.UPDATE } : {})
+  });
+  if (!credito) throw httpError(404, 'Crédito no encontrado');
+
+  const modalidad = String(credito.modalidad_credito || '').toLowerCase();
+  if (!MODALIDADES_AMORTIZABLES.includes(modalidad)) {
+    throw httpError(
+      400,
+      'La amortización anticipada solo está disponible para créditos común o progresivo.',
+      'MODALIDAD_NO_SOPORTADA'
+    );
+  }
+
+  const estado = String(credito.estado || '').toLowerCase();
+  if (!['pendiente', 'vencido'].includes(estado)) {
+    throw httpError(409, `No se puede amortizar un crédito en estado ${estado}.`, 'CREDITO_NO_AMORTIZABLE');
+  }
+
+  const cuotas = await Cuota.findAll({
+    where: { credito_id: credito.id, estado: { [Op.ne]: 'pagada' } },
+    order: [['numero_cuota', 'ASC']],
+    transaction
+  });
+
+  // Con atraso primero se regulariza: la amortización no cubre cuotas vencidas ni mora
+  const hoy = todayYMD();
+  const atrasadas = cuotas.filter(
+    (c) => c.estado === 'vencida' || String(c.fecha_vencimiento) < hoy || toNumber(c.intereses_vencidos_acumulados) > 0
+  );
+  if (atrasadas.length) {
+    const err = httpError(
+      409,
+      `El crédito tiene cuotas vencidas (${atrasadas.map((c) => `#${c.numero_cuota}`).join(', ')}): cobralas antes de amortizar.`,
+      'CUOTAS_VENCIDAS_PENDIENTES'
+    );
+    err.cuotas_vencidas = atrasadas.map((c) => c.numero_cuota);
+    throw err;
+  }
+
+  // Solo se re-planifican cuotas sin pagos propios; una cuota a medio pagar queda como está
+  // (los pagos imputados a capital de una amortización previa no cuentan)
+  const conPagos = new Set(
+    (await Pago.findAll({
+      where: { cuota_id: { [Op.in]: cuotas.map((c) => c.id) }, imputacion: { [Op.ne]: 'capital' } },
+      attributes: ['cuota_id'],
+      raw: true,
+      transaction
+    })).map((p) => Number(p.cuota_id))
+  );
+  const futuras = cuotas.filter(
+    (c) => c.estado === 'pendiente' && toNumber(c.monto_pagado_acumulado) === 0 && !conPagos.has(Number(c.id))
+  );
+  if (!futuras.length) {
+    throw httpError(409, 'El crédito no tiene cuotas futuras para re-planificar.', 'SIN_CUOTAS_FUTURAS');
+  }
+
+  return { credito, cuotas, futuras, enCurso: cuotas.filter((c) => !futuras.includes(c)) };
+};
+
+/**
+ * Calcula el re-plan (sin persistir).
+ * - El monto va a capital: las cuotas futuras contienen capital + interés plano (factor del alta);
+ *   al bajar el capital se bonifica el interés que le correspondía.
+ * - reducir_cuotas: se mantienen los importes y se eliminan cuotas desde el final.
+ * - reducir_importe: se mantiene la cantidad y se reducen todas en proporción.
+ */
+const planificarAmortizacion = ({ credito, futuras, enCurso }, { monto, opcion }) => {
+  const x = fix2(monto);
+  if (!Number.isFinite(x) || x <= 0) throw httpError(400, 'monto debe ser mayor a 0', 'MONTO_INVALIDO');
+  if (!OPCIONES_AMORTIZACION.includes(opcion)) {
+    throw httpError(400, `opcion inválida (${OPCIONES_AMORTIZACION.join('|')})`, 'OPCION_INVALIDA');
+  }
+
+  const factor = factorTotalSobreCapital(credito);
+  const netos = futuras.map((c) => fix2(Math.max(toNumber(c.importe_cuota) - toNumber(c.descuento_cuota), 0)));
+  const saldoFuturas = fix2(netos.reduce((acc, n) => acc + n, 0));
+  const capitalFuturas = fix2(saldoFuturas / factor);
+
+  if (x >= capitalFuturas) {
+    throw httpError(
+      409,
+      `El monto cubre todo el capital de las cuotas futuras (${fmtARS(capitalFuturas)}): usá la cancelación del crédito.`,
+      'MONTO_CANCELA_CREDITO'
+    );
+  }
+
+  const saldoNuevo = fix2((capitalFuturas - x) * factor);
+  const interesBonificado = fix2(Math.max(saldoFuturas - x - saldoNuevo, 0));
+
+  // Nuevo neto de cada cuota futura (0 = se elimina)
+  const nuevosNetos = [];
+  if (opcion === 'reducir_importe') {
+    let asignado = 0;
+    netos.forEach((n, i) => {
+      const v = i === netos.length - 1 ? fix2(saldoNuevo - asignado) : fix2((n * saldoNuevo) / saldoFuturas);
+      nuevosNetos.push(v);
+      asignado = fix2(asignado + v);
+    });
+  } else {
+    let restante = saldoNuevo;
+    for (const n of netos) {
+      const v = fix2(Math.min(n, restante));
+      nuevosNetos.push(v);
+      restante = fix2(restante - v);
+    }
+  }
+
+  const cuotasDespues = [];
+  const eliminadas = [];
+  futuras.forEach((c, i) => {
+    if (nuevosNetos[i] <= 0) {
+      eliminadas.push(c);
+      return;
+    }
+    cuotasDespues.push({ cuota: c, importe: fix2(nuevosNetos[i] + toNumber(c.descuento_cuota)) });
+  });
+
+  const saldoCreditoAntes = fix2(credito.saldo_actual);
+  const reduccionSaldo = fix2(saldoFuturas - saldoNuevo);
+
+  return {
+    credito_id: credito.id,
+    opcion,
+    monto: x,
+    interes_bonificado: interesBonificado,
+    capital_futuras_antes: capitalFuturas,
+    saldo_futuras_antes: saldoFuturas,
+    saldo_futuras_despues: saldoNuevo,
+    saldo_credito_antes: saldoCreditoAntes,
+    saldo_credito_despues: fix2(Math.max(saldoCreditoAntes - reduccionSaldo, 0)),
+    monto_total_devolver_antes: fix2(credito.monto_total_devolver),
+    monto_total_devolver_despues: fix2(toNumber(credito.monto_total_devolver) - interesBonificado),
+    cantidad_cuotas_antes: toNumber(credito.cantidad_cuotas),
+    cantidad_cuotas_despues: toNumber(credito.cantidad_cuotas) - eliminadas.length,
+    cuotas_en_curso: enCurso.map((c) => fotoCuota(c)),
+    cuotas_antes: futuras.map((c) => fotoCuota(c)),
+    cuotas_despues: cuotasDespues.map(({ cuota, importe }) => fotoCuota(cuota, importe)),
+    cuotas_eliminadas: eliminadas.map((c) => c.numero_cuota),
+    // internos para persistir
+    _cuotasDespues: cuotasDespues,
+    _eliminadas: eliminadas
+  };
+};
+
+const sinInternos = ({ _cuotasDespues, _eliminadas, ...plan }) => plan;
+
+/* ===================== API ===================== */
+
+/** Vista previa del re-plan (no registra nada). data: { monto, opcion } */
+export const simularAmortizacionAnticipada = async (creditoId, { monto, opcion } = {}) => {
+  const base = await cargarCreditoAmortizable(creditoId);
+  return sinInternos(planificarAmortizacion(base, { monto: toNumber(monto), opcion }));
+};
+
+/**
+ * Registra la amortización anticipada:
+ * re-planifica las cuotas, baja saldo / total del crédito, emite recibo + ingreso en caja y deja el historial.
+ */
+export const registrarAmortizacionAnticipada = async (
+  {
+    credito_id,
+    monto,
+    opcion,
+    forma_pago_id,
+    observacion = null,
+    rol_id = null,
+    usuario_id = null
+  },
+  { actualizarEstadoCredito } = {}
+) => {
+  await assertRolPermiso(rol_id, ['creditos.amortizar'], 'No tenés permisos para registrar amortizaciones anticipadas.');
+  if (!forma_pago_id) throw httpError(400, 'Debe indicar forma_pago_id');
+
+  const t = await Credito.sequelize.transaction();
+  try {
+    const base = await cargarCreditoAmortizable(credito_id, { transaction: t });
+    const { credito } = base;
+    const plan = planificarAmortizacion(base, { monto: toNumber(monto), opcion });
+
+    const medio = await FormaPago.findByPk(forma_pago_id, { transaction: t });
+    if (!medio) throw httpError(400, 'Forma de pago inválida');
+
+    // 1) Re-plan de cuotas
+    for (const { cuota, importe } of plan._cuotasDespues) {
+      if (fix2(cuota.importe_cuota) !== importe) {
+        await cuota.update({ importe_cuota: importe }, { transaction: t });
+      }
+    }
+    if (plan._eliminadas.length) {
+      await Cuota.destroy({ where: { id: { [Op.in]: plan._eliminadas.map((c) => c.id) } }, transaction: t });
+    }
+
+    await credito.update(
+      {
+        saldo_actual: plan.saldo_credito_despues,
+        monto_total_devolver: plan.monto_total_devolver_despues,
+        cantidad_cuotas: plan.cantidad_cuotas_despues
+      },
+      { transaction: t }
+    );
+
+    // 2) Pago imputado a capital (se asocia a la primera cuota re-planificada solo por FK / recibo)
+    const hoy = todayYMD();
+    const cuotaAsociada = plan._cuotasDespues[0].cuota;
+    const etiquetaOpcion = opcion === 'reducir_cuotas' ? 'menos cuotas' : 'cuotas más bajas';
+
+    const pago = await Pago.create(
+      {
+        cuota_id: cuotaAsociada.id,
+        monto_pagado: plan.monto,
+        fecha_pago: hoy,
+        forma_pago_id,
+        imputacion: 'capital',
+        observacion: (`Amortización anticipada crédito #${credito.id}` + (observacion ? ` - ${observacion}` : '')).slice(0, 255)
+      },
+      { transaction: t }
+    );
+
+    const [cliente, cobrador] = await Promise.all([
+      Cliente.findByPk(credito.cliente_id, { transaction: t }),
+      credito.cobrador_id ? Usuario.findByPk(credito.cobrador_id, { transaction: t }) : null
+    ]);
+
+    const recibo = await createReciboSafe(
+      {
+        pago_id: pago.id,
+        cuota_id: cuotaAsociada.id,
+        cliente_id: credito.cliente_id,
+        modalidad_credito: credito.modalidad_credito,
+
+        fecha: hoy,
+        hora: nowTime(),
+
+        cliente_nombre: cliente ? `${cliente.nombre} ${cliente.apellido}` : 'Cliente',
+        nombre_cobrador: cobrador?.nombre_completo || 'Sin cobrador asignado',
+
+        monto_pagado: plan.monto,
+        pago_a_cuenta: plan.monto,
+
+        concepto: (
+          `Amortización anticipada crédito #${credito.id} (${etiquetaOpcion})` +
+          (plan.interes_bonificado > 0 ? ` - interés bonificado ${fmtARS(plan.interes_bonificado)}` : '')
+        ).slice(0, 255),
+        medio_pago: medio.nombre || 'N/D',
+
+        saldo_anterior: plan.saldo_credito_antes,
+        saldo_actual: plan.saldo_credito_despues,
+
+        mora_cobrada: 0,
+        principal_pagado: plan.monto,
+        interes_ciclo_cobrado: 0,
+        descuento_aplicado: 0,
+        saldo_credito_anterior: plan.saldo_credito_antes,
+        saldo_credito_actual: plan.saldo_credito_despues,
+
+        saldo_mora: 0
+      },
+      { transaction: t }
+    );
+
+    await registrarIngresoDesdeReciboEnTx({ t, recibo, forma_pago_id, usuario_id });
+
+    // 3) Historial del re-plan
+    const replan = await CreditoReplanificacion.create(
+      {
+        credito_id: credito.id,
+        tipo: 'amortizacion_anticipada',
+        monto: plan.monto,
+        saldo_anterior: plan.saldo_credito_antes,
+        saldo_nuevo: plan.saldo_credito_despues,
+        cuotas_antes: plan.cuotas_antes,
+        cuotas_despues: plan.cuotas_despues,
+        detalle: {
+          opcion,
+          interes_bonificado: plan.interes_bonificado,
+          capital_futuras_antes: plan.capital_futuras_antes,
+          monto_total_devolver_antes: plan.monto_total_devolver_antes,
+          monto_total_devolver_despues: plan.monto_total_devolver_despues,
+          cuotas_eliminadas: plan.cuotas_eliminadas,
+          observacion: observacion || null
+        },
+        numero_recibo: recibo.numero_recibo,
+        usuario_id: usuario_id ?? null,
+        fecha: new Date()
+      },
+      { transaction: t }
+    );
+
+    if (typeof actualizarEstadoCredito === 'function') {
+      await actualizarEstadoCredito(credito.id, t);
+    }
+
+    await t.commit();
+
+    return { ...sinInternos(plan), replanificacion_id: replan.id, numero_recibo: recibo.numero_recibo };
+  } catch (e) {
+    if (t.finished !== 'commit') {
+      try {
+        await t.rollback();
+      } catch (_) {}
+    }
+    throw e;
+  }
+};
+
+/** Historial de re-planes del crédito (más reciente primero) */
+export const obtenerReplanificacionesCredito = async (creditoId) => {
+  const credito = await Credito.findByPk(creditoId, { attributes: ['id'] });
+  if (!credito) throw httpError(404, 'Crédito no encontrado');
+
+  return CreditoReplanificacion.findAll({
+    where: { credito_id: credito.id },
+    include: [{ model: Usuario, as: 'usuario', attributes: ['id', 'nombre_completo'] }],
+    order: [['fecha', 'DESC'], ['id', 'DESC']]
+  });
+};
@@ -1,5 +1,5 @@
 // financiera-backend/services/credito/credito.core.service.js
-// Service principal de créditos (común/progresivo + orquestación). La lógica LIBRE y el PDF fueron extraídos.
+// Service principal de créditos (común/progresivo/francés + orquestación). La lógica LIBRE y el PDF fueron extraídos.
 
 import Cuota from '../../models/Cuota.js';
 import Usuario from '../../models/Usuario.js';
@@ -7,11 +7,8 @@ import Zona from '../../models/Zona.js';
 import TareaPendiente from '../../models/Tarea_pendiente.js';
 
 import {
-  addDays,
-  format,
   differenceInCalendarDays,
-  differenceInCalendarMonths,
-  addMonths
+  differenceInCalendarMonths
 } from 'date-fns';
 
 import { buildFilters } from '../../utils/buildFilters.js';
@@ -39,8 +36,12 @@ import {
   percentToDecimal,
   periodLengthFromTipo,
   calcularInteresProporcionalMin60,
+  tasaPeriodoFrances,
+  calcularTablaFrances,
+  construirPlanCuotas,
   esLibre,
   anexarFlagsRefinanciacionPlain,
+  idsCreditosOrigen,
   createReciboSafe,
   registrarEgresoDesembolsoCredito,
   registrarIngresoDesdeReciboEnTx
@@ -60,7 +61,28 @@ import {
   obtenerResumenLibre
 } from './credito.libre.service.js';
 
-import { refinanciarCredito as refinanciarCreditoImpl } from './credito.refinanciacion.service.js';
+import { esCreditoFrances, dividirAplicadoCuotaFrances } from '../cuota/cuota.utils.js';
+
+import {
+  refinanciarCredito as refinanciarCreditoImpl,
+  refinanciarCreditosConsolidado as refinanciarCreditosConsolidadoImpl
+} from './credito.refinanciacion.service.js';
+import { registrarAmortizacionAnticipada as registrarAmortizacionAnticipadaImpl } from './credito.amortizacion.service.js';
+import { cambiarDiaPago as cambiarDiaPagoImpl } from './credito.diaPago.service.js';
+import {
+  solicitarProrroga as solicitarProrrogaImpl,
+  aprobarProrroga as aprobarProrrogaImpl
+} from './credito.prorroga.service.js';
+import {
+  prepararGarantes,
+  vincularGarantesCredito,
+  obtenerGarantesCredito
+} from '../garante.service.js';
+import { assertClienteHabilitado, registrarExcepcionBloqueo } from '../clienteBloqueo.service.js';
+import { assertLimiteCredito, registrarExcepcionLimite } from '../limiteCredito.service.js';
+import { asegurarCalendario, vencimientoEfectivoMora } from '../calendario.service.js';
+import { contarDiasMoraCongelados } from '../cuota/cuota.mora.service.js';
+import { assertRolPermiso } from '../permiso.service.js';
 
 /* =============================================================================
    ✅ Helpers internos (normalización de estado)
@@ -380,6 +402,8 @@ const generarCuotasServicio = async (credito, t = null) => {
     cantidad_cuotas: n,
     tipo_credito,
     monto_total_devolver: M,
+    monto_acreditar,
+    tasa_periodo,
     modalidad_credito,
     fecha_compromiso_pago
   } = credito.get ? credito.get({ plain: true }) : credito;
@@ -449,58 +473,37 @@ const generarCuotasServicio = async (credito, t = null) => {
     return;
   }
 
-  // —— comun / progresivo ——
-  let cuotasArr = [];
-  if (modalidad_credito === 'progresivo') {
-    const sum = (n * (n + 1)) / 2;
-    let acumulado = 0;
-    for (let i = 1; i <= n; i++) {
-      const importe = parseFloat((M * (i / sum)).toFixed(2));
-      cuotasArr.push({ numero_cuota: i, importe_cuota: importe });
-      acumulado += importe;
-    }
-    const diff = parseFloat((M - acumulado).toFixed(2));
-    cuotasArr[n - 1].importe_cuota = parseFloat((cuotasArr[n - 1].importe_cuota + diff).toFixed(2));
-  } else {
-    const fija = parseFloat((M / n).toFixed(2));
-    for (let i = 1; i <= n; i++) {
-      cuotasArr.push({ numero_cuota: i, importe_cuota: fija });
-    }
-    const totalCalc = fija * n;
-    const diff = parseFloat((M - totalCalc).toFixed(2));
-    cuotasArr[n - 1].importe_cuota = parseFloat((cuotasArr[n - 1].importe_cuota + diff).toFixed(2));
-  }
+  // —— comun / progresivo / frances ——
+  // 📅 Calendario de cobranza (para correr vencimientos que caen en feriado / día sin cobro)
+  await asegurarCalendario();
 
-  // Fecha base = fecha_compromiso_pago (debe ser el 1er vencimiento)
-  const [year, month, day] = fecha_compromiso_pago.split('-').map((x) => parseInt(x, 10));
-  const fechaBase = new Date(year, month - 1, day);
+  // ✅ Regla: la fecha elegida ES el primer vencimiento (mismo plan que el cotizador y las vistas previas)
+  const plan = construirPlanCuotas({
+    modalidad_credito,
+    tipo_credito,
+    cantidad_cuotas: n,
+    monto_total_devolver: M,
+    monto_acreditar,
+    tasa_periodo,
+    fecha_compromiso_pago
+  });
 
   // Crear registros
-  const bulk = cuotasArr.map(({ numero_cuota, importe_cuota }) => {
-    // ✅ Regla: la fecha elegida ES el primer vencimiento
-    // cuota 1 => fechaBase
-    // cuota i => fechaBase + (i-1) períodos
-    let venc;
-
-    if (tipo_credito === 'mensual') {
-      venc = addMonths(fechaBase, Math.max(numero_cuota - 1, 0));
-    } else {
-      const dias = tipo_credito === 'semanal' ? 7 : tipo_credito === 'quincenal' ? 15 : 30;
-      venc = addDays(fechaBase, dias * Math.max(numero_cuota - 1, 0));
-    }
-
-    return {
-      credito_id,
-      numero_cuota,
-      importe_cuota,
-      fecha_vencimiento: format(venc, 'yyyy-MM-dd'),
-      estado: 'pendiente',
-      forma_pago_id: null,
-      descuento_cuota: 0.0,
-      intereses_vencidos_acumulados: 0.0,
-      monto_pagado_acumulado: 0.0
-    };
-  });
+  const bulk = plan.map(({ numero_cuota, importe_cuota, fecha_vencimiento, capital_cuota, interes_cuota, saldo_capital }) => ({
+    credito_id,
+    numero_cuota,
+    importe_cuota,
+    fecha_vencimiento,
+    estado: 'pendiente',
+    forma_pago_id: null,
+    descuento_cuota: 0.0,
+    intereses_vencidos_acumulados: 0.0,
+    monto_pagado_acumulado: 0.0,
+    // Tabla de amortización (solo francés)
+    capital_cuota: capital_cuota ?? null,
+    interes_cuota: interes_cuota ?? null,
+    saldo_capital: saldo_capital ?? null
+  }));
 
   await Cuota.bulkCreate(bulk, t ? { transaction: t } : undefined);
 };
@@ -539,6 +542,29 @@ const aplicarDescuentoSoloInteres = ({ capital, interestPct, descuento, rol_id }
   };
 };
 
+/* ===================== Plan financiado según modalidad ===================== */
+/**
+ * - común / progresivo: capital + interés plano (aplicarDescuentoSoloInteres)
+ * - francés: mismo interés total como referencia, pero aplicado por período sobre saldo;
+ *   el total a devolver sale de la tabla de amortización.
+ */
+const calcularPlanFinanciado = ({ modalidad, capital, interestPct, descuento, rol_id, cantidad_cuotas }) => {
+  const calc = aplicarDescuentoSoloInteres({ capital, interestPct, descuento, rol_id });
+  if (modalidad !== 'frances') return { ...calc, tasaPeriodoPct: null, tabla: null };
+
+  const tasaPeriodoPct = tasaPeriodoFrances(calc.interestPct, cantidad_cuotas, calc.descuentoPct);
+  const tabla = calcularTablaFrances({ capital: calc.capital, tasaPeriodoPct, cantidad_cuotas });
+  const interesMontoFinal = fix2(tabla.reduce((acc, c) => acc + c.interes_cuota, 0));
+
+  return {
+    ...calc,
+    interesMontoFinal,
+    total: fix2(calc.capital + interesMontoFinal),
+    tasaPeriodoPct,
+    tabla
+  };
+};
+
 /* ===================== Simulación de plan (Cotizador) ===================== */
 export const simularPlanCredito = (data = {}) => {
   const {
@@ -576,64 +602,28 @@ export const simularPlanCredito = (data = {}) => {
     interestPct = calcularInteresProporcionalMin60(tipo_credito, n);
   }
 
-  // ✅ Total = capital + interés (descuento SOLO sobre interés)
-  const calc = aplicarDescuentoSoloInteres({
+  // ✅ Total = capital + interés (descuento SOLO sobre interés); en francés, según la tabla
+  const calc = calcularPlanFinanciado({
+    modalidad: modalidadStr,
     capital,
     interestPct,
     descuento,
-    rol_id
+    rol_id,
+    cantidad_cuotas: n
   });
 
   const M = calc.total;
 
-  // === Cuotas ===
-  let cuotasArr = [];
-  if (modalidadStr === 'progresivo') {
-    const sum = (n * (n + 1)) / 2;
-    let acumulado = 0;
-    for (let i = 1; i <= n; i++) {
-      const importe = parseFloat((M * (i / sum)).toFixed(2));
-      cuotasArr.push({ numero_cuota: i, importe_cuota: importe });
-      acumulado += importe;
-    }
-    const diff = parseFloat((M - acumulado).toFixed(2));
-    cuotasArr[n - 1].importe_cuota = parseFloat((cuotasArr[n - 1].importe_cuota + diff).toFixed(2));
-  } else {
-    const fija = parseFloat((M / n).toFixed(2));
-    for (let i = 1; i <= n; i++) {
-      cuotasArr.push({ numero_cuota: i, importe_cuota: fija });
-    }
-    const totalCalc = fija * n;
-    const diff = parseFloat((M - totalCalc).toFixed(2));
-    cuotasArr[n - 1].importe_cuota = parseFloat((cuotasArr[n - 1].importe_cuota + diff).toFixed(2));
-  }
-
-  // === Fechas de vencimiento ===
-  const baseStr = fecha_compromiso_pago || todayYMD();
-  let fechaBase;
-  try {
-    const [year, month, day] = String(baseStr).split('-').map((x) => parseInt(x, 10));
-    fechaBase = new Date(year, month - 1, day);
-  } catch {
-    fechaBase = new Date();
-  }
-
-  const cuotasSimuladas = cuotasArr.map(({ numero_cuota, importe_cuota }) => {
-    // ✅ Regla: la fecha elegida ES el primer vencimiento
-    let venc;
-
-    if (tipo_credito === 'mensual') {
-      venc = addMonths(fechaBase, Math.max(numero_cuota - 1, 0));
-    } else {
-      const dias = tipo_credito === 'semanal' ? 7 : tipo_credito === 'quincenal' ? 15 : 30;
-      venc = addDays(fechaBase, dias * Math.max(numero_cuota - 1, 0));
-    }
-
-    return {
-      numero_cuota,
-      importe_cuota: fix2(importe_cuota),
-      fecha_vencimiento: format(venc, 'yyyy-MM-dd')
-    };
+  // === Cuotas + vencimientos (mismo plan que generarCuotasServicio) ===
+  // El llamador hace `await asegurarCalendario()` si quiere los vencimientos corridos con el calendario al día
+  const cuotasSimuladas = construirPlanCuotas({
+    modalidad_credito: modalidadStr,
+    tipo_credito,
+    cantidad_cuotas: n,
+    monto_total_devolver: M,
+    monto_acreditar: calc.capital,
+    tasa_periodo: calc.tasaPeriodoPct,
+    fecha_compromiso_pago: fecha_compromiso_pago || todayYMD()
   });
 
   return {
@@ -643,6 +633,8 @@ export const simularPlanCredito = (data = {}) => {
     monto_acreditar: fix2(capital),
     interes_pct: calc.interestPct,
     descuento_pct: calc.descuentoPct,
+    ...(calc.tasaPeriodoPct !== null ? { tasa_periodo_pct: calc.tasaPeriodoPct } : {}),
+    interes_total: fix2(M - capital),
     monto_total_devolver: fix2(M),
     cuotas: cuotasSimuladas
   };
@@ -659,13 +651,15 @@ const marcarVencidasYCalcularMora = async (
   const hoy = fechaCorte ? ymdDate(fechaCorte) : ymdDate(todayYMD());
   const hoyY = ymd(hoy);
 
+  await asegurarCalendario();
+
   const cuotas = await Cuota.findAll({ where: { credito_id: creditoId } });
   for (const c of cuotas) {
-    const fv = c.fecha_vencimiento;
-    if (!fv) continue;
+    if (!c.fecha_vencimiento) continue;
 
     const estado = String(c.estado || '').toLowerCase();
-    const fvY = ymd(fv);
+    // 📅 Vencimiento en día no hábil → la mora cuenta desde el siguiente hábil
+    const fvY = vencimientoEfectivoMora(ymd(c.fecha_vencimiento));
 
     // 🛡️ No tocamos cuotas cerradas / derivadas
     if (['pagada', 'refinanciada', 'anulada'].includes(estado)) {
@@ -673,7 +667,11 @@ const marcarVencidasYCalcularMora = async (
     }
 
     if (fvY < hoyY) {
-      const dias = Math.max(differenceInCalendarDays(ymdDate(hoy), ymdDate(fv)), 0);
+      // ❄️ Los días de una ventana de congelamiento (prórroga) no generan mora
+      const dias = Math.max(
+        differenceInCalendarDays(ymdDate(hoy), ymdDate(fvY)) - contarDiasMoraCongelados(c, fvY, hoyY),
+        0
+      );
       const mora = fix2(toNumber(c.importe_cuota) * MORA_DIARIA * dias);
       await c.update({
         estado: 'vencida',
@@ -696,11 +694,7 @@ const marcarVencidasYCalcularMora = async (
 
 /* ===================== Listado / detalle ===================== */
 export const obtenerCreditos = async (query, { rol_id = null } = {}) => {
-  if (rol_id !== null && rol_id !== 0 && rol_id !== 1) {
-    const err = new Error('No tenés permisos para ver créditos.');
-    err.status = 403;
-    throw err;
-  }
+  await assertRolPermiso(rol_id, ['creditos.ver'], 'No tenés permisos para ver créditos.');
 
   const where = buildFilters(query, ['cliente_id', 'estado', 'interes', 'monto']);
 
@@ -736,11 +730,7 @@ export const obtenerCreditoPorId = async (id, { rol_id = null } = {}) => {
   const pk = Number(id);
   if (!Number.isFinite(pk)) return null;
 
-  if (rol_id !== null && rol_id !== 0 && rol_id !== 1) {
-    const err = new Error('No tenés permisos para ver créditos.');
-    err.status = 403;
-    throw err;
-  }
+  await assertRolPermiso(rol_id, ['creditos.ver'], 'No tenés permisos para ver créditos.');
 
   const includeOpts = [
     { model: Cliente, as: 'cliente' },
@@ -885,7 +875,10 @@ export const obtenerCreditoPorId = async (id, { rol_id = null } = {}) => {
     let hijoId = null;
     if (String(plain.estado || '').toLowerCase() === 'refinanciado') {
       const hijo = await Credito.findOne({
-        where: { id_credito_origen: plain.id },
+        // refinanciación simple o consolidada (varios orígenes)
+        where: {
+          [Op.or]: [{ id_credito_origen: plain.id }, { ids_creditos_origen: { [Op.contains]: [plain.id] } }]
+        },
         attributes: ['id', 'id_credito_origen'],
         order: [['id', 'DESC']],
         raw: true
@@ -907,6 +900,17 @@ export const obtenerCreditoPorId = async (id, { rol_id = null } = {}) => {
     cred.setDataValue('credito_refinanciado_hacia_id', null);
   }
 
+  // ✅ Garantes + advertencias si alguno garantiza (o debe) créditos en mora
+  try {
+    const { garantes, advertencias } = await obtenerGarantesCredito(pk);
+    cred.setDataValue('garantes', garantes);
+    cred.setDataValue('advertencias_garantes', advertencias);
+  } catch (e) {
+    console.error('[obtenerCreditoPorId] No se pudieron anexar garantes:', e?.message || e);
+    cred.setDataValue('garantes', []);
+    cred.setDataValue('advertencias_garantes', []);
+  }
+
   return cred;
 };
 
@@ -935,7 +939,17 @@ export const crearCredito = async (data, options = {}) => {
     usuario_id = null,
 
     // ✅ Nuevo (opcional): permite marcar explícitamente "carga de crédito anterior"
-    es_credito_anterior = false
+    es_credito_anterior = false,
+
+    // ✅ Garantes (opcional): [{ garante_id } | { cliente_id } | { nombre, dni, ... }]
+    garantes = undefined,
+
+    // 🚫 Cliente bloqueado: solo superadmin puede forzar, con motivo
+    forzar_bloqueo = false,
+    motivo_forzado = null,
+
+    // 💳 Límite de crédito: solo superadmin puede excederlo, con motivo (motivo_forzado)
+    forzar_limite = false
   } = data;
 
   /**
@@ -957,10 +971,39 @@ export const crearCredito = async (data, options = {}) => {
     es_credito_anterior
   });
 
+  const operacionBloqueo = origen_venta_manual_financiada ? 'venta_financiada' : 'credito';
+  const bloqueoForzado = await assertClienteHabilitado(cliente_id, {
+    operacion: operacionBloqueo,
+    forzar: forzar_bloqueo,
+    motivoForzado: motivo_forzado,
+    rolId: rol_id,
+    transaction: t || undefined
+  });
+
+  // Los créditos anteriores ya fueron otorgados: no se controlan contra el límite actual
+  const controlarLimite = (monto) =>
+    es_credito_anterior === true
+      ? null
+      : assertLimiteCredito(cliente_id, {
+        monto,
+        operacion: operacionBloqueo,
+        forzar: forzar_limite,
+        motivoForzado: motivo_forzado,
+        rolId: rol_id,
+        transaction: t || undefined
+      });
+
+  // Se validan antes de crear el crédito para no dejarlo a medias si la lista es inválida
+  const garantesPreparados = await prepararGarantes(garantes, {
+    deudorClienteId: cliente_id,
+    transaction: t || undefined
+  });
+
   // —— Modalidad LIBRE ——
   if (modalidad_credito === 'libre') {
     // ✅ Regla negocio: en LIBRE, si no se especifica tasa, por defecto es 60% por ciclo.
     const tasaPorCicloPct = normalizePercent(interesInput, 60);
+    const limiteForzado = await controlarLimite(monto_acreditar);
 
     const nuevo = await Credito.create(
       {
@@ -992,6 +1035,17 @@ export const crearCredito = async (data, options = {}) => {
     }
 
     await generarCuotasServicio(nuevo, t || null);
+    await vincularGarantesCredito(nuevo.id, garantesPreparados, { usuarioId: usuario_id, transaction: t || undefined });
+    await registrarExcepcionBloqueo(
+      bloqueoForzado,
+      { operacion: operacionBloqueo, referenciaId: nuevo.id, usuarioId: usuario_id },
+      { transaction: t || undefined }
+    );
+    await registrarExcepcionLimite(
+      limiteForzado,
+      { operacion: operacionBloqueo, referenciaId: nuevo.id, usuarioId: usuario_id },
+      { transaction: t || undefined }
+    );
 
     if (!origen_venta_manual_financiada) {
       try {
@@ -1015,7 +1069,7 @@ export const crearCredito = async (data, options = {}) => {
     return nuevo.id;
   }
 
-  // —— común / progresivo ——
+  // —— común / progresivo / francés ——
   let interestPct;
   if (origen_venta_manual_financiada && typeof interesInput !== 'undefined') {
     interestPct = normalizePercent(interesInput);
@@ -1025,13 +1079,16 @@ export const crearCredito = async (data, options = {}) => {
 
   const capital = toNumber(monto_acreditar);
 
-  // ✅ Total = capital + interés (descuento SOLO sobre interés)
-  const calc = aplicarDescuentoSoloInteres({
+  // ✅ Total = capital + interés (descuento SOLO sobre interés); en francés, según la tabla
+  const calc = calcularPlanFinanciado({
+    modalidad: modalidad_credito,
     capital,
     interestPct,
     descuento,
-    rol_id
+    rol_id,
+    cantidad_cuotas
   });
+  const limiteForzado = await controlarLimite(calc.total);
 
   const nuevo = await Credito.create(
     {
@@ -1048,6 +1105,7 @@ export const crearCredito = async (data, options = {}) => {
       descuento: calc.descuentoPct,
       monto_total_devolver: calc.total,
       saldo_actual: calc.total,
+      tasa_periodo: calc.tasaPeriodoPct,
       interes_acumulado: 0.0,
       origen_venta_manual_financiada,
       detalle_producto
@@ -1056,6 +1114,17 @@ export const crearCredito = async (data, options = {}) => {
   );
 
   await generarCuotasServicio(nuevo, t || null);
+  await vincularGarantesCredito(nuevo.id, garantesPreparados, { usuarioId: usuario_id, transaction: t || undefined });
+  await registrarExcepcionBloqueo(
+    bloqueoForzado,
+    { operacion: operacionBloqueo, referenciaId: nuevo.id, usuarioId: usuario_id },
+    { transaction: t || undefined }
+  );
+  await registrarExcepcionLimite(
+    limiteForzado,
+    { operacion: operacionBloqueo, referenciaId: nuevo.id, usuarioId: usuario_id },
+    { transaction: t || undefined }
+  );
 
   if (recalcular_hasta_hoy !== false) {
     await marcarVencidasYCalcularMora(nuevo.id, {
@@ -1172,7 +1241,7 @@ export const actualizarCredito = async (id, data) => {
     return;
   }
 
-  // —— común / progresivo ——
+  // —— común / progresivo / francés ——
   const nuevoTipo = tipo_credito || existente.tipo_credito;
   const nuevasCuotas = cantidad_cuotas || existente.cantidad_cuotas;
 
@@ -1185,12 +1254,14 @@ export const actualizarCredito = async (id, data) => {
 
   const capitalBase = toNumber(monto_acreditar ?? existente.monto_acreditar);
 
-  // ✅ Total = capital + interés (descuento SOLO sobre interés)
-  const calc = aplicarDescuentoSoloInteres({
+  // ✅ Total = capital + interés (descuento SOLO sobre interés); en francés, según la tabla
+  const calc = calcularPlanFinanciado({
+    modalidad: modalidad_credito,
     capital: capitalBase,
     interestPct,
     descuento,
-    rol_id
+    rol_id,
+    cantidad_cuotas: nuevasCuotas
   });
 
   const fechaAcreditacionFinal = fecha_acreditacion || existente.fecha_acreditacion || todayYMD();
@@ -1219,6 +1290,7 @@ export const actualizarCredito = async (id, data) => {
     descuento: calc.descuentoPct,
     monto_total_devolver: calc.total,
     saldo_actual: calc.total,
+    tasa_periodo: calc.tasaPeriodoPct,
     interes_acumulado: 0.0,
     origen_venta_manual_financiada,
     detalle_producto
@@ -1316,11 +1388,7 @@ export const cancelarCredito = async ({
     throw err;
   }
 
-  if (rol_id !== null && rol_id !== 0 && rol_id !== 1) {
-    const err = new Error('No tenés permisos para cancelar créditos.');
-    err.status = 403;
-    throw err;
-  }
+  await assertRolPermiso(rol_id, ['creditos.cancelar'], 'No tenés permisos para cancelar créditos.');
 
   const credito = await Credito.findByPk(credito_id, {
     include: [
@@ -1394,10 +1462,9 @@ export const cancelarCredito = async ({
 
   const pct = Math.min(Math.max(toNumber(descuento_porcentaje), 0), 100);
 
-  if (pct > 0 && rol_id !== null && rol_id !== 0) {
-    const err = new Error('Solo un superadmin puede aplicar descuentos en la cancelación del crédito.');
-    err.status = 403;
-    throw err;
+  // Descuento en la cancelación: requiere pagos.descuento_total (rol_id null = llamada interna)
+  if (pct > 0) {
+    await assertRolPermiso(rol_id, ['pagos.descuento_total'], 'No tenés permiso para aplicar descuentos en la cancelación del crédito.');
   }
 
   let descSobreMoraTotal = 0;
@@ -1487,6 +1554,14 @@ export const cancelarCredito = async ({
     const totalDescuento = fix2(descSobreMoraTotal + descSobrePrincipalTotal);
     const totalPagado = fix2(principalNeto + moraNeta);
 
+    // Francés: del principal cancelado, la parte que es interés de cada cuota va separada en el recibo
+    const interesFrances = esCreditoFrances(credito)
+      ? fix2(info.reduce((acc, { c, principalPend }) => {
+        const aplicado = principalPend - toNumber(descuentosPrincipal.get(c.id) || 0);
+        return acc + dividirAplicadoCuotaFrances(c, aplicado, c.monto_pagado_acumulado).interes;
+      }, 0))
+      : 0;
+
     await Credito.update(
       {
         saldo_actual: 0,
@@ -1537,7 +1612,8 @@ export const cancelarCredito = async ({
         saldo_actual: 0,
 
         mora_cobrada: moraNeta,
-        principal_pagado: principalNeto,
+        principal_pagado: fix2(principalNeto - interesFrances),
+        interes_ciclo_cobrado: interesFrances,
         descuento_aplicado: totalDescuento,
         saldo_credito_anterior: saldoAntes,
         saldo_credito_actual: 0,
@@ -1579,6 +1655,36 @@ export const cancelarCredito = async ({
 
 export const refinanciarCredito = (payload) => refinanciarCreditoImpl(payload, { generarCuotasServicio });
 
+export { previsualizarRefinanciacion } from './credito.refinanciacion.service.js';
+
+export const refinanciarCreditosConsolidado = (payload) =>
+  refinanciarCreditosConsolidadoImpl(payload, { generarCuotasServicio });
+
+/* ===================== Amortización anticipada (común / progresivo) ===================== */
+export { simularAmortizacionAnticipada, obtenerReplanificacionesCredito } from './credito.amortizacion.service.js';
+
+export const registrarAmortizacionAnticipada = (payload) =>
+  registrarAmortizacionAnticipadaImpl(payload, { actualizarEstadoCredito });
+
+/* ===================== Prórroga de cuotas ===================== */
+export {
+  TIPO_TAREA_PRORROGA,
+  simularProrroga,
+  rechazarProrroga,
+  obtenerProrroga,
+  listarProrrogasCredito
+} from './credito.prorroga.service.js';
+
+export const solicitarProrroga = (creditoId, data, actor) =>
+  solicitarProrrogaImpl(creditoId, data, actor, { actualizarEstadoCredito });
+
+export const aprobarProrroga = (prorrogaId, actor) => aprobarProrrogaImpl(prorrogaId, actor, { actualizarEstadoCredito });
+
+/* ===================== Cambio de día de pago ===================== */
+export { simularCambioDiaPago } from './credito.diaPago.service.js';
+
+export const cambiarDiaPago = (payload) => cambiarDiaPagoImpl(payload, { actualizarEstadoCredito });
+
 /* ===================== Eliminación / utilidades ===================== */
 export const esCreditoEliminable = async (id) => {
   const cuotas = await Cuota.findAll({ attributes: ['id'], where: { credito_id: id } });
@@ -1639,11 +1745,7 @@ export const eliminarCredito = async (id) => {
 /* ===================== Cliente con créditos (con filtros) ===================== */
 export const obtenerCreditosPorCliente = async (clienteId, query = {}, { rol_id = null } = {}) => {
   try {
-    if (rol_id !== null && rol_id !== 0 && rol_id !== 1) {
-      const err = new Error('No tenés permisos para ver créditos de clientes.');
-      err.status = 403;
-      throw err;
-    }
+    await assertRolPermiso(rol_id, ['creditos.ver'], 'No tenés permisos para ver créditos de clientes.');
 
     const estado = query.estado ? String(query.estado).toLowerCase() : null;
     const modalidad = query.modalidad ? String(query.modalidad).toLowerCase() : null;
@@ -1756,18 +1858,27 @@ export const obtenerCreditosPorCliente = async (clienteId, query = {}, { rol_id
 
       if (idsOriginalesRefi.length > 0) {
         const hijos = await Credito.findAll({
-          where: { id_credito_origen: { [Op.in]: idsOriginalesRefi } },
-          attributes: ['id', 'id_credito_origen'],
+          where: {
+            [Op.or]: [
+              { id_credito_origen: { [Op.in]: idsOriginalesRefi } },
+              // refinanciación consolidada: el crédito nuevo lista todos sus orígenes
+              ...idsOriginalesRefi.map((id) => ({ ids_creditos_origen: { [Op.contains]: [id] } }))
+            ]
+          },
+          attributes: ['id', 'id_credito_origen', 'ids_creditos_origen'],
           raw: true
         });
 
         // si hay más de uno, nos quedamos con el id más alto
+        const originales = new Set(idsOriginalesRefi.map(Number));
         for (const h of hijos) {
-          const origenId = h.id_credito_origen;
           const hijoId = h.id;
-          const prev = mapHijosPorOrigen.get(origenId);
-          if (!prev || Number(hijoId) > Number(prev)) {
-            mapHijosPorOrigen.set(origenId, hijoId);
+          for (const origenId of idsCreditosOrigen(h)) {
+            if (!originales.has(origenId)) continue;
+            const prev = mapHijosPorOrigen.get(origenId);
+            if (!prev || Number(hijoId) > Number(prev)) {
+              mapHijosPorOrigen.set(origenId, hijoId);
+            }
           }
         }
       }
@@ -0,0 +1,256 @@
+// financiera-backend/services/credito/credito.diaPago.service.js
+// Cambio del día de pago de un crédito activo (ej. del 5 al 15 por cambio de trabajo).
+// Recalcula los vencimientos de las cuotas impagas desde una nueva fecha ancla; las pagadas no se tocan.
+// Importante: este módulo NO debe importar credito.core.service.js para evitar ciclos
+// (actualizarEstadoCredito se recibe por parámetro, como en la refinanciación).
+
+import { Op } from 'sequelize';
+import { differenceInCalendarDays } from 'date-fns';
+import { Credito, Cuota, CreditoReplanificacion } from '../../models/associations.js';
+import { asegurarCalendario, ajustarVencimiento } from '../calendario.service.js';
+
+import {
+  todayYMD,
+  toNumber,
+  fix2,
+  ymd,
+  ymdDate,
+  esLibre,
+  normalizePercent,
+  diasPeriodoFromTipo,
+  sumarPeriodosYMD,
+  factorTotalSobreCapital
+} from './credito.utils.js';
+import { assertRolPermiso } from '../permiso.service.js';
+
+/* ===================== Helpers locales ===================== */
+
+const ESTADOS_CUOTA_CERRADA = ['pagada', 'refinanciada', 'anulada'];
+
+const httpError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const isValidYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+const fotoCuota = (c, cambios = {}) => ({
+  id: c.id,
+  numero_cuota: c.numero_cuota,
+  importe_cuota: fix2(cambios.importe_cuota ?? c.importe_cuota),
+  fecha_vencimiento: cambios.fecha_vencimiento ?? ymd(c.fecha_vencimiento)
+});
+
+/**
+ * Interés de un período sobre lo que queda por pagar:
+ * - francés: el interés de la próxima cuota (ya es sobre saldo)
+ * - común / progresivo: capital pendiente × interés por período (interés plano repartido en las cuotas)
+ */
+const interesPeriodoPendiente = (credito, primera) => {
+  if (String(credito.modalidad_credito || '').toLowerCase() === 'frances') {
+    return toNumber(primera.interes_cuota);
+  }
+  const capitalPendiente = toNumber(credito.saldo_actual) / factorTotalSobreCapital(credito);
+  const tasaPeriodo =
+    (normalizePercent(credito.interes, 0) / 100) *
+    (1 - Math.min(normalizePercent(credito.descuento, 0), 100) / 100) /
+    Math.max(toNumber(credito.cantidad_cuotas), 1);
+  return capitalPendiente * tasaPeriodo;
+};
+
+/**
+ * Arma el nuevo calendario (no persiste).
+ * data: { nueva_fecha: 'YYYY-MM-DD' (nuevo vencimiento de la próxima cuota), cobrar_interes?: boolean }
+ */
+const planificarCambioDiaPago = async (creditoId, { nueva_fecha, cobrar_interes = false } = {}, { transaction } = {}) => {
+  if (!isValidYMD(nueva_fecha)) {
+    throw httpError(400, 'nueva_fecha es obligatoria (YYYY-MM-DD)', 'FECHA_INVALIDA');
+  }
+
+  const credito = await Credito.findByPk(creditoId, {
+    transaction,
+    ...(transaction ? { lock: transaction.LOCK.UPDATE } : {})
+  });
+  if (!credito) throw httpError(404, 'Crédito no encontrado');
+
+  if (esLibre(credito)) {
+    throw httpError(
+      400,
+      'Los créditos libres no tienen día de pago fijo: el vencimiento lo define el ciclo mensual desde la fecha de compromiso.',
+      'CREDITO_LIBRE'
+    );
+  }
+
+  const estado = String(credito.estado || '').toLowerCase();
+  if (!['pendiente', 'vencido'].includes(estado)) {
+    throw httpError(409, `No se puede cambiar el día de pago de un crédito en estado ${estado}.`, 'CREDITO_NO_MODIFICABLE');
+  }
+
+  const abiertas = await Cuota.findAll({
+    where: { credito_id: credito.id, estado: { [Op.notIn]: ESTADOS_CUOTA_CERRADA } },
+    order: [['numero_cuota', 'ASC']],
+    transaction
+  });
+  if (!abiertas.length) throw httpError(409, 'El crédito no tiene cuotas impagas.', 'SIN_CUOTAS_IMPAGAS');
+
+  // Con atraso primero se regulariza (o se usa la prórroga con congelamiento de mora)
+  const hoy = todayYMD();
+  const vencidas = abiertas.filter((c) => c.estado === 'vencida' || ymd(c.fecha_vencimiento) < hoy);
+  if (vencidas.length) {
+    const err = httpError(
+      409,
+      `El crédito tiene cuotas vencidas (${vencidas.map((c) => `#${c.numero_cuota}`).join(', ')}): regularizalas antes de cambiar el día de pago.`,
+      'CUOTAS_VENCIDAS_PENDIENTES'
+    );
+    err.cuotas_vencidas = vencidas.map((c) => c.numero_cuota);
+    throw err;
+  }
+
+  const primera = abiertas[0];
+  const fechaActual = ymd(primera.fecha_vencimiento);
+  const diasPeriodo = diasPeriodoFromTipo(credito.tipo_credito);
+  const diferencia = differenceInCalendarDays(ymdDate(nueva_fecha), ymdDate(fechaActual));
+
+  if (nueva_fecha < hoy) throw httpError(400, 'nueva_fecha no puede ser anterior a hoy', 'FECHA_INVALIDA');
+  if (diferencia === 0) throw httpError(400, 'La nueva fecha coincide con el vencimiento actual', 'SIN_CAMBIOS');
+  if (Math.abs(diferencia) >= diasPeriodo) {
+    throw httpError(
+      400,
+      `El cambio de día debe quedar dentro de un período (menos de ${diasPeriodo} días del vencimiento actual ${fechaActual}); para correr cuotas usá la prórroga.`,
+      'CAMBIO_FUERA_DE_RANGO'
+    );
+  }
+
+  await asegurarCalendario();
+
+  // Interés proporcional por los días extra (solo si se corre hacia adelante)
+  const diasExtra = Math.max(diferencia, 0);
+  const interesProrrata =
+    cobrar_interes && diasExtra > 0 ? fix2((interesPeriodoPendiente(credito, primera) / diasPeriodo) * diasExtra) : 0;
+
+  const nuevas = abiertas.map((c, i) => ({
+    cuota: c,
+    // La serie se calcula sobre la fecha nominal; solo se corre la fecha que cae en día no hábil
+    fecha_vencimiento: ajustarVencimiento(sumarPeriodosYMD(nueva_fecha, credito.tipo_credito, i)),
+    importe_cuota: fix2(toNumber(c.importe_cuota) + (i === 0 ? interesProrrata : 0))
+  }));
+
+  // Ancla del plan: la cuota 1 vence en fecha_compromiso_pago (misma regla que generarCuotasServicio)
+  // (nunca antes de la acreditación, regla de consistencia del alta)
+  const compromisoSerie = sumarPeriodosYMD(nueva_fecha, credito.tipo_credito, -(toNumber(primera.numero_cuota) - 1));
+  const acreditacion = ymd(credito.fecha_acreditacion);
+  const compromisoNuevo = acreditacion && compromisoSerie < acreditacion ? acreditacion : compromisoSerie;
+  const saldoAntes = fix2(credito.saldo_actual);
+
+  return {
+    credito,
+    nuevas,
+    plan: {
+      credito_id: credito.id,
+      fecha_vencimiento_anterior: fechaActual,
+      nueva_fecha,
+      dias_diferencia: diferencia,
+      dias_extra: diasExtra,
+      interes_prorrata: interesProrrata,
+      fecha_compromiso_anterior: ymd(credito.fecha_compromiso_pago),
+      fecha_compromiso_nueva: compromisoNuevo,
+      saldo_credito_antes: saldoAntes,
+      saldo_credito_despues: fix2(saldoAntes + interesProrrata),
+      cuotas_antes: abiertas.map((c) => fotoCuota(c)),
+      cuotas_despues: nuevas.map(({ cuota, fecha_vencimiento, importe_cuota }) =>
+        fotoCuota(cuota, { fecha_vencimiento, importe_cuota })
+      )
+    }
+  };
+};
+
+/* ===================== API ===================== */
+
+/** Vista previa del nuevo calendario (no registra nada) */
+export const simularCambioDiaPago = async (creditoId, data = {}) => {
+  const { plan } = await planificarCambioDiaPago(creditoId, data);
+  return plan;
+};
+
+/**
+ * Cambia el día de pago: nuevos vencimientos para las cuotas impagas, interés prorrateado opcional
+ * (se suma a la próxima cuota), nueva fecha_compromiso_pago y registro en el historial de re-planes.
+ */
+export const cambiarDiaPago = async (
+  { credito_id, nueva_fecha, cobrar_interes = false, observacion = null, rol_id = null, usuario_id = null },
+  { actualizarEstadoCredito } = {}
+) => {
+  await assertRolPermiso(rol_id, ['creditos.editar'], 'No tenés permisos para cambiar el día de pago.');
+
+  const t = await Credito.sequelize.transaction();
+  try {
+    const { credito, nuevas, plan } = await planificarCambioDiaPago(
+      credito_id,
+      { nueva_fecha, cobrar_interes },
+      { transaction: t }
+    );
+    const frances = String(credito.modalidad_credito || '').toLowerCase() === 'frances';
+
+    for (const { cuota, fecha_vencimiento, importe_cuota } of nuevas) {
+      const cambios = { fecha_vencimiento, importe_cuota };
+      // Francés: importe = capital + interés; el prorrateo es interés
+      const extra = fix2(importe_cuota - toNumber(cuota.importe_cuota));
+      if (frances && extra > 0) cambios.interes_cuota = fix2(toNumber(cuota.interes_cuota) + extra);
+      await cuota.update(cambios, { transaction: t });
+    }
+
+    await credito.update(
+      {
+        fecha_compromiso_pago: plan.fecha_compromiso_nueva,
+        ...(plan.interes_prorrata > 0
+          ? {
+              saldo_actual: plan.saldo_credito_despues,
+              monto_total_devolver: fix2(toNumber(credito.monto_total_devolver) + plan.interes_prorrata)
+            }
+          : {})
+      },
+      { transaction: t }
+    );
+
+    const replan = await CreditoReplanificacion.create(
+      {
+        credito_id: credito.id,
+        tipo: 'cambio_dia_pago',
+        monto: plan.interes_prorrata,
+        saldo_anterior: plan.saldo_credito_antes,
+        saldo_nuevo: plan.saldo_credito_despues,
+        cuotas_antes: plan.cuotas_antes,
+        cuotas_despues: plan.cuotas_despues,
+        detalle: {
+          fecha_vencimiento_anterior: plan.fecha_vencimiento_anterior,
+          nueva_fecha: plan.nueva_fecha,
+          dias_extra: plan.dias_extra,
+          interes_prorrata: plan.interes_prorrata,
+          fecha_compromiso_anterior: plan.fecha_compromiso_anterior,
+          fecha_compromiso_nueva: plan.fecha_compromiso_nueva,
+          observacion: observacion ? String(observacion).slice(0, 500) : null
+        },
+        usuario_id: usuario_id ?? null,
+        fecha: new Date()
+      },
+      { transaction: t }
+    );
+
+    if (typeof actualizarEstadoCredito === 'function') {
+      await actualizarEstadoCredito(credito.id, t);
+    }
+
+    await t.commit();
+
+    return { ...plan, replanificacion_id: replan.id };
+  } catch (e) {
+    if (t.finished !== 'commit') {
+      try {
+        await t.rollback();
+      } catch (_) {}
+    }
+    throw e;
+  }
+};
@@ -0,0 +1,483 @@
+// financiera-backend/services/credito/credito.estadoCuenta.service.js
+// Estado de cuenta consolidado del cliente (JSON + PDF) para un rango de fechas.
+// - Todos los créditos del cliente con actividad en el rango (o vigentes)
+// - Cuotas que vencen en el rango y pagos registrados en el rango (con recibo y forma de pago)
+// - Cadenas de refinanciación (id_credito_origen → crédito hijo)
+// - Deuda actual: total_actual recalculado de los créditos vigentes (independiente del rango)
+
+import { Credito, Cliente } from '../../models/associations.js';
+
+import { obtenerCreditoPorId } from './credito.core.service.js';
+
+import {
+  fmtARS,
+  labelModalidad,
+  todayYMD,
+  fix2,
+  toNumber,
+  ymd,
+  LIBRE_VTO_FICTICIO,
+  idsCreditosOrigen
+} from './credito.utils.js';
+
+import {
+  getCuotaDescuentoMora,
+  getCuotaMoraNeta,
+  getCuotaPrincipalPendiente,
+  calcularTotalActualCreditoPlainPDF,
+  COLORS,
+  safeSetColor,
+  safeStrokeColor,
+  drawSectionTitle,
+  drawKV,
+  ensureSpace,
+  drawDocumentHeader,
+  fmtARSTable,
+  crearTablaPDF
+} from './credito.pdf.helpers.js';
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Estados de crédito que ya no generan deuda
+const ESTADOS_CERRADOS = ['pagado', 'refinanciado', 'anulado'];
+const ESTADOS_CUOTA_CON_SALDO = ['pendiente', 'parcial', 'vencida'];
+
+const httpError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const esVigente = (c) => !ESTADOS_CERRADOS.includes(String(c?.estado || '').toLowerCase());
+
+const enRango = (fecha, desde, hasta) => {
+  if (!fecha) return false;
+  if (desde && fecha < desde) return false;
+  if (hasta && fecha > hasta) return false;
+  return true;
+};
+
+const normalizarRango = ({ desde, hasta } = {}) => {
+  const d = desde ? String(desde).trim() : null;
+  const h = hasta ? String(hasta).trim() : todayYMD();
+
+  if (d && !YMD_RE.test(d)) throw httpError(400, 'desde debe tener formato YYYY-MM-DD', 'RANGO_FECHAS_INVALIDO');
+  if (!YMD_RE.test(h)) throw httpError(400, 'hasta debe tener formato YYYY-MM-DD', 'RANGO_FECHAS_INVALIDO');
+  if (d && d > h) throw httpError(400, 'desde no puede ser posterior a hasta', 'RANGO_FECHAS_INVALIDO');
+
+  return { desde: d, hasta: h };
+};
+
+/* ===================== Armado por crédito ===================== */
+
+const mapearCuota = (ct) => {
+  const principalPend = getCuotaPrincipalPendiente(ct);
+  const mora = getCuotaMoraNeta(ct);
+  return {
+    id: ct.id,
+    numero_cuota: ct.numero_cuota,
+    fecha_vencimiento: ct.fecha_vencimiento === LIBRE_VTO_FICTICIO ? null : ymd(ct.fecha_vencimiento),
+    importe_cuota: fix2(toNumber(ct.importe_cuota)),
+    monto_pagado_acumulado: fix2(toNumber(ct.monto_pagado_acumulado)),
+    descuento: getCuotaDescuentoMora(ct),
+    mora,
+    saldo: fix2(principalPend + mora),
+    estado: ct.estado
+  };
+};
+
+const armarCreditoEstadoCuenta = (c, hijoPorOrigen, { desde, hasta }) => {
+  const cuotasTodas = Array.isArray(c.cuotas) ? c.cuotas : [];
+
+  // Crédito libre: la cuota abierta usa vencimiento ficticio → siempre se informa
+  const cuotas = cuotasTodas
+    .filter((ct) => ct.fecha_vencimiento === LIBRE_VTO_FICTICIO || enRango(ymd(ct.fecha_vencimiento), desde, hasta))
+    .map(mapearCuota);
+
+  const pagos = [];
+  for (const ct of cuotasTodas) {
+    for (const p of Array.isArray(ct.pagos) ? ct.pagos : []) {
+      const fecha = ymd(p.fecha_pago);
+      if (!enRango(fecha, desde, hasta)) continue;
+      pagos.push({
+        id: p.id,
+        fecha_pago: fecha,
+        cuota_id: ct.id,
+        numero_cuota: ct.numero_cuota,
+        monto_pagado: fix2(toNumber(p.monto_pagado)),
+        forma_pago: p.formaPago?.nombre ?? null,
+        numero_recibo: p.numero_recibo ?? null
+      });
+    }
+  }
+  pagos.sort((a, b) => (a.fecha_pago === b.fecha_pago ? a.id - b.id : a.fecha_pago < b.fecha_pago ? -1 : 1));
+
+  const vigente = esVigente(c);
+  const totalActual = vigente
+    ? fix2(toNumber(c.total_actual ?? calcularTotalActualCreditoPlainPDF(c)))
+    : 0;
+
+  const cuotasConSaldo = cuotasTodas.filter((ct) =>
+    ESTADOS_CUOTA_CON_SALDO.includes(String(ct.estado || '').toLowerCase())
+  );
+
+  return {
+    id: c.id,
+    estado: c.estado,
+    modalidad_credito: c.modalidad_credito,
+    tipo_credito: c.tipo_credito,
+    cantidad_cuotas: c.cantidad_cuotas,
+    fecha_solicitud: c.fecha_solicitud ? ymd(c.fecha_solicitud) : null,
+    fecha_acreditacion: c.fecha_acreditacion ? ymd(c.fecha_acreditacion) : null,
+    monto_acreditar: fix2(toNumber(c.monto_acreditar)),
+    monto_total_devolver: fix2(toNumber(c.monto_total_devolver)),
+    saldo_actual: fix2(toNumber(c.saldo_actual)),
+    vigente,
+    total_actual: totalActual,
+    mora_pendiente: vigente ? fix2(cuotasConSaldo.reduce((acc, ct) => acc + getCuotaMoraNeta(ct), 0)) : 0,
+    cuotas_vencidas: vigente
+      ? cuotasTodas.filter((ct) => String(ct.estado || '').toLowerCase() === 'vencida').length
+      : 0,
+    id_credito_origen: c.id_credito_origen ?? null,
+    ids_creditos_origen: idsCreditosOrigen(c),
+    credito_refinanciado_hacia_id: hijoPorOrigen.get(c.id) ?? null,
+    cobrador: c.cobradorCredito?.nombre_completo ?? null,
+    cuotas,
+    pagos,
+    total_pagado_rango: fix2(pagos.reduce((acc, p) => acc + p.monto_pagado, 0))
+  };
+};
+
+/** Cadenas raíz → ... → último crédito, solo las que tienen al menos una refinanciación */
+const armarCadenasRefinanciacion = (creditos, hijoPorOrigen) => {
+  const porId = new Map(creditos.map((c) => [c.id, c]));
+  const cadenas = [];
+
+  for (const c of creditos) {
+    // Raíz: no tiene origen (o su origen no es de este cliente) y fue refinanciado
+    if (idsCreditosOrigen(c).some((id) => porId.has(id))) continue;
+    if (!hijoPorOrigen.has(c.id)) continue;
+
+    const ids = [c.id];
+    const vistos = new Set(ids);
+    let actual = hijoPorOrigen.get(c.id);
+    while (actual && !vistos.has(actual)) {
+      ids.push(actual);
+      vistos.add(actual);
+      actual = hijoPorOrigen.get(actual);
+    }
+
+    const ultimo = porId.get(ids[ids.length - 1]);
+    cadenas.push({
+      creditos: ids,
+      credito_actual_id: ultimo?.id ?? null,
+      estado_actual: ultimo?.estado ?? null
+    });
+  }
+  return cadenas;
+};
+
+/* ===================== API ===================== */
+
+/**
+ * Estado de cuenta del cliente.
+ * query: { desde?: 'YYYY-MM-DD' (default: todo el historial), hasta?: 'YYYY-MM-DD' (default: hoy) }
+ * Se informan los créditos acreditados hasta `hasta` que estén vigentes o tengan movimientos
+ * (acreditación, vencimientos o pagos) dentro del rango.
+ */
+export const obtenerEstadoCuentaCliente = async (clienteId, query = {}) => {
+  const id = Number(clienteId);
+  if (!Number.isInteger(id) || id <= 0) throw httpError(400, 'ID de cliente inválido');
+
+  const rango = normalizarRango(query);
+
+  const cliente = await Cliente.findByPk(id, {
+    attributes: [
+      'id', 'nombre', 'apellido', 'dni',
+      'telefono', 'telefono_secundario',
+      'direccion', 'direccion_secundaria'
+    ]
+  });
+  if (!cliente) throw httpError(404, 'Cliente no encontrado');
+
+  const filas = await Credito.findAll({
+    where: { cliente_id: id },
+    attributes: ['id'],
+    order: [['id', 'ASC']]
+  });
+
+  // obtenerCreditoPorId recalcula mora/estado antes de leer → deuda actualizada al día
+  const creditosPlain = [];
+  for (const f of filas) {
+    const cr = await obtenerCreditoPorId(f.id);
+    if (cr) creditosPlain.push(cr.get ? cr.get({ plain: true }) : cr);
+  }
+
+  const hijoPorOrigen = new Map();
+  for (const c of creditosPlain) {
+    for (const origenId of idsCreditosOrigen(c)) hijoPorOrigen.set(origenId, c.id);
+  }
+
+  const creditos = [];
+  for (const c of creditosPlain) {
+    const alta = ymd(c.fecha_acreditacion || c.fecha_solicitud);
+    if (alta && alta > rango.hasta) continue;
+
+    const item = armarCreditoEstadoCuenta(c, hijoPorOrigen, rango);
+    const conMovimientos = enRango(alta, rango.desde, rango.hasta) || item.cuotas.length > 0 || item.pagos.length > 0;
+    if (!item.vigente && !conMovimientos) continue;
+
+    creditos.push(item);
+  }
+
+  const vigentes = creditos.filter((c) => c.vigente);
+
+  return {
+    cliente: cliente.get({ plain: true }),
+    rango: { desde: rango.desde, hasta: rango.hasta },
+    emitido: todayYMD(),
+    deuda_actual: {
+      total: fix2(vigentes.reduce((acc, c) => acc + c.total_actual, 0)),
+      mora: fix2(vigentes.reduce((acc, c) => acc + c.mora_pendiente, 0)),
+      creditos_vigentes: vigentes.length,
+      cuotas_vencidas: vigentes.reduce((acc, c) => acc + c.cuotas_vencidas, 0)
+    },
+    total_pagado_rango: fix2(creditos.reduce((acc, c) => acc + c.total_pagado_rango, 0)),
+    cadenas_refinanciacion: armarCadenasRefinanciacion(creditosPlain, hijoPorOrigen),
+    creditos
+  };
+};
+
+/* ===================== PDF: Estado de cuenta ===================== */
+
+const getAlignCuotas = (index) => {
+  if (index === 0) return 'center';
+  if (index === 1) return 'left';
+  if (index === 7) return 'center';
+  return 'right';
+};
+
+const getFontCuotas = (index) => (index === 7 ? 'Helvetica-Bold' : 'Helvetica');
+
+const getAlignPagos = (index) => {
+  if (index === 3) return 'right';
+  if (index === 1) return 'center';
+  return 'left';
+};
+
+export const imprimirEstadoCuentaCliente = async (req, res) => {
+  try {
+    let estado;
+    try {
+      estado = await obtenerEstadoCuentaCliente(req.params?.id, req.query || {});
+    } catch (e) {
+      if (e?.status) {
+        return res.status(e.status).json({ success: false, message: e.message, ...(e.code ? { code: e.code } : {}) });
+      }
+      throw e;
+    }
+
+    let PDFDocument;
+    try {
+      ({ default: PDFDocument } = await import('pdfkit'));
+    } catch {
+      return res.status(500).json({
+        success: false,
+        message: 'Falta la dependencia pdfkit. Ejecutá: npm i pdfkit'
+      });
+    }
+
+    const cli = estado.cliente;
+    const periodo = `${estado.rango.desde || 'inicio'} al ${estado.rango.hasta}`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="estado-cuenta-cliente-${cli.id}.pdf"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 36,
+      info: {
+        Title: `Estado de cuenta - Cliente #${cli.id}`,
+        Author: 'SyE - Financiera',
+        Producer: 'PDFKit'
+      }
+    });
+
+    doc.on('error', (err) => {
+      console.error('[PDFKit][imprimirEstadoCuentaCliente] Error de stream:', err?.message || err);
+      try { res.end(); } catch (_) { }
+    });
+
+    doc.pipe(res);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    drawDocumentHeader(doc, {
+      titulo: 'Estado de Cuenta',
+      fechaEmision: estado.emitido,
+      subtitulo: `Cliente #${cli.id} · Período: ${periodo}`
+    });
+
+    /* ===================== Cliente ===================== */
+    drawSectionTitle(doc, 'Cliente');
+
+    let y0 = doc.y;
+    y0 = drawKV(doc, left, y0, 'Nombre', [cli.nombre, cli.apellido].filter(Boolean).join(' ') || '-');
+    y0 = drawKV(doc, left, y0, 'DNI', cli.dni || '-');
+    y0 = drawKV(doc, left, y0, 'Teléfono(s)', [cli.telefono, cli.telefono_secundario].filter(Boolean).join(' / ') || '-');
+    y0 = drawKV(doc, left, y0, 'Dirección', [cli.direccion, cli.direccion_secundaria].filter(Boolean).join(' | ') || '-', { rowHeight: 16 });
+    doc.y = y0 + 6;
+
+    /* ===================== Resumen de deuda ===================== */
+    const boxH = 54;
+    ensureSpace(doc, boxH + 18);
+
+    const boxY = doc.y + 4;
+    safeStrokeColor(doc, COLORS.line);
+    doc.rect(left, boxY, right - left, boxH).stroke();
+    safeStrokeColor(doc, COLORS.text);
+
+    const { deuda_actual: deuda } = estado;
+    safeSetColor(doc, COLORS.muted);
+    doc.font('Helvetica').fontSize(9)
+      .text(`Créditos vigentes: ${deuda.creditos_vigentes} · Cuotas vencidas: ${deuda.cuotas_vencidas}`, left + 12, boxY + 10);
+    doc.text(`Mora pendiente: ${fmtARS(deuda.mora)}`, left + 12, boxY + 24);
+    doc.text(`Pagado en el período: ${fmtARS(estado.total_pagado_rango)}`, left + 12, boxY + 38);
+
+    safeSetColor(doc, COLORS.muted);
+    doc.font('Helvetica').fontSize(10).text('DEUDA ACTUAL', right - 210, boxY + 10, { width: 198, align: 'right' });
+    safeSetColor(doc, COLORS.text);
+    doc.font('Helvetica-Bold').fontSize(16).text(fmtARS(deuda.total), right - 210, boxY + 24, { width: 198, align: 'right' });
+
+    doc.font('Helvetica');
+    doc.y = boxY + boxH + 12;
+
+    /* ===================== Refinanciaciones ===================== */
+    if (estado.cadenas_refinanciacion.length) {
+      drawSectionTitle(doc, 'Refinanciaciones');
+      safeSetColor(doc, COLORS.text);
+      doc.font('Helvetica').fontSize(9);
+      for (const cadena of estado.cadenas_refinanciacion) {
+        ensureSpace(doc, 16);
+        doc.text(
+          `${cadena.creditos.map((cid) => `#${cid}`).join(' → ')}  (actual: #${cadena.credito_actual_id} · ${String(cadena.estado_actual || '').toUpperCase()})`,
+          left,
+          doc.y,
+          { width: right - left }
+        );
+        doc.moveDown(0.2);
+      }
+    }
+
+    /* ===================== Créditos ===================== */
+    if (!estado.creditos.length) {
+      drawSectionTitle(doc, 'Créditos');
+      safeSetColor(doc, COLORS.muted);
+      doc.font('Helvetica').fontSize(10).text('Sin créditos con movimientos en el período.', left, doc.y);
+    }
+
+    for (const cr of estado.creditos) {
+      ensureSpace(doc, 140);
+      drawSectionTitle(doc, `Crédito #${cr.id} · ${String(cr.estado || '').toUpperCase()} · ${labelModalidad(cr.modalidad_credito)}`);
+
+      let y1 = doc.y;
+      y1 = drawKV(doc, left, y1, 'Acreditación', cr.fecha_acreditacion || '-');
+      y1 = drawKV(doc, left, y1, 'Monto acreditado', fmtARS(cr.monto_acreditar));
+      y1 = drawKV(doc, left, y1, 'Total a devolver', fmtARS(cr.monto_total_devolver));
+      if (cr.ids_creditos_origen.length) {
+        y1 = drawKV(
+          doc, left, y1,
+          cr.ids_creditos_origen.length > 1 ? 'Consolida' : 'Refinanciación de',
+          cr.ids_creditos_origen.map((id) => `Crédito #${id}`).join(', ')
+        );
+      }
+      if (cr.credito_refinanciado_hacia_id) y1 = drawKV(doc, left, y1, 'Refinanciado en', `Crédito #${cr.credito_refinanciado_hacia_id}`);
+      y1 = drawKV(doc, left, y1, 'Deuda actual', cr.vigente ? fmtARS(cr.total_actual) : '-');
+      doc.y = y1 + 6;
+
+      if (cr.cuotas.length) {
+        doc.font('Helvetica-Bold').fontSize(9);
+        safeSetColor(doc, COLORS.text);
+        doc.text('Cuotas del período', left, doc.y);
+        doc.moveDown(0.3);
+
+        const tablaCuotas = crearTablaPDF(doc, {
+          x: left,
+          headers: ['#', 'Vencimiento', 'Importe', 'Pagado', 'Desc.', 'Mora', 'Saldo', 'Estado'],
+          colWidths: [22, 78, 64, 64, 50, 72, 86, 64],
+          getAlign: getAlignCuotas,
+          getFont: getFontCuotas
+        });
+
+        tablaCuotas.drawHeader();
+        for (const ct of cr.cuotas) {
+          tablaCuotas.drawRow([
+            ct.numero_cuota,
+            ct.fecha_vencimiento || '—',
+            fmtARSTable(ct.importe_cuota),
+            fmtARSTable(ct.monto_pagado_acumulado),
+            fmtARSTable(ct.descuento),
+            fmtARSTable(ct.mora),
+            fmtARSTable(ct.saldo),
+            String(ct.estado || '').toUpperCase()
+          ]);
+        }
+        doc.moveDown(0.6);
+      }
+
+      if (cr.pagos.length) {
+        ensureSpace(doc, 50);
+        doc.font('Helvetica-Bold').fontSize(9);
+        safeSetColor(doc, COLORS.text);
+        doc.text('Pagos del período', left, doc.y);
+        doc.moveDown(0.3);
+
+        const tablaPagos = crearTablaPDF(doc, {
+          x: left,
+          headers: ['Fecha', 'Cuota', 'Forma de pago', 'Monto', 'Recibo'],
+          colWidths: [90, 50, 170, 100, 90],
+          getAlign: getAlignPagos
+        });
+
+        tablaPagos.drawHeader();
+        for (const p of cr.pagos) {
+          tablaPagos.drawRow([
+            p.fecha_pago,
+            p.numero_cuota,
+            p.forma_pago || '-',
+            fmtARSTable(p.monto_pagado),
+            p.numero_recibo ? `#${p.numero_recibo}` : '-'
+          ]);
+        }
+
+        doc.moveDown(0.3);
+        doc.font('Helvetica-Bold').fontSize(9);
+        safeSetColor(doc, COLORS.text);
+        doc.text(`Total pagado en el período: ${fmtARS(cr.total_pagado_rango)}`, left, doc.y, { width: right - left, align: 'right' });
+        doc.moveDown(0.6);
+      }
+    }
+
+    ensureSpace(doc, 30);
+    doc.moveDown(0.6);
+    safeSetColor(doc, COLORS.muted);
+    doc.font('Helvetica').fontSize(8).text(
+      'Nota: La deuda actual se calcula a la fecha de emisión, con mora recalculada. Las cuotas y pagos listados corresponden al período indicado.',
+      left,
+      doc.y,
+      { width: right - left }
+    );
+
+    doc.end();
+  } catch (error) {
+    console.error('[imprimirEstadoCuentaCliente]', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Error al generar el estado de cuenta' });
+    } else {
+      try { res.end(); } catch (_) { }
+    }
+  }
+};
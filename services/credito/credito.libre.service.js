@@ -44,6 +44,7 @@ import {
 
 import { crearReciboEnTxCompat } from '../cuota/cuota.recibo.compat.service.js';
 import { registrarIngresoDesdeReciboEnTx } from '../cuota/cuota.caja.service.js';
+import { assertRolPermiso } from '../permiso.service.js';
 
 /* ===================== Helpers de LIBRE (compat / UI) ===================== */
 
@@ -498,10 +499,9 @@ export const cancelarCreditoLibre = async ({
 
   const pct = Math.min(Math.max(toNumber(descuento_porcentaje), 0), 100);
 
-  if (pct > 0 && rol_id !== null && Number(rol_id) !== 0) {
-    const err = new Error('Solo un superadmin puede aplicar descuentos en la cancelación del crédito.');
-    err.status = 403;
-    throw err;
+  // Descuento en la cancelación: requiere pagos.descuento_total (rol_id null = llamada interna)
+  if (pct > 0) {
+    await assertRolPermiso(rol_id, ['pagos.descuento_total'], 'No tenés permiso para aplicar descuentos en la cancelación del crédito.');
   }
 
   let descSobreMora = 0;
@@ -0,0 +1,383 @@
+// financiera-backend/services/credito/credito.pdf.helpers.js
+// Helpers compartidos por los PDFs de crédito (ficha del crédito, estado de cuenta del cliente).
+// - Importes por cuota (descuento / mora / saldo) con la misma lógica que la ficha
+// - Layout pdfkit: colores, títulos de sección, pares clave/valor, header con logo, tablas
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+  fmtARS,
+  fix2,
+  toNumber,
+  esLibre
+} from './credito.utils.js';
+
+/* ===================== Helpers descuento / mora ===================== */
+
+export const getPagoDescuento = (pago) => {
+  return fix2(
+    toNumber(
+      pago?.descuento_aplicado ??
+      pago?.descuento ??
+      pago?.recibo?.descuento_aplicado ??
+      pago?.recibo?.descuento ??
+      pago?.recibo_ui?.descuento_aplicado ??
+      0
+    )
+  );
+};
+
+export const getCuotaDescuentoMora = (cuota) => {
+  const consolidado = fix2(
+    toNumber(
+      cuota?.descuento_aplicado ??
+      cuota?.descuento_aplicado_total ??
+      0
+    )
+  );
+  if (consolidado > 0) return consolidado;
+
+  const pagos = Array.isArray(cuota?.pagos) ? cuota.pagos : [];
+  const descuentoDesdePagos = fix2(
+    pagos.reduce((acc, p) => acc + getPagoDescuento(p), 0)
+  );
+
+  if (descuentoDesdePagos > 0) return descuentoDesdePagos;
+  return fix2(toNumber(cuota?.descuento_cuota ?? 0));
+};
+
+export const getCuotaMoraBruta = (cuota) =>
+  fix2(toNumber(cuota?.intereses_vencidos_acumulados ?? 0));
+
+export const getCuotaSaldoMora = (cuota) => {
+  const saldoMora = cuota?.saldo_mora;
+  if (saldoMora !== undefined && saldoMora !== null) {
+    return fix2(toNumber(saldoMora));
+  }
+  return null;
+};
+
+export const getCuotaMoraNeta = (cuota) => {
+  const moraNetaConsolidada = cuota?.mora_neta;
+  if (moraNetaConsolidada !== undefined && moraNetaConsolidada !== null) {
+    return fix2(toNumber(moraNetaConsolidada));
+  }
+
+  const saldoMora = getCuotaSaldoMora(cuota);
+  if (saldoMora !== null) return saldoMora;
+
+  const moraBruta = getCuotaMoraBruta(cuota);
+  const descuentoMora = getCuotaDescuentoMora(cuota);
+  return fix2(Math.max(moraBruta - descuentoMora, 0));
+};
+
+export const getCuotaPrincipalPendiente = (cuota) => {
+  return fix2(
+    Math.max(
+      toNumber(cuota?.importe_cuota) -
+      toNumber(cuota?.descuento_cuota) -
+      toNumber(cuota?.monto_pagado_acumulado),
+      0
+    )
+  );
+};
+
+export const getCuotaSaldoTotal = (cuota) => {
+  return fix2(getCuotaPrincipalPendiente(cuota) + getCuotaMoraNeta(cuota));
+};
+
+/* ===================== TOTAL ACTUAL (fallback para PDFs) ===================== */
+export const calcularTotalActualCreditoPlainPDF = (creditoPlain) => {
+  if (!creditoPlain) return 0;
+
+  if (esLibre(creditoPlain)) {
+    const cuota = Array.isArray(creditoPlain.cuotas) ? creditoPlain.cuotas[0] : null;
+    const mora = fix2(
+      toNumber(
+        cuota?.saldo_mora ??
+        cuota?.mora_neta ??
+        cuota?.intereses_vencidos_acumulados ??
+        0
+      )
+    );
+
+    const capital = fix2(toNumber(creditoPlain.saldo_capital ?? creditoPlain.saldo_actual));
+    const interes = fix2(
+      toNumber(
+        creditoPlain.interes_pendiente_total ??
+        creditoPlain.interes_pendiente_hoy ??
+        0
+      )
+    );
+
+    return fix2(capital + interes + mora);
+  }
+
+  let total = 0;
+  const cuotas = Array.isArray(creditoPlain.cuotas) ? creditoPlain.cuotas : [];
+  for (const c of cuotas) {
+    const estado = String(c.estado || '').toLowerCase();
+    if (!['pendiente', 'parcial', 'vencida'].includes(estado)) continue;
+
+    total = fix2(total + getCuotaSaldoTotal(c));
+  }
+  return total;
+};
+
+/* ===================== Helpers de layout PDF ===================== */
+export const COLORS = {
+  text: '#111111',
+  muted: '#6B7280',
+  line: '#E5E7EB',
+  headerFill: '#F3F4F6',
+  tableHeaderFill: '#F3F4F6',
+  boxFill: '#FAFAFA',
+  warn: '#B45309'
+};
+
+export const safeSetColor = (doc, hex) => {
+  try { doc.fillColor(hex); } catch (_) { }
+};
+
+export const safeStrokeColor = (doc, hex) => {
+  try { doc.strokeColor(hex); } catch (_) { }
+};
+
+export const drawHR = (doc, x1, x2, y) => {
+  safeStrokeColor(doc, COLORS.line);
+  doc.moveTo(x1, y).lineTo(x2, y).stroke();
+  safeStrokeColor(doc, COLORS.text);
+};
+
+export const drawSectionTitle = (doc, title) => {
+  doc.moveDown(0.4);
+  safeSetColor(doc, COLORS.text);
+  doc.fontSize(12).font('Helvetica-Bold').text(title);
+  doc.moveDown(0.2);
+  drawHR(doc, doc.page.margins.left, doc.page.width - doc.page.margins.right, doc.y);
+  doc.moveDown(0.4);
+  doc.font('Helvetica');
+};
+
+export const drawKV = (doc, x, y, label, value, opts = {}) => {
+  const labelW = opts.labelWidth ?? 140;
+  const valueW = opts.valueWidth ?? 360;
+  const fontSize = opts.fontSize ?? 10;
+
+  doc.fontSize(fontSize);
+  safeSetColor(doc, COLORS.muted);
+  doc.font('Helvetica').text(label, x, y, { width: labelW });
+
+  safeSetColor(doc, COLORS.text);
+  doc.font('Helvetica').text(String(value ?? '-'), x + labelW, y, { width: valueW });
+
+  return y + (opts.rowHeight ?? 14);
+};
+
+export const ensureSpace = (doc, neededHeight, onNewPage) => {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  if (doc.y + neededHeight <= bottom) return;
+  doc.addPage();
+  if (typeof onNewPage === 'function') onNewPage();
+};
+
+export const resolveLogoPath = () => {
+  // En producción y docker, process.cwd() suele ser /app
+  // Logo: /app/assets/logo.png
+  const p = path.resolve(process.cwd(), 'assets', 'logo.png');
+  return p;
+};
+
+/**
+ * Header común: recuadro con logo a la izquierda y, a la derecha,
+ * título + fecha de emisión + subtítulo. Deja doc.y debajo del recuadro.
+ */
+export const drawDocumentHeader = (doc, { titulo, fechaEmision, subtitulo } = {}) => {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const top = doc.page.margins.top;
+
+  const headerH = 64;
+  safeStrokeColor(doc, COLORS.line);
+  doc.rect(left, top - 10, right - left, headerH).stroke();
+  safeStrokeColor(doc, COLORS.text);
+
+  const logoPath = resolveLogoPath();
+  let logoDrawn = false;
+  if (fs.existsSync(logoPath)) {
+    try {
+      doc.image(logoPath, left + 10, top - 2, { height: 44 });
+      logoDrawn = true;
+    } catch (e) {
+      console.error('[PDFKit][logo] No se pudo cargar logo:', e?.message || e);
+    }
+  } else {
+    console.warn('[PDFKit][logo] No existe:', logoPath);
+  }
+
+  const titleX = logoDrawn ? left + 10 + 160 : left + 10;
+  const titleW = right - titleX - 10;
+
+  safeSetColor(doc, COLORS.text);
+  doc.font('Helvetica-Bold').fontSize(18).text(titulo || '', titleX, top + 2, { width: titleW, align: 'right' });
+
+  safeSetColor(doc, COLORS.muted);
+  doc.font('Helvetica').fontSize(9).text(`Emitido: ${fechaEmision}`, titleX, top + 28, { width: titleW, align: 'right' });
+
+  if (subtitulo) {
+    safeSetColor(doc, COLORS.muted);
+    doc.fontSize(9).text(subtitulo, titleX, top + 42, {
+      width: titleW,
+      align: 'right'
+    });
+  }
+
+  doc.y = top + headerH + 8;
+  safeSetColor(doc, COLORS.text);
+};
+
+/* ===================== Helpers de tablas ===================== */
+
+export const fmtARSTable = (value) => {
+  // Compacta un poco para que entre mejor en columnas del PDF
+  return String(fmtARS(value ?? 0)).replace(/\$\s+/g, '$');
+};
+
+const alignPorDefecto = () => 'left';
+const fontPorDefecto = () => 'Helvetica';
+
+export const getRowHeight = (doc, cells, colWidths, opts = {}) => {
+  const fontSize = opts.fontSize ?? 8;
+  const paddingX = opts.paddingX ?? 4;
+  const paddingY = opts.paddingY ?? 4;
+  const minRowH = opts.minRowH ?? 18;
+  const getAlign = opts.getAlign ?? alignPorDefecto;
+  const getFont = opts.getFont ?? fontPorDefecto;
+
+  let maxH = 0;
+  cells.forEach((cell, i) => {
+    const width = Math.max((colWidths[i] || 0) - (paddingX * 2), 8);
+    const font = getFont(i);
+    doc.font(font).fontSize(fontSize);
+
+    const h = doc.heightOfString(String(cell ?? ''), {
+      width,
+      align: getAlign(i)
+    });
+
+    if (h > maxH) maxH = h;
+  });
+
+  return Math.max(minRowH, Math.ceil(maxH + (paddingY * 2)));
+};
+
+export const drawTableGrid = (doc, x, y, colWidths, rowH) => {
+  const totalW = colWidths.reduce((a, b) => a + b, 0);
+
+  safeStrokeColor(doc, COLORS.line);
+  doc.rect(x, y, totalW, rowH).stroke();
+
+  let cx = x;
+  for (let i = 0; i < colWidths.length - 1; i += 1) {
+    cx += colWidths[i];
+    doc.moveTo(cx, y).lineTo(cx, y + rowH).stroke();
+  }
+
+  safeStrokeColor(doc, COLORS.text);
+};
+
+/**
+ * Tabla con encabezado sombreado que se repite al saltar de página y filas de alto dinámico.
+ * Devuelve { drawHeader, drawRow }; getAlign/getFont reciben el índice de columna.
+ */
+export const crearTablaPDF = (doc, {
+  x,
+  headers,
+  colWidths,
+  getAlign = alignPorDefecto,
+  getFont = fontPorDefecto,
+  fontSize = 7.6,
+  headerFontSize = 8,
+  paddingX = 4,
+  paddingY = 4,
+  minRowH = 18
+}) => {
+  const tableW = colWidths.reduce((a, b) => a + b, 0);
+
+  const drawHeader = () => {
+    const headerH = getRowHeight(doc, headers, colWidths, {
+      fontSize: headerFontSize,
+      paddingX,
+      paddingY,
+      minRowH,
+      getAlign,
+      getFont: () => 'Helvetica-Bold'
+    });
+
+    ensureSpace(doc, headerH + 6);
+
+    const y = doc.y;
+
+    doc.save();
+    safeSetColor(doc, COLORS.tableHeaderFill);
+    doc.rect(x, y, tableW, headerH).fill();
+    doc.restore();
+
+    drawTableGrid(doc, x, y, colWidths, headerH);
+
+    let cx = x;
+    headers.forEach((h, i) => {
+      const width = colWidths[i];
+      doc.font('Helvetica-Bold').fontSize(headerFontSize);
+      safeSetColor(doc, COLORS.text);
+      doc.text(h, cx + paddingX, y + paddingY, {
+        width: width - (paddingX * 2),
+        align: getAlign(i)
+      });
+      cx += width;
+    });
+
+    doc.font('Helvetica');
+    doc.y = y + headerH;
+    return y + headerH;
+  };
+
+  const drawRow = (cells) => {
+    const rowH = getRowHeight(doc, cells, colWidths, {
+      fontSize,
+      paddingX,
+      paddingY,
+      minRowH,
+      getAlign,
+      getFont
+    });
+
+    ensureSpace(doc, rowH + 2, () => {
+      drawHeader();
+    });
+
+    const y = doc.y;
+
+    drawTableGrid(doc, x, y, colWidths, rowH);
+
+    let cx = x;
+    cells.forEach((cell, i) => {
+      const width = colWidths[i];
+
+      doc.font(getFont(i)).fontSize(fontSize);
+      safeSetColor(doc, COLORS.text);
+
+      doc.text(String(cell ?? ''), cx + paddingX, y + paddingY, {
+        width: width - (paddingX * 2),
+        align: getAlign(i)
+      });
+
+      cx += width;
+    });
+
+    doc.y = y + rowH;
+  };
+
+  return { drawHeader, drawRow };
+};
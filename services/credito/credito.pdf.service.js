@@ -12,6 +12,9 @@
 //   * tamaño de fuente levemente menor
 //   * altura de fila dinámica
 //   * montos compactados para evitar cortes visuales
+//
+// Los helpers de importes y layout viven en credito.pdf.helpers.js (compartidos con el estado de cuenta).
+// - Francés: tabla de amortización (capital / interés / saldo de capital por cuota)
 
 import { obtenerCreditoPorId } from './credito.core.service.js';
 
@@ -28,191 +31,24 @@ import {
 
 import { obtenerFechasCiclosLibre } from './credito.libre.service.js';
 
-import fs from 'fs';
-import path from 'path';
-
-/* ===================== Helpers descuento / mora ===================== */
-
-const getPagoDescuento = (pago) => {
-  return fix2(
-    toNumber(
-      pago?.descuento_aplicado ??
-      pago?.descuento ??
-      pago?.recibo?.descuento_aplicado ??
-      pago?.recibo?.descuento ??
-      pago?.recibo_ui?.descuento_aplicado ??
-      0
-    )
-  );
-};
-
-const getCuotaDescuentoMora = (cuota) => {
-  const consolidado = fix2(
-    toNumber(
-      cuota?.descuento_aplicado ??
-      cuota?.descuento_aplicado_total ??
-      0
-    )
-  );
-  if (consolidado > 0) return consolidado;
-
-  const pagos = Array.isArray(cuota?.pagos) ? cuota.pagos : [];
-  const descuentoDesdePagos = fix2(
-    pagos.reduce((acc, p) => acc + getPagoDescuento(p), 0)
-  );
-
-  if (descuentoDesdePagos > 0) return descuentoDesdePagos;
-  return fix2(toNumber(cuota?.descuento_cuota ?? 0));
-};
-
-const getCuotaMoraBruta = (cuota) =>
-  fix2(toNumber(cuota?.intereses_vencidos_acumulados ?? 0));
-
-const getCuotaSaldoMora = (cuota) => {
-  const saldoMora = cuota?.saldo_mora;
-  if (saldoMora !== undefined && saldoMora !== null) {
-    return fix2(toNumber(saldoMora));
-  }
-  return null;
-};
-
-const getCuotaMoraNeta = (cuota) => {
-  const moraNetaConsolidada = cuota?.mora_neta;
-  if (moraNetaConsolidada !== undefined && moraNetaConsolidada !== null) {
-    return fix2(toNumber(moraNetaConsolidada));
-  }
-
-  const saldoMora = getCuotaSaldoMora(cuota);
-  if (saldoMora !== null) return saldoMora;
-
-  const moraBruta = getCuotaMoraBruta(cuota);
-  const descuentoMora = getCuotaDescuentoMora(cuota);
-  return fix2(Math.max(moraBruta - descuentoMora, 0));
-};
-
-const getCuotaPrincipalPendiente = (cuota) => {
-  return fix2(
-    Math.max(
-      toNumber(cuota?.importe_cuota) -
-      toNumber(cuota?.descuento_cuota) -
-      toNumber(cuota?.monto_pagado_acumulado),
-      0
-    )
-  );
-};
-
-const getCuotaSaldoTotal = (cuota) => {
-  return fix2(getCuotaPrincipalPendiente(cuota) + getCuotaMoraNeta(cuota));
-};
-
-/* ===================== TOTAL ACTUAL (helper local para PDF) ===================== */
-const calcularTotalActualCreditoPlainPDF = (creditoPlain) => {
-  if (!creditoPlain) return 0;
-
-  if (esLibre(creditoPlain)) {
-    const cuota = Array.isArray(creditoPlain.cuotas) ? creditoPlain.cuotas[0] : null;
-    const mora = fix2(
-      toNumber(
-        cuota?.saldo_mora ??
-        cuota?.mora_neta ??
-        cuota?.intereses_vencidos_acumulados ??
-        0
-      )
-    );
-
-    const capital = fix2(toNumber(creditoPlain.saldo_capital ?? creditoPlain.saldo_actual));
-    const interes = fix2(
-      toNumber(
-        creditoPlain.interes_pendiente_total ??
-        creditoPlain.interes_pendiente_hoy ??
-        0
-      )
-    );
-
-    return fix2(capital + interes + mora);
-  }
-
-  let total = 0;
-  const cuotas = Array.isArray(creditoPlain.cuotas) ? creditoPlain.cuotas : [];
-  for (const c of cuotas) {
-    const estado = String(c.estado || '').toLowerCase();
-    if (!['pendiente', 'parcial', 'vencida'].includes(estado)) continue;
-
-    total = fix2(total + getCuotaSaldoTotal(c));
-  }
-  return total;
-};
-
-/* ===================== Helpers de layout PDF ===================== */
-const COLORS = {
-  text: '#111111',
-  muted: '#6B7280',
-  line: '#E5E7EB',
-  headerFill: '#F3F4F6',
-  tableHeaderFill: '#F3F4F6',
-  boxFill: '#FAFAFA'
-};
-
-const safeSetColor = (doc, hex) => {
-  try { doc.fillColor(hex); } catch (_) { }
-};
-
-const safeStrokeColor = (doc, hex) => {
-  try { doc.strokeColor(hex); } catch (_) { }
-};
-
-const drawHR = (doc, x1, x2, y) => {
-  safeStrokeColor(doc, COLORS.line);
-  doc.moveTo(x1, y).lineTo(x2, y).stroke();
-  safeStrokeColor(doc, COLORS.text);
-};
-
-const drawSectionTitle = (doc, title) => {
-  doc.moveDown(0.4);
-  safeSetColor(doc, COLORS.text);
-  doc.fontSize(12).font('Helvetica-Bold').text(title);
-  doc.moveDown(0.2);
-  drawHR(doc, doc.page.margins.left, doc.page.width - doc.page.margins.right, doc.y);
-  doc.moveDown(0.4);
-  doc.font('Helvetica');
-};
-
-const drawKV = (doc, x, y, label, value, opts = {}) => {
-  const labelW = opts.labelWidth ?? 140;
-  const valueW = opts.valueWidth ?? 360;
-  const fontSize = opts.fontSize ?? 10;
-
-  doc.fontSize(fontSize);
-  safeSetColor(doc, COLORS.muted);
-  doc.font('Helvetica').text(label, x, y, { width: labelW });
-
-  safeSetColor(doc, COLORS.text);
-  doc.font('Helvetica').text(String(value ?? '-'), x + labelW, y, { width: valueW });
-
-  return y + (opts.rowHeight ?? 14);
-};
-
-const ensureSpace = (doc, neededHeight, onNewPage) => {
-  const bottom = doc.page.height - doc.page.margins.bottom;
-  if (doc.y + neededHeight <= bottom) return;
-  doc.addPage();
-  if (typeof onNewPage === 'function') onNewPage();
-};
-
-const resolveLogoPath = () => {
-  // En producción y docker, process.cwd() suele ser /app
-  // Logo: /app/assets/logo.png
-  const p = path.resolve(process.cwd(), 'assets', 'logo.png');
-  return p;
-};
+import {
+  getCuotaDescuentoMora,
+  getCuotaMoraNeta,
+  getCuotaPrincipalPendiente,
+  calcularTotalActualCreditoPlainPDF,
+  COLORS,
+  safeSetColor,
+  safeStrokeColor,
+  drawSectionTitle,
+  drawKV,
+  ensureSpace,
+  drawDocumentHeader,
+  fmtARSTable,
+  crearTablaPDF
+} from './credito.pdf.helpers.js';
 
 /* ===================== Helpers tabla cuotas ===================== */
 
-const fmtARSTable = (value) => {
-  // Compacta un poco para que entre mejor en columnas del PDF
-  return String(fmtARS(value ?? 0)).replace(/\$\s+/g, '$');
-};
-
 const getCellAlign = (index) => {
   if (index === 0) return 'center';
   if (index === 1) return 'left';
@@ -225,42 +61,10 @@ const getCellFont = (index) => {
   return 'Helvetica';
 };
 
-const getRowHeight = (doc, cells, colWidths, opts = {}) => {
-  const fontSize = opts.fontSize ?? 8;
-  const paddingX = opts.paddingX ?? 4;
-  const paddingY = opts.paddingY ?? 4;
-  const minRowH = opts.minRowH ?? 18;
-
-  let maxH = 0;
-  cells.forEach((cell, i) => {
-    const width = Math.max((colWidths[i] || 0) - (paddingX * 2), 8);
-    const font = getCellFont(i);
-    doc.font(font).fontSize(fontSize);
-
-    const h = doc.heightOfString(String(cell ?? ''), {
-      width,
-      align: getCellAlign(i)
-    });
-
-    if (h > maxH) maxH = h;
-  });
-
-  return Math.max(minRowH, Math.ceil(maxH + (paddingY * 2)));
-};
-
-const drawTableGrid = (doc, x, y, colWidths, rowH) => {
-  const totalW = colWidths.reduce((a, b) => a + b, 0);
-
-  safeStrokeColor(doc, COLORS.line);
-  doc.rect(x, y, totalW, rowH).stroke();
-
-  let cx = x;
-  for (let i = 0; i < colWidths.length - 1; i += 1) {
-    cx += colWidths[i];
-    doc.moveTo(cx, y).lineTo(cx, y + rowH).stroke();
-  }
-
-  safeStrokeColor(doc, COLORS.text);
+const getAmortizacionAlign = (index) => {
+  if (index === 0) return 'center';
+  if (index === 1) return 'left';
+  return 'right';
 };
 
 /* ===================== PDF: Ficha del Crédito ===================== */
@@ -296,6 +100,7 @@ export const imprimirFichaCredito = async (req, res) => {
 
     const fechaEmision = todayYMD();
     const ciclosLibre = esLibre(c) ? obtenerFechasCiclosLibre(c) : null;
+    const esFrances = String(c.modalidad_credito || '').toLowerCase() === 'frances';
 
     const vtosValidos = cuotas
       .map((ct) => ct.fecha_vencimiento)
@@ -338,44 +143,13 @@ export const imprimirFichaCredito = async (req, res) => {
     /* ===================== Header (logo + título) ===================== */
     const left = doc.page.margins.left;
     const right = doc.page.width - doc.page.margins.right;
-    const top = doc.page.margins.top;
-
-    const headerH = 64;
-    safeStrokeColor(doc, COLORS.line);
-    doc.rect(left, top - 10, right - left, headerH).stroke();
-    safeStrokeColor(doc, COLORS.text);
 
-    const logoPath = resolveLogoPath();
-    let logoDrawn = false;
-    if (fs.existsSync(logoPath)) {
-      try {
-        doc.image(logoPath, left + 10, top - 2, { height: 44 });
-        logoDrawn = true;
-      } catch (e) {
-        console.error('[PDFKit][logo] No se pudo cargar logo:', e?.message || e);
-      }
-    } else {
-      console.warn('[PDFKit][logo] No existe:', logoPath);
-    }
-
-    const titleX = logoDrawn ? left + 10 + 160 : left + 10;
-    const titleW = right - titleX - 10;
-
-    safeSetColor(doc, COLORS.text);
-    doc.font('Helvetica-Bold').fontSize(18).text('Ficha de Crédito', titleX, top + 2, { width: titleW, align: 'right' });
-
-    safeSetColor(doc, COLORS.muted);
-    doc.font('Helvetica').fontSize(9).text(`Emitido: ${fechaEmision}`, titleX, top + 28, { width: titleW, align: 'right' });
-
-    safeSetColor(doc, COLORS.muted);
-    doc.fontSize(9).text(`Crédito #${c.id} · ${String(c.estado || '').toUpperCase()} · ${labelModalidad(c.modalidad_credito)}`, titleX, top + 42, {
-      width: titleW,
-      align: 'right'
+    drawDocumentHeader(doc, {
+      titulo: 'Ficha de Crédito',
+      fechaEmision,
+      subtitulo: `Crédito #${c.id} · ${String(c.estado || '').toUpperCase()} · ${labelModalidad(c.modalidad_credito)}`
     });
 
-    doc.y = top + headerH + 8;
-    safeSetColor(doc, COLORS.text);
-
     /* ===================== Cliente ===================== */
     drawSectionTitle(doc, 'Cliente');
 
@@ -390,6 +164,45 @@ export const imprimirFichaCredito = async (req, res) => {
     y0 = drawKV(doc, left, y0, 'Dirección', direcciones, { rowHeight: 16 });
     doc.y = y0 + 6;
 
+    /* ===================== Garantes ===================== */
+    const garantes = Array.isArray(c.garantes) ? c.garantes : [];
+    if (garantes.length) {
+      drawSectionTitle(doc, garantes.length > 1 ? 'Garantes' : 'Garante');
+
+      garantes.forEach((g, i) => {
+        ensureSpace(doc, 90);
+
+        let yg = doc.y;
+        const nombreG = [g.nombre, g.apellido].filter(Boolean).join(' ') || '-';
+        yg = drawKV(doc, left, yg, garantes.length > 1 ? `Nombre (${i + 1})` : 'Nombre', g.relacion ? `${nombreG} (${g.relacion})` : nombreG);
+        yg = drawKV(doc, left, yg, 'DNI', g.dni || '-');
+        yg = drawKV(doc, left, yg, 'Teléfono(s)', [g.telefono, g.telefono_secundario].filter(Boolean).join(' / ') || '-');
+        yg = drawKV(doc, left, yg, 'Dirección', [g.direccion, g.localidad].filter(Boolean).join(', ') || '-', { rowHeight: 16 });
+
+        const laboral = [g.ocupacion, g.empleador].filter(Boolean).join(' · ');
+        if (laboral) yg = drawKV(doc, left, yg, 'Ocupación', laboral);
+        if (g.ingresos_mensuales !== null && g.ingresos_mensuales !== undefined) {
+          yg = drawKV(doc, left, yg, 'Ingresos mensuales', fmtARS(g.ingresos_mensuales));
+        }
+
+        if (g.en_mora) {
+          const garantizados = (g.creditos_garantizados_en_mora || []).map((x) => `#${x.credito_id}`);
+          const propios = (g.creditos_propios_en_mora || []).map((x) => `#${x.credito_id}`);
+          const partes = [];
+          if (garantizados.length) partes.push(`garantiza créditos en mora (${garantizados.join(', ')})`);
+          if (propios.length) partes.push(`tiene créditos propios en mora (${propios.join(', ')})`);
+
+          safeSetColor(doc, COLORS.warn);
+          doc.font('Helvetica-Bold').fontSize(9).text(`Atención: ${partes.join(' y ')}`, left, yg, { width: right - left });
+          safeSetColor(doc, COLORS.text);
+          doc.font('Helvetica');
+          yg = doc.y + 2;
+        }
+
+        doc.y = yg + 6;
+      });
+    }
+
     /* ===================== Crédito ===================== */
     drawSectionTitle(doc, 'Crédito');
 
@@ -397,6 +210,9 @@ export const imprimirFichaCredito = async (req, res) => {
     y1 = drawKV(doc, left, y1, 'Modalidad', labelModalidad(c.modalidad_credito));
     y1 = drawKV(doc, left, y1, 'Tipo', String(c.tipo_credito || '').toUpperCase());
     y1 = drawKV(doc, left, y1, 'Cuotas', c.cantidad_cuotas ?? '-');
+    if (esFrances) {
+      y1 = drawKV(doc, left, y1, 'Tasa por período', `${fix2(c.tasa_periodo)}% sobre saldo`);
+    }
     y1 = drawKV(doc, left, y1, 'Fecha solicitud', c.fecha_solicitud || '-');
     y1 = drawKV(doc, left, y1, 'Fecha acreditación', c.fecha_acreditacion || '-');
 
@@ -440,87 +256,15 @@ export const imprimirFichaCredito = async (req, res) => {
     // Rebalanceadas para evitar corte de montos grandes
     const colWidths = [22, 78, 64, 64, 50, 72, 86, 64];
 
-    const tableX = left;
-    const tableW = colWidths.reduce((a, b) => a + b, 0);
-
-    const tableFontSize = 7.6;
-    const headerFontSize = 8;
-    const cellPadX = 4;
-    const cellPadY = 4;
-    const minRowH = 18;
-
-    const drawTableHeader = () => {
-      const headerCells = headers;
-      const headerH = getRowHeight(doc, headerCells, colWidths, {
-        fontSize: headerFontSize,
-        paddingX: cellPadX,
-        paddingY: cellPadY,
-        minRowH
-      });
-
-      ensureSpace(doc, headerH + 6);
-
-      const y = doc.y;
-
-      doc.save();
-      safeSetColor(doc, COLORS.tableHeaderFill);
-      doc.rect(tableX, y, tableW, headerH).fill();
-      doc.restore();
-
-      drawTableGrid(doc, tableX, y, colWidths, headerH);
-
-      let cx = tableX;
-      headers.forEach((h, i) => {
-        const width = colWidths[i];
-        const align = getCellAlign(i);
-        doc.font('Helvetica-Bold').fontSize(headerFontSize);
-        safeSetColor(doc, COLORS.text);
-        doc.text(h, cx + cellPadX, y + cellPadY, {
-          width: width - (cellPadX * 2),
-          align
-        });
-        cx += width;
-      });
-
-      doc.font('Helvetica');
-      doc.y = y + headerH;
-      return y + headerH;
-    };
-
-    const drawRow = (cells) => {
-      const rowH = getRowHeight(doc, cells, colWidths, {
-        fontSize: tableFontSize,
-        paddingX: cellPadX,
-        paddingY: cellPadY,
-        minRowH
-      });
-
-      ensureSpace(doc, rowH + 2, () => {
-        drawTableHeader();
-      });
-
-      const y = doc.y;
-
-      drawTableGrid(doc, tableX, y, colWidths, rowH);
-
-      let cx = tableX;
-      cells.forEach((cell, i) => {
-        const width = colWidths[i];
-        const align = getCellAlign(i);
-
-        doc.font(getCellFont(i)).fontSize(tableFontSize);
-        safeSetColor(doc, COLORS.text);
-
-        doc.text(String(cell ?? ''), cx + cellPadX, y + cellPadY, {
-          width: width - (cellPadX * 2),
-          align
-        });
-
-        cx += width;
-      });
-
-      doc.y = y + rowH;
-    };
+    const { drawHeader: drawTableHeader, drawRow } = crearTablaPDF(doc, {
+      x: left,
+      headers,
+      colWidths,
+      getAlign: getCellAlign,
+      getFont: getCellFont,
+      fontSize: 7.6,
+      headerFontSize: 8
+    });
 
     drawTableHeader();
 
@@ -607,6 +351,34 @@ export const imprimirFichaCredito = async (req, res) => {
 
     doc.y = totalsY + boxH + 10;
 
+    /* ===================== Tabla de amortización (francés) ===================== */
+    if (esFrances) {
+      ensureSpace(doc, 60);
+      drawSectionTitle(doc, 'Tabla de amortización (sistema francés)');
+
+      const tabla = crearTablaPDF(doc, {
+        x: left,
+        headers: ['#', 'Vencimiento', 'Cuota', 'Capital', 'Interés', 'Saldo capital'],
+        colWidths: [30, 90, 95, 95, 95, 95],
+        getAlign: getAmortizacionAlign,
+        getFont: () => 'Helvetica',
+        fontSize: 7.6,
+        headerFontSize: 8
+      });
+
+      tabla.drawHeader();
+      for (const ct of cuotas) {
+        tabla.drawRow([
+          ct.numero_cuota,
+          ct.fecha_vencimiento ? ymd(ct.fecha_vencimiento) : '-',
+          fmtARSTable(ct.importe_cuota),
+          fmtARSTable(ct.capital_cuota),
+          fmtARSTable(ct.interes_cuota),
+          fmtARSTable(ct.saldo_capital)
+        ]);
+      }
+    }
+
     doc.end();
   } catch (error) {
     console.error('[imprimirFichaCredito]', error);
@@ -0,0 +1,482 @@
+// financiera-backend/services/credito/credito.prorroga.service.js
+// Prórroga de cuotas: corre vencimientos N períodos, cargo opcional y ventana de mora congelada.
+// Un admin la solicita (TareaPendiente 'prorroga_credito'); el superadmin la aplica directo o la aprueba en tareas.
+// Importante: este módulo NO debe importar credito.core.service.js para evitar ciclos
+// (actualizarEstadoCredito se recibe por parámetro, como en la refinanciación).
+
+import { Op } from 'sequelize';
+import {
+  Credito,
+  Cuota,
+  Usuario,
+  CreditoProrroga,
+  CreditoReplanificacion
+} from '../../models/associations.js';
+import TareaPendiente from '../../models/Tarea_pendiente.js';
+import { asegurarCalendario, ajustarVencimiento } from '../calendario.service.js';
+
+import { toNumber, fix2, ymd, esLibre, sumarPeriodosYMD } from './credito.utils.js';
+import { assertRolPermiso, rolTienePermiso } from '../permiso.service.js';
+
+/* ===================== Helpers locales ===================== */
+
+export const TIPO_TAREA_PRORROGA = 'prorroga_credito';
+
+const MAX_PERIODOS = 12;
+const ESTADOS_CUOTA_PRORROGABLE = ['pendiente', 'parcial'];
+const ESTADOS_CUOTA_CERRADA = ['pagada', 'refinanciada', 'anulada'];
+
+const httpError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const isValidYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+const texto = (v, max = 2000) => {
+  if (v === undefined || v === null) return null;
+  const s = String(v).trim();
+  return s ? s.slice(0, max) : null;
+};
+
+/** Corre un vencimiento `periodos` períodos del crédito y lo ajusta al calendario de cobranza */
+const correrVencimiento = (fecha, tipo_credito, periodos) =>
+  ajustarVencimiento(sumarPeriodosYMD(fecha, tipo_credito, periodos));
+
+const fotoCuota = (c, cambios = {}) => ({
+  id: c.id,
+  numero_cuota: c.numero_cuota,
+  importe_cuota: fix2(cambios.importe_cuota ?? c.importe_cuota),
+  fecha_vencimiento: cambios.fecha_vencimiento ?? ymd(c.fecha_vencimiento)
+});
+
+/**
+ * Normaliza / valida el pedido.
+ * data: { periodos, cuota_ids?, cantidad_cuotas?, arrastrar_posteriores?, cargo?, congelar_mora_desde?, congelar_mora_hasta?, motivo }
+ * Sin cuota_ids ni cantidad_cuotas → todas las cuotas prorrogables.
+ * Si la selección deja cuotas abiertas posteriores sin correr, hay que pedir explícitamente
+ * arrastrar_posteriores: true (se corren igual, ver planificarProrroga); si no → 409.
+ */
+const normalizarPedido = (data = {}) => {
+  const periodos = data.periodos === undefined || data.periodos === null || data.periodos === '' ? 0 : Number(data.periodos);
+  if (!Number.isInteger(periodos) || periodos < 0 || periodos > MAX_PERIODOS) {
+    throw httpError(400, `periodos debe ser un entero entre 0 y ${MAX_PERIODOS}`, 'PERIODOS_INVALIDOS');
+  }
+
+  let cuotaIds = null;
+  if (data.cuota_ids !== undefined && data.cuota_ids !== null) {
+    if (!Array.isArray(data.cuota_ids) || !data.cuota_ids.length || data.cuota_ids.some((id) => !Number.isInteger(Number(id)))) {
+      throw httpError(400, 'cuota_ids debe ser un array de IDs de cuota', 'CUOTAS_INVALIDAS');
+    }
+    cuotaIds = [...new Set(data.cuota_ids.map(Number))];
+  }
+
+  let cantidad = null;
+  if (cuotaIds === null && data.cantidad_cuotas !== undefined && data.cantidad_cuotas !== null && data.cantidad_cuotas !== '') {
+    cantidad = Number(data.cantidad_cuotas);
+    if (!Number.isInteger(cantidad) || cantidad < 1) {
+      throw httpError(400, 'cantidad_cuotas debe ser un entero mayor a 0', 'CUOTAS_INVALIDAS');
+    }
+  }
+
+  const cargo = data.cargo === undefined || data.cargo === null || data.cargo === '' ? 0 : Number(data.cargo);
+  if (!Number.isFinite(cargo) || cargo < 0) throw httpError(400, 'cargo debe ser un número >= 0', 'CARGO_INVALIDO');
+
+  const desde = data.congelar_mora_desde || null;
+  const hasta = data.congelar_mora_hasta || null;
+  if (Boolean(desde) !== Boolean(hasta)) {
+    throw httpError(400, 'Indicá congelar_mora_desde y congelar_mora_hasta juntos', 'CONGELAMIENTO_INVALIDO');
+  }
+  if (desde && (!isValidYMD(desde) || !isValidYMD(hasta) || desde > hasta)) {
+    throw httpError(400, 'Ventana de congelamiento de mora inválida (YYYY-MM-DD, desde <= hasta)', 'CONGELAMIENTO_INVALIDO');
+  }
+
+  if (periodos === 0 && !desde) {
+    throw httpError(400, 'La prórroga debe correr cuotas (periodos > 0) o congelar la mora', 'PRORROGA_VACIA');
+  }
+
+  const motivo = texto(data.motivo);
+  if (!motivo) throw httpError(400, 'Debe indicar el motivo de la prórroga', 'MOTIVO_REQUERIDO');
+
+  const arrastrar = data.arrastrar_posteriores === true || data.arrastrar_posteriores === 'true';
+
+  return { periodos, cuotaIds, cantidad, arrastrar, cargo: fix2(cargo), desde, hasta, motivo };
+};
+
+/**
+ * Arma el plan de la prórroga sobre el estado actual del crédito (no persiste).
+ * Devuelve { credito, cuotasAbiertas, seleccion: [{ cuota, fecha_vencimiento, importe_cuota }], plan }
+ */
+const planificarProrroga = async (creditoId, pedido, { transaction } = {}) => {
+  const credito = await Credito.findByPk(creditoId, {
+    transaction,
+    ...(transaction ? { lock: transaction.LOCK.UPDATE } : {})
+  });
+  if (!credito) throw httpError(404, 'Crédito no encontrado');
+
+  if (esLibre(credito)) {
+    throw httpError(400, 'Los créditos libres no tienen cuotas a prorrogar.', 'MODALIDAD_NO_SOPORTADA');
+  }
+  const estado = String(credito.estado || '').toLowerCase();
+  if (!['pendiente', 'vencido'].includes(estado)) {
+    throw httpError(409, `No se puede prorrogar un crédito en estado ${estado}.`, 'CREDITO_NO_PRORROGABLE');
+  }
+
+  const cuotasAbiertas = await Cuota.findAll({
+    where: { credito_id: credito.id, estado: { [Op.notIn]: ESTADOS_CUOTA_CERRADA } },
+    order: [['numero_cuota', 'ASC']],
+    transaction
+  });
+  const prorrogables = cuotasAbiertas.filter((c) => ESTADOS_CUOTA_PRORROGABLE.includes(c.estado));
+
+  let elegidas = [];
+  let pedidas = new Set();
+  if (pedido.periodos > 0) {
+    if (pedido.cuotaIds) {
+      const porId = new Map(cuotasAbiertas.map((c) => [Number(c.id), c]));
+      const invalidas = pedido.cuotaIds.filter((id) => !porId.has(id) || !ESTADOS_CUOTA_PRORROGABLE.includes(porId.get(id).estado));
+      if (invalidas.length) {
+        const err = httpError(409, 'Solo se pueden correr cuotas pendientes o parciales del crédito (las vencidas se cubren con el congelamiento de mora).', 'CUOTAS_NO_PRORROGABLES');
+        err.cuotas_invalidas = invalidas;
+        throw err;
+      }
+      elegidas = prorrogables.filter((c) => pedido.cuotaIds.includes(Number(c.id)));
+    } else {
+      elegidas = pedido.cantidad ? prorrogables.slice(0, pedido.cantidad) : prorrogables;
+    }
+    if (!elegidas.length) throw httpError(409, 'El crédito no tiene cuotas pendientes para prorrogar.', 'SIN_CUOTAS_PRORROGABLES');
+
+    // El calendario tiene que seguir siendo cronológico (imputación y listados van por numero_cuota):
+    // toda cuota abierta posterior a la primera corrida se corre los mismos períodos.
+    // Ese arrastre tiene que venir pedido (arrastrar_posteriores) para que nunca sea una sorpresa.
+    pedidas = new Set(elegidas.map((c) => Number(c.id)));
+    const desdeNumero = Math.min(...elegidas.map((c) => toNumber(c.numero_cuota)));
+    elegidas = cuotasAbiertas.filter((c) => toNumber(c.numero_cuota) >= desdeNumero);
+
+    const posteriores = elegidas.filter((c) => !pedidas.has(Number(c.id)));
+    if (posteriores.length && !pedido.arrastrar) {
+      const numeros = posteriores.map((c) => c.numero_cuota);
+      const err = httpError(
+        409,
+        `La selección deja cuotas posteriores sin correr (N° ${numeros.join(', ')}). Elegí hasta la última cuota o enviá arrastrar_posteriores: true para correrlas también.`,
+        'PRORROGA_NO_FINAL'
+      );
+      err.cuotas_posteriores = numeros;
+      throw err;
+    }
+  }
+
+  await asegurarCalendario();
+
+  // El cargo va a la primera cuota ELEGIDA (nunca a una arrastrada)
+  const primeraPedida = elegidas.find((c) => pedidas.has(Number(c.id))) ?? null;
+
+  const seleccion = elegidas.map((c) => ({
+    cuota: c,
+    fecha_vencimiento: correrVencimiento(c.fecha_vencimiento, credito.tipo_credito, pedido.periodos),
+    // El cargo se suma a la primera cuota elegida (o a la primera pendiente si solo se congela mora)
+    importe_cuota: fix2(toNumber(c.importe_cuota) + (c === primeraPedida ? pedido.cargo : 0))
+  }));
+
+  const cuotaCargo = pedido.cargo > 0 ? (primeraPedida ?? prorrogables[0] ?? null) : null;
+  if (pedido.cargo > 0 && !cuotaCargo) {
+    throw httpError(409, 'No hay una cuota pendiente donde sumar el cargo de prórroga.', 'SIN_CUOTAS_PRORROGABLES');
+  }
+  if (cuotaCargo && !seleccion.length) {
+    seleccion.push({
+      cuota: cuotaCargo,
+      fecha_vencimiento: ymd(cuotaCargo.fecha_vencimiento),
+      importe_cuota: fix2(toNumber(cuotaCargo.importe_cuota) + pedido.cargo)
+    });
+  }
+
+  const saldoAntes = fix2(credito.saldo_actual);
+
+  return {
+    credito,
+    cuotasAbiertas,
+    seleccion,
+    plan: {
+      credito_id: credito.id,
+      periodos: pedido.periodos,
+      cargo: pedido.cargo,
+      congelar_mora: pedido.desde ? { desde: pedido.desde, hasta: pedido.hasta } : null,
+      arrastrar_posteriores: Boolean(pedido.arrastrar),
+      saldo_credito_antes: saldoAntes,
+      saldo_credito_despues: fix2(saldoAntes + pedido.cargo),
+      cuotas_antes: seleccion.map(({ cuota }) => fotoCuota(cuota)),
+      cuotas_despues: seleccion.map(({ cuota, fecha_vencimiento, importe_cuota }) =>
+        fotoCuota(cuota, { fecha_vencimiento, importe_cuota })
+      ),
+      cuotas_arrastradas: elegidas.filter((c) => !pedidas.has(Number(c.id))).map((c) => c.numero_cuota),
+      cuotas_congeladas: pedido.desde ? cuotasAbiertas.map((c) => c.numero_cuota) : []
+    }
+  };
+};
+
+/** Aplica la prórroga (dentro de la transacción del llamador) */
+const aplicarEnTx = async (prorroga, { usuarioId, t }) => {
+  const pedido = {
+    periodos: Number(prorroga.periodos),
+    cuotaIds: (prorroga.cuota_ids || []).map(Number),
+    cantidad: null,
+    // cuota_ids ya incluye las arrastradas que se aceptaron al solicitar
+    arrastrar: true,
+    cargo: fix2(prorroga.cargo),
+    desde: prorroga.mora_congelada_desde ? ymd(prorroga.mora_congelada_desde) : null,
+    hasta: prorroga.mora_congelada_hasta ? ymd(prorroga.mora_congelada_hasta) : null
+  };
+  if (!pedido.cuotaIds.length) pedido.cuotaIds = null;
+
+  const { credito, cuotasAbiertas, seleccion, plan } = await planificarProrroga(prorroga.credito_id, pedido, {
+    transaction: t
+  });
+  const frances = String(credito.modalidad_credito || '').toLowerCase() === 'frances';
+
+  // 1) Vencimientos corridos + cargo
+  for (const { cuota, fecha_vencimiento, importe_cuota } of seleccion) {
+    const cambios = { fecha_vencimiento, importe_cuota };
+    const cargoCuota = fix2(importe_cuota - toNumber(cuota.importe_cuota));
+    // Francés: importe = capital + interés; el cargo no es capital
+    if (frances && cargoCuota > 0) cambios.interes_cuota = fix2(toNumber(cuota.interes_cuota) + cargoCuota);
+    await cuota.update(cambios, { transaction: t });
+  }
+
+  // 2) Ventana sin mora para todas las cuotas abiertas
+  if (pedido.desde) {
+    for (const c of cuotasAbiertas) {
+      const previas = Array.isArray(c.mora_congelamientos) ? c.mora_congelamientos : [];
+      await c.update(
+        { mora_congelamientos: [...previas, { desde: pedido.desde, hasta: pedido.hasta, prorroga_id: prorroga.id }] },
+        { transaction: t }
+      );
+    }
+  }
+
+  if (pedido.cargo > 0) {
+    await credito.update(
+      {
+        saldo_actual: plan.saldo_credito_despues,
+        monto_total_devolver: fix2(toNumber(credito.monto_total_devolver) + pedido.cargo)
+      },
+      { transaction: t }
+    );
+  }
+
+  // 3) Historial visible en el crédito
+  const replan = await CreditoReplanificacion.create(
+    {
+      credito_id: credito.id,
+      tipo: 'prorroga',
+      monto: pedido.cargo,
+      saldo_anterior: plan.saldo_credito_antes,
+      saldo_nuevo: plan.saldo_credito_despues,
+      cuotas_antes: plan.cuotas_antes,
+      cuotas_despues: plan.cuotas_despues,
+      detalle: {
+        prorroga_id: prorroga.id,
+        periodos: pedido.periodos,
+        cargo: pedido.cargo,
+        congelar_mora: plan.congelar_mora,
+        cuotas_congeladas: plan.cuotas_congeladas,
+        motivo: prorroga.motivo
+      },
+      usuario_id: usuarioId ?? null,
+      fecha: new Date()
+    },
+    { transaction: t }
+  );
+
+  await prorroga.update(
+    {
+      estado: 'aplicada',
+      // las cuotas efectivamente corridas (o la del cargo)
+      cuota_ids: seleccion.map(({ cuota }) => cuota.id),
+      resuelto_por: usuarioId ?? null,
+      fecha_resolucion: new Date(),
+      replanificacion_id: replan.id
+    },
+    { transaction: t }
+  );
+
+  return credito.id;
+};
+
+/** Después del commit: mora y estado con los nuevos vencimientos / congelamiento */
+const refrescarCredito = async (creditoId, { actualizarEstadoCredito } = {}) => {
+  try {
+    const { recalcularMoraPorCredito } = await import('../cuota.service.js');
+    await recalcularMoraPorCredito(creditoId);
+    if (typeof actualizarEstadoCredito === 'function') await actualizarEstadoCredito(creditoId);
+  } catch (e) {
+    console.error('[PRORROGA] No se pudo recalcular la mora del crédito', creditoId, e?.message || e);
+  }
+};
+
+const cerrarTarea = async (prorroga, estado, usuarioId, t) => {
+  if (!prorroga.tarea_id) return;
+  await TareaPendiente.update(
+    { estado, aprobadoPor: usuarioId ?? null, fechaResolucion: new Date() },
+    { where: { id: prorroga.tarea_id, estado: 'pendiente' }, transaction: t }
+  );
+};
+
+const cargarProrrogaPendiente = async (prorrogaId, t) => {
+  const prorroga = await CreditoProrroga.findByPk(prorrogaId, { transaction: t, lock: t.LOCK.UPDATE });
+  if (!prorroga) throw httpError(404, 'Prórroga no encontrada');
+  if (prorroga.estado !== 'pendiente') {
+    throw httpError(409, `La prórroga ya fue ${prorroga.estado}.`, 'PRORROGA_RESUELTA');
+  }
+  return prorroga;
+};
+
+/* ===================== API ===================== */
+
+/** Vista previa (no registra nada) */
+export const simularProrroga = async (creditoId, data = {}) => {
+  const pedido = normalizarPedido({ motivo: 'simulación', ...data });
+  const { plan } = await planificarProrroga(creditoId, pedido);
+  return plan;
+};
+
+/**
+ * Solicita una prórroga.
+ * - quien puede resolver tareas (tareas.resolver): se aplica en el acto
+ * - el resto: queda pendiente con una TareaPendiente 'prorroga_credito' para aprobación
+ */
+export const solicitarProrroga = async (creditoId, data = {}, { usuarioId = null, rolId = null } = {}, deps = {}) => {
+  await assertRolPermiso(rolId, ['creditos.prorrogar'], 'No tenés permisos para solicitar prórrogas.');
+  const pedido = normalizarPedido(data);
+
+  const t = await Credito.sequelize.transaction();
+  try {
+    // Valida y fija las cuotas sobre el estado actual
+    const { credito, seleccion } = await planificarProrroga(creditoId, pedido, { transaction: t });
+
+    const pendiente = await CreditoProrroga.findOne({
+      where: { credito_id: credito.id, estado: 'pendiente' },
+      transaction: t
+    });
+    if (pendiente) {
+      throw httpError(409, `El crédito ya tiene una prórroga pendiente de aprobación (#${pendiente.id}).`, 'PRORROGA_PENDIENTE');
+    }
+
+    const prorroga = await CreditoProrroga.create(
+      {
+        credito_id: credito.id,
+        estado: 'pendiente',
+        periodos: pedido.periodos,
+        cuota_ids: pedido.periodos > 0 ? seleccion.map(({ cuota }) => cuota.id) : [],
+        cargo: pedido.cargo,
+        mora_congelada_desde: pedido.desde,
+        mora_congelada_hasta: pedido.hasta,
+        motivo: pedido.motivo,
+        solicitado_por: usuarioId,
+        fecha_solicitud: new Date()
+      },
+      { transaction: t }
+    );
+
+    const aplicarDirecto = rolId !== null && (await rolTienePermiso(rolId, ['tareas.resolver']));
+    if (aplicarDirecto) {
+      await aplicarEnTx(prorroga, { usuarioId, t });
+    } else {
+      const tarea = await TareaPendiente.create(
+        {
+          tipo: TIPO_TAREA_PRORROGA,
+          datos: { prorrogaId: prorroga.id, creditoId: credito.id, motivo: pedido.motivo },
+          creadoPor: usuarioId
+        },
+        { transaction: t }
+      );
+      await prorroga.update({ tarea_id: tarea.id }, { transaction: t });
+    }
+
+    await t.commit();
+
+    if (aplicarDirecto) await refrescarCredito(credito.id, deps);
+    return obtenerProrroga(prorroga.id);
+  } catch (e) {
+    if (t.finished !== 'commit') {
+      try {
+        await t.rollback();
+      } catch (_) {}
+    }
+    throw e;
+  }
+};
+
+/** Aprueba y aplica una prórroga pendiente (cierra su tarea) */
+export const aprobarProrroga = async (prorrogaId, { usuarioId = null } = {}, deps = {}) => {
+  const t = await Credito.sequelize.transaction();
+  let creditoId;
+  try {
+    const prorroga = await cargarProrrogaPendiente(prorrogaId, t);
+    creditoId = await aplicarEnTx(prorroga, { usuarioId, t });
+    await cerrarTarea(prorroga, 'aprobada', usuarioId, t);
+    await t.commit();
+  } catch (e) {
+    if (t.finished !== 'commit') {
+      try {
+        await t.rollback();
+      } catch (_) {}
+    }
+    throw e;
+  }
+
+  await refrescarCredito(creditoId, deps);
+  return obtenerProrroga(prorrogaId);
+};
+
+/** Rechaza una prórroga pendiente (cierra su tarea) */
+export const rechazarProrroga = async (prorrogaId, { usuarioId = null, motivo = null } = {}) => {
+  const t = await Credito.sequelize.transaction();
+  try {
+    const prorroga = await cargarProrrogaPendiente(prorrogaId, t);
+    await prorroga.update(
+      {
+        estado: 'rechazada',
+        resuelto_por: usuarioId,
+        fecha_resolucion: new Date(),
+        motivo_rechazo: texto(motivo)
+      },
+      { transaction: t }
+    );
+    await cerrarTarea(prorroga, 'rechazada', usuarioId, t);
+    await t.commit();
+  } catch (e) {
+    if (t.finished !== 'commit') {
+      try {
+        await t.rollback();
+      } catch (_) {}
+    }
+    throw e;
+  }
+
+  return obtenerProrroga(prorrogaId);
+};
+
+const INCLUDE_USUARIOS = [
+  { model: Usuario, as: 'solicitadoPor', attributes: ['id', 'nombre_completo'] },
+  { model: Usuario, as: 'resueltoPor', attributes: ['id', 'nombre_completo'] }
+];
+
+export const obtenerProrroga = async (prorrogaId) => {
+  const prorroga = await CreditoProrroga.findByPk(prorrogaId, { include: INCLUDE_USUARIOS });
+  if (!prorroga) throw httpError(404, 'Prórroga no encontrada');
+  return prorroga;
+};
+
+/** Prórrogas del crédito (más reciente primero) */
+export const listarProrrogasCredito = async (creditoId) => {
+  const credito = await Credito.findByPk(creditoId, { attributes: ['id'] });
+  if (!credito) throw httpError(404, 'Crédito no encontrado');
+
+  return CreditoProrroga.findAll({
+    where: { credito_id: credito.id },
+    include: INCLUDE_USUARIOS,
+    order: [['fecha_solicitud', 'DESC'], ['id', 'DESC']]
+  });
+};
@@ -3,10 +3,10 @@
 // Importante: este módulo NO debe importar credito.core.service.js para evitar ciclos.
 
 import Cuota from '../../models/Cuota.js';
-import { Credito } from '../../models/associations.js';
+import { Credito, CreditoGarante } from '../../models/associations.js';
 import { Op } from 'sequelize';
 
-import { toNumber, fix2, todayYMD } from './credito.utils.js';
+import { toNumber, fix2, todayYMD, construirPlanCuotas } from './credito.utils.js';
 
 import {
   refrescarCuotaLibre,
@@ -16,16 +16,19 @@ import {
 // ✅ Para pasar fechas YMD a Date consistente con el resto del backend
 import { ymdDate } from '../cuota/cuota.utils.js';
 
+import { asegurarCalendario } from '../calendario.service.js';
+import { assertClienteHabilitado, registrarExcepcionBloqueo, bloqueoVigente } from '../clienteBloqueo.service.js';
+import {
+  assertLimiteCredito,
+  registrarExcepcionLimite,
+  obtenerDisponibleCliente
+} from '../limiteCredito.service.js';
+import { assertRolPermiso } from '../permiso.service.js';
+
 /* ===================== Helpers locales ===================== */
 
-const assertPermisoRefinanciar = (rol_id) => {
-  // según tu convención: superadmin=0, admin=1
-  if (rol_id !== null && rol_id !== 0 && rol_id !== 1) {
-    const err = new Error('No tenés permisos para refinanciar créditos.');
-    err.status = 403;
-    throw err;
-  }
-};
+const assertPermisoRefinanciar = (rol_id) =>
+  assertRolPermiso(rol_id, ['creditos.refinanciar'], 'No tenés permisos para refinanciar créditos.');
 
 /**
  * Normaliza string para comparaciones:
@@ -212,88 +215,60 @@ const obtenerSaldoBaseNoLibre = (original) => {
   return 0;
 };
 
-/* ===================== Refinanciación ===================== */
-
-export const refinanciarCredito = async (payload = {}, deps = {}) => {
-  const { generarCuotasServicio } = deps;
-  if (typeof generarCuotasServicio !== 'function') {
-    throw new Error('Dependencia requerida: generarCuotasServicio');
-  }
-
-  const {
-    creditoId,
-    opcion,
-    tasaManual = 0,
-    cantidad_cuotas,
-    tipo_credito,
-    rol_id = null
-  } = payload;
-
-  assertPermisoRefinanciar(rol_id);
-
-  // 1) Buscar crédito original con cuotas
-  const original = await Credito.findByPk(creditoId, {
-    include: [{ model: Cuota, as: 'cuotas' }]
-  });
-  if (!original) throw new Error('Crédito no encontrado');
-
-  // ✅ Bloqueo: si está anulado, no se puede refinanciar
-  assertCreditoNoAnulado(original);
-
-  const estadoOriginal = normalizeStr(original.estado);
-  if (estadoOriginal === 'refinanciado') {
-    const err = new Error('Este crédito ya fue refinanciado');
-    err.code = 'CREDITO_YA_REFINANCIADO';
-    err.status = 409;
-    throw err;
-  }
-
+/**
+ * Saldo base a refinanciar de un crédito (según modalidad):
+ * - LIBRE: TOTAL del ciclo HOY (capital + interes_hoy + mora_hoy)
+ * - NO-LIBRE: (saldo pendiente base) + (mora acumulada/pendiente)
+ * `original` debe venir con sus cuotas (include as 'cuotas').
+ * refrescar=false: no actualiza la cuota libre (vista previa sin escrituras).
+ */
+const calcularSaldoBaseRefinanciacion = async (original, { refrescar = true } = {}) => {
   const modalidadOriginal = String(original.modalidad_credito || '').toLowerCase();
-
-  // 2) Determinar saldo base a refinanciar
-  //    - LIBRE: saldoBase = TOTAL del ciclo HOY (capital + interes_hoy + mora_hoy)
-  //    - NO-LIBRE: saldoBase = (saldo pendiente base) + (mora acumulada/pendiente)
   let saldoBase = 0;
 
   if (modalidadOriginal === 'libre') {
     const hoyYMD = todayYMD();
 
     // Refresca cuota única (mora/estado) - no define el saldo base por sí solo
-    await refrescarCuotaLibre(creditoId);
+    // (la vista previa no lo hace: no escribe nada)
+    if (refrescar) await refrescarCuotaLibre(original.id);
 
     // ✅ Base correcta: ciclo "HOY"
-    const baseHoy = await obtenerSaldoBaseLibreCicloHoyExacto(creditoId, hoyYMD);
+    const baseHoy = await obtenerSaldoBaseLibreCicloHoyExacto(original.id, hoyYMD);
 
     // fallback al comportamiento anterior si no se pudo obtener el resumen
     if (baseHoy !== null && baseHoy !== undefined) {
       saldoBase = baseHoy;
     } else {
-      saldoBase = await obtenerTotalHoyLibreExacto(creditoId, ymdDate(hoyYMD));
+      saldoBase = await obtenerTotalHoyLibreExacto(original.id, ymdDate(hoyYMD));
     }
   } else {
     saldoBase = obtenerSaldoBaseNoLibre(original);
   }
 
-  saldoBase = fix2(saldoBase);
+  return fix2(saldoBase);
+};
 
-  if (!(saldoBase > 0)) {
-    const err = new Error('No hay saldo para refinanciar');
-    err.code = 'SIN_SALDO';
+const assertCreditoRefinanciable = (original) => {
+  // ✅ Bloqueo: si está anulado, no se puede refinanciar
+  assertCreditoNoAnulado(original);
+
+  const estadoOriginal = normalizeStr(original.estado);
+  if (estadoOriginal === 'refinanciado') {
+    const err = new Error(`El crédito #${original.id} ya fue refinanciado`);
+    err.code = 'CREDITO_YA_REFINANCIADO';
     err.status = 409;
     throw err;
   }
+};
 
-  // 3) Calcular tasa/interés del nuevo crédito (IGUAL al modal)
-  // Modal: total = saldoBase * (1 + tasaPeriodo * cantidadCuotas)
+/**
+ * Tasa / interés del nuevo crédito (IGUAL al modal)
+ * Modal: total = saldoBase * (1 + tasaPeriodo * cantidadCuotas)
+ */
+const calcularCondicionesRefinanciacion = ({ saldoBase, opcion, tasaManual, n, tipoNuevo }) => {
   const opcionUpper = normalizarOpcionRefi(opcion);
 
-  const n = Math.max(
-    toNumber(cantidad_cuotas) || toNumber(original.cantidad_cuotas) || 1,
-    1
-  );
-
-  const tipoNuevo = tipo_credito || original.tipo_credito || 'mensual';
-
   // tasa base mensual según opción
   const tasaMensualPct = fix2(
     Math.max(tasaMensualBasePctDesdeOpcion(opcionUpper, tasaManual), 0)
@@ -311,36 +286,182 @@ export const refinanciarCredito = async (payload = {}, deps = {}) => {
   // - interes (%) como tasa total equivalente sobre capital (ej: 25% x 4 = 100%)
   const interesTotalPctEquivalente = fix2(tasaPeriodoPct * n);
 
-  // 4) Crear crédito nuevo + marcar original como refinanciado dentro de TX
-  const t = await Credito.sequelize.transaction();
-  try {
-    // 4.1) Marcar original refinanciado (y evitar que siga “cobrable”)
-    await original.update(
-      {
-        estado: 'refinanciado',
-        saldo_actual: 0
+  return {
+    opcionUpper,
+    opcionRefi: mapearOpcionRefinanciamientoEnum(opcionUpper),
+    tasaMensualPct,
+    tasaPeriodoPct,
+    interesTotalMonto,
+    totalNuevo,
+    interesTotalPctEquivalente
+  };
+};
+
+/**
+ * Saldo base + condiciones del crédito nuevo para un original (sin escribir nada).
+ * Es el cálculo único que usan la refinanciación y su vista previa.
+ */
+const planificarRefinanciacion = async (
+  original,
+  { opcion, tasaManual = 0, cantidad_cuotas, tipo_credito, refrescar = true } = {}
+) => {
+  const saldoBase = await calcularSaldoBaseRefinanciacion(original, { refrescar });
+
+  if (!(saldoBase > 0)) {
+    const err = new Error('No hay saldo para refinanciar');
+    err.code = 'SIN_SALDO';
+    err.status = 409;
+    throw err;
+  }
+
+  const n = Math.max(
+    toNumber(cantidad_cuotas) || toNumber(original.cantidad_cuotas) || 1,
+    1
+  );
+
+  const tipoNuevo = tipo_credito || original.tipo_credito || 'mensual';
+
+  return {
+    saldoBase,
+    n,
+    tipoNuevo,
+    ...calcularCondicionesRefinanciacion({ saldoBase, opcion, tasaManual, n, tipoNuevo })
+  };
+};
+
+/**
+ * Cuotas que generaría el crédito nuevo: mismo plan que generarCuotasServicio
+ * (modalidad común, 1er vencimiento = hoy, como lo crea refinanciarCredito).
+ */
+const proyectarCuotasRefinanciacion = async ({ totalNuevo, n, tipoNuevo }) => {
+  await asegurarCalendario();
+
+  return construirPlanCuotas({
+    modalidad_credito: 'comun',
+    tipo_credito: tipoNuevo,
+    cantidad_cuotas: n,
+    monto_total_devolver: totalNuevo,
+    fecha_compromiso_pago: todayYMD()
+  });
+};
+
+/** Marca el original refinanciado (saldo 0) y pisa sus cuotas activas a "refinanciada" (para bloquear pagos) */
+const cerrarCreditoRefinanciado = async (original, t) => {
+  await original.update(
+    {
+      estado: 'refinanciado',
+      saldo_actual: 0
+    },
+    { transaction: t }
+  );
+
+  await Cuota.update(
+    { estado: 'refinanciada' },
+    {
+      where: {
+        credito_id: original.id,
+        estado: { [Op.in]: ['pendiente', 'parcial', 'vencida'] }
       },
+      transaction: t
+    }
+  );
+};
+
+/** La deuda refinanciada sigue garantizada por los mismos garantes (sin repetir si garantizaban varios orígenes) */
+const copiarGarantesOrigen = async (origenIds, nuevoId, t) => {
+  const garantesOrigen = await CreditoGarante.findAll({
+    where: { credito_id: { [Op.in]: origenIds } },
+    attributes: ['garante_id', 'relacion'],
+    order: [['credito_id', 'ASC']],
+    raw: true,
+    transaction: t
+  });
+
+  const porGarante = new Map();
+  for (const g of garantesOrigen) {
+    if (!porGarante.has(g.garante_id)) porGarante.set(g.garante_id, g);
+  }
+
+  if (porGarante.size) {
+    await CreditoGarante.bulkCreate(
+      [...porGarante.values()].map((g) => ({ credito_id: nuevoId, garante_id: g.garante_id, relacion: g.relacion, fecha_alta: new Date() })),
       { transaction: t }
     );
+  }
+};
 
-    // 4.2) Pisar cuotas activas a "refinanciada" (para bloquear pagos)
-    await Cuota.update(
-      { estado: 'refinanciada' },
-      {
-        where: {
-          credito_id: original.id,
-          estado: { [Op.in]: ['pendiente', 'parcial', 'vencida'] }
-        },
-        transaction: t
-      }
-    );
+/* ===================== Refinanciación ===================== */
+
+export const refinanciarCredito = async (payload = {}, deps = {}) => {
+  const { generarCuotasServicio } = deps;
+  if (typeof generarCuotasServicio !== 'function') {
+    throw new Error('Dependencia requerida: generarCuotasServicio');
+  }
+
+  const {
+    creditoId,
+    opcion,
+    tasaManual = 0,
+    cantidad_cuotas,
+    tipo_credito,
+    rol_id = null,
+    usuario_id = null,
+    forzar_bloqueo = false,
+    motivo_forzado = null,
+    forzar_limite = false
+  } = payload;
+
+  await assertPermisoRefinanciar(rol_id);
+
+  // 1) Buscar crédito original con cuotas
+  const original = await Credito.findByPk(creditoId, {
+    include: [{ model: Cuota, as: 'cuotas' }]
+  });
+  if (!original) throw new Error('Crédito no encontrado');
+
+  assertCreditoRefinanciable(original);
+
+  // 🚫 Cliente bloqueado: no se refinancia (salvo override de superadmin con motivo)
+  const bloqueoForzado = await assertClienteHabilitado(original.cliente_id, {
+    operacion: 'refinanciacion',
+    forzar: forzar_bloqueo,
+    motivoForzado: motivo_forzado,
+    rolId: rol_id
+  });
+
+  // 2 / 3) Saldo base a refinanciar + tasa/interés del nuevo crédito (IGUAL a la vista previa)
+  const {
+    saldoBase,
+    n,
+    tipoNuevo,
+    opcionRefi,
+    tasaMensualPct,
+    tasaPeriodoPct,
+    interesTotalMonto,
+    totalNuevo,
+    interesTotalPctEquivalente
+  } = await planificarRefinanciacion(original, { opcion, tasaManual, cantidad_cuotas, tipo_credito });
+
+  // 💳 Límite de crédito: el original se cierra, así que su saldo no cuenta en la exposición
+  const limiteForzado = await assertLimiteCredito(original.cliente_id, {
+    monto: totalNuevo,
+    operacion: 'refinanciacion',
+    excluirCreditoIds: [original.id],
+    forzar: forzar_limite,
+    motivoForzado: motivo_forzado,
+    rolId: rol_id
+  });
+
+  // 4) Crear crédito nuevo + marcar original como refinanciado dentro de TX
+  const t = await Credito.sequelize.transaction();
+  try {
+    // 4.1 / 4.2) Marcar original refinanciado y bloquear sus cuotas activas
+    await cerrarCreditoRefinanciado(original, t);
 
     // 4.3) Crear crédito nuevo (SIEMPRE COMUN)
     const hoy = todayYMD();
     const modalidadNueva = 'comun';
 
-    const opcionRefi = mapearOpcionRefinanciamientoEnum(opcionUpper);
-
     const nuevo = await Credito.create(
       {
         cliente_id: original.cliente_id,
@@ -382,6 +503,20 @@ export const refinanciarCredito = async (payload = {}, deps = {}) => {
     // 5) Generar cuotas del crédito nuevo (inyectado desde core para evitar ciclos)
     await generarCuotasServicio(nuevo, t);
 
+    // 5.1) La deuda refinanciada sigue garantizada por los mismos garantes
+    await copiarGarantesOrigen([original.id], nuevo.id, t);
+
+    await registrarExcepcionBloqueo(
+      bloqueoForzado,
+      { operacion: 'refinanciacion', referenciaId: nuevo.id, usuarioId: usuario_id },
+      { transaction: t }
+    );
+    await registrarExcepcionLimite(
+      limiteForzado,
+      { operacion: 'refinanciacion', referenciaId: nuevo.id, usuarioId: usuario_id },
+      { transaction: t }
+    );
+
     await t.commit();
 
     return {
@@ -411,4 +546,339 @@ export const refinanciarCredito = async (payload = {}, deps = {}) => {
     } catch (_) {}
     throw e;
   }
-};
\ No newline at end of file
+};
+
+/* ===================== Vista previa (dry-run) ===================== */
+
+/**
+ * Mismo cálculo que refinanciarCredito (saldo base con mora, tasa por período, total nuevo
+ * y cuotas) sin escribir nada. Incluye el comparativo P1 / P2 (y manual si vino tasaManual)
+ * y avisa si el alta real va a chocar con un bloqueo del cliente o con su límite de crédito.
+ */
+export const previsualizarRefinanciacion = async (payload = {}) => {
+  const { creditoId, opcion, tasaManual = 0, cantidad_cuotas, tipo_credito, rol_id = null } = payload;
+
+  await assertPermisoRefinanciar(rol_id);
+
+  const original = await Credito.findByPk(creditoId, {
+    include: [{ model: Cuota, as: 'cuotas' }]
+  });
+  if (!original) {
+    const err = new Error('Crédito no encontrado');
+    err.status = 404;
+    throw err;
+  }
+
+  assertCreditoRefinanciable(original);
+
+  const plan = await planificarRefinanciacion(original, {
+    opcion,
+    tasaManual,
+    cantidad_cuotas,
+    tipo_credito,
+    refrescar: false
+  });
+
+  const cuotas = await proyectarCuotasRefinanciacion(plan);
+
+  // Comparativo de opciones sobre el mismo saldo base
+  const opciones = ['P1', 'P2', ...(toNumber(tasaManual) > 0 ? ['manual'] : [])];
+  const comparativo = opciones.map((op) => {
+    const c = calcularCondicionesRefinanciacion({ ...plan, opcion: op, tasaManual });
+    return {
+      opcion_refinanciamiento: c.opcionRefi,
+      tasa_mensual_pct: c.tasaMensualPct,
+      tasa_periodo_pct: c.tasaPeriodoPct,
+      interes_monto: c.interesTotalMonto,
+      total_nuevo: c.totalNuevo,
+      importe_cuota: construirPlanCuotas({
+        modalidad_credito: 'comun',
+        cantidad_cuotas: plan.n,
+        monto_total_devolver: c.totalNuevo
+      })[0].importe_cuota
+    };
+  });
+
+  // Avisos (en la refinanciación real cortan con 409 salvo override)
+  const bloqueo = await bloqueoVigente(original.cliente_id);
+  const disponible = await obtenerDisponibleCliente(original.cliente_id, { excluirCreditoIds: [original.id] });
+  const excedeLimite = disponible.limite !== null && fix2(disponible.exposicion + plan.totalNuevo) > disponible.limite;
+
+  return {
+    credito_original_id: original.id,
+    modalidad_original: original.modalidad_credito,
+
+    saldo_base: fix2(plan.saldoBase),
+
+    tasa_mensual_pct: fix2(plan.tasaMensualPct),
+    tasa_periodo_pct: fix2(plan.tasaPeriodoPct),
+    cuotas: plan.n,
+    tipo_credito: plan.tipoNuevo,
+
+    interes_monto: fix2(plan.interesTotalMonto),
+    interes_total_pct_equivalente: fix2(plan.interesTotalPctEquivalente),
+
+    total_nuevo: fix2(plan.totalNuevo),
+
+    opcion_refinanciamiento: plan.opcionRefi,
+    modalidad_nueva: 'comun',
+
+    plan_cuotas: cuotas,
+    comparativo,
+
+    cliente_bloqueado: Boolean(bloqueo),
+    bloqueo: bloqueo ? { id: bloqueo.id, motivo: bloqueo.motivo ?? null } : null,
+    limite: {
+      limite: disponible.limite,
+      exposicion: disponible.exposicion,
+      disponible: disponible.disponible,
+      excede: excedeLimite
+    }
+  };
+};
+
+/* ===================== Refinanciación consolidada (varios créditos → uno) ===================== */
+
+/**
+ * Refinancia varios créditos del mismo cliente (libres y no libres mezclados) en UN crédito nuevo.
+ * - saldo base de cada uno con la misma lógica por modalidad que la refinanciación simple
+ * - todos los originales quedan 'refinanciado'
+ * - el nuevo lista todos sus orígenes en ids_creditos_origen (id_credito_origen = el primero)
+ */
+export const refinanciarCreditosConsolidado = async (payload = {}, deps = {}) => {
+  const { generarCuotasServicio } = deps;
+  if (typeof generarCuotasServicio !== 'function') {
+    throw new Error('Dependencia requerida: generarCuotasServicio');
+  }
+
+  const {
+    clienteId,
+    creditoIds,
+    opcion,
+    tasaManual = 0,
+    cantidad_cuotas,
+    tipo_credito,
+    cobrador_id,
+    rol_id = null,
+    usuario_id = null,
+    forzar_bloqueo = false,
+    motivo_forzado = null,
+    forzar_limite = false
+  } = payload;
+
+  await assertPermisoRefinanciar(rol_id);
+
+  const ids = [...new Set((Array.isArray(creditoIds) ? creditoIds : []).map(Number))];
+  if (ids.length < 2 || ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+    const err = new Error('Indicá al menos dos créditos distintos para consolidar (para uno solo usá la refinanciación del crédito).');
+    err.status = 400;
+    err.code = 'CREDITOS_INVALIDOS';
+    throw err;
+  }
+
+  // 1) Créditos originales con cuotas (en el orden pedido)
+  const encontrados = await Credito.findAll({
+    where: { id: { [Op.in]: ids } },
+    include: [{ model: Cuota, as: 'cuotas' }]
+  });
+  const porId = new Map(encontrados.map((c) => [Number(c.id), c]));
+
+  const faltantes = ids.filter((id) => !porId.has(id));
+  if (faltantes.length) {
+    const err = new Error(`Créditos no encontrados: ${faltantes.map((id) => `#${id}`).join(', ')}`);
+    err.status = 404;
+    throw err;
+  }
+
+  const originales = ids.map((id) => porId.get(id));
+  const ajenos = originales.filter((c) => Number(c.cliente_id) !== Number(clienteId));
+  if (ajenos.length) {
+    const err = new Error(
+      `Los créditos ${ajenos.map((c) => `#${c.id}`).join(', ')} no pertenecen al cliente #${clienteId}.`
+    );
+    err.status = 409;
+    err.code = 'CREDITO_DE_OTRO_CLIENTE';
+    throw err;
+  }
+
+  for (const original of originales) assertCreditoRefinanciable(original);
+
+  // 🚫 Cliente bloqueado: no se refinancia (salvo override de superadmin con motivo)
+  const bloqueoForzado = await assertClienteHabilitado(clienteId, {
+    operacion: 'refinanciacion',
+    forzar: forzar_bloqueo,
+    motivoForzado: motivo_forzado,
+    rolId: rol_id
+  });
+
+  // 2) Saldo base de cada crédito (lógica por modalidad)
+  const detalle = [];
+  for (const original of originales) {
+    const saldoBase = await calcularSaldoBaseRefinanciacion(original);
+    if (!(saldoBase > 0)) {
+      const err = new Error(`El crédito #${original.id} no tiene saldo para refinanciar`);
+      err.code = 'SIN_SALDO';
+      err.status = 409;
+      throw err;
+    }
+    detalle.push({
+      credito_id: original.id,
+      modalidad_credito: original.modalidad_credito,
+      estado: original.estado,
+      saldo_base: saldoBase
+    });
+  }
+  const saldoBase = fix2(detalle.reduce((acc, d) => acc + d.saldo_base, 0));
+
+  // 3) Condiciones del nuevo crédito (mismo cálculo que el modal)
+  const principal = originales[0];
+  const n = Math.max(
+    toNumber(cantidad_cuotas) || toNumber(principal.cantidad_cuotas) || 1,
+    1
+  );
+  const tipoNuevo = tipo_credito || principal.tipo_credito || 'mensual';
+
+  const {
+    opcionRefi,
+    tasaMensualPct,
+    tasaPeriodoPct,
+    interesTotalMonto,
+    totalNuevo,
+    interesTotalPctEquivalente
+  } = calcularCondicionesRefinanciacion({ saldoBase, opcion, tasaManual, n, tipoNuevo });
+
+  // 💳 Límite de crédito: los originales se cierran, así que su saldo no cuenta en la exposición
+  const limiteForzado = await assertLimiteCredito(clienteId, {
+    monto: totalNuevo,
+    operacion: 'refinanciacion',
+    excluirCreditoIds: ids,
+    forzar: forzar_limite,
+    motivoForzado: motivo_forzado,
+    rolId: rol_id
+  });
+
+  // 4) Cerrar originales + crear el consolidado dentro de TX
+  const t = await Credito.sequelize.transaction();
+  try {
+    // 4.1) Releer los originales con lock (orden por id: sin deadlocks entre consolidaciones)
+    //      y revalidar: un pago / refinanciación concurrente pudo cambiarlos desde el paso 1
+    const bloqueados = await Credito.findAll({
+      where: { id: { [Op.in]: ids } },
+      include: [{ model: Cuota, as: 'cuotas' }],
+      order: [['id', 'ASC']],
+      transaction: t,
+      lock: { level: t.LOCK.UPDATE, of: Credito }
+    });
+    const bloqueadosPorId = new Map(bloqueados.map((c) => [Number(c.id), c]));
+
+    for (const d of detalle) {
+      const actual = bloqueadosPorId.get(Number(d.credito_id));
+      if (!actual) {
+        const err = new Error(`Crédito no encontrado: #${d.credito_id}`);
+        err.status = 404;
+        throw err;
+      }
+      assertCreditoRefinanciable(actual);
+
+      // Sin refrescar: ya se refrescó en el paso 2 y acá no se escribe fuera de la TX
+      const saldoActual = await calcularSaldoBaseRefinanciacion(actual, { refrescar: false });
+      if (saldoActual !== d.saldo_base) {
+        const err = new Error(
+          `El saldo del crédito #${actual.id} cambió mientras se procesaba la refinanciación. Volvé a intentar.`
+        );
+        err.status = 409;
+        err.code = 'SALDO_MODIFICADO';
+        throw err;
+      }
+    }
+
+    for (const id of ids) {
+      await cerrarCreditoRefinanciado(bloqueadosPorId.get(id), t);
+    }
+
+    const hoy = todayYMD();
+    const modalidadNueva = 'comun';
+
+    const nuevo = await Credito.create(
+      {
+        cliente_id: principal.cliente_id,
+        cobrador_id: cobrador_id ?? principal.cobrador_id ?? null,
+
+        // Capital del nuevo crédito = suma de saldos base refinanciados (BASE + MORA)
+        monto_acreditar: saldoBase,
+
+        fecha_solicitud: hoy,
+        fecha_acreditacion: hoy,
+        fecha_compromiso_pago: hoy,
+
+        interes: fix2(interesTotalPctEquivalente),
+        tasa_refinanciacion: fix2(tasaPeriodoPct),
+        opcion_refinanciamiento: opcionRefi,
+
+        tipo_credito: tipoNuevo,
+        cantidad_cuotas: n,
+
+        modalidad_credito: modalidadNueva, // ✅ SIEMPRE COMUN
+
+        monto_total_devolver: fix2(totalNuevo),
+        saldo_actual: fix2(totalNuevo),
+        interes_acumulado: 0.0,
+        descuento: 0.0,
+
+        estado: 'pendiente',
+        id_credito_origen: principal.id,
+        ids_creditos_origen: ids,
+
+        origen_venta_manual_financiada: false,
+        detalle_producto: `Refinanciación consolidada de créditos ${ids.map((id) => `#${id}`).join(', ')}`.slice(0, 255)
+      },
+      { transaction: t }
+    );
+
+    // 5) Cuotas del crédito nuevo (inyectado desde core para evitar ciclos)
+    await generarCuotasServicio(nuevo, t);
+
+    // 5.1) Garantes de todos los orígenes
+    await copiarGarantesOrigen(ids, nuevo.id, t);
+
+    await registrarExcepcionBloqueo(
+      bloqueoForzado,
+      { operacion: 'refinanciacion', referenciaId: nuevo.id, usuarioId: usuario_id },
+      { transaction: t }
+    );
+    await registrarExcepcionLimite(
+      limiteForzado,
+      { operacion: 'refinanciacion', referenciaId: nuevo.id, usuarioId: usuario_id },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return {
+      ok: true,
+      creditos_originales_ids: ids,
+      credito_nuevo_id: nuevo.id,
+
+      detalle_origenes: detalle,
+      saldo_base: saldoBase,
+
+      tasa_mensual_pct: fix2(tasaMensualPct),
+      tasa_periodo_pct: fix2(tasaPeriodoPct),
+      cuotas: n,
+
+      interes_monto: fix2(interesTotalMonto),
+      interes_total_pct_equivalente: fix2(interesTotalPctEquivalente),
+
+      total_nuevo: fix2(totalNuevo),
+
+      opcion_refinanciamiento: opcionRefi,
+      modalidad_nueva: modalidadNueva,
+      rol_id
+    };
+  } catch (e) {
+    try {
+      await t.rollback();
+    } catch (_) {}
+    throw e;
+  }
+};
@@ -2,8 +2,10 @@
 // Helpers compartidos para crédito (sin lógica de endpoints).
 // Objetivo: aislar utilidades y efectos secundarios (caja/recibo) para reducir acoplamiento.
 
+import { addDays, addMonths } from 'date-fns';
 import Recibo from '../../models/Recibo.js';
 import CajaMovimiento from '../../models/CajaMovimiento.js';
+import { ajustarVencimiento } from '../calendario.service.js';
 
 /* ===================== Constantes ===================== */
 export const MORA_DIARIA = 0.025;        // 2.5% por día
@@ -90,6 +92,7 @@ export const fmtARS = (n) =>
 export const labelModalidad = (modalidad) => {
   const m = String(modalidad || '').toLowerCase();
   if (m === 'comun') return 'PLAN DE CUOTAS FIJAS';
+  if (m === 'frances') return 'SISTEMA FRANCÉS';
   return m.toUpperCase();
 };
 
@@ -110,6 +113,32 @@ export const periodLengthFromTipo = (tipo_credito) =>
   tipo_credito === 'semanal' ? 4 :
     tipo_credito === 'quincenal' ? 2 : 1;
 
+/** Días nominales de un período (misma serie de vencimientos que generarCuotasServicio) */
+export const diasPeriodoFromTipo = (tipo_credito) =>
+  tipo_credito === 'semanal' ? 7 :
+    tipo_credito === 'quincenal' ? 15 : 30;
+
+/** Suma `periodos` períodos del crédito a una fecha YMD (negativo = resta). No ajusta por calendario. */
+export const sumarPeriodosYMD = (fecha, tipo_credito, periodos) => {
+  const base = ymdDate(fecha);
+  const venc =
+    tipo_credito === 'mensual'
+      ? addMonths(base, periodos)
+      : addDays(base, diasPeriodoFromTipo(tipo_credito) * periodos);
+  return ymd(venc);
+};
+
+/**
+ * Total a devolver por cada $1 de capital en común / progresivo:
+ * interés plano sobre el capital, con el descuento (solo sobre interés) del alta.
+ * interes / descuento pueden estar guardados como 60 ó 0.60.
+ */
+export const factorTotalSobreCapital = (credito) => {
+  const interes = normalizePercent(credito.interes, 0) / 100;
+  const descuento = Math.min(normalizePercent(credito.descuento, 0), 100) / 100;
+  return 1 + interes * (1 - descuento);
+};
+
 /**
  * Interés proporcional mínimo 60% (común / progresivo):
  *   - semanal   → 60% * (semanas / 4)
@@ -123,6 +152,107 @@ export const calcularInteresProporcionalMin60 = (tipo_credito, cantidad_cuotas)
   return Math.max(60, proporcional);
 };
 
+/* ===================== Sistema francés (cuota fija, interés sobre saldo) ===================== */
+/**
+ * Tasa por período del francés a partir del interés total de la modalidad:
+ *   - 60% en 1 mes → 60% mensual; 120% en 8 semanas → 15% semanal
+ *   - descuento (solo superadmin) se aplica sobre la tasa, es decir, sobre el interés
+ */
+export const tasaPeriodoFrances = (interesTotalPct, cantidad_cuotas, descuentoPct = 0) => {
+  const n = Math.max(toNumber(cantidad_cuotas), 1);
+  const desc = Math.min(Math.max(toNumber(descuentoPct), 0), 100);
+  const tasa = (toNumber(interesTotalPct) / n) * (1 - desc / 100);
+  return Math.round(tasa * 10000) / 10000;
+};
+
+/**
+ * Tabla de amortización francesa:
+ *   cuota = C·i / (1 − (1 + i)^−n); interés de cada cuota = saldo de capital × i.
+ * Redondeo a centavos; la última cuota cancela el capital exacto (absorbe la diferencia).
+ * Devuelve [{ numero_cuota, importe_cuota, capital_cuota, interes_cuota, saldo_capital }]
+ * (saldo_capital = capital que queda después de pagar la cuota).
+ */
+export const calcularTablaFrances = ({ capital, tasaPeriodoPct, cantidad_cuotas }) => {
+  const C = fix2(capital);
+  const n = Math.max(Math.trunc(toNumber(cantidad_cuotas)), 1);
+  const i = toNumber(tasaPeriodoPct) / 100;
+
+  const cuotaFija = i > 0 ? fix2((C * i) / (1 - Math.pow(1 + i, -n))) : fix2(C / n);
+
+  const tabla = [];
+  let saldo = C;
+  for (let k = 1; k <= n; k++) {
+    const interes = fix2(saldo * i);
+    const amortizacion = k === n ? saldo : fix2(Math.min(cuotaFija - interes, saldo));
+    saldo = fix2(saldo - amortizacion);
+    tabla.push({
+      numero_cuota: k,
+      importe_cuota: fix2(amortizacion + interes),
+      capital_cuota: fix2(amortizacion),
+      interes_cuota: interes,
+      saldo_capital: saldo
+    });
+  }
+  return tabla;
+};
+
+/* ===================== Plan de cuotas (común / progresivo / francés) ===================== */
+/**
+ * Importes y vencimientos de las cuotas, sin tocar la base. Única fuente de la regla:
+ * la usan generarCuotasServicio, el cotizador (/creditos/simular) y la vista previa de refinanciación.
+ * - francés: tabla de amortización sobre monto_acreditar con tasa_periodo
+ * - progresivo: crecientes (M · i / Σi); común: fijas (M / n). La diferencia de redondeo va a la última.
+ * - vencimientos: la cuota 1 vence en fecha_compromiso_pago y cada una suma un período
+ *   (serie sobre la fecha nominal); solo se corre la fecha que cae en día no hábil.
+ *   ajustarVencimiento lee el cache del calendario: el llamador hace `await asegurarCalendario()` antes.
+ *   Sin fecha_compromiso_pago → fecha_vencimiento null.
+ * Devuelve [{ numero_cuota, importe_cuota, fecha_vencimiento, capital_cuota?, interes_cuota?, saldo_capital? }]
+ */
+export const construirPlanCuotas = ({
+  modalidad_credito,
+  tipo_credito,
+  cantidad_cuotas,
+  monto_total_devolver,
+  monto_acreditar,
+  tasa_periodo,
+  fecha_compromiso_pago = null
+}) => {
+  const mod = String(modalidad_credito || 'comun').toLowerCase();
+  const n = Math.max(Math.trunc(toNumber(cantidad_cuotas)), 1);
+  const M = toNumber(monto_total_devolver);
+
+  let cuotasArr = [];
+  if (mod === 'frances') {
+    cuotasArr = calcularTablaFrances({ capital: monto_acreditar, tasaPeriodoPct: tasa_periodo, cantidad_cuotas: n });
+  } else if (mod === 'progresivo') {
+    const sum = (n * (n + 1)) / 2;
+    let acumulado = 0;
+    for (let i = 1; i <= n; i++) {
+      const importe = parseFloat((M * (i / sum)).toFixed(2));
+      cuotasArr.push({ numero_cuota: i, importe_cuota: importe });
+      acumulado += importe;
+    }
+    const diff = parseFloat((M - acumulado).toFixed(2));
+    cuotasArr[n - 1].importe_cuota = parseFloat((cuotasArr[n - 1].importe_cuota + diff).toFixed(2));
+  } else {
+    const fija = parseFloat((M / n).toFixed(2));
+    for (let i = 1; i <= n; i++) {
+      cuotasArr.push({ numero_cuota: i, importe_cuota: fija });
+    }
+    const diff = parseFloat((M - fija * n).toFixed(2));
+    cuotasArr[n - 1].importe_cuota = parseFloat((cuotasArr[n - 1].importe_cuota + diff).toFixed(2));
+  }
+
+  const base = fecha_compromiso_pago ? ymd(fecha_compromiso_pago) : null;
+
+  return cuotasArr.map((c) => ({
+    ...c,
+    fecha_vencimiento: base
+      ? ajustarVencimiento(sumarPeriodosYMD(base, tipo_credito, Math.max(c.numero_cuota - 1, 0)))
+      : null
+  }));
+};
+
 /** Detecta si el crédito es de modalidad "libre" */
 export const esLibre = (credito) => {
   const mod = credito?.modalidad_credito || (credito?.get ? credito.get('modalidad_credito') : null);
@@ -130,6 +260,14 @@ export const esLibre = (credito) => {
 };
 
 /* ===================== Helpers refinanciación (flags para UI) ===================== */
+/** Créditos de origen de una refinanciación (varios si fue consolidada) */
+export const idsCreditosOrigen = (creditoPlain) => {
+  const ids = Array.isArray(creditoPlain?.ids_creditos_origen) ? creditoPlain.ids_creditos_origen.map(Number) : [];
+  if (ids.length) return ids;
+  const origenId = creditoPlain?.id_credito_origen ?? null;
+  return origenId ? [Number(origenId)] : [];
+};
+
 export const anexarFlagsRefinanciacionPlain = (creditoPlain, hijoId = null) => {
   if (!creditoPlain) return creditoPlain;
 
@@ -137,6 +275,7 @@ export const anexarFlagsRefinanciacionPlain = (creditoPlain, hijoId = null) => {
   const origenId = creditoPlain.id_credito_origen ?? creditoPlain.credito_origen_id ?? null;
 
   creditoPlain.credito_origen_id = origenId ?? null;
+  creditoPlain.creditos_origen_ids = idsCreditosOrigen({ ...creditoPlain, id_credito_origen: origenId });
   creditoPlain.es_credito_de_refinanciacion = Boolean(origenId);
 
   creditoPlain.es_refinanciado = (estado === 'refinanciado');
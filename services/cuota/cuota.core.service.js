@@ -27,8 +27,11 @@ import {
     normalizarAttributesRecibo,
     findAllReciboSafe,
     findOneReciboSafe,
-    marcarReciboSinCicloLibre
+    marcarReciboSinCicloLibre,
+    esCreditoFrances,
+    dividirAplicadoCuotaFrances
 } from './cuota.utils.js';
+import { asegurarCalendario, vencimientosEnGracia, vencimientoEfectivoMora } from '../calendario.service.js';
 
 import {
     MORA_DIARIA_LIBRE,
@@ -62,6 +65,7 @@ import { simularMoraCuotaHasta } from './cuota.mora.service.js';
 import { buildReciboUI, armarDatosRecibo, createReciboSafe } from './cuota.recibo.service.js';
 import { registrarIngresoDesdeReciboEnTx } from './cuota.caja.service.js';
 import { crearReciboEnTxCompat } from './cuota.recibo.compat.service.js';
+import { ordenarRutaCobro } from './cuota.ruta.service.js';
 export { crearReciboEnTxCompat };
 
 import {
@@ -78,6 +82,7 @@ import { Op } from 'sequelize';
 // import { actualizarEstadoCredito } from './credito.service.js';
 import sequelize from '../../models/sequelize.js';
 import { calcularPuntajeCliente } from '../puntaje.service.js';
+import { alcanceDescuentoRol } from '../permiso.service.js';
 
 // ⬇️ Impacto en caja
 import CajaMovimiento from '../../models/CajaMovimiento.js';
@@ -223,6 +228,18 @@ const mapearPagosConRecibosParaMoraPorCuota = async (cuotas = [], t = null) => {
 
     const descuentoPorPagoId = new Map();
 
+    // Amortizaciones anticipadas: van al capital del crédito, no generan ni cancelan mora de la cuota
+    const pagosCapital = new Set();
+    if (pagoIds.length > 0) {
+        const rows = await Pago.findAll({
+            where: { id: { [Op.in]: pagoIds }, imputacion: 'capital' },
+            attributes: ['id'],
+            raw: true,
+            transaction: t
+        });
+        for (const r of rows) pagosCapital.add(Number(r.id));
+    }
+
     if (pagoIds.length > 0) {
         const recibos = await findAllReciboSafe({
             where: { pago_id: { [Op.in]: pagoIds } },
@@ -245,6 +262,7 @@ const mapearPagosConRecibosParaMoraPorCuota = async (cuotas = [], t = null) => {
     for (const p of pagosPlanos) {
         const cuotaId = Number(p?.cuota_id);
         if (!Number.isFinite(cuotaId) || cuotaId <= 0) continue;
+        if (pagosCapital.has(Number(p?.id))) continue;
 
         const pagoId = Number(p?.id);
         const descuentoAplicado =
@@ -270,6 +288,10 @@ const mapearPagosConRecibosParaMoraPorCuota = async (cuotas = [], t = null) => {
 export const actualizarCuotasVencidas = async () => {
     const hoy = todayYMD(); // YMD en TZ negocio
 
+    // 📅 Vencimientos en día no hábil todavía en gracia (ej. venció el domingo y hoy es lunes feriado)
+    await asegurarCalendario();
+    const enGracia = vencimientosEnGracia(hoy);
+
     // Excluir LIBRE
     const libres = await Credito.findAll({
         attributes: ['id'],
@@ -297,7 +319,7 @@ export const actualizarCuotasVencidas = async () => {
     // ⚠️ Solo vencidas si fv < HOY (mismo día NO se marca vencida)
     const whereUpdate = {
         estado: { [Op.in]: ['pendiente', 'parcial'] },
-        fecha_vencimiento: { [Op.lt]: hoy, [Op.ne]: VTO_FICTICIO_LIBRE }
+        fecha_vencimiento: { [Op.lt]: hoy, [Op.notIn]: [VTO_FICTICIO_LIBRE, ...enGracia] }
     };
     const excluir = [...libreIds, ...refiIds, ...anuladoIds];
     if (excluir.length > 0) {
@@ -343,6 +365,8 @@ export const recalcularMoraCuota = async (cuotaId, t = null) => {
     const credito = await Credito.findByPk(cuota.credito_id, { transaction: t });
     if (!credito) throw new Error('Crédito asociado no encontrado');
 
+    await asegurarCalendario();
+
     // Usamos hoy tanto como Date truncado como YMD string
     const hoyStr = todayYMD();
     const hoyTZ = ymdDate(hoyStr);
@@ -397,7 +421,7 @@ export const recalcularMoraCuota = async (cuotaId, t = null) => {
         cuota.fecha_vencimiento !== VTO_FICTICIO_LIBRE &&
         (cuota.estado === 'pendiente' || cuota.estado === 'parcial')
     ) {
-        const fvY = ymd(cuota.fecha_vencimiento);
+        const fvY = vencimientoEfectivoMora(ymd(cuota.fecha_vencimiento));
         if (hoyStr > fvY) {
             nuevoEstado = 'vencida';
         }
@@ -421,6 +445,8 @@ export const recalcularMoraPorCredito = async (creditoId, t = null) => {
     const credito = await Credito.findByPk(creditoId, { transaction: t });
     if (!credito) throw new Error('Crédito no encontrado');
 
+    await asegurarCalendario();
+
     const hoyStr = todayYMD();
     const hoyTZ = ymdDate(hoyStr);
 
@@ -499,7 +525,7 @@ export const recalcularMoraPorCredito = async (creditoId, t = null) => {
             c.fecha_vencimiento !== VTO_FICTICIO_LIBRE &&
             c.estado !== 'pagada'
         ) {
-            const fvY = ymd(c.fecha_vencimiento);
+            const fvY = vencimientoEfectivoMora(ymd(c.fecha_vencimiento));
             if ((c.estado === 'pendiente' || c.estado === 'parcial') && hoyStr > fvY) {
                 nuevoEstado = 'vencida';
             }
@@ -597,7 +623,8 @@ export const obtenerCuotasVencidas = async (query = {}) => {
             'fecha_vencimiento',
             'importe_cuota',
             'descuento_cuota',
-            'monto_pagado_acumulado'
+            'monto_pagado_acumulado',
+            'mora_congelamientos'
         ],
         include: [{
             model: Pago,
@@ -706,7 +733,9 @@ export const obtenerRutaCobroCobrador = async ({
     includePendientesHoy = true,
     zonaId = null,
     clienteId = null,
-    modo = 'plano' // 'plano' | 'separado'
+    modo = 'plano', // 'plano' | 'separado'
+    orden = null,   // 'optimo' → ordena por recorrido (ver cuota.ruta.service.js)
+    inicio = null   // { lat, lng } punto de partida para orden óptimo
 } = {}) => {
     const cobradorIdNum = Number(cobrador_id);
     if (!Number.isFinite(cobradorIdNum) || cobradorIdNum <= 0) {
@@ -819,7 +848,8 @@ export const obtenerRutaCobroCobrador = async ({
                 'fecha_vencimiento',
                 'importe_cuota',
                 'descuento_cuota',
-                'monto_pagado_acumulado'
+                'monto_pagado_acumulado',
+                'mora_congelamientos'
             ],
             include: [{
                 model: Pago,
@@ -845,7 +875,9 @@ export const obtenerRutaCobroCobrador = async ({
                 'telefono',
                 'telefono_secundario',
                 'direccion',
-                'zona'
+                'zona',
+                'latitud',
+                'longitud'
             ]
         })
         : [];
@@ -915,7 +947,9 @@ export const obtenerRutaCobroCobrador = async ({
                 'telefono',
                 'telefono_secundario',
                 'direccion',
-                'zona'
+                'zona',
+                'latitud',
+                'longitud'
             ]
         })
         : [];
@@ -983,6 +1017,8 @@ export const obtenerRutaCobroCobrador = async ({
             cliente_telefono: cl.telefono ?? null,
             cliente_telefono_secundario: cl.telefono_secundario ?? null,
             cliente_direccion: cl.direccion ?? null,
+            cliente_latitud: cl.latitud != null ? Number(cl.latitud) : null,
+            cliente_longitud: cl.longitud != null ? Number(cl.longitud) : null,
             zona_id,
             zona_nombre,
 
@@ -1063,6 +1099,8 @@ export const obtenerRutaCobroCobrador = async ({
             cliente_telefono: cl.telefono ?? null,
             cliente_telefono_secundario: cl.telefono_secundario ?? null,
             cliente_direccion: cl.direccion ?? null,
+            cliente_latitud: cl.latitud != null ? Number(cl.latitud) : null,
+            cliente_longitud: cl.longitud != null ? Number(cl.longitud) : null,
             zona_id,
             zona_nombre,
 
@@ -1098,6 +1136,13 @@ export const obtenerRutaCobroCobrador = async ({
         libres_sin_cuota
     };
 
+    // 🧭 Orden por recorrido: una parada por cliente, sin ubicación al final
+    if (orden === 'optimo') {
+        const ordenada = ordenarRutaCobro(items, inicio);
+        items.splice(0, items.length, ...ordenada.items);
+        meta.ruta = ordenada.ruta;
+    }
+
     if (modo === 'separado') {
         return {
             vencidas: items.filter(i => i.categoria === 'vencida'),
@@ -1198,8 +1243,9 @@ const pagarCuotaTotal = async ({
         const descuentoPrevio = fix2(cuota.descuento_cuota);
         const principalPagadoPrevio = fix2(cuota.monto_pagado_acumulado);
 
-        const isAdmin = Number(rolResolved) === 1;
-        const scope = isAdmin ? 'mora' : (String(descuento_scope || '').toLowerCase() || null);
+        // Sin pagos.descuento_total el descuento se aplica SOLO sobre mora
+        const soloMora = (await alcanceDescuentoRol(rolResolved)) === 'mora';
+        const scope = soloMora ? 'mora' : (String(descuento_scope || '').toLowerCase() || null);
         const descuentoMoraBruto = scope === 'mora'
             ? (descuento_mora != null ? fix2(toNumber(descuento_mora)) : fix2(toNumber(descuento)))
             : fix2(toNumber(descuento));
@@ -1219,6 +1265,11 @@ const pagarCuotaTotal = async ({
         const moraCobrada = Math.min(netoAPagar, moraNeta);
         const principalPagado = Math.max(netoAPagar - moraCobrada, 0);
 
+        // Francés: lo aplicado a la cuota se informa en el recibo separado en capital / interés
+        const split = esCreditoFrances(credito)
+            ? dividirAplicadoCuotaFrances(cuota, principalPagado, principalPagadoPrevio)
+            : { capital: principalPagado, interes: 0 };
+
         cuota.intereses_vencidos_acumulados = fix2(Math.max(moraNeta - moraCobrada, 0));
         cuota.monto_pagado_acumulado = fix2(principalPagadoPrevio + principalPagado);
         cuota.descuento_cuota = descuentoPrevio;
@@ -1243,12 +1294,12 @@ const pagarCuotaTotal = async ({
             importeOriginalCuota: importeOriginal,
             descuentoAplicado: descuentoMora,
             moraCobrada,
-            principalPagado,
+            principalPagado: split.capital,
             saldoPrincipalAntes: Math.max(importeOriginal - descuentoPrevio - principalPagadoPrevio, 0),
             saldoPrincipalDespues: 0,
             saldoCreditoAntes: fix2(toNumber(credito.saldo_actual) + principalPagado),
             saldoCreditoDespues: toNumber(credito.saldo_actual),
-            interesCicloCobrado: 0,
+            interesCicloCobrado: split.interes,
             saldoCuotaAnterior: totalAntes,
             saldoCuotaActual: totalDespues,
             saldoMoraRestante: 0
@@ -1358,8 +1409,9 @@ export const registrarPagoParcial = async ({
         const saldoPrincipalAntes = Math.max(importeCuota - descuentoPrevio - principalPagadoPrevio, 0);
         const saldoCreditoAntes = fix2(credito.saldo_actual);
 
-        const isAdmin = Number(rolResolved) === 1;
-        const scope = isAdmin ? 'mora' : (String(descuento_scope || '').toLowerCase() || null);
+        // Sin pagos.descuento_total el descuento se aplica SOLO sobre mora
+        const soloMora = (await alcanceDescuentoRol(rolResolved)) === 'mora';
+        const scope = soloMora ? 'mora' : (String(descuento_scope || '').toLowerCase() || null);
         const descMoraRaw = scope === 'mora'
             ? (descuento_mora != null ? fix2(toNumber(descuento_mora)) : fix2(toNumber(descuento)))
             : fix2(toNumber(descuento));
@@ -1378,6 +1430,11 @@ export const registrarPagoParcial = async ({
         const aPrincipal = Math.max(fix2(monto_pagado) - aMora, 0);
         const principalEfectivo = Math.min(aPrincipal, saldoPrincipalTrasDescuento);
 
+        // Francés: lo aplicado a la cuota se informa en el recibo separado en capital / interés
+        const split = esCreditoFrances(credito)
+            ? dividirAplicadoCuotaFrances(cuota, principalEfectivo, principalPagadoPrevio)
+            : { capital: principalEfectivo, interes: 0 };
+
         cuota.intereses_vencidos_acumulados = fix2(Math.max(moraNeta - aMora, 0));
         cuota.monto_pagado_acumulado = fix2(principalPagadoPrevio + principalEfectivo);
         cuota.descuento_cuota = descuentoPrevio;
@@ -1394,9 +1451,12 @@ export const registrarPagoParcial = async ({
             cuota.estado = principalEfectivo > 0 ? 'parcial' : cuota.estado;
         }
 
+        // Francés: el interés de la cuota sale de su tabla de amortización
         const tasa = normalizeRate(credito.interes);
         const principalOriginal = importeCuota / (1 + tasa);
-        const interesPorCuota = importeCuota - principalOriginal;
+        const interesPorCuota = esCreditoFrances(credito)
+            ? toNumber(cuota.interes_cuota)
+            : importeCuota - principalOriginal;
 
         if (principalEfectivo >= interesPorCuota) {
             const base = dateFromYMD(cuota.fecha_vencimiento);
@@ -1427,12 +1487,12 @@ export const registrarPagoParcial = async ({
             importeOriginalCuota: importeCuota,
             descuentoAplicado: descuentoMora,
             moraCobrada: aMora,
-            principalPagado: principalEfectivo,
+            principalPagado: split.capital,
             saldoPrincipalAntes,
             saldoPrincipalDespues: fix2(principalPendienteDespues),
             saldoCreditoAntes,
             saldoCreditoDespues: toNumber(credito.saldo_actual),
-            interesCicloCobrado: 0,
+            interesCicloCobrado: split.interes,
             saldoCuotaAnterior: totalAntes,
             saldoCuotaActual: totalDespues,
             saldoMoraRestante: moraRestante
@@ -25,6 +25,7 @@ import Pago from '../../models/Pago.js';
 import { createReciboSafe, armarDatosRecibo, buildReciboUI } from './cuota.recibo.service.js';
 import { crearReciboEnTxCompat } from './cuota.recibo.compat.service.js';
 import { registrarIngresoDesdeReciboEnTx } from './cuota.caja.service.js';
+import { alcanceDescuentoRol } from '../permiso.service.js';
 
 /* =============================================================================
    Constantes LIBRE
@@ -939,16 +940,17 @@ const reapplyLibreStateEnTx = async ({
 
 /* =============================================================================
    ✅ Descuentos (nueva regla cliente):
-   - Admin (rol 1): sólo puede bonificar MORA (igual que antes)
-   - Superadmin (rol 0): puede bonificar MORA e INTERÉS en pagos parciales
+   - Alcance 'mora' (pagos.descuento_mora): sólo puede bonificar MORA (igual que antes)
+   - Alcance 'total' (pagos.descuento_total): puede bonificar MORA e INTERÉS en pagos parciales
+   - El alcance se resuelve por permisos (alcanceDescuentoRol), no por rol_id
    - Implementación en % (0..100) para mantener compat con descuento_mora existente
    ============================================================================= */
 
 const normScope = (s) => String(s || '').trim().toLowerCase();
 
-const getPctDescuentoMora = ({ rol_id, descuento, descuento_scope, descuento_mora }) => {
-    const isAdmin = Number(rol_id) === 1;
-    const isSuper = Number(rol_id) === 0;
+const getPctDescuentoMora = ({ alcance, descuento, descuento_scope, descuento_mora }) => {
+    const isAdmin = alcance === 'mora';
+    const isSuper = alcance === 'total';
 
     const scope = normScope(descuento_scope);
 
@@ -965,8 +967,8 @@ const getPctDescuentoMora = ({ rol_id, descuento, descuento_scope, descuento_mor
     return 0;
 };
 
-const getPctDescuentoInteres = ({ rol_id, descuento, descuento_scope, descuento_interes }) => {
-    const isSuper = Number(rol_id) === 0;
+const getPctDescuentoInteres = ({ alcance, descuento, descuento_scope, descuento_interes }) => {
+    const isSuper = alcance === 'total';
     if (!isSuper) return 0;
 
     const scope = normScope(descuento_scope);
@@ -1015,8 +1017,9 @@ export const pagarCuotaLibreEnTx = async ({
     const moraPendienteTotalAntes = fix2(toNumber(resumen?.mora_pendiente_total ?? 0));
     const cicloActual = clamp(toNumber(resumen?.ciclo_actual ?? 1), 1, LIBRE_MAX_CICLOS);
 
-    const pctMora = getPctDescuentoMora({ rol_id, descuento, descuento_scope, descuento_mora });
-    const pctInteres = getPctDescuentoInteres({ rol_id, descuento, descuento_scope, descuento_interes });
+    const alcance = await alcanceDescuentoRol(rol_id);
+    const pctMora = getPctDescuentoMora({ alcance, descuento, descuento_scope, descuento_mora });
+    const pctInteres = getPctDescuentoInteres({ alcance, descuento, descuento_scope, descuento_interes });
 
     const montoIngresado =
         monto_pagado != null && String(monto_pagado).trim() !== '' ? fix2(toNumber(monto_pagado)) : null;
@@ -1541,8 +1544,9 @@ export const registrarPagoParcialLibreEnTx = async ({
     const interesPendienteCiclo = fix2(detCiclo.interes_pendiente);
     const moraPendienteCiclo = fix2(detCiclo.mora_pendiente);
 
-    const pctMora = getPctDescuentoMora({ rol_id, descuento, descuento_scope, descuento_mora });
-    const pctInteres = getPctDescuentoInteres({ rol_id, descuento, descuento_scope, descuento_interes });
+    const alcance = await alcanceDescuentoRol(rol_id);
+    const pctMora = getPctDescuentoMora({ alcance, descuento, descuento_scope, descuento_mora });
+    const pctInteres = getPctDescuentoInteres({ alcance, descuento, descuento_scope, descuento_interes });
 
     const descuentoMoraCiclo = fix2(moraPendienteCiclo * (pctMora / 100));
     const descuentoInteresCiclo = fix2(interesPendienteCiclo * (pctInteres / 100));
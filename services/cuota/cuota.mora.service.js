@@ -1,8 +1,9 @@
 // financiera-backend/services/cuota/cuota.mora.service.js
 // Helpers de mora NO-LIBRE (aislado para mantener cuota.core liviano)
 
-import { addDays, isAfter } from 'date-fns';
+import { addDays, isAfter, differenceInCalendarDays } from 'date-fns';
 import { MORA_DIARIA, asYMD, ymd, ymdDate, todayYMD, fix2 } from './cuota.utils.js';
+import { vencimientoEfectivoMora } from '../calendario.service.js';
 
 /**
  * Agrupa movimientos por día (NO libre)
@@ -50,6 +51,60 @@ const prepararMovimientosPorDia = (pagos = []) => {
     return porDia;
 };
 
+/**
+ * Ventanas de congelamiento de mora de la cuota (prórroga).
+ * Tolera JSON string / null; devuelve [{ desde, hasta }] en YMD.
+ */
+const ventanasCongeladas = (cuota) => {
+    let raw = cuota?.mora_congelamientos ?? [];
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch {
+            raw = [];
+        }
+    }
+    if (!Array.isArray(raw)) return [];
+
+    return raw
+        .filter(v => v?.desde && v?.hasta)
+        .map(v => ({ desde: ymd(v.desde), hasta: ymd(v.hasta) }));
+};
+
+/** Ventanas ordenadas y fusionadas (solapadas o contiguas): cada día cuenta una sola vez */
+const fusionarVentanas = (ventanas) => {
+    const out = [];
+    for (const v of [...ventanas].sort((a, b) => (a.desde < b.desde ? -1 : a.desde > b.desde ? 1 : 0))) {
+        const ultima = out[out.length - 1];
+        if (ultima && v.desde <= asYMD(addDays(ymdDate(ultima.hasta), 1))) {
+            if (v.hasta > ultima.hasta) ultima.hasta = v.hasta;
+        } else {
+            out.push({ ...v });
+        }
+    }
+    return out;
+};
+
+/**
+ * Días en (desdeY, hastaY] que caen dentro de una ventana de congelamiento de la cuota.
+ * Para los cálculos "planos" (importe × MORA_DIARIA × días) que no simulan día por día.
+ * Las ventanas se fusionan antes de contar (dos prórrogas solapadas no descuentan dos veces).
+ */
+export const contarDiasMoraCongelados = (cuota, desdeY, hastaY) => {
+    const desde = ymd(desdeY);
+    const hasta = ymd(hastaY);
+    let dias = 0;
+
+    for (const v of fusionarVentanas(ventanasCongeladas(cuota))) {
+        const ini = v.desde > desde ? v.desde : asYMD(addDays(ymdDate(desde), 1));
+        const fin = v.hasta < hasta ? v.hasta : hasta;
+        if (ini > fin) continue;
+        dias += differenceInCalendarDays(ymdDate(fin), ymdDate(ini)) + 1;
+    }
+
+    return dias;
+};
+
 /**
  * Simula mora día por día (NO libre)
  *
@@ -58,6 +113,9 @@ const prepararMovimientosPorDia = (pagos = []) => {
  * - Sale del recibo asociado al pago (recibo.descuento_aplicado)
  *
  * Si no viene recibo asociado, la simulación se comporta como antes.
+ *
+ * ❄️ Los días dentro de una ventana de congelamiento (cuota.mora_congelamientos) no generan mora,
+ * pero los pagos / descuentos de esos días se imputan igual.
  */
 export const simularMoraCuotaHasta = (cuota, pagos, hastaFecha = ymdDate(todayYMD())) => {
     if (!cuota) {
@@ -74,8 +132,11 @@ export const simularMoraCuotaHasta = (cuota, pagos, hastaFecha = ymdDate(todayYM
     const importe = fix2(cuota.importe_cuota);
     const descuentoAcum = fix2(cuota.descuento_cuota);
 
+    // 📅 Si vence en día no hábil (feriado / domingo) la mora corre desde el siguiente hábil
+    const vencimiento = vencimientoEfectivoMora(ymd(cuota.fecha_vencimiento));
+
     // 🔒 Comparaciones YMD: evitan mora el mismo día (todas en misma TZ)
-    const dueY = ymd(cuota.fecha_vencimiento);
+    const dueY = ymd(vencimiento);
     const hastaY = ymd(hastaFecha);
 
     // Si hoy <= vencimiento → NO hay mora
@@ -100,9 +161,11 @@ export const simularMoraCuotaHasta = (cuota, pagos, hastaFecha = ymdDate(todayYM
         };
     }
 
-    const due = ymdDate(cuota.fecha_vencimiento);
+    const due = ymdDate(vencimiento);
     const hasta = ymdDate(hastaFecha);
     const movimientosPorDia = prepararMovimientosPorDia(pagos ?? []);
+    const congeladas = ventanasCongeladas(cuota);
+    const diaCongelado = (fechaKey) => congeladas.some(v => fechaKey >= v.desde && fechaKey <= v.hasta);
 
     const pagosHastaVenc = (pagos ?? []).filter(
         p => ymd(p.fecha_pago || ymdDate(todayYMD())) <= ymd(due)
@@ -126,7 +189,7 @@ export const simularMoraCuotaHasta = (cuota, pagos, hastaFecha = ymdDate(todayYM
         const saldoBase = Math.max(importe - descuentoAcum - principalPagado, 0);
         if (saldoBase <= 0) break;
 
-        const moraDelDia = fix2(saldoBase * MORA_DIARIA);
+        const moraDelDia = diaCongelado(fechaKey) ? 0 : fix2(saldoBase * MORA_DIARIA);
         moraAcum = fix2(moraAcum + moraDelDia);
         totalMoraGenerada = fix2(totalMoraGenerada + moraDelDia);
 
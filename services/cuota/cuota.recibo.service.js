@@ -48,6 +48,8 @@ export const buildReciboUI = (recibo) => {
     if (!recibo) return null;
 
     const libre = esReciboLibre(recibo);
+    // Francés: el recibo separa capital / interés de la cuota igual que LIBRE
+    const frances = String(recibo.modalidad_credito || '').toLowerCase() === 'frances';
     const {
         numero_recibo,
         fecha,
@@ -147,7 +149,7 @@ export const buildReciboUI = (recibo) => {
                 : undefined
     };
 
-    if (!libre) {
+    if (!libre && !frances) {
         return base;
     }
 
@@ -307,6 +309,7 @@ const nombreModalidadCredito = (modalidadRaw) => {
     if (mod === 'libre') return 'LIBRE';
     if (mod === 'comun') return 'PLAN DE CUOTAS FIJAS';
     if (mod === 'progresivo') return 'PROGRESIVO';
+    if (mod === 'frances') return 'SISTEMA FRANCÉS';
     return 'CRÉDITO';
 };
 
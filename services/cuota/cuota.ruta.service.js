@@ -0,0 +1,179 @@
+// financiera-backend/services/cuota/cuota.ruta.service.js
+// Orden "óptimo" de la ruta de cobro (offline, sin APIs de mapas).
+// Heurística: vecino más cercano desde el punto de inicio + mejora 2-opt (camino abierto).
+// Las distancias son en línea recta (haversine): sirven para ordenar y estimar, no son km de calle.
+
+import { fix2 } from './cuota.utils.js';
+
+/* ===================== Geometría ===================== */
+const RADIO_TIERRA_KM = 6371;
+const rad = (g) => (g * Math.PI) / 180;
+
+export const distanciaKm = (a, b) => {
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * RADIO_TIERRA_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/** { lat, lng } válido o null (acepta strings: DECIMAL llega como string desde pg) */
+export const puntoValido = (lat, lng) => {
+    if (lat === null || lat === undefined || lat === '' || lng === null || lng === undefined || lng === '') return null;
+    const la = Number(lat);
+    const ln = Number(lng);
+    if (!Number.isFinite(la) || !Number.isFinite(ln)) return null;
+    if (la < -90 || la > 90 || ln < -180 || ln > 180) return null;
+    return { lat: la, lng: ln };
+};
+
+/* ===================== Heurística ===================== */
+
+// Tope de pasadas 2-opt: con rutas de cobrador (decenas/cientos de paradas) converge mucho antes
+const MAX_PASADAS_2OPT = 50;
+
+const vecinoMasCercano = (inicio, puntos) => {
+    const pendientes = puntos.map((_, i) => i);
+    const orden = [];
+    let actual = inicio;
+
+    while (pendientes.length) {
+        let mejorPos = 0;
+        let mejorDist = Infinity;
+        for (let k = 0; k < pendientes.length; k++) {
+            const d = distanciaKm(actual, puntos[pendientes[k]]);
+            if (d < mejorDist) {
+                mejorDist = d;
+                mejorPos = k;
+            }
+        }
+        const [idx] = pendientes.splice(mejorPos, 1);
+        orden.push(idx);
+        actual = puntos[idx];
+    }
+    return orden;
+};
+
+/**
+ * 2-opt sobre camino abierto con inicio fijo: invierte tramos mientras acorte el total.
+ * La ruta termina en la última parada (no vuelve al inicio).
+ */
+const mejorar2Opt = (inicio, puntos, orden) => {
+    const ruta = [...orden];
+    const p = (i) => (i < 0 ? inicio : puntos[ruta[i]]);
+    const n = ruta.length;
+
+    for (let pasada = 0; pasada < MAX_PASADAS_2OPT; pasada++) {
+        let mejoro = false;
+        for (let i = 0; i < n - 1; i++) {
+            for (let j = i + 1; j < n; j++) {
+                // tramo ruta[i..j] invertido: cambian las aristas (i-1,i) y (j,j+1)
+                const antes = distanciaKm(p(i - 1), p(i)) + (j + 1 < n ? distanciaKm(p(j), p(j + 1)) : 0);
+                const despues = distanciaKm(p(i - 1), p(j)) + (j + 1 < n ? distanciaKm(p(i), p(j + 1)) : 0);
+                if (despues + 1e-9 < antes) {
+                    let a = i;
+                    let b = j;
+                    while (a < b) {
+                        [ruta[a], ruta[b]] = [ruta[b], ruta[a]];
+                        a++;
+                        b--;
+                    }
+                    mejoro = true;
+                }
+            }
+        }
+        if (!mejoro) break;
+    }
+    return ruta;
+};
+
+/**
+ * Ordena paradas con coordenadas a partir de `inicio`.
+ * paradas: [{ ...cualquierDato, punto: { lat, lng } }]
+ * Devuelve las paradas en orden de visita con:
+ *   orden_parada, distancia_km (desde la anterior / el inicio) y distancia_acumulada_km.
+ */
+export const ordenarParadasOptimo = (inicio, paradas = []) => {
+    if (!paradas.length) return { paradas: [], distancia_total_km: 0 };
+
+    const puntos = paradas.map((p) => p.punto);
+    const orden = mejorar2Opt(inicio, puntos, vecinoMasCercano(inicio, puntos));
+
+    let anterior = inicio;
+    let acumulada = 0;
+    const resultado = orden.map((idx, k) => {
+        const d = distanciaKm(anterior, puntos[idx]);
+        acumulada += d;
+        anterior = puntos[idx];
+        return {
+            ...paradas[idx],
+            orden_parada: k + 1,
+            distancia_km: fix2(d),
+            distancia_acumulada_km: fix2(acumulada)
+        };
+    });
+
+    return { paradas: resultado, distancia_total_km: fix2(acumulada) };
+};
+
+/**
+ * Reordena las filas de la ruta de cobro agrupándolas en una parada por cliente.
+ * - Clientes sin coordenadas van al final (en el orden original) con orden_parada null.
+ * - Sin `inicio` se arranca desde el primer cliente geolocalizado del orden original.
+ * items: filas de obtenerRutaCobroCobrador (con cliente_id, cliente_latitud, cliente_longitud)
+ */
+export const ordenarRutaCobro = (items = [], inicio = null) => {
+    const porCliente = new Map();
+    for (const it of items) {
+        if (!porCliente.has(it.cliente_id)) {
+            porCliente.set(it.cliente_id, {
+                cliente_id: it.cliente_id,
+                punto: puntoValido(it.cliente_latitud, it.cliente_longitud),
+                filas: []
+            });
+        }
+        porCliente.get(it.cliente_id).filas.push(it);
+    }
+
+    const grupos = [...porCliente.values()];
+    const conUbicacion = grupos.filter((g) => g.punto);
+    const sinUbicacion = grupos.filter((g) => !g.punto);
+
+    const inicioEstimado = !inicio && conUbicacion.length > 0;
+    const origen = inicio || conUbicacion[0]?.punto || null;
+
+    const { paradas, distancia_total_km } = origen
+        ? ordenarParadasOptimo(origen, conUbicacion)
+        : { paradas: [], distancia_total_km: 0 };
+
+    const ordenados = [];
+    for (const p of paradas) {
+        for (const fila of p.filas) {
+            ordenados.push({
+                ...fila,
+                orden_parada: p.orden_parada,
+                distancia_km: p.distancia_km,
+                distancia_acumulada_km: p.distancia_acumulada_km
+            });
+        }
+    }
+    for (const g of sinUbicacion) {
+        for (const fila of g.filas) {
+            ordenados.push({ ...fila, orden_parada: null, distancia_km: null, distancia_acumulada_km: null });
+        }
+    }
+
+    return {
+        items: ordenados,
+        ruta: {
+            orden: 'optimo',
+            inicio: origen,
+            inicio_estimado: inicioEstimado,
+            paradas: paradas.length,
+            paradas_sin_ubicacion: sinUbicacion.length,
+            distancia_total_km,
+            distancia_tipo: 'linea_recta'
+        }
+    };
+};
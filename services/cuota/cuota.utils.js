@@ -359,3 +359,19 @@ export const normalizeRate = (r) => {
 
 export const getPeriodDays = (tipo) =>
     tipo === 'semanal' ? 7 : tipo === 'quincenal' ? 15 : 30;
+
+/* ───────────────── Sistema francés ───────────────── */
+export const esCreditoFrances = (credito) =>
+    String(credito?.modalidad_credito || '').toLowerCase() === 'frances';
+
+/**
+ * Francés: separa lo aplicado a una cuota en interés y capital según su tabla de amortización.
+ * El pago cubre primero el interés de la cuota y después el capital.
+ * - pagadoPrevio: monto_pagado_acumulado de la cuota ANTES de este pago
+ */
+export const dividirAplicadoCuotaFrances = (cuota, aplicado, pagadoPrevio = 0) => {
+    const monto = fix2(Math.max(toNumber(aplicado), 0));
+    const interesPendiente = fix2(Math.max(toNumber(cuota?.interes_cuota) - toNumber(pagadoPrevio), 0));
+    const interes = fix2(Math.min(monto, interesPendiente));
+    return { interes, capital: fix2(monto - interes) };
+};
@@ -0,0 +1,464 @@
+// services/garante.service.js
+import { Op } from 'sequelize';
+import sequelize from '../models/sequelize.js';
+import { Cliente, Credito, Cuota, Garante, CreditoGarante } from '../models/associations.js';
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+const vacio = (v) => v === undefined || v === null || String(v).trim() === '';
+
+const texto = (v, max) => (vacio(v) ? null : String(v).trim().slice(0, max));
+
+/** DNI solo dígitos (acepta "30.123.456") */
+const normalizarDni = (v) => {
+    const d = String(v ?? '').replace(/\D+/g, '');
+    return d || null;
+};
+
+// Créditos que ya no generan riesgo para el garante
+const ESTADOS_CERRADOS = ['pagado', 'refinanciado', 'anulado'];
+
+// Campos editables de un garante (los de contacto e ingresos)
+const CAMPOS_GARANTE = {
+    nombre: 100,
+    apellido: 100,
+    telefono: 20,
+    telefono_secundario: 20,
+    email: 100,
+    direccion: 255,
+    localidad: 100,
+    ocupacion: 100,
+    empleador: 150
+};
+
+/** Sanea el body de un garante externo. parcial=true para updates. */
+const datosGarante = (data = {}, { parcial = false } = {}) => {
+    const out = {};
+    for (const [campo, max] of Object.entries(CAMPOS_GARANTE)) {
+        if (parcial && data[campo] === undefined) continue;
+        out[campo] = texto(data[campo], max);
+    }
+
+    if (!parcial || data.dni !== undefined) out.dni = normalizarDni(data.dni);
+
+    if (!parcial || data.ingresos_mensuales !== undefined) {
+        if (vacio(data.ingresos_mensuales)) {
+            out.ingresos_mensuales = null;
+        } else {
+            const n = Number(data.ingresos_mensuales);
+            if (!Number.isFinite(n) || n < 0) throw httpError(400, 'ingresos_mensuales debe ser numérico y ≥ 0');
+            out.ingresos_mensuales = Math.round(n * 100) / 100;
+        }
+    }
+
+    if (!parcial || data.observaciones !== undefined) {
+        out.observaciones = vacio(data.observaciones) ? null : String(data.observaciones).trim();
+    }
+
+    if ((!parcial || data.nombre !== undefined) && !out.nombre) {
+        throw httpError(400, 'El nombre del garante es obligatorio');
+    }
+    return out;
+};
+
+/** Snapshot de los datos del cliente para crear su perfil de garante */
+const datosDesdeCliente = (cli) => ({
+    cliente_id: cli.id,
+    nombre: texto(cli.nombre, 100) || `Cliente #${cli.id}`,
+    apellido: texto(cli.apellido, 100),
+    dni: normalizarDni(cli.dni),
+    telefono: texto(cli.telefono, 20),
+    telefono_secundario: texto(cli.telefono_secundario, 20),
+    email: texto(cli.email, 100),
+    direccion: texto(cli.direccion, 255),
+    localidad: texto(cli.localidad, 100)
+});
+
+const nombreGarante = (g) => [g?.nombre, g?.apellido].filter(Boolean).join(' ') || `Garante #${g?.id ?? '?'}`;
+
+/* ───────────────── Mora ───────────────── */
+
+/**
+ * Créditos activos en mora de una lista de ids: estado "vencido" o con
+ * alguna cuota vencida. Devuelve Map credito_id → cantidad de cuotas vencidas.
+ */
+const moraDeCreditos = async (creditos = [], { transaction } = {}) => {
+    const activos = creditos.filter((c) => !ESTADOS_CERRADOS.includes(String(c.estado || '').toLowerCase()));
+    const out = new Map();
+    if (!activos.length) return out;
+
+    const vencidas = await Cuota.findAll({
+        where: { credito_id: { [Op.in]: activos.map((c) => c.id) }, estado: 'vencida' },
+        attributes: ['credito_id', [sequelize.fn('COUNT', sequelize.col('id')), 'cantidad']],
+        group: ['credito_id'],
+        raw: true,
+        transaction
+    });
+    const porCredito = new Map(vencidas.map((r) => [Number(r.credito_id), Number(r.cantidad) || 0]));
+
+    for (const c of activos) {
+        const cuotasVencidas = porCredito.get(c.id) || 0;
+        if (cuotasVencidas > 0 || String(c.estado).toLowerCase() === 'vencido') out.set(c.id, cuotasVencidas);
+    }
+    return out;
+};
+
+/**
+ * Situación de mora de cada garante:
+ * - garantizados: créditos que garantiza (de otros deudores) y están en mora
+ * - propios: si el garante es cliente, sus propios créditos en mora
+ * Devuelve Map garante_id → { garantizados: [...], propios: [...] }
+ */
+export const situacionMoraGarantes = async (garanteIds = [], { excluirCreditoId = null, transaction } = {}) => {
+    const ids = [...new Set(garanteIds.map(asInt).filter(Boolean))];
+    const out = new Map(ids.map((id) => [id, { garantizados: [], propios: [] }]));
+    if (!ids.length) return out;
+
+    const vinculos = await CreditoGarante.findAll({
+        where: {
+            garante_id: { [Op.in]: ids },
+            ...(asInt(excluirCreditoId) ? { credito_id: { [Op.ne]: asInt(excluirCreditoId) } } : {})
+        },
+        attributes: ['garante_id', 'credito_id'],
+        raw: true,
+        transaction
+    });
+
+    const garantes = await Garante.findAll({
+        where: { id: { [Op.in]: ids }, cliente_id: { [Op.ne]: null } },
+        attributes: ['id', 'cliente_id'],
+        raw: true,
+        transaction
+    });
+
+    const creditoIds = [...new Set(vinculos.map((v) => v.credito_id))];
+    const clienteIds = [...new Set(garantes.map((g) => g.cliente_id))];
+    if (!creditoIds.length && !clienteIds.length) return out;
+
+    const orWhere = [];
+    if (creditoIds.length) orWhere.push({ id: { [Op.in]: creditoIds } });
+    if (clienteIds.length) orWhere.push({ cliente_id: { [Op.in]: clienteIds } });
+
+    const creditos = await Credito.findAll({
+        where: { [Op.or]: orWhere },
+        attributes: ['id', 'cliente_id', 'estado', 'saldo_actual'],
+        include: [{ model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido'] }],
+        transaction
+    });
+    const mora = await moraDeCreditos(creditos, { transaction });
+    const porId = new Map(creditos.map((c) => [c.id, c]));
+
+    const resumen = (c) => ({
+        credito_id: c.id,
+        cliente_id: c.cliente_id,
+        cliente: [c.cliente?.nombre, c.cliente?.apellido].filter(Boolean).join(' ') || null,
+        estado: c.estado,
+        cuotas_vencidas: mora.get(c.id) || 0
+    });
+
+    for (const v of vinculos) {
+        const c = porId.get(v.credito_id);
+        if (c && mora.has(c.id)) out.get(v.garante_id).garantizados.push(resumen(c));
+    }
+    for (const g of garantes) {
+        for (const c of creditos) {
+            if (c.cliente_id === g.cliente_id && mora.has(c.id) && c.id !== asInt(excluirCreditoId)) {
+                out.get(g.id).propios.push(resumen(c));
+            }
+        }
+    }
+    return out;
+};
+
+const advertenciasDesdeSituacion = (garantes, situacion) => {
+    const out = [];
+    for (const g of garantes) {
+        const s = situacion.get(g.id);
+        if (!s) continue;
+        if (s.garantizados.length) {
+            out.push({
+                code: 'GARANTE_CON_GARANTIAS_EN_MORA',
+                garante_id: g.id,
+                creditos: s.garantizados.map((c) => c.credito_id),
+                message: `${nombreGarante(g)} garantiza ${s.garantizados.length} crédito(s) en mora: #${s.garantizados.map((c) => c.credito_id).join(', #')}`
+            });
+        }
+        if (s.propios.length) {
+            out.push({
+                code: 'GARANTE_DEUDOR_EN_MORA',
+                garante_id: g.id,
+                creditos: s.propios.map((c) => c.credito_id),
+                message: `${nombreGarante(g)} tiene crédito(s) propios en mora: #${s.propios.map((c) => c.credito_id).join(', #')}`
+            });
+        }
+    }
+    return out;
+};
+
+/** Advertencias legibles (para el alta del crédito y la ficha) */
+export const advertenciasMoraGarantes = async (garantes = [], opciones = {}) => {
+    const lista = garantes.filter(Boolean);
+    const situacion = await situacionMoraGarantes(lista.map((g) => g.id), opciones);
+    return advertenciasDesdeSituacion(lista, situacion);
+};
+
+/* ───────────────── Vinculación con créditos ───────────────── */
+
+/**
+ * Valida y resuelve la lista de garantes de un crédito SIN escribir nada
+ * (se llama antes de crear el crédito para no dejarlo a medias).
+ *
+ * Cada item puede ser:
+ *   { garante_id }                      → garante ya registrado
+ *   { cliente_id }                      → un cliente existente (se reutiliza su perfil de garante)
+ *   { nombre, apellido?, dni?, ... }    → persona externa (si el DNI ya existe se reutiliza)
+ * y opcionalmente { relacion }.
+ */
+export const prepararGarantes = async (lista, { deudorClienteId = null, transaction } = {}) => {
+    if (lista === undefined || lista === null) return [];
+    if (!Array.isArray(lista)) throw httpError(400, 'garantes debe ser un array');
+
+    const deudorId = asInt(deudorClienteId);
+    const deudor = deudorId
+        ? await Cliente.findByPk(deudorId, { attributes: ['id', 'dni'], transaction })
+        : null;
+    const dniDeudor = normalizarDni(deudor?.dni);
+
+    const preparados = [];
+    const vistos = new Set();
+
+    for (const [i, item] of lista.entries()) {
+        if (!item || typeof item !== 'object') throw httpError(400, `garantes[${i}] inválido`);
+        const relacion = texto(item.relacion, 100);
+
+        let garante = null;
+        let datos = null;
+
+        if (asInt(item.garante_id)) {
+            garante = await Garante.findByPk(asInt(item.garante_id), { transaction });
+            if (!garante) throw httpError(404, `Garante #${item.garante_id} no encontrado`, 'GARANTE_NO_ENCONTRADO');
+        } else if (asInt(item.cliente_id)) {
+            const cli = await Cliente.findByPk(asInt(item.cliente_id), { transaction });
+            if (!cli) throw httpError(404, `Cliente #${item.cliente_id} no encontrado`, 'CLIENTE_NO_ENCONTRADO');
+            garante = await Garante.findOne({ where: { cliente_id: cli.id }, order: [['id', 'ASC']], transaction });
+            if (!garante) {
+                datos = datosDesdeCliente(cli);
+                // Si ya estaba cargado como externo con el mismo DNI, se vincula ese registro
+                if (datos.dni) garante = await Garante.findOne({ where: { dni: datos.dni }, transaction });
+                if (garante) datos = { cliente_id: cli.id };
+            }
+        } else {
+            const externo = datosGarante(item);
+            if (externo.dni) garante = await Garante.findOne({ where: { dni: externo.dni }, transaction });
+            if (!garante) {
+                datos = externo;
+                // El DNI de un cliente existente: se vincula al cliente
+                if (externo.dni) {
+                    const cli = await Cliente.findOne({
+                        where: { dni: { [Op.in]: [externo.dni, String(item.dni).trim()] } },
+                        attributes: ['id'],
+                        transaction
+                    });
+                    if (cli) datos.cliente_id = cli.id;
+                }
+            }
+        }
+
+        const clienteGarante = garante?.cliente_id ?? datos?.cliente_id ?? null;
+        const dniGarante = garante?.dni ?? datos?.dni ?? null;
+        if ((deudorId && clienteGarante === deudorId) || (dniDeudor && dniGarante === dniDeudor)) {
+            throw httpError(400, 'El deudor no puede ser garante de su propio crédito', 'GARANTE_ES_DEUDOR');
+        }
+
+        const clave = garante ? `g${garante.id}` : clienteGarante ? `c${clienteGarante}` : dniGarante ? `d${dniGarante}` : null;
+        if (clave && vistos.has(clave)) throw httpError(400, 'Hay garantes repetidos en la lista', 'GARANTE_REPETIDO');
+        if (clave) vistos.add(clave);
+
+        preparados.push({ garante, datos, relacion });
+    }
+
+    return preparados;
+};
+
+/**
+ * Crea los garantes nuevos y los vincula al crédito (idempotente por par crédito/garante).
+ * Devuelve las instancias de Garante vinculadas.
+ */
+export const vincularGarantesCredito = async (creditoId, preparados = [], { usuarioId = null, transaction } = {}) => {
+    const vinculados = [];
+
+    for (const { garante: existente, datos, relacion } of preparados) {
+        let garante = existente;
+        if (!garante) {
+            garante = await Garante.create({ ...datos, creado_por: asInt(usuarioId) }, { transaction });
+        } else if (datos?.cliente_id && !garante.cliente_id) {
+            await garante.update({ cliente_id: datos.cliente_id }, { transaction });
+        }
+
+        const [vinculo, creado] = await CreditoGarante.findOrCreate({
+            where: { credito_id: asInt(creditoId), garante_id: garante.id },
+            defaults: { relacion, agregado_por: asInt(usuarioId), fecha_alta: new Date() },
+            transaction
+        });
+        if (!creado && relacion && vinculo.relacion !== relacion) {
+            await vinculo.update({ relacion }, { transaction });
+        }
+
+        vinculados.push(garante);
+    }
+
+    return vinculados;
+};
+
+/**
+ * Garantes de un crédito con su situación de mora (excluyendo el propio crédito).
+ * Devuelve { garantes, advertencias }.
+ */
+export const obtenerGarantesCredito = async (creditoId) => {
+    const id = asInt(creditoId);
+    const vinculos = await CreditoGarante.findAll({ where: { credito_id: id }, order: [['id', 'ASC']], raw: true });
+    if (!vinculos.length) return { garantes: [], advertencias: [] };
+
+    const garantes = await Garante.findAll({ where: { id: { [Op.in]: vinculos.map((v) => v.garante_id) } } });
+    const porId = new Map(garantes.map((g) => [g.id, g]));
+    const situacion = await situacionMoraGarantes(garantes.map((g) => g.id), { excluirCreditoId: id });
+
+    const lista = vinculos
+        .filter((v) => porId.has(v.garante_id))
+        .map((v) => {
+            const g = porId.get(v.garante_id).get({ plain: true });
+            const s = situacion.get(g.id) || { garantizados: [], propios: [] };
+            return {
+                ...g,
+                relacion: v.relacion,
+                fecha_alta: v.fecha_alta,
+                creditos_garantizados_en_mora: s.garantizados,
+                creditos_propios_en_mora: s.propios,
+                en_mora: s.garantizados.length > 0 || s.propios.length > 0
+            };
+        });
+
+    return { garantes: lista, advertencias: advertenciasDesdeSituacion(garantes, situacion) };
+};
+
+/** Agrega garantes a un crédito existente. Devuelve { garantes, advertencias } actualizados. */
+export const agregarGarantesCredito = async (creditoId, lista, { usuarioId = null } = {}) => {
+    const credito = await Credito.findByPk(asInt(creditoId), { attributes: ['id', 'cliente_id', 'estado'] });
+    if (!credito) throw httpError(404, 'Crédito no encontrado', 'CREDITO_NO_ENCONTRADO');
+    if (!Array.isArray(lista) || !lista.length) throw httpError(400, 'Enviá al menos un garante en "garantes"');
+
+    await sequelize.transaction(async (t) => {
+        const preparados = await prepararGarantes(lista, { deudorClienteId: credito.cliente_id, transaction: t });
+        await vincularGarantesCredito(credito.id, preparados, { usuarioId, transaction: t });
+    });
+
+    return obtenerGarantesCredito(credito.id);
+};
+
+/** Quita un garante del crédito (el registro del garante se conserva) */
+export const quitarGaranteCredito = async (creditoId, garanteId) => {
+    const n = await CreditoGarante.destroy({
+        where: { credito_id: asInt(creditoId), garante_id: asInt(garanteId) }
+    });
+    if (!n) throw httpError(404, 'El garante no está vinculado a este crédito', 'GARANTE_NO_VINCULADO');
+};
+
+/* ───────────────── ABM de garantes ───────────────── */
+
+/** Listado paginado. Filtros: q (nombre/apellido/dni), cliente_id */
+export const obtenerGarantes = async (query = {}) => {
+    const pageNum = Math.max(1, asInt(query.page) || 1);
+    const limitNum = Math.min(200, Math.max(1, asInt(query.limit) || 50));
+
+    const where = {};
+    if (asInt(query.cliente_id)) where.cliente_id = asInt(query.cliente_id);
+    if (!vacio(query.q)) {
+        const like = `%${String(query.q).trim()}%`;
+        const or = [{ nombre: { [Op.iLike]: like } }, { apellido: { [Op.iLike]: like } }];
+        const dni = normalizarDni(query.q);
+        if (dni) or.push({ dni: { [Op.like]: `%${dni}%` } });
+        where[Op.or] = or;
+    }
+
+    const { rows, count } = await Garante.findAndCountAll({
+        where,
+        include: [{ model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido', 'dni'] }],
+        order: [['apellido', 'ASC'], ['nombre', 'ASC'], ['id', 'ASC']],
+        limit: limitNum,
+        offset: (pageNum - 1) * limitNum
+    });
+
+    return { data: rows, pagination: { page: pageNum, limit: limitNum, total: count } };
+};
+
+/** Detalle con los créditos que garantiza y su situación de mora */
+export const obtenerGarantePorId = async (id) => {
+    const garante = await Garante.findByPk(asInt(id), {
+        include: [
+            { model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido', 'dni'] },
+            {
+                model: Credito,
+                as: 'creditos',
+                attributes: ['id', 'cliente_id', 'estado', 'monto_acreditar', 'saldo_actual', 'fecha_acreditacion'],
+                through: { attributes: ['relacion', 'fecha_alta'] },
+                include: [{ model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido'] }]
+            }
+        ],
+        order: [[{ model: Credito, as: 'creditos' }, 'id', 'DESC']]
+    });
+    if (!garante) throw httpError(404, 'Garante no encontrado', 'GARANTE_NO_ENCONTRADO');
+
+    const advertencias = await advertenciasMoraGarantes([garante]);
+    garante.setDataValue('advertencias', advertencias);
+    return garante;
+};
+
+export const crearGarante = async (data = {}, { usuarioId = null } = {}) => {
+    let datos;
+    if (asInt(data.cliente_id)) {
+        const cli = await Cliente.findByPk(asInt(data.cliente_id));
+        if (!cli) throw httpError(404, 'Cliente no encontrado', 'CLIENTE_NO_ENCONTRADO');
+        const yaExiste = await Garante.findOne({ where: { cliente_id: cli.id } });
+        if (yaExiste) throw httpError(409, `El cliente ya está registrado como garante #${yaExiste.id}`, 'GARANTE_DUPLICADO');
+        // Los datos del cliente son la base; el body puede sumar ingresos, empleador, etc.
+        datos = { ...datosGarante({ ...datosDesdeCliente(cli), ...data }), cliente_id: cli.id };
+    } else {
+        datos = datosGarante(data);
+    }
+
+    if (datos.dni) {
+        const mismoDni = await Garante.findOne({ where: { dni: datos.dni }, attributes: ['id'] });
+        if (mismoDni) throw httpError(409, `Ya existe un garante con ese DNI (#${mismoDni.id})`, 'GARANTE_DUPLICADO');
+    }
+
+    return Garante.create({ ...datos, creado_por: asInt(usuarioId) });
+};
+
+export const actualizarGarante = async (id, data = {}) => {
+    const garante = await Garante.findByPk(asInt(id));
+    if (!garante) throw httpError(404, 'Garante no encontrado', 'GARANTE_NO_ENCONTRADO');
+
+    const cambios = datosGarante(data, { parcial: true });
+    if (cambios.dni && cambios.dni !== garante.dni) {
+        const mismoDni = await Garante.findOne({
+            where: { dni: cambios.dni, id: { [Op.ne]: garante.id } },
+            attributes: ['id']
+        });
+        if (mismoDni) throw httpError(409, `Ya existe un garante con ese DNI (#${mismoDni.id})`, 'GARANTE_DUPLICADO');
+    }
+
+    await garante.update(cambios);
+    return garante;
+};
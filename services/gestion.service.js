@@ -0,0 +1,364 @@
+// services/gestion.service.js
+import { Op, fn, col } from 'sequelize';
+import { Cliente, Credito, Cuota, Pago, Usuario, Zona, Gestion } from '../models/associations.js';
+import { TIPOS_GESTION, RESULTADOS_GESTION, ESTADOS_PROMESA } from '../models/Gestion.js';
+import { asYMD, todayYMD } from './cuota/cuota.utils.js';
+import { clienteEnCartera } from './cliente.service.js';
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+const fix2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const vacio = (v) => v === undefined || v === null || String(v).trim() === '';
+
+const esCobrador = (rolId) => Number(rolId) === 2;
+
+/** Primer día del mes actual (TZ negocio) */
+const inicioMesYMD = () => `${todayYMD().slice(0, 7)}-01`;
+
+const INCLUDE_LISTADO = [
+    { model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido', 'dni', 'zona'] },
+    { model: Usuario, as: 'usuario', attributes: ['id', 'nombre_completo'] }
+];
+
+/**
+ * Cobrador: solo gestiona clientes propios (asignado en el cliente o cobrador
+ * de alguno de sus créditos). Admin / superadmin: cualquiera.
+ */
+const assertAccesoCliente = async (cliente, { rolId, usuarioId }) => {
+    if (!esCobrador(rolId)) return;
+    if (!(await clienteEnCartera(cliente, usuarioId))) {
+        throw httpError(403, 'El cliente no pertenece a tu cartera', 'CLIENTE_FUERA_DE_CARTERA');
+    }
+};
+
+/* ───────────────── Promesas de pago ───────────────── */
+
+/**
+ * Total pagado (Pagos reales) para la promesa, entre el día de la gestión
+ * y promesa_fecha inclusive. Sin credito_id cuenta todos los créditos del cliente.
+ */
+const pagadoEnVentana = async (g) => {
+    const creditoIds = g.credito_id
+        ? [g.credito_id]
+        : (await Credito.findAll({ where: { cliente_id: g.cliente_id }, attributes: ['id'], raw: true })).map((c) => c.id);
+    if (!creditoIds.length) return 0;
+
+    const [fila] = await Pago.findAll({
+        attributes: [[fn('COALESCE', fn('SUM', col('Pago.monto_pagado')), 0), 'total']],
+        where: { fecha_pago: { [Op.between]: [asYMD(g.fecha), g.promesa_fecha] } },
+        include: [{ model: Cuota, as: 'cuota', attributes: [], where: { credito_id: { [Op.in]: creditoIds } }, required: true }],
+        raw: true
+    });
+
+    return fix2(fila?.total);
+};
+
+const evaluarPromesa = async (g, hoy = todayYMD()) => {
+    const pagado = await pagadoEnVentana(g);
+    const monto = g.promesa_monto != null ? Number(g.promesa_monto) : null;
+
+    // Sin monto comprometido alcanza con cualquier pago en el plazo
+    const cumplida = monto != null ? pagado >= monto : pagado > 0;
+    const vencida = String(g.promesa_fecha) < hoy;
+
+    const estado = cumplida ? 'cumplida' : vencida ? 'incumplida' : 'pendiente';
+
+    await g.update({
+        promesa_estado: estado,
+        promesa_monto_pagado: pagado,
+        promesa_evaluada_en: new Date()
+    });
+    return estado;
+};
+
+/**
+ * Evalúa las promesas pendientes (todas, o las del cliente / crédito indicado).
+ * Las cumplidas / incumplidas ya no cambian.
+ */
+export const evaluarPromesasPendientes = async ({ clienteId = null, creditoId = null } = {}) => {
+    const where = { promesa_estado: 'pendiente' };
+    if (asInt(clienteId)) where.cliente_id = asInt(clienteId);
+    if (asInt(creditoId)) where.credito_id = asInt(creditoId);
+
+    const pendientes = await Gestion.findAll({ where, order: [['id', 'ASC']] });
+
+    const hoy = todayYMD();
+    const resumen = { evaluadas: pendientes.length, cumplidas: 0, incumplidas: 0, pendientes: 0 };
+    for (const g of pendientes) {
+        const estado = await evaluarPromesa(g, hoy);
+        resumen[`${estado}s`] += 1;
+    }
+    return resumen;
+};
+
+/* ───────────────── Alta / consulta ───────────────── */
+
+export const obtenerCatalogoGestiones = () => ({
+    tipos: TIPOS_GESTION,
+    resultados: RESULTADOS_GESTION,
+    estados_promesa: ESTADOS_PROMESA
+});
+
+/**
+ * Registra una gestión.
+ * data: { cliente_id, credito_id?, tipo, resultado, nota?, fecha?,
+ *         promesa_fecha? ('YYYY-MM-DD'), promesa_monto? }  (promesa solo con resultado "promesa_pago")
+ */
+export const registrarGestion = async (data = {}, { usuarioId = null, rolId = null } = {}) => {
+    const tipo = String(data.tipo || '').trim().toLowerCase();
+    if (!TIPOS_GESTION.includes(tipo)) {
+        throw httpError(400, `tipo inválido. Valores: ${TIPOS_GESTION.join(', ')}`);
+    }
+    const resultado = String(data.resultado || '').trim().toLowerCase();
+    if (!RESULTADOS_GESTION.includes(resultado)) {
+        throw httpError(400, `resultado inválido. Valores: ${RESULTADOS_GESTION.join(', ')}`);
+    }
+
+    let fecha = new Date();
+    if (!vacio(data.fecha)) {
+        fecha = new Date(data.fecha);
+        if (Number.isNaN(fecha.getTime())) throw httpError(400, 'fecha inválida');
+        if (fecha > new Date()) throw httpError(400, 'La fecha de la gestión no puede ser futura');
+    }
+
+    const cliente = await Cliente.findByPk(asInt(data.cliente_id), { attributes: ['id', 'cobrador'] });
+    if (!cliente) throw httpError(404, 'Cliente no encontrado', 'CLIENTE_NO_ENCONTRADO');
+    await assertAccesoCliente(cliente, { rolId, usuarioId });
+
+    let creditoId = null;
+    if (!vacio(data.credito_id)) {
+        const credito = await Credito.findByPk(asInt(data.credito_id), { attributes: ['id', 'cliente_id'] });
+        if (!credito) throw httpError(404, 'Crédito no encontrado', 'CREDITO_NO_ENCONTRADO');
+        if (credito.cliente_id !== cliente.id) {
+            throw httpError(400, 'El crédito no pertenece al cliente', 'CREDITO_DE_OTRO_CLIENTE');
+        }
+        creditoId = credito.id;
+    }
+
+    // Promesa de pago
+    const hayPromesa = !vacio(data.promesa_fecha) || !vacio(data.promesa_monto);
+    let promesaFecha = null;
+    let promesaMonto = null;
+    if (resultado === 'promesa_pago') {
+        promesaFecha = String(data.promesa_fecha ?? '').trim();
+        if (!YMD_RE.test(promesaFecha)) throw httpError(400, 'promesa_fecha es obligatoria (YYYY-MM-DD) para una promesa de pago');
+        if (promesaFecha < asYMD(fecha)) throw httpError(400, 'promesa_fecha no puede ser anterior a la gestión');
+
+        if (!vacio(data.promesa_monto)) {
+            promesaMonto = Number(data.promesa_monto);
+            if (!Number.isFinite(promesaMonto) || promesaMonto <= 0) throw httpError(400, 'promesa_monto debe ser mayor a 0');
+            promesaMonto = fix2(promesaMonto);
+        }
+    } else if (hayPromesa) {
+        throw httpError(400, 'promesa_fecha / promesa_monto solo aplican con resultado "promesa_pago"');
+    }
+
+    const gestion = await Gestion.create({
+        cliente_id: cliente.id,
+        credito_id: creditoId,
+        usuario_id: asInt(usuarioId),
+        tipo,
+        resultado,
+        nota: vacio(data.nota) ? null : String(data.nota).trim().slice(0, 2000),
+        fecha,
+        promesa_fecha: promesaFecha,
+        promesa_monto: promesaMonto,
+        promesa_estado: promesaFecha ? 'pendiente' : null
+    });
+
+    // Puede haber pagado antes de cargar la gestión (o ser una gestión cargada tarde)
+    if (promesaFecha) await evaluarPromesa(gestion);
+
+    return obtenerGestionPorId(gestion.id);
+};
+
+export const obtenerGestionPorId = async (id, { rolId = null, usuarioId = null } = {}) => {
+    const gestion = await Gestion.findByPk(asInt(id), {
+        include: [
+            ...INCLUDE_LISTADO,
+            { model: Credito, as: 'credito', attributes: ['id', 'estado', 'saldo_actual', 'cobrador_id'] }
+        ]
+    });
+    if (!gestion) throw httpError(404, 'Gestión no encontrada', 'GESTION_NO_ENCONTRADA');
+    if (esCobrador(rolId) && gestion.usuario_id !== asInt(usuarioId)) {
+        throw httpError(404, 'Gestión no encontrada', 'GESTION_NO_ENCONTRADA');
+    }
+    return gestion;
+};
+
+/**
+ * Listado paginado.
+ * query: { cliente_id?, credito_id?, usuario_id?, tipo?, resultado?, promesa_estado?,
+ *          desde?, hasta? (fecha de la gestión), page?, limit? }
+ * Un cobrador solo ve sus propias gestiones.
+ */
+export const obtenerGestiones = async (query = {}, { rolId = null, usuarioId = null } = {}) => {
+    const pageNum = Math.max(1, asInt(query.page) || 1);
+    const limitNum = Math.min(200, Math.max(1, asInt(query.limit) || 50));
+
+    const clienteId = asInt(query.cliente_id ?? query.clienteId);
+    const creditoId = asInt(query.credito_id ?? query.creditoId);
+
+    // Estado de promesas al día antes de listar
+    await evaluarPromesasPendientes({ clienteId, creditoId });
+
+    const where = {};
+    if (clienteId) where.cliente_id = clienteId;
+    if (creditoId) where.credito_id = creditoId;
+    if (esCobrador(rolId)) where.usuario_id = asInt(usuarioId);
+    else if (asInt(query.usuario_id ?? query.cobradorId)) where.usuario_id = asInt(query.usuario_id ?? query.cobradorId);
+
+    if (TIPOS_GESTION.includes(query.tipo)) where.tipo = query.tipo;
+    if (RESULTADOS_GESTION.includes(query.resultado)) where.resultado = query.resultado;
+    if (ESTADOS_PROMESA.includes(query.promesa_estado)) where.promesa_estado = query.promesa_estado;
+
+    const rango = {};
+    if (YMD_RE.test(String(query.desde || ''))) rango[Op.gte] = new Date(`${query.desde}T00:00:00`);
+    if (YMD_RE.test(String(query.hasta || ''))) rango[Op.lte] = new Date(`${query.hasta}T23:59:59.999`);
+    if (Object.getOwnPropertySymbols(rango).length) where.fecha = rango;
+
+    const { rows, count } = await Gestion.findAndCountAll({
+        where,
+        include: INCLUDE_LISTADO,
+        order: [['fecha', 'DESC'], ['id', 'DESC']],
+        limit: limitNum,
+        offset: (pageNum - 1) * limitNum
+    });
+
+    return { data: rows, pagination: { page: pageNum, limit: limitNum, total: count } };
+};
+
+/* ───────────────── Reportes ───────────────── */
+
+const nuevoGrupo = (extra) => ({
+    ...extra,
+    promesas: 0,
+    cumplidas: 0,
+    incumplidas: 0,
+    pendientes: 0,
+    monto_prometido: 0,
+    monto_incumplido: 0,
+    tasa_cumplimiento: null
+});
+
+const acumular = (grupo, g) => {
+    const monto = g.promesa_monto != null ? Number(g.promesa_monto) : 0;
+    grupo.promesas += 1;
+    grupo.monto_prometido = fix2(grupo.monto_prometido + monto);
+
+    if (g.promesa_estado === 'cumplida') grupo.cumplidas += 1;
+    else if (g.promesa_estado === 'incumplida') {
+        grupo.incumplidas += 1;
+        grupo.monto_incumplido = fix2(grupo.monto_incumplido + Math.max(monto - Number(g.promesa_monto_pagado || 0), 0));
+    } else grupo.pendientes += 1;
+};
+
+// % sobre promesas ya resueltas (las pendientes no cuentan)
+const cerrarGrupo = (grupo) => {
+    const resueltas = grupo.cumplidas + grupo.incumplidas;
+    grupo.tasa_cumplimiento = resueltas ? fix2((grupo.cumplidas / resueltas) * 100) : null;
+    return grupo;
+};
+
+/**
+ * Promesas de pago con vencimiento (promesa_fecha) en el rango, agrupadas
+ * por cobrador (quien tomó la promesa) y por zona del cliente, + detalle de incumplidas.
+ * query: { desde? (default: inicio de mes), hasta? (default: hoy), cobradorId?, zonaId? }
+ */
+export const reportePromesas = async (query = {}) => {
+    const desde = YMD_RE.test(String(query.desde || '')) ? query.desde : inicioMesYMD();
+    const hasta = YMD_RE.test(String(query.hasta || '')) ? query.hasta : todayYMD();
+    if (desde > hasta) throw httpError(400, '"desde" no puede ser posterior a "hasta"');
+
+    await evaluarPromesasPendientes();
+
+    const where = {
+        promesa_estado: { [Op.ne]: null },
+        promesa_fecha: { [Op.between]: [desde, hasta] }
+    };
+    const cobradorId = asInt(query.cobradorId ?? query.cobrador_id);
+    if (cobradorId) where.usuario_id = cobradorId;
+
+    const zonaId = asInt(query.zonaId ?? query.zona_id);
+    const promesas = await Gestion.findAll({
+        where,
+        include: [
+            {
+                model: Cliente,
+                as: 'cliente',
+                attributes: ['id', 'nombre', 'apellido', 'dni', 'telefono', 'zona'],
+                ...(zonaId ? { where: { zona: zonaId }, required: true } : {})
+            },
+            { model: Usuario, as: 'usuario', attributes: ['id', 'nombre_completo'] }
+        ],
+        order: [['promesa_fecha', 'ASC'], ['id', 'ASC']]
+    });
+
+    const zonaIds = [...new Set(promesas.map((g) => g.cliente?.zona).filter(Boolean))];
+    const zonas = zonaIds.length
+        ? await Zona.findAll({ where: { id: { [Op.in]: zonaIds } }, attributes: ['id', 'nombre'], raw: true })
+        : [];
+    const nombreZona = new Map(zonas.map((z) => [z.id, z.nombre]));
+
+    const totales = nuevoGrupo({});
+    const porCobrador = new Map();
+    const porZona = new Map();
+    const incumplidas = [];
+
+    for (const g of promesas) {
+        const uid = g.usuario_id ?? null;
+        if (!porCobrador.has(uid)) {
+            porCobrador.set(uid, nuevoGrupo({ cobrador_id: uid, cobrador: g.usuario?.nombre_completo ?? null }));
+        }
+        const zid = g.cliente?.zona ?? null;
+        if (!porZona.has(zid)) {
+            porZona.set(zid, nuevoGrupo({ zona_id: zid, zona: zid ? (nombreZona.get(zid) ?? null) : null }));
+        }
+
+        acumular(totales, g);
+        acumular(porCobrador.get(uid), g);
+        acumular(porZona.get(zid), g);
+
+        if (g.promesa_estado === 'incumplida') {
+            incumplidas.push({
+                gestion_id: g.id,
+                fecha_gestion: g.fecha,
+                promesa_fecha: g.promesa_fecha,
+                promesa_monto: g.promesa_monto != null ? Number(g.promesa_monto) : null,
+                monto_pagado: Number(g.promesa_monto_pagado || 0),
+                cliente: g.cliente,
+                credito_id: g.credito_id,
+                cobrador_id: uid,
+                cobrador: g.usuario?.nombre_completo ?? null,
+                zona_id: zid,
+                zona: zid ? (nombreZona.get(zid) ?? null) : null
+            });
+        }
+    }
+
+    const ordenar = (a, b) => b.incumplidas - a.incumplidas || b.monto_incumplido - a.monto_incumplido;
+
+    return {
+        desde,
+        hasta,
+        totales: cerrarGrupo(totales),
+        por_cobrador: [...porCobrador.values()].map(cerrarGrupo).sort(ordenar),
+        por_zona: [...porZona.values()].map(cerrarGrupo).sort(ordenar),
+        incumplidas
+    };
+};
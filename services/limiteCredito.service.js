@@ -0,0 +1,257 @@
+// services/limiteCredito.service.js
+// Límite de crédito por cliente.
+// - Límite manual (Cliente.limite_credito) o, si no hay, derivado del puntaje por bandas
+//   (reglas del puntaje: bandas_limite)
+// - Exposición = suma de saldo_actual de los créditos abiertos (pendiente / vencido)
+// - Se controla al otorgar crédito, refinanciar y financiar ventas; un superadmin puede
+//   excederlo con motivo (queda en ClienteLimiteExcepcion)
+import { Op } from 'sequelize';
+import Cliente from '../models/Cliente.js';
+import Credito from '../models/Credito.js';
+import Usuario from '../models/Usuario.js';
+import ClienteLimiteExcepcion from '../models/ClienteLimiteExcepcion.js';
+import { OPERACIONES_BLOQUEO } from '../models/ClienteBloqueoExcepcion.js';
+import { obtenerReglasActivas } from './puntaje.service.js';
+
+/* ───────────────── Helpers ───────────────── */
+
+// Créditos que siguen generando deuda (los demás ya no suman a la exposición)
+const ESTADOS_ABIERTOS = ['pendiente', 'vencido'];
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+const texto = (v, max = 500) => {
+    const s = String(v ?? '').trim();
+    return s ? s.slice(0, max) : null;
+};
+
+const esVerdadero = (v) => v === true || v === 'true' || v === 1 || v === '1';
+
+const fix2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const fmtMonto = (n) =>
+    `$${fix2(n).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const ETIQUETA_OPERACION = {
+    credito: 'otorgar el crédito',
+    refinanciacion: 'refinanciar',
+    venta_financiada: 'financiar la venta'
+};
+
+/* ───────────────── Cálculo ───────────────── */
+
+/**
+ * Exposición del cliente: saldo_actual de sus créditos abiertos.
+ * excluirCreditoIds: créditos que la operación va a cerrar (ej. el original en una refinanciación).
+ */
+export const calcularExposicionCliente = async (clienteId, { excluirCreditoIds = [], transaction } = {}) => {
+    const excluir = (excluirCreditoIds || []).map(asInt).filter(Boolean);
+
+    const creditos = await Credito.findAll({
+        where: {
+            cliente_id: clienteId,
+            estado: { [Op.in]: ESTADOS_ABIERTOS },
+            ...(excluir.length ? { id: { [Op.notIn]: excluir } } : {})
+        },
+        attributes: ['id', 'estado', 'saldo_actual'],
+        order: [['id', 'ASC']],
+        transaction
+    });
+
+    const detalle = creditos.map((c) => ({ id: c.id, estado: c.estado, saldo_actual: fix2(c.saldo_actual) }));
+    return {
+        total: fix2(detalle.reduce((acc, c) => acc + c.saldo_actual, 0)),
+        creditos: detalle
+    };
+};
+
+/**
+ * Límite vigente del cliente.
+ * { limite (null = sin límite), origen: 'manual' | 'puntaje' | 'sin_limite', puntaje, banda }
+ */
+export const obtenerLimiteCliente = async (cliente, { transaction } = {}) => {
+    const c = typeof cliente === 'object' && cliente
+        ? cliente
+        : await Cliente.findByPk(cliente, {
+            attributes: ['id', 'puntaje_crediticio', 'limite_credito'],
+            transaction
+        });
+    if (!c) throw httpError(404, 'Cliente no encontrado');
+
+    const puntaje = Number(c.puntaje_crediticio) || 0;
+
+    if (c.limite_credito !== null && c.limite_credito !== undefined) {
+        return { limite: fix2(c.limite_credito), origen: 'manual', puntaje, banda: null };
+    }
+
+    const { reglas } = await obtenerReglasActivas();
+    // bandas vienen ordenadas de mayor a menor puntaje_minimo
+    const banda = (reglas.bandas_limite || []).find((b) => puntaje >= b.puntaje_minimo) || null;
+    if (!banda) return { limite: null, origen: 'sin_limite', puntaje, banda: null };
+
+    return { limite: fix2(banda.limite), origen: 'puntaje', puntaje, banda };
+};
+
+/** Límite + exposición + disponible (para la ficha del cliente y el alta de crédito) */
+export const obtenerDisponibleCliente = async (clienteId, { excluirCreditoIds = [], transaction } = {}) => {
+    const id = asInt(clienteId);
+    if (!id || id <= 0) throw httpError(400, 'ID de cliente inválido');
+
+    const cliente = await Cliente.findByPk(id, {
+        attributes: [
+            'id', 'puntaje_crediticio', 'limite_credito', 'limite_credito_motivo',
+            'limite_credito_actualizado_en', 'limite_credito_actualizado_por'
+        ],
+        transaction
+    });
+    if (!cliente) throw httpError(404, 'Cliente no encontrado');
+
+    const limite = await obtenerLimiteCliente(cliente, { transaction });
+    const exposicion = await calcularExposicionCliente(id, { excluirCreditoIds, transaction });
+
+    return {
+        cliente_id: id,
+        ...limite,
+        motivo_manual: limite.origen === 'manual' ? cliente.limite_credito_motivo : null,
+        actualizado_en: cliente.limite_credito_actualizado_en,
+        actualizado_por: cliente.limite_credito_actualizado_por,
+        exposicion: exposicion.total,
+        disponible: limite.limite === null ? null : fix2(Math.max(limite.limite - exposicion.total, 0)),
+        creditos_abiertos: exposicion.creditos
+    };
+};
+
+/* ───────────────── Control en operaciones ───────────────── */
+
+/**
+ * Lanza 409 LIMITE_CREDITO_EXCEDIDO si exposición + monto supera el límite.
+ * Con forzar=true solo un superadmin puede seguir, y con motivo.
+ * Devuelve null (dentro del límite) o { cliente_id, limite, exposicion, monto, motivo } para registrar el override.
+ */
+export const assertLimiteCredito = async (
+    clienteId,
+    {
+        monto,
+        operacion = 'credito',
+        excluirCreditoIds = [],
+        forzar = false,
+        motivoForzado = null,
+        rolId = null,
+        transaction
+    } = {}
+) => {
+    const info = await obtenerDisponibleCliente(clienteId, { excluirCreditoIds, transaction });
+    if (info.limite === null) return null;
+
+    const montoOperacion = fix2(monto);
+    if (fix2(info.exposicion + montoOperacion) <= info.limite) return null;
+
+    if (!esVerdadero(forzar)) {
+        const err = httpError(
+            409,
+            `Límite de crédito excedido: no se puede ${ETIQUETA_OPERACION[operacion] || 'operar'} por ${fmtMonto(montoOperacion)}. ` +
+            `Disponible: ${fmtMonto(info.disponible)} (límite ${fmtMonto(info.limite)}, exposición ${fmtMonto(info.exposicion)})`,
+            'LIMITE_CREDITO_EXCEDIDO'
+        );
+        err.limite = {
+            limite: info.limite,
+            origen: info.origen,
+            exposicion: info.exposicion,
+            disponible: info.disponible,
+            monto_solicitado: montoOperacion
+        };
+        throw err;
+    }
+
+    if (Number(rolId) !== 0) {
+        throw httpError(403, 'Solo un superadmin puede exceder el límite de crédito', 'LIMITE_SOLO_SUPERADMIN');
+    }
+
+    const motivo = texto(motivoForzado);
+    if (!motivo) {
+        throw httpError(400, 'Indicá el motivo para exceder el límite de crédito (motivo_forzado)', 'MOTIVO_FORZADO_REQUERIDO');
+    }
+
+    return {
+        cliente_id: info.cliente_id,
+        limite: info.limite,
+        exposicion: info.exposicion,
+        monto: montoOperacion,
+        motivo
+    };
+};
+
+/** Deja constancia del override de un superadmin (no-op si no hubo override) */
+export const registrarExcepcionLimite = async (
+    forzado,
+    { operacion, referenciaId = null, usuarioId = null } = {},
+    { transaction } = {}
+) => {
+    if (!forzado?.cliente_id) return null;
+    if (!OPERACIONES_BLOQUEO.includes(operacion)) throw httpError(500, `Operación desconocida: ${operacion}`);
+
+    return ClienteLimiteExcepcion.create({
+        cliente_id: forzado.cliente_id,
+        operacion,
+        referencia_id: asInt(referenciaId),
+        limite: forzado.limite,
+        exposicion: forzado.exposicion,
+        monto: forzado.monto,
+        usuario_id: asInt(usuarioId),
+        motivo: forzado.motivo,
+        fecha: new Date()
+    }, { transaction });
+};
+
+/* ───────────────── Gestión del límite manual ───────────────── */
+
+/**
+ * Fija (o quita, con limite_credito null/'') el límite manual del cliente.
+ * Body: { limite_credito, motivo? }
+ */
+export const actualizarLimiteCliente = async (clienteId, { limite_credito, motivo } = {}, { usuarioId = null } = {}) => {
+    const id = asInt(clienteId);
+    if (!id || id <= 0) throw httpError(400, 'ID de cliente inválido');
+
+    const cliente = await Cliente.findByPk(id);
+    if (!cliente) throw httpError(404, 'Cliente no encontrado');
+
+    let limite = null;
+    if (limite_credito !== null && limite_credito !== undefined && String(limite_credito).trim() !== '') {
+        limite = Number(limite_credito);
+        if (!Number.isFinite(limite) || limite < 0) {
+            throw httpError(400, 'limite_credito debe ser un número >= 0 (o vacío para volver al límite por puntaje)', 'LIMITE_INVALIDO');
+        }
+    }
+
+    await cliente.update({
+        limite_credito: limite === null ? null : fix2(limite),
+        limite_credito_motivo: limite === null ? null : texto(motivo),
+        limite_credito_actualizado_en: new Date(),
+        limite_credito_actualizado_por: asInt(usuarioId)
+    });
+
+    return obtenerDisponibleCliente(id);
+};
+
+/** Overrides registrados (créditos otorgados por encima del límite) */
+export const obtenerExcepcionesLimite = async (clienteId) => {
+    const id = asInt(clienteId);
+    if (!id || id <= 0) throw httpError(400, 'ID de cliente inválido');
+
+    return ClienteLimiteExcepcion.findAll({
+        where: { cliente_id: id },
+        include: [{ model: Usuario, as: 'usuario', attributes: ['id', 'nombre_completo'] }],
+        order: [['fecha', 'DESC'], ['id', 'DESC']]
+    });
+};
@@ -7,6 +7,7 @@ import { registrarPagoParcial, pagarCuota } from './cuota.service.js';
 import { Cuota, Credito } from '../models/associations.js';
 import Pago from '../models/Pago.js';
 import FormaPago from '../models/FormaPago.js';
+import { alcanceDescuentoRol, rolTienePermiso } from './permiso.service.js';
 
 /* ───────────────── Helpers básicos ───────────────── */
 
@@ -76,13 +77,13 @@ const isCreditoLibre = (credito) => String(credito?.modalidad_credito ?? '').tri
 
 /**
  * Resuelve el descuento que se envía a cuota.service.js
- * - Admin (rol 1): SOLO mora
+ * - Alcance 'mora' (solo pagos.descuento_mora): SOLO mora
  * - Otros: compat legacy
  *
  * Nota: este "descuento" (legacy) se mantiene igual para no romper
  * el circuito existente (especialmente pago total).
  */
-const resolveDescuentoParaCuotaService = ({ rolId, descuentoLegacy, descuentoMora }) => {
+const resolveDescuentoParaCuotaService = ({ alcance, descuentoLegacy, descuentoMora }) => {
     const dl = sanitizeNumber(descuentoLegacy);
     const dm = sanitizeNumber(descuentoMora);
 
@@ -92,7 +93,7 @@ const resolveDescuentoParaCuotaService = ({ rolId, descuentoLegacy, descuentoMor
         throw err;
     }
 
-    if (rolId === 1) {
+    if (alcance === 'mora') {
         return dm > 0 ? dm : dl;
     }
 
@@ -140,10 +141,10 @@ export const registrarPago = async (req, res) => {
         const rolIdRaw = req.user?.rol_id ?? req.user?.rol ?? null;
         const rolId = typeof rolIdRaw === 'number' ? rolIdRaw : toIntOrNull(rolIdRaw);
 
-        if (rolId === 2) {
+        if (rolId !== null && !(await rolTienePermiso(rolId, ['pagos.registrar']))) {
             return res.status(403).json({
                 success: false,
-                error: 'Un cobrador no puede registrar pagos.'
+                error: 'No tenés permisos para registrar pagos.'
             });
         }
 
@@ -169,15 +170,16 @@ export const registrarPago = async (req, res) => {
         assertCreditoNoAnulado(cuota.credito);
 
         // Mantener comportamiento anterior del descuento legacy (no romper pago parcial NO-LIBRE)
+        const alcance = await alcanceDescuentoRol(rolId);
         const descuentoFinal = resolveDescuentoParaCuotaService({
-            rolId,
+            alcance,
             descuentoLegacy: descuento,
             descuentoMora: descuento_mora
         });
 
-        // ✅ Passthrough controlado: solo SUPERADMIN + crédito LIBRE
+        // ✅ Passthrough controlado: solo pagos.descuento_total + crédito LIBRE
         const libre = isCreditoLibre(cuota.credito);
-        const isSuper = Number(rolId) === 0;
+        const isSuper = alcance === 'total';
 
         const scopeNorm = normScope(descuento_scope);
         const interesPct =
@@ -185,7 +187,7 @@ export const registrarPago = async (req, res) => {
                 ? clampPct(descuento_interes)
                 : null;
 
-        // Si no es super o no es LIBRE, no permitimos interés/scope (se ignoran)
+        // Sin descuento_total o si no es LIBRE, no permitimos interés/scope (se ignoran)
         const descuento_scope_final = (libre && isSuper && scopeNorm) ? scopeNorm : null;
         const descuento_interes_final = (libre && isSuper && interesPct != null) ? interesPct : null;
 
@@ -256,10 +258,10 @@ export const registrarPagoTotal = async (req, res) => {
         const rolIdRaw = req.user?.rol_id ?? req.user?.rol ?? null;
         const rolId = typeof rolIdRaw === 'number' ? rolIdRaw : toIntOrNull(rolIdRaw);
 
-        if (rolId === 2) {
+        if (rolId !== null && !(await rolTienePermiso(rolId, ['pagos.registrar']))) {
             return res.status(403).json({
                 success: false,
-                error: 'Un cobrador no puede registrar pagos totales.'
+                error: 'No tenés permisos para registrar pagos totales.'
             });
         }
 
@@ -282,8 +284,9 @@ export const registrarPagoTotal = async (req, res) => {
 
         assertCreditoNoAnulado(cuota.credito);
 
+        const alcance = await alcanceDescuentoRol(rolId);
         const descuentoFinal = resolveDescuentoParaCuotaService({
-            rolId,
+            alcance,
             descuentoLegacy: descuento,
             descuentoMora: descuento_mora
         });
@@ -0,0 +1,345 @@
+// services/permiso.service.js
+import { Op } from 'sequelize';
+import sequelize from '../models/sequelize.js';
+import Role from '../models/Role.js';
+import Usuario from '../models/Usuario.js';
+import Permiso from '../models/Permiso.js';
+import RolPermiso from '../models/RolPermiso.js';
+
+/* ───────────────── Catálogo ───────────────── */
+
+// Roles base del sistema (no se pueden borrar)
+export const ROL_SUPERADMIN = 0;
+export const ROL_ADMIN = 1;
+export const ROL_COBRADOR = 2;
+const ROLES_BASE = [ROL_SUPERADMIN, ROL_ADMIN, ROL_COBRADOR];
+
+/**
+ * Catálogo de permisos.
+ * `roles` = asignación por defecto; solo se aplica cuando el permiso se crea por primera vez
+ * en la DB (después manda lo que se edite en /roles).
+ * Los defaults replican los checkRole([...]) que tenían las rutas.
+ */
+export const CATALOGO_PERMISOS = [
+    // Usuarios / roles
+    { codigo: 'usuarios.ver', modulo: 'usuarios', descripcion: 'Listar usuarios y cobradores', roles: [0, 1] },
+    { codigo: 'usuarios.gestionar', modulo: 'usuarios', descripcion: 'Crear, editar, eliminar usuarios, contraseñas y sesiones', roles: [0] },
+    { codigo: 'usuarios.reset_2fa', modulo: 'usuarios', descripcion: 'Resetear el 2FA de un usuario (dispositivo perdido)', roles: [0] },
+    { codigo: 'usuarios.suplantar', modulo: 'usuarios', descripcion: 'Consultar el registro de suplantaciones ("ver como"); iniciarlas es exclusivo del superadmin', roles: [0] },
+    { codigo: 'roles.gestionar', modulo: 'roles', descripcion: 'Crear roles, editar permisos, horarios de login y exigencia de 2FA', roles: [0] },
+
+    // Clientes
+    { codigo: 'clientes.ver', modulo: 'clientes', descripcion: 'Ver clientes', roles: [0, 1, 2] },
+    { codigo: 'clientes.crear', modulo: 'clientes', descripcion: 'Crear clientes', roles: [0, 1] },
+    { codigo: 'clientes.editar', modulo: 'clientes', descripcion: 'Editar clientes', roles: [0, 1] },
+    { codigo: 'clientes.eliminar', modulo: 'clientes', descripcion: 'Eliminar clientes', roles: [0] },
+    { codigo: 'clientes.importar', modulo: 'clientes', descripcion: 'Importar clientes por planilla', roles: [0, 1] },
+    { codigo: 'clientes.exportar', modulo: 'clientes', descripcion: 'Exportar clientes en formato de plantilla', roles: [0, 1] },
+    { codigo: 'clientes.fusionar', modulo: 'clientes', descripcion: 'Detectar y fusionar clientes duplicados', roles: [0, 1] },
+    { codigo: 'clientes.documentos_ver', modulo: 'clientes', descripcion: 'Ver y descargar documentos adjuntos', roles: [0, 1] },
+    { codigo: 'clientes.documentos_gestionar', modulo: 'clientes', descripcion: 'Subir y eliminar documentos adjuntos', roles: [0, 1] },
+    { codigo: 'clientes.bloqueos_ver', modulo: 'clientes', descripcion: 'Ver clientes bloqueados e historial de bloqueos', roles: [0, 1] },
+    { codigo: 'clientes.bloquear', modulo: 'clientes', descripcion: 'Bloquear y desbloquear clientes para crédito', roles: [0, 1] },
+    { codigo: 'clientes.cartera_propia', modulo: 'clientes', descripcion: 'Ver la propia cartera de cobro (clientes, créditos y cuotas asignados al usuario)', roles: [2] },
+    { codigo: 'clientes.ubicacion', modulo: 'clientes', descripcion: 'Registrar la ubicación (GPS) del cliente', roles: [0, 1, 2] },
+    { codigo: 'clientes.estado_cuenta', modulo: 'clientes', descripcion: 'Ver e imprimir el estado de cuenta del cliente', roles: [0, 1] },
+    { codigo: 'clientes.limite_ver', modulo: 'clientes', descripcion: 'Ver límite de crédito, exposición y disponible del cliente', roles: [0, 1] },
+    { codigo: 'clientes.limite_gestionar', modulo: 'clientes', descripcion: 'Fijar o quitar el límite de crédito manual del cliente', roles: [0] },
+    { codigo: 'clientes.dni_foto', modulo: 'clientes', descripcion: 'Subir foto de DNI', roles: [0] },
+
+    // Créditos
+    { codigo: 'creditos.ver', modulo: 'creditos', descripcion: 'Ver créditos, resúmenes y ficha PDF', roles: [0, 1] },
+    { codigo: 'creditos.simular', modulo: 'creditos', descripcion: 'Simular planes de crédito', roles: [0, 1] },
+    { codigo: 'creditos.crear', modulo: 'creditos', descripcion: 'Crear créditos', roles: [0, 1] },
+    { codigo: 'creditos.editar', modulo: 'creditos', descripcion: 'Editar créditos', roles: [0, 1] },
+    { codigo: 'creditos.eliminar', modulo: 'creditos', descripcion: 'Eliminar créditos', roles: [0] },
+    { codigo: 'creditos.refinanciar', modulo: 'creditos', descripcion: 'Refinanciar créditos', roles: [0, 1] },
+    { codigo: 'creditos.cancelar', modulo: 'creditos', descripcion: 'Cancelar (liquidar) créditos', roles: [0, 1] },
+    { codigo: 'creditos.prorrogar', modulo: 'creditos', descripcion: 'Solicitar prórrogas de cuotas (quien tiene tareas.resolver las aplica sin aprobación)', roles: [0, 1] },
+    { codigo: 'creditos.amortizar', modulo: 'creditos', descripcion: 'Registrar amortizaciones anticipadas (re-plan de cuotas)', roles: [0, 1] },
+    { codigo: 'solicitudes.ver', modulo: 'solicitudes', descripcion: 'Ver solicitudes de crédito, su checklist e historial', roles: [0, 1] },
+    { codigo: 'solicitudes.gestionar', modulo: 'solicitudes', descripcion: 'Cargar, editar, enviar a evaluación, comentar y cancelar solicitudes de crédito', roles: [0, 1] },
+    { codigo: 'solicitudes.aprobar', modulo: 'solicitudes', descripcion: 'Verificar documentos y aprobar o rechazar solicitudes de crédito', roles: [0, 1] },
+    { codigo: 'solicitudes.desembolsar', modulo: 'solicitudes', descripcion: 'Desembolsar solicitudes aprobadas (crea el crédito y el egreso en caja)', roles: [0, 1] },
+    { codigo: 'garantes.ver', modulo: 'garantes', descripcion: 'Ver garantes y los créditos que garantizan', roles: [0, 1] },
+    { codigo: 'garantes.gestionar', modulo: 'garantes', descripcion: 'Crear y editar garantes, vincularlos y desvincularlos de créditos', roles: [0, 1] },
+    { codigo: 'puntaje.ver', modulo: 'puntaje', descripcion: 'Ver el puntaje crediticio explicado, su historial y las reglas', roles: [0, 1] },
+    { codigo: 'puntaje.recalcular', modulo: 'puntaje', descripcion: 'Recalcular y guardar en el momento el puntaje de un cliente', roles: [0, 1] },
+    { codigo: 'puntaje.configurar', modulo: 'puntaje', descripcion: 'Editar las reglas del puntaje y recalcular todos los clientes', roles: [0] },
+
+    // Cuotas / pagos / recibos
+    { codigo: 'cuotas.ver', modulo: 'cuotas', descripcion: 'Ver cuotas, vencidas y ruta de cobro', roles: [0, 1, 2] },
+    { codigo: 'cuotas.gestionar', modulo: 'cuotas', descripcion: 'Crear, editar, eliminar cuotas y recalcular mora', roles: [0, 1] },
+    { codigo: 'cuotas.actualizar_vencidas', modulo: 'cuotas', descripcion: 'Disparar la actualización de cuotas vencidas', roles: [0, 1, 2] },
+    { codigo: 'pagos.ver', modulo: 'pagos', descripcion: 'Ver historial de pagos', roles: [0, 1, 2] },
+    { codigo: 'pagos.registrar', modulo: 'pagos', descripcion: 'Registrar pagos parciales y totales', roles: [0, 1] },
+    { codigo: 'pagos.descuento_mora', modulo: 'pagos', descripcion: 'Aplicar descuentos sobre mora al cobrar', roles: [0, 1] },
+    { codigo: 'pagos.descuento_total', modulo: 'pagos', descripcion: 'Aplicar descuentos sin límite al cobrar o cancelar (interés / capital, no solo mora)', roles: [0] },
+    { codigo: 'gestiones.ver', modulo: 'gestiones', descripcion: 'Ver gestiones de cobranza (el cobrador solo las propias)', roles: [0, 1, 2] },
+    { codigo: 'gestiones.registrar', modulo: 'gestiones', descripcion: 'Registrar visitas, llamadas, mensajes y promesas de pago', roles: [0, 1, 2] },
+    { codigo: 'gestiones.reportes', modulo: 'gestiones', descripcion: 'Reportes de promesas de pago incumplidas por cobrador y zona', roles: [0, 1] },
+    { codigo: 'recibos.ver', modulo: 'recibos', descripcion: 'Ver recibos', roles: [0, 1, 2] },
+    { codigo: 'calendario.ver', modulo: 'calendario', descripcion: 'Ver feriados, cierres y días sin cobranza', roles: [0, 1] },
+    { codigo: 'calendario.gestionar', modulo: 'calendario', descripcion: 'Cargar feriados y cierres y configurar vencimientos y gracia de mora', roles: [0] },
+
+    // Caja
+    { codigo: 'caja.movimientos', modulo: 'caja', descripcion: 'Registrar movimientos manuales de caja', roles: [0, 1] },
+    { codigo: 'caja.exportar', modulo: 'caja', descripcion: 'Exportar caja a Excel', roles: [0, 1] },
+
+    // Catálogos
+    { codigo: 'zonas.ver', modulo: 'zonas', descripcion: 'Ver zonas', roles: [0, 1] },
+    { codigo: 'zonas.gestionar', modulo: 'zonas', descripcion: 'Crear, editar, eliminar zonas', roles: [0] },
+    { codigo: 'formas_pago.ver', modulo: 'formas_pago', descripcion: 'Ver formas de pago', roles: [0, 1] },
+    { codigo: 'formas_pago.gestionar', modulo: 'formas_pago', descripcion: 'Crear, editar, eliminar formas de pago', roles: [0] },
+    { codigo: 'proveedores.ver', modulo: 'proveedores', descripcion: 'Ver proveedores', roles: [0, 1, 2] },
+    { codigo: 'proveedores.gestionar', modulo: 'proveedores', descripcion: 'Crear, editar, eliminar proveedores', roles: [0, 1] },
+
+    // Operaciones comerciales
+    { codigo: 'ventas.gestionar', modulo: 'ventas', descripcion: 'Registrar y eliminar ventas manuales', roles: [0, 1] },
+    { codigo: 'compras.gestionar', modulo: 'compras', descripcion: 'Registrar, editar y eliminar compras', roles: [0, 1] },
+    { codigo: 'gastos.gestionar', modulo: 'gastos', descripcion: 'Registrar, editar y eliminar gastos', roles: [0, 1] },
+
+    // Tareas (aprobaciones)
+    { codigo: 'auditoria.ver', modulo: 'auditoria', descripcion: 'Consultar y exportar el log de auditoría', roles: [0] },
+    { codigo: 'tareas.solicitar', modulo: 'tareas', descripcion: 'Solicitar tareas que requieren aprobación', roles: [1] },
+    { codigo: 'tareas.resolver', modulo: 'tareas', descripcion: 'Listar, aprobar y rechazar tareas pendientes', roles: [0] }
+];
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+/* ───────────────── Cache por rol ───────────────── */
+
+// Evita ir a DB en cada request. Se invalida al editar permisos; TTL para multi-instancia.
+const CACHE_TTL_MS = 60 * 1000;
+const cachePermisos = new Map(); // rolId -> { codigos: Set<string>, ts }
+
+export const invalidarCachePermisos = (rolId = null) => {
+    if (rolId == null) cachePermisos.clear();
+    else cachePermisos.delete(asInt(rolId));
+};
+
+/** Set de códigos de permiso del rol. */
+export const obtenerCodigosPermisoRol = async (rolId) => {
+    const id = asInt(rolId);
+    if (id == null) return new Set();
+
+    const hit = cachePermisos.get(id);
+    if (hit && Date.now() - hit.ts < CACHE_TTL_MS) return hit.codigos;
+
+    const rows = await RolPermiso.findAll({
+        where: { rol_id: id },
+        attributes: ['permiso_id'],
+        raw: true
+    });
+    const permisoIds = rows.map((r) => r.permiso_id);
+
+    const permisos = permisoIds.length
+        ? await Permiso.findAll({ where: { id: { [Op.in]: permisoIds } }, attributes: ['codigo'], raw: true })
+        : [];
+
+    const codigos = new Set(permisos.map((p) => p.codigo));
+    cachePermisos.set(id, { codigos, ts: Date.now() });
+    return codigos;
+};
+
+/**
+ * ¿El rol tiene alguno de los permisos?
+ * El superadmin siempre pasa (evita quedar afuera por una mala edición de permisos).
+ */
+export const rolTienePermiso = async (rolId, codigos = []) => {
+    const id = asInt(rolId);
+    if (id === ROL_SUPERADMIN) return true;
+    const lista = Array.isArray(codigos) ? codigos : [codigos];
+    const set = await obtenerCodigosPermisoRol(id);
+    return lista.some((c) => set.has(c));
+};
+
+/**
+ * 403 si el rol no tiene ninguno de los permisos (segunda defensa dentro de los services).
+ * rolId null = llamada interna (cron, otro service): no se chequea, como hasta ahora.
+ */
+export const assertRolPermiso = async (rolId, codigos = [], mensaje = 'No tenés permisos para esta operación.') => {
+    if (rolId === null || rolId === undefined) return;
+    if (!(await rolTienePermiso(rolId, codigos))) throw httpError(403, mensaje, 'PERMISO_DENEGADO');
+};
+
+/**
+ * Alcance de los descuentos al cobrar según permisos:
+ * - 'total': pagos.descuento_total (mora, interés y capital según la operación)
+ * - 'mora' : solo pagos.descuento_mora
+ * - null   : sin descuentos
+ */
+export const alcanceDescuentoRol = async (rolId) => {
+    if (rolId === null || rolId === undefined) return null;
+    if (await rolTienePermiso(rolId, ['pagos.descuento_total'])) return 'total';
+    if (await rolTienePermiso(rolId, ['pagos.descuento_mora'])) return 'mora';
+    return null;
+};
+
+/* ───────────────── Sincronización del catálogo ───────────────── */
+
+/**
+ * Inserta los permisos nuevos del catálogo y les asigna sus roles por defecto.
+ * Los permisos existentes solo actualizan descripción/módulo: nunca se pisan asignaciones.
+ */
+export const sincronizarCatalogoPermisos = async () => {
+    const existentes = await Permiso.findAll({ attributes: ['id', 'codigo', 'modulo', 'descripcion'] });
+    const porCodigo = new Map(existentes.map((p) => [p.codigo, p]));
+
+    const rolesExistentes = new Set(
+        (await Role.findAll({ attributes: ['id'], raw: true })).map((r) => Number(r.id))
+    );
+
+    let creados = 0;
+
+    await sequelize.transaction(async (t) => {
+        for (const def of CATALOGO_PERMISOS) {
+            const actual = porCodigo.get(def.codigo);
+
+            if (actual) {
+                if (actual.modulo !== def.modulo || actual.descripcion !== def.descripcion) {
+                    await actual.update({ modulo: def.modulo, descripcion: def.descripcion }, { transaction: t });
+                }
+                continue;
+            }
+
+            const nuevo = await Permiso.create(
+                { codigo: def.codigo, modulo: def.modulo, descripcion: def.descripcion },
+                { transaction: t }
+            );
+            creados += 1;
+
+            const asignaciones = def.roles
+                .filter((rolId) => rolesExistentes.has(rolId))
+                .map((rolId) => ({ rol_id: rolId, permiso_id: nuevo.id }));
+
+            if (asignaciones.length) {
+                await RolPermiso.bulkCreate(asignaciones, { transaction: t });
+            }
+        }
+    });
+
+    invalidarCachePermisos();
+    return { creados };
+};
+
+/* ───────────────── Consultas ───────────────── */
+
+export const obtenerCatalogoPermisos = async () =>
+    Permiso.findAll({ order: [['modulo', 'ASC'], ['codigo', 'ASC']] });
+
+export const obtenerRolesConPermisos = async () =>
+    Role.findAll({
+        include: [{ model: Permiso, as: 'permisos', through: { attributes: [] }, attributes: ['id', 'codigo'] }],
+        order: [['id', 'ASC']]
+    });
+
+export const obtenerPermisosDeRol = async (rolId) => {
+    const rol = await Role.findByPk(asInt(rolId), {
+        include: [{ model: Permiso, as: 'permisos', through: { attributes: [] } }]
+    });
+    if (!rol) throw httpError(404, 'Rol no encontrado', 'ROL_NO_ENCONTRADO');
+    return rol;
+};
+
+/* ───────────────── Edición ───────────────── */
+
+/** Reemplaza los permisos del rol por la lista de códigos recibida. */
+export const asignarPermisosRol = async (rolId, codigos = []) => {
+    const id = asInt(rolId);
+    const rol = await Role.findByPk(id);
+    if (!rol) throw httpError(404, 'Rol no encontrado', 'ROL_NO_ENCONTRADO');
+
+    if (!Array.isArray(codigos)) throw httpError(400, 'permisos debe ser un array de códigos');
+
+    const unicos = [...new Set(codigos.map((c) => String(c ?? '').trim()).filter(Boolean))];
+    const permisos = unicos.length
+        ? await Permiso.findAll({ where: { codigo: { [Op.in]: unicos } }, attributes: ['id', 'codigo'] })
+        : [];
+
+    const encontrados = new Set(permisos.map((p) => p.codigo));
+    const desconocidos = unicos.filter((c) => !encontrados.has(c));
+    if (desconocidos.length) {
+        throw httpError(400, `Permisos inexistentes: ${desconocidos.join(', ')}`, 'PERMISO_INEXISTENTE');
+    }
+
+    await sequelize.transaction(async (t) => {
+        await RolPermiso.destroy({ where: { rol_id: id }, transaction: t });
+        if (permisos.length) {
+            await RolPermiso.bulkCreate(
+                permisos.map((p) => ({ rol_id: id, permiso_id: p.id })),
+                { transaction: t }
+            );
+        }
+    });
+
+    invalidarCachePermisos(id);
+    return obtenerPermisosDeRol(id);
+};
+
+/**
+ * Crea un rol custom (ej: "auditor", "cajero").
+ * El id se calcula explícitamente: los roles base se insertaron con id fijo (0/1/2)
+ * y la secuencia de PG puede no estar al día.
+ */
+export const crearRol = async ({ nombre_rol, permisos = [] } = {}) => {
+    const nombre = String(nombre_rol ?? '').trim();
+    if (!nombre) throw httpError(400, 'El nombre del rol es obligatorio');
+
+    const existente = await Role.findOne({ where: { nombre_rol: nombre } });
+    if (existente) throw httpError(409, 'Ya existe un rol con ese nombre', 'ROL_DUPLICADO');
+
+    const maxId = await Role.max('id');
+    const nuevoId = Math.max(Number(maxId) || 0, ROL_COBRADOR) + 1;
+
+    const rol = await Role.create({ id: nuevoId, nombre_rol: nombre });
+
+    if (Array.isArray(permisos) && permisos.length) {
+        return asignarPermisosRol(rol.id, permisos);
+    }
+    return obtenerPermisosDeRol(rol.id);
+};
+
+export const actualizarRol = async (rolId, { nombre_rol } = {}) => {
+    const rol = await Role.findByPk(asInt(rolId));
+    if (!rol) throw httpError(404, 'Rol no encontrado', 'ROL_NO_ENCONTRADO');
+
+    const nombre = String(nombre_rol ?? '').trim();
+    if (!nombre) throw httpError(400, 'El nombre del rol es obligatorio');
+
+    const duplicado = await Role.findOne({ where: { nombre_rol: nombre, id: { [Op.ne]: rol.id } } });
+    if (duplicado) throw httpError(409, 'Ya existe un rol con ese nombre', 'ROL_DUPLICADO');
+
+    await rol.update({ nombre_rol: nombre });
+    return rol;
+};
+
+export const eliminarRol = async (rolId) => {
+    const id = asInt(rolId);
+    if (ROLES_BASE.includes(id)) throw httpError(400, 'Los roles base del sistema no se pueden eliminar');
+
+    const rol = await Role.findByPk(id);
+    if (!rol) throw httpError(404, 'Rol no encontrado', 'ROL_NO_ENCONTRADO');
+
+    const usuarios = await Usuario.count({ where: { rol_id: id } });
+    if (usuarios > 0) throw httpError(409, 'No se puede eliminar un rol con usuarios asignados', 'ROL_EN_USO');
+
+    await sequelize.transaction(async (t) => {
+        await RolPermiso.destroy({ where: { rol_id: id }, transaction: t });
+        await Role.destroy({ where: { id }, transaction: t });
+    });
+
+    invalidarCachePermisos(id);
+};
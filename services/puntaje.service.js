@@ -1,5 +1,21 @@
-import { Cliente, Credito, Cuota } from '../models/associations.js';
+// services/puntaje.service.js
+// Puntaje crediticio del cliente (0..100 por defecto) con reglas configurables.
+// - Pesos y umbrales en PuntajeConfiguracion (versionada); sin configuración se usan REGLAS_DEFAULT
+// - Puntualidad real: último Pago.fecha_pago de la cuota vs vencimiento efectivo
+//   (fecha_vencimiento corrida al siguiente día hábil si hay gracia, igual que la mora)
+// - Cada cambio de puntaje queda en PuntajeHistorial con el desglose que lo explica
+import {
+    Cliente,
+    Credito,
+    Cuota,
+    Pago,
+    PuntajeConfiguracion,
+    PuntajeHistorial
+} from '../models/associations.js';
+import sequelize from '../models/sequelize.js';
 import { differenceInDays, parseISO, isValid } from 'date-fns';
+import { LIBRE_VTO_FICTICIO } from './credito/credito.utils.js';
+import { asegurarCalendario, vencimientoEfectivoMora } from './calendario.service.js';
 
 const safeParseISO = (v) => {
     if (v === null || v === undefined) return null;
@@ -18,87 +34,441 @@ const safeParseISO = (v) => {
     }
 };
 
-export const calcularPuntajeCliente = async (clienteId) => {
-    const cliente = await Cliente.findByPk(clienteId);
-    if (!cliente) throw new Error('Cliente no encontrado');
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
 
-    let puntaje = 0;
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
 
-    // 🗓️ Antigüedad (si no hay fecha_registro válida, no suma ni resta)
-    const fechaRegistro = safeParseISO(cliente.fecha_registro);
-    if (fechaRegistro) {
-        const diasAntiguedad = differenceInDays(new Date(), fechaRegistro);
-        if (diasAntiguedad >= 365) puntaje += 5;
-    }
+const redondear2 = (n) => Math.round(Number(n || 0) * 100) / 100;
 
-    // 📄 Traer créditos y cuotas
-    const creditos = await Credito.findAll({
-        where: { cliente_id: clienteId },
-        include: [{ model: Cuota, as: 'cuotas' }]
+/* ───────────────── Reglas ───────────────── */
+
+/**
+ * Reglas por defecto (replican los pesos históricos + tramo "muy tarde").
+ * `puntos` puede ser negativo; dias_* y monto_* son umbrales (>= 0).
+ */
+export const REGLAS_DEFAULT = Object.freeze({
+    base: 0,
+    minimo: 0,
+    maximo: 100,
+    antiguedad: { dias_minimos: 365, puntos: 5 },
+    cuota_a_tiempo: { tolerancia_dias: 0, puntos: 10 },
+    cuota_tarde: { puntos: -5 },
+    cuota_muy_tarde: { dias_minimos: 30, puntos: -10 },
+    cuota_vencida: { puntos: -15 },
+    credito_vigente_sin_mora: { puntos: 10 },
+    credito_con_mora: { puntos: -30 },
+    total_devuelto: { monto_minimo: 100000, puntos: 10 },
+
+    // Límite de crédito derivado del puntaje (si el cliente no tiene límite manual).
+    // Se usa la banda de mayor puntaje_minimo alcanzado; [] = sin límite por puntaje.
+    bandas_limite: [
+        { puntaje_minimo: 80, limite: 1000000 },
+        { puntaje_minimo: 60, limite: 600000 },
+        { puntaje_minimo: 40, limite: 300000 },
+        { puntaje_minimo: 20, limite: 150000 },
+        { puntaje_minimo: 0, limite: 80000 }
+    ]
+});
+
+const DESCRIPCIONES = {
+    antiguedad: 'Antigüedad como cliente',
+    cuota_a_tiempo: 'Cuotas pagadas a tiempo',
+    cuota_tarde: 'Cuotas pagadas con atraso',
+    cuota_muy_tarde: 'Cuotas pagadas con atraso grave',
+    cuota_vencida: 'Cuotas vencidas impagas',
+    credito_vigente_sin_mora: 'Crédito vigente sin mora',
+    credito_con_mora: 'Crédito en mora',
+    total_devuelto: 'Total devuelto',
+    bandas_limite: 'Límite de crédito por puntaje (puntaje mínimo → límite)'
+};
+
+const CAMPOS_UMBRAL = new Set(['dias_minimos', 'tolerancia_dias', 'monto_minimo']);
+
+/** Bandas { puntaje_minimo, limite } válidas, sin repetidos y ordenadas de mayor a menor puntaje */
+const normalizarBandas = (bandas) => {
+    if (!Array.isArray(bandas)) throw httpError(400, 'bandas_limite debe ser una lista', 'REGLAS_INVALIDAS');
+
+    const vistas = new Set();
+    const out = bandas.map((b, i) => {
+        const puntajeMinimo = Number(b?.puntaje_minimo);
+        const limite = Number(b?.limite);
+        if (!Number.isFinite(puntajeMinimo) || puntajeMinimo < 0 || !Number.isFinite(limite) || limite < 0) {
+            throw httpError(400, `bandas_limite[${i}]: puntaje_minimo y limite deben ser números >= 0`, 'REGLAS_INVALIDAS');
+        }
+        if (vistas.has(puntajeMinimo)) {
+            throw httpError(400, `bandas_limite: puntaje_minimo ${puntajeMinimo} repetido`, 'REGLAS_INVALIDAS');
+        }
+        vistas.add(puntajeMinimo);
+        return { puntaje_minimo: puntajeMinimo, limite };
     });
 
-    let totalDevuelto = 0;
-    let tieneCreditoVigenteSinMora = false;
-    let tieneCreditoConMora = false;
+    return out.sort((a, b) => b.puntaje_minimo - a.puntaje_minimo);
+};
 
-    for (const credito of creditos) {
-        let cuotasVencidas = 0;
+/**
+ * Valida y completa reglas parciales sobre `previas` (merge de un nivel).
+ * Devuelve un objeto nuevo con todas las claves de REGLAS_DEFAULT.
+ */
+const normalizarReglas = (entrada = {}, previas = REGLAS_DEFAULT) => {
+    if (!entrada || typeof entrada !== 'object' || Array.isArray(entrada)) {
+        throw httpError(400, 'reglas debe ser un objeto', 'REGLAS_INVALIDAS');
+    }
+
+    const out = {};
+    for (const [clave, valorPrevio] of Object.entries(previas)) {
+        if (Array.isArray(valorPrevio)) out[clave] = valorPrevio.map((x) => ({ ...x }));
+        else out[clave] = typeof valorPrevio === 'object' ? { ...valorPrevio } : valorPrevio;
+    }
+
+    for (const [clave, valor] of Object.entries(entrada)) {
+        if (!(clave in REGLAS_DEFAULT)) {
+            throw httpError(400, `Regla desconocida: ${clave}`, 'REGLAS_INVALIDAS');
+        }
+
+        if (clave === 'bandas_limite') {
+            out.bandas_limite = normalizarBandas(valor);
+            continue;
+        }
+
+        if (typeof REGLAS_DEFAULT[clave] === 'number') {
+            const n = Number(valor);
+            if (!Number.isFinite(n)) throw httpError(400, `${clave} debe ser numérico`, 'REGLAS_INVALIDAS');
+            out[clave] = n;
+            continue;
+        }
+
+        if (!valor || typeof valor !== 'object' || Array.isArray(valor)) {
+            throw httpError(400, `${clave} debe ser un objeto`, 'REGLAS_INVALIDAS');
+        }
+        for (const [campo, v] of Object.entries(valor)) {
+            if (!(campo in REGLAS_DEFAULT[clave])) {
+                throw httpError(400, `Campo desconocido: ${clave}.${campo}`, 'REGLAS_INVALIDAS');
+            }
+            const n = Number(v);
+            if (!Number.isFinite(n)) throw httpError(400, `${clave}.${campo} debe ser numérico`, 'REGLAS_INVALIDAS');
+            if (CAMPOS_UMBRAL.has(campo) && n < 0) {
+                throw httpError(400, `${clave}.${campo} no puede ser negativo`, 'REGLAS_INVALIDAS');
+            }
+            out[clave][campo] = n;
+        }
+    }
+
+    if (out.minimo >= out.maximo) {
+        throw httpError(400, 'minimo debe ser menor que maximo', 'REGLAS_INVALIDAS');
+    }
+    if (out.cuota_muy_tarde.dias_minimos <= out.cuota_a_tiempo.tolerancia_dias) {
+        throw httpError(400, 'cuota_muy_tarde.dias_minimos debe superar la tolerancia de cuota_a_tiempo', 'REGLAS_INVALIDAS');
+    }
+
+    return out;
+};
+
+/** Configuración activa: { id, reglas } (id null = reglas por defecto) */
+export const obtenerReglasActivas = async () => {
+    const cfg = await PuntajeConfiguracion.findOne({ where: { activa: true }, order: [['id', 'DESC']] });
+    if (!cfg) return { id: null, reglas: normalizarReglas({}) };
+    // Las reglas guardadas se completan con los defaults por si se agregan reglas nuevas
+    return { id: cfg.id, reglas: normalizarReglas(cfg.reglas || {}) };
+};
+
+/* ───────────────── Evaluación ───────────────── */
+
+/** Fecha efectiva de pago de una cuota pagada: el último Pago registrado */
+const fechaPagoEfectiva = (cuota) => {
+    const pagos = Array.isArray(cuota?.pagos) ? cuota.pagos : [];
+    let ultima = null;
+    for (const p of pagos) {
+        const f = safeParseISO(p.fecha_pago);
+        if (f && (!ultima || f > ultima)) ultima = f;
+    }
+    return ultima;
+};
+
+/**
+ * Calcula el puntaje SIN guardar.
+ * Devuelve { puntaje, puntaje_bruto, desglose: [{ regla, descripcion, cantidad, puntos_unitarios, puntos }], metricas }
+ */
+const evaluar = (cliente, creditos, reglas) => {
+    const metricas = {
+        antiguedad_dias: null,
+        cuotas_pagadas: 0,
+        cuotas_a_tiempo: 0,
+        cuotas_tarde: 0,
+        cuotas_muy_tarde: 0,
+        cuotas_pagadas_sin_fecha: 0,
+        promedio_dias_atraso: 0,
+        cuotas_vencidas: 0,
+        creditos_vigentes_sin_mora: 0,
+        creditos_con_mora: 0,
+        total_devuelto: 0
+    };
+
+    // 🗓️ Antigüedad (si no hay fecha_registro válida, no suma ni resta)
+    const fechaRegistro = safeParseISO(cliente.fecha_registro);
+    if (fechaRegistro) metricas.antiguedad_dias = differenceInDays(new Date(), fechaRegistro);
+
+    let diasAtrasoTotal = 0;
 
-        // Seguridad: por si viene null/undefined
+    for (const credito of creditos) {
         const cuotas = Array.isArray(credito?.cuotas) ? credito.cuotas : [];
+        let vencidasCredito = 0;
 
         for (const cuota of cuotas) {
-            const vencimiento = safeParseISO(cuota.fecha_vencimiento);
-
             if (cuota.estado === 'pagada') {
-                // usamos updatedAt como referencia de pago; si no existe usamos "ahora"
-                const fechaPago = safeParseISO(cuota.updatedAt) || safeParseISO(cuota.fecha_vencimiento) || new Date();
-
-                // Si no hay vencimiento válido, no evaluamos “a tiempo/tarde”
-                if (vencimiento) {
-                    if (differenceInDays(fechaPago, vencimiento) <= 0) {
-                        puntaje += 10;
-                    } else {
-                        puntaje -= 5;
-                    }
-                }
+                metricas.cuotas_pagadas++;
 
                 const pagado = Number(cuota.monto_pagado_acumulado);
-                if (Number.isFinite(pagado)) totalDevuelto += pagado;
+                if (Number.isFinite(pagado)) metricas.total_devuelto += pagado;
+
+                // Libre: vencimiento ficticio → no se evalúa puntualidad
+                // Vence en día no hábil con gracia: pagar el siguiente hábil es a tiempo (no genera mora)
+                const vencimiento = cuota.fecha_vencimiento === LIBRE_VTO_FICTICIO
+                    ? null
+                    : safeParseISO(vencimientoEfectivoMora(cuota.fecha_vencimiento));
+                const fechaPago = fechaPagoEfectiva(cuota);
+
+                if (!vencimiento || !fechaPago) {
+                    metricas.cuotas_pagadas_sin_fecha++;
+                    continue;
+                }
+
+                const atraso = differenceInDays(fechaPago, vencimiento);
+                if (atraso <= reglas.cuota_a_tiempo.tolerancia_dias) {
+                    metricas.cuotas_a_tiempo++;
+                } else if (atraso >= reglas.cuota_muy_tarde.dias_minimos) {
+                    metricas.cuotas_muy_tarde++;
+                    diasAtrasoTotal += atraso;
+                } else {
+                    metricas.cuotas_tarde++;
+                    diasAtrasoTotal += atraso;
+                }
             }
 
             if (cuota.estado === 'vencida') {
-                cuotasVencidas++;
-                puntaje -= 15;
+                vencidasCredito++;
+                metricas.cuotas_vencidas++;
             }
         }
 
-        if (credito.estado === 'pendiente' && cuotasVencidas === 0) {
-            tieneCreditoVigenteSinMora = true;
-        }
+        if (credito.estado === 'pendiente' && vencidasCredito === 0) metricas.creditos_vigentes_sin_mora++;
+        if (credito.estado === 'vencido') metricas.creditos_con_mora++;
+    }
+
+    const atrasadas = metricas.cuotas_tarde + metricas.cuotas_muy_tarde;
+    metricas.promedio_dias_atraso = atrasadas ? redondear2(diasAtrasoTotal / atrasadas) : 0;
+    metricas.total_devuelto = redondear2(metricas.total_devuelto);
+
+    // Cantidad de veces que aplica cada regla (las "de estado" aplican una sola vez)
+    const cantidades = {
+        antiguedad: metricas.antiguedad_dias !== null && metricas.antiguedad_dias >= reglas.antiguedad.dias_minimos ? 1 : 0,
+        cuota_a_tiempo: metricas.cuotas_a_tiempo,
+        cuota_tarde: metricas.cuotas_tarde,
+        cuota_muy_tarde: metricas.cuotas_muy_tarde,
+        cuota_vencida: metricas.cuotas_vencidas,
+        credito_vigente_sin_mora: metricas.creditos_vigentes_sin_mora > 0 ? 1 : 0,
+        credito_con_mora: metricas.creditos_con_mora > 0 ? 1 : 0,
+        total_devuelto: metricas.total_devuelto >= reglas.total_devuelto.monto_minimo ? 1 : 0
+    };
+
+    const desglose = [];
+    let bruto = reglas.base;
+    for (const [regla, cantidad] of Object.entries(cantidades)) {
+        if (!cantidad) continue;
+        const unitarios = reglas[regla].puntos;
+        const puntos = redondear2(cantidad * unitarios);
+        bruto += puntos;
+        desglose.push({ regla, descripcion: DESCRIPCIONES[regla], cantidad, puntos_unitarios: unitarios, puntos });
+    }
+
+    // 🚨 Aseguramos que esté entre mínimo y máximo
+    const puntaje = Math.round(Math.max(reglas.minimo, Math.min(bruto, reglas.maximo)));
+
+    return { puntaje, puntaje_bruto: redondear2(bruto), base: reglas.base, desglose, metricas };
+};
+
+const cargarCreditosParaPuntaje = (clienteId) =>
+    Credito.findAll({
+        where: { cliente_id: clienteId },
+        attributes: ['id', 'estado'],
+        include: [
+            {
+                model: Cuota,
+                as: 'cuotas',
+                attributes: ['id', 'estado', 'fecha_vencimiento', 'monto_pagado_acumulado'],
+                include: [{ model: Pago, as: 'pagos', attributes: ['id', 'fecha_pago'] }]
+            }
+        ]
+    });
+
+/**
+ * Evalúa el puntaje del cliente con las reglas activas, sin persistir.
+ * Devuelve { cliente, configuracion_id, reglas, evaluacion }
+ */
+const evaluarPuntajeCliente = async (clienteId, config = null) => {
+    const cliente = await Cliente.findByPk(clienteId, { attributes: ['id', 'fecha_registro', 'puntaje_crediticio'] });
+    if (!cliente) throw httpError(404, 'Cliente no encontrado');
+
+    const { id: configuracionId, reglas } = config || (await obtenerReglasActivas());
+    const creditos = await cargarCreditosParaPuntaje(cliente.id);
+    await asegurarCalendario(); // evaluar() consulta el calendario (sincrónico, sobre el cache)
+
+    return { cliente, configuracion_id: configuracionId, reglas, evaluacion: evaluar(cliente, creditos, reglas) };
+};
+
+/**
+ * Recalcula y guarda el puntaje (Cliente.puntaje_crediticio + historial si cambió).
+ * Se llama después de cada pago (origen 'pago'), en el cron nocturno, tras fusionar clientes y a demanda.
+ * Devuelve el puntaje (number), como siempre.
+ */
+export const calcularPuntajeCliente = async (clienteId, { origen = 'pago', config = null } = {}) => {
+    const { cliente, configuracion_id, evaluacion } = await evaluarPuntajeCliente(clienteId, config);
+
+    const anterior = Number(cliente.puntaje_crediticio);
+    const cambio = anterior !== evaluacion.puntaje;
+    const tieneHistorial = cambio
+        ? true
+        : (await PuntajeHistorial.count({ where: { cliente_id: cliente.id } })) > 0;
+
+    if (cambio || !tieneHistorial) {
+        await sequelize.transaction(async (t) => {
+            if (cambio) {
+                // 📝 Guardamos
+                await Cliente.update(
+                    { puntaje_crediticio: evaluacion.puntaje },
+                    { where: { id: cliente.id }, transaction: t }
+                );
+            }
+            await PuntajeHistorial.create(
+                {
+                    cliente_id: cliente.id,
+                    puntaje: evaluacion.puntaje,
+                    puntaje_anterior: Number.isFinite(anterior) ? anterior : null,
+                    desglose: { desglose: evaluacion.desglose, metricas: evaluacion.metricas, puntaje_bruto: evaluacion.puntaje_bruto },
+                    configuracion_id,
+                    origen
+                },
+                { transaction: t }
+            );
+        });
+    }
 
-        if (credito.estado === 'vencido') {
-            tieneCreditoConMora = true;
+    return evaluacion.puntaje;
+};
+
+/**
+ * Recalcula el puntaje de todos los clientes (cron nocturno / botón de admin).
+ * Secuencial para no saturar la base; un cliente con error no corta el resto.
+ */
+export const recalcularPuntajes = async ({ origen = 'cron' } = {}) => {
+    const config = await obtenerReglasActivas();
+    const clientes = await Cliente.findAll({ attributes: ['id', 'puntaje_crediticio'], order: [['id', 'ASC']], raw: true });
+
+    const resumen = { procesados: 0, cambiados: 0, errores: 0 };
+    for (const c of clientes) {
+        try {
+            const puntaje = await calcularPuntajeCliente(c.id, { origen, config });
+            resumen.procesados++;
+            if (puntaje !== Number(c.puntaje_crediticio)) resumen.cambiados++;
+        } catch (e) {
+            resumen.errores++;
+            console.error('[puntaje] Error al recalcular cliente', c.id, e?.message || e);
         }
     }
+    return resumen;
+};
+
+/* ───────────────── Consultas ───────────────── */
+
+/**
+ * Puntaje explicado: cálculo en vivo (con desglose y métricas) + puntaje guardado + últimos cambios.
+ */
+export const obtenerPuntajeCliente = async (clienteId) => {
+    const id = asInt(clienteId);
+    if (!id || id <= 0) throw httpError(400, 'ID de cliente inválido');
 
-    // ✔️ Crédito vigente sin mora
-    if (tieneCreditoVigenteSinMora) puntaje += 10;
+    const { cliente, configuracion_id, reglas, evaluacion } = await evaluarPuntajeCliente(id);
 
-    // ❌ Crédito con mora
-    if (tieneCreditoConMora) puntaje -= 30;
+    const historial = await PuntajeHistorial.findAll({
+        where: { cliente_id: id },
+        attributes: ['id', 'puntaje', 'puntaje_anterior', 'origen', 'configuracion_id', 'fecha'],
+        order: [['fecha', 'DESC'], ['id', 'DESC']],
+        limit: 20
+    });
+
+    return {
+        cliente_id: cliente.id,
+        puntaje: evaluacion.puntaje,
+        puntaje_guardado: cliente.puntaje_crediticio,
+        desactualizado: cliente.puntaje_crediticio !== evaluacion.puntaje,
+        puntaje_bruto: evaluacion.puntaje_bruto,
+        base: evaluacion.base,
+        rango: { minimo: reglas.minimo, maximo: reglas.maximo },
+        desglose: evaluacion.desglose,
+        metricas: evaluacion.metricas,
+        configuracion_id,
+        historial
+    };
+};
+
+export const obtenerHistorialPuntaje = async (clienteId, query = {}) => {
+    const id = asInt(clienteId);
+    if (!id || id <= 0) throw httpError(400, 'ID de cliente inválido');
+
+    const page = Math.max(1, asInt(query.page) || 1);
+    const limit = Math.min(200, Math.max(1, asInt(query.limit) || 50));
+
+    const { rows, count } = await PuntajeHistorial.findAndCountAll({
+        where: { cliente_id: id },
+        order: [['fecha', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+    });
+
+    return { data: rows, pagination: { page, limit, total: count } };
+};
 
-    // 💵 Total devuelto mayor a $100.000
-    if (totalDevuelto >= 100000) puntaje += 10;
+/* ───────────────── Configuración ───────────────── */
 
-    // 🚨 Aseguramos que esté entre 0 y 100
-    puntaje = Math.max(0, Math.min(puntaje, 100));
+export const obtenerConfiguracionPuntaje = async () => {
+    const cfg = await PuntajeConfiguracion.findOne({ where: { activa: true }, order: [['id', 'DESC']] });
+    return {
+        id: cfg?.id ?? null,
+        es_default: !cfg,
+        reglas: normalizarReglas(cfg?.reglas || {}),
+        reglas_default: REGLAS_DEFAULT,
+        descripciones: DESCRIPCIONES,
+        nota: cfg?.nota ?? null,
+        creado_por: cfg?.creado_por ?? null,
+        fecha_creacion: cfg?.fecha_creacion ?? null
+    };
+};
 
-    // 📝 Guardamos
-    await Cliente.update(
-        { puntaje_crediticio: puntaje },
-        { where: { id: clienteId } }
-    );
+/**
+ * Crea una versión nueva de las reglas (parciales: se completan con las vigentes) y la activa.
+ * Body: { reglas: {...}, nota? }. No recalcula: lo hace el cron de la noche o POST /puntaje/recalcular.
+ */
+export const actualizarConfiguracionPuntaje = async ({ reglas, nota } = {}, { usuarioId = null } = {}) => {
+    const { reglas: vigentes } = await obtenerReglasActivas();
+    const nuevas = normalizarReglas(reglas ?? {}, vigentes);
 
-    return puntaje;
-};
\ No newline at end of file
+    return sequelize.transaction(async (t) => {
+        await PuntajeConfiguracion.update({ activa: false }, { where: { activa: true }, transaction: t });
+        return PuntajeConfiguracion.create(
+            {
+                reglas: nuevas,
+                activa: true,
+                nota: nota ? String(nota).trim().slice(0, 500) : null,
+                creado_por: usuarioId
+            },
+            { transaction: t }
+        );
+    });
+};
@@ -0,0 +1,276 @@
+// services/sesion.service.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import SesionUsuario from '../models/SesionUsuario.js';
+import Usuario from '../models/Usuario.js';
+import { assertHorarioLogin } from './acceso.service.js';
+
+/* ───────────────── Config ───────────────── */
+
+// Access token corto: si un usuario se desactiva, a lo sumo queda vivo hasta que expire
+// (y verifyToken además chequea la sesión contra DB en cada request).
+const getAccessExpiresIn = () => process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+const getRefreshTtlDays = () => {
+    const n = Number.parseInt(String(process.env.REFRESH_TOKEN_TTL_DAYS ?? ''), 10);
+    return Number.isFinite(n) && n > 0 ? n : 30;
+};
+
+// Un refresh token recién rotado sigue reconociéndose unos segundos (dos pestañas, reintentos de red):
+// en esa ventana se responde 409 sin revocar; fuera de ella se trata como reuso (robo).
+const getGraciaRotacionSeg = () => {
+    const n = Number.parseInt(String(process.env.REFRESH_GRACIA_SEGUNDOS ?? ''), 10);
+    return Number.isFinite(n) && n >= 0 ? n : 30;
+};
+
+// Tokens legados (sin sid, previos a las sesiones): solo se aceptan hasta esta antigüedad
+// y, si se define JWT_LEGADO_HASTA (fecha ISO), nunca después de esa fecha.
+const getLegadoMaxHoras = () => {
+    const n = Number.parseInt(String(process.env.JWT_LEGADO_MAX_HORAS ?? ''), 10);
+    return Number.isFinite(n) && n > 0 ? n : 8;
+};
+
+const getJwtSecret = () => {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        const err = new Error('Configuración inválida: falta JWT_SECRET');
+        err.status = 500;
+        throw err;
+    }
+    return secret;
+};
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+/**
+ * Refresh token con formato "<sesionId>.<secreto>".
+ * El id permite ubicar la sesión sin escanear la tabla; el secreto se compara por hash.
+ */
+const buildRefreshToken = (sesionId) => {
+    const secreto = crypto.randomBytes(48).toString('base64url');
+    return `${sesionId}.${secreto}`;
+};
+
+const parseRefreshToken = (raw) => {
+    const s = typeof raw === 'string' ? raw.trim() : '';
+    const idx = s.indexOf('.');
+    if (idx <= 0) return null;
+    const sesionId = asInt(s.slice(0, idx));
+    if (!sesionId) return null;
+    return { sesionId, token: s };
+};
+
+const truncate = (v, max) => {
+    if (v == null) return null;
+    const s = String(v);
+    return s.length > max ? s.slice(0, max) : s;
+};
+
+const firmarAccessToken = ({ id, rol_id }, sesionId) =>
+    jwt.sign({ id, rol_id, sid: sesionId }, getJwtSecret(), { expiresIn: getAccessExpiresIn() });
+
+const buildRespuestaTokens = (usuario, sesion, refreshToken) => ({
+    token: firmarAccessToken(usuario, sesion.id),
+    refresh_token: refreshToken,
+    expires_in: getAccessExpiresIn(),
+    refresh_expires_at: sesion.expira_en
+});
+
+/* ───────────────── API ───────────────── */
+
+/**
+ * Crea una sesión nueva para el usuario y devuelve access + refresh token.
+ * usuario: { id, rol_id }
+ */
+export const crearSesion = async (usuario, { ip = null, userAgent = null } = {}) => {
+    const ahora = new Date();
+    const expira = new Date(ahora.getTime() + getRefreshTtlDays() * 24 * 60 * 60 * 1000);
+
+    // Creamos primero con un hash provisorio para obtener el id (forma parte del token)
+    const sesion = await SesionUsuario.create({
+        usuario_id: usuario.id,
+        refresh_token_hash: sha256(crypto.randomBytes(16)),
+        ip: truncate(ip, 64),
+        user_agent: truncate(userAgent, 255),
+        creada_en: ahora,
+        ultimo_uso: ahora,
+        expira_en: expira
+    });
+
+    const refreshToken = buildRefreshToken(sesion.id);
+    await sesion.update({ refresh_token_hash: sha256(refreshToken) });
+
+    return buildRespuestaTokens(usuario, sesion, refreshToken);
+};
+
+/**
+ * Rota el refresh token: valida el token recibido, emite uno nuevo y un access token fresco.
+ * La fila de la sesión queda bloqueada (FOR UPDATE) durante la rotación: dos refresh
+ * simultáneos se serializan y el segundo ve el token ya rotado.
+ * - Token desconocido/expirado/revocado → 401
+ * - Token recién rotado (dentro de REFRESH_GRACIA_SEGUNDOS) → 409, la sesión sigue viva
+ * - Token ya rotado fuera de la ventana (reuso) → se revoca la sesión completa y 401
+ */
+export const refrescarSesion = async (refreshTokenRaw, { ip = null, userAgent = null } = {}) => {
+    const parsed = parseRefreshToken(refreshTokenRaw);
+    if (!parsed) throw httpError(401, 'Refresh token inválido', 'REFRESH_INVALIDO');
+
+    const hash = sha256(parsed.token);
+
+    // Las revocaciones se confirman aunque la respuesta sea un error: se devuelven y se lanzan afuera
+    const { error, respuesta } = await SesionUsuario.sequelize.transaction(async (t) => {
+        const sesion = await SesionUsuario.findByPk(parsed.sesionId, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!sesion) throw httpError(401, 'Sesión inexistente', 'SESION_INEXISTENTE');
+
+        if (sesion.revocada_en) throw httpError(401, 'Sesión revocada', 'SESION_REVOCADA');
+        if (new Date(sesion.expira_en) <= new Date()) throw httpError(401, 'Sesión expirada', 'SESION_EXPIRADA');
+
+        if (hash !== sesion.refresh_token_hash) {
+            const rotadoHace = sesion.rotado_en ? Date.now() - new Date(sesion.rotado_en).getTime() : Infinity;
+            if (hash === sesion.refresh_token_hash_anterior && rotadoHace <= getGraciaRotacionSeg() * 1000) {
+                // Carrera legítima: otro request ya rotó este token hace instantes
+                throw httpError(409, 'El refresh token ya fue renovado: usá el más reciente', 'REFRESH_YA_ROTADO');
+            }
+
+            // Alguien usó un refresh token ya rotado: cortamos la sesión entera
+            await sesion.update({ revocada_en: new Date(), motivo_revocacion: 'reuso_refresh_token' }, { transaction: t });
+            return { error: httpError(401, 'Refresh token reutilizado: sesión revocada', 'REFRESH_REUTILIZADO') };
+        }
+
+        const usuario = await Usuario.findByPk(sesion.usuario_id, { attributes: ['id', 'rol_id', 'estado'], transaction: t });
+        if (!usuario || usuario.estado === 'inactivo') {
+            await sesion.update({ revocada_en: new Date(), motivo_revocacion: 'usuario_inactivo' }, { transaction: t });
+            return { error: httpError(401, 'Usuario inactivo', 'USUARIO_INACTIVO') };
+        }
+
+        // Fuera de la ventana horaria del rol no se renueva (la sesión sigue viva para el día siguiente)
+        await assertHorarioLogin(usuario.rol_id);
+
+        const ahora = new Date();
+        const nuevoRefresh = buildRefreshToken(sesion.id);
+        await sesion.update({
+            refresh_token_hash: sha256(nuevoRefresh),
+            refresh_token_hash_anterior: hash,
+            rotado_en: ahora,
+            rotaciones: Number(sesion.rotaciones || 0) + 1,
+            ultimo_uso: ahora,
+            ...(ip ? { ip: truncate(ip, 64) } : {}),
+            ...(userAgent ? { user_agent: truncate(userAgent, 255) } : {})
+        }, { transaction: t });
+
+        return { respuesta: buildRespuestaTokens({ id: usuario.id, rol_id: usuario.rol_id }, sesion, nuevoRefresh) };
+    });
+
+    if (error) throw error;
+    return respuesta;
+};
+
+/** Revoca una sesión puntual (logout). Idempotente. */
+export const revocarSesion = async (sesionId, motivo = 'logout') => {
+    const id = asInt(sesionId);
+    if (!id) return 0;
+    const [count] = await SesionUsuario.update(
+        { revocada_en: new Date(), motivo_revocacion: motivo },
+        { where: { id, revocada_en: null } }
+    );
+    return count;
+};
+
+/** Revoca la sesión dueña de un refresh token (logout sin access token válido). */
+export const revocarSesionPorRefreshToken = async (refreshTokenRaw, motivo = 'logout') => {
+    const parsed = parseRefreshToken(refreshTokenRaw);
+    if (!parsed) return 0;
+    const sesion = await SesionUsuario.findByPk(parsed.sesionId, { attributes: ['id', 'refresh_token_hash'] });
+    if (!sesion || sesion.refresh_token_hash !== sha256(parsed.token)) return 0;
+    return revocarSesion(sesion.id, motivo);
+};
+
+/**
+ * "Cerrar todas las sesiones" de un usuario.
+ * options.exceptoSesionId permite conservar la sesión actual (ej: el propio usuario cierra las demás).
+ */
+export const revocarSesionesUsuario = async (usuarioId, motivo = 'cerrar_todas', { exceptoSesionId = null, transaction } = {}) => {
+    const uid = asInt(usuarioId);
+    if (!uid) return 0;
+
+    const where = { usuario_id: uid, revocada_en: null };
+    const excepto = asInt(exceptoSesionId);
+    if (excepto) where.id = { [Op.ne]: excepto };
+
+    const [count] = await SesionUsuario.update(
+        { revocada_en: new Date(), motivo_revocacion: motivo },
+        { where, transaction }
+    );
+    return count;
+};
+
+/** Sesiones activas de un usuario (sin hashes). */
+export const obtenerSesionesActivas = async (usuarioId) =>
+    SesionUsuario.findAll({
+        where: {
+            usuario_id: asInt(usuarioId),
+            revocada_en: null,
+            expira_en: { [Op.gt]: new Date() }
+        },
+        attributes: { exclude: ['refresh_token_hash', 'refresh_token_hash_anterior'] },
+        order: [['ultimo_uso', 'DESC']]
+    });
+
+/**
+ * Chequeo liviano para verifyToken: la sesión existe, no está revocada ni expirada,
+ * y el usuario sigue activo. Devuelve true/false.
+ */
+export const sesionVigente = async (sesionId, usuarioId) => {
+    const sesion = await SesionUsuario.findByPk(asInt(sesionId), {
+        attributes: ['id', 'usuario_id', 'revocada_en', 'expira_en'],
+        include: [{ model: Usuario, as: 'usuario', attributes: ['id', 'estado'] }]
+    });
+
+    if (!sesion) return false;
+    if (Number(sesion.usuario_id) !== Number(usuarioId)) return false;
+    if (sesion.revocada_en) return false;
+    if (new Date(sesion.expira_en) <= new Date()) return false;
+    if (!sesion.usuario || sesion.usuario.estado === 'inactivo') return false;
+
+    return true;
+};
+
+/** Usuario existente y no inactivo. */
+export const usuarioActivo = async (usuarioId) => {
+    const usuario = await Usuario.findByPk(asInt(usuarioId), { attributes: ['id', 'estado'] });
+    return Boolean(usuario) && usuario.estado !== 'inactivo';
+};
+
+/**
+ * Tokens legados (sin sid): no se pueden revocar por sesión, así que tienen corte propio.
+ * - Sin `iat` o con más de JWT_LEGADO_MAX_HORAS de emitidos → rechazados
+ * - Pasada la fecha JWT_LEGADO_HASTA (si está definida) → rechazados todos
+ * - Además el usuario tiene que seguir activo
+ */
+export const tokenLegadoVigente = async (decoded, usuarioId) => {
+    const iat = Number(decoded?.iat);
+    if (!Number.isFinite(iat)) return false;
+
+    const ahora = Date.now();
+    if (ahora - iat * 1000 > getLegadoMaxHoras() * 60 * 60 * 1000) return false;
+
+    const hasta = process.env.JWT_LEGADO_HASTA ? new Date(process.env.JWT_LEGADO_HASTA) : null;
+    if (hasta && !Number.isNaN(hasta.getTime()) && ahora >= hasta.getTime()) return false;
+
+    return usuarioActivo(usuarioId);
+};
@@ -0,0 +1,589 @@
+// services/solicitudCredito.service.js
+// Solicitudes de crédito: borrador → en evaluación → aprobada / rechazada → desembolsada.
+// - Checklist de documentos requeridos (ClienteDocumento vigentes) que el evaluador verifica
+// - Al enviar a evaluación se abre una TareaPendiente 'aprobar_solicitud_credito' (se ve en /tareas)
+// - Quien cargó la solicitud no puede aprobarla (salvo superadmin)
+// - El crédito, sus cuotas y el egreso en caja se crean recién al desembolsar (crearCredito)
+import { Op } from 'sequelize';
+import sequelize from '../models/sequelize.js';
+import Cliente from '../models/Cliente.js';
+import Usuario from '../models/Usuario.js';
+import TareaPendiente from '../models/Tarea_pendiente.js';
+import ClienteDocumento, { TIPOS_DOCUMENTO } from '../models/ClienteDocumento.js';
+import SolicitudCredito, { ESTADOS_SOLICITUD } from '../models/SolicitudCredito.js';
+import SolicitudCreditoEvento from '../models/SolicitudCreditoEvento.js';
+import { crearCredito, simularPlanCredito } from './credito.service.js';
+import { bloqueoVigente } from './clienteBloqueo.service.js';
+import { obtenerDisponibleCliente } from './limiteCredito.service.js';
+import { todayYMD, toYMD_TZ } from './cuota/cuota.utils.js';
+
+/* ───────────────── Config ───────────────── */
+
+export const TIPO_TAREA_SOLICITUD = 'aprobar_solicitud_credito';
+
+const MODALIDADES = ['comun', 'progresivo', 'libre', 'frances'];
+const TIPOS_CREDITO = ['semanal', 'quincenal', 'mensual'];
+
+// "otro" no versiona ni identifica un documento concreto: no sirve como requisito
+const TIPOS_REQUERIBLES = TIPOS_DOCUMENTO.filter((t) => t !== 'otro');
+
+// SOLICITUD_DOCUMENTOS_REQUERIDOS=dni_frente,dni_dorso,recibo_sueldo (se puede ajustar por solicitud)
+const DOCUMENTOS_REQUERIDOS_DEFAULT = (() => {
+    const env = String(process.env.SOLICITUD_DOCUMENTOS_REQUERIDOS || '')
+        .split(',')
+        .map((s) => s.trim())
+        .filter((t) => TIPOS_REQUERIBLES.includes(t));
+    return env.length ? env : ['dni_frente', 'dni_dorso', 'recibo_sueldo'];
+})();
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+const texto = (v, max = 500) => {
+    const s = String(v ?? '').trim();
+    return s ? s.slice(0, max) : null;
+};
+
+const esVerdadero = (v) => v === true || v === 'true' || v === 1 || v === '1';
+
+const fix2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const ETIQUETA_ESTADO = {
+    borrador: 'borrador',
+    en_evaluacion: 'en evaluación',
+    aprobada: 'aprobada',
+    rechazada: 'rechazada',
+    desembolsada: 'desembolsada',
+    cancelada: 'cancelada'
+};
+
+const assertEstado = (solicitud, permitidos, accion) => {
+    if (!permitidos.includes(solicitud.estado)) {
+        throw httpError(
+            409,
+            `No se puede ${accion} una solicitud ${ETIQUETA_ESTADO[solicitud.estado] || solicitud.estado}`,
+            'SOLICITUD_ESTADO_INVALIDO'
+        );
+    }
+};
+
+const buscarSolicitud = async (id, { transaction, lock } = {}) => {
+    const solicitudId = asInt(id);
+    if (!solicitudId || solicitudId <= 0) throw httpError(400, 'ID de solicitud inválido');
+
+    const solicitud = await SolicitudCredito.findByPk(solicitudId, {
+        transaction,
+        ...(lock && transaction ? { lock: transaction.LOCK.UPDATE } : {})
+    });
+    if (!solicitud) throw httpError(404, 'Solicitud de crédito no encontrada');
+    return solicitud;
+};
+
+const registrarEvento = (solicitud, { tipo = 'estado', estadoAnterior = null, estadoNuevo = null, comentario = null, usuarioId = null }, { transaction } = {}) =>
+    SolicitudCreditoEvento.create({
+        solicitud_id: solicitud.id,
+        tipo,
+        estado_anterior: estadoAnterior,
+        estado_nuevo: estadoNuevo,
+        comentario: texto(comentario, 2000),
+        usuario_id: asInt(usuarioId),
+        fecha: new Date()
+    }, { transaction });
+
+/** Cambia el estado y deja el evento en el historial */
+const cambiarEstado = async (solicitud, estadoNuevo, cambios = {}, { usuarioId = null, comentario = null, transaction } = {}) => {
+    const estadoAnterior = solicitud.estado;
+    await solicitud.update({ ...cambios, estado: estadoNuevo }, { transaction });
+    await registrarEvento(solicitud, { estadoAnterior, estadoNuevo, comentario, usuarioId }, { transaction });
+    return solicitud;
+};
+
+/* ───────────────── Datos del crédito ───────────────── */
+
+const normalizarDocumentosRequeridos = (v) => {
+    if (v === undefined || v === null) return [...DOCUMENTOS_REQUERIDOS_DEFAULT];
+    if (!Array.isArray(v)) throw httpError(400, 'documentos_requeridos debe ser una lista de tipos de documento', 'DOCUMENTOS_INVALIDOS');
+
+    const tipos = [...new Set(v.map((t) => String(t || '').trim()))];
+    const invalidos = tipos.filter((t) => !TIPOS_REQUERIBLES.includes(t));
+    if (invalidos.length) {
+        throw httpError(400, `Tipos de documento inválidos: ${invalidos.join(', ')} (${TIPOS_REQUERIBLES.join('|')})`, 'DOCUMENTOS_INVALIDOS');
+    }
+    return tipos;
+};
+
+/**
+ * Payload del crédito a otorgar (mismo formato que POST /creditos, sin cliente ni fechas de acreditación).
+ * Devuelve { datos, monto, total } con el total estimado por la simulación del plan.
+ */
+const normalizarDatosCredito = (data = {}, { rolId = null } = {}) => {
+    const modalidad = String(data.modalidad_credito || 'comun').trim().toLowerCase();
+    if (!MODALIDADES.includes(modalidad)) {
+        throw httpError(400, `modalidad_credito inválida (${MODALIDADES.join('|')})`, 'DATOS_CREDITO_INVALIDOS');
+    }
+
+    const tipo = modalidad === 'libre' ? 'mensual' : String(data.tipo_credito || '').trim().toLowerCase();
+    if (!TIPOS_CREDITO.includes(tipo)) {
+        throw httpError(400, `tipo_credito inválido (${TIPOS_CREDITO.join('|')})`, 'DATOS_CREDITO_INVALIDOS');
+    }
+
+    const monto = Number(data.monto_acreditar);
+    if (!Number.isFinite(monto) || monto <= 0) {
+        throw httpError(400, 'monto_acreditar es requerido y debe ser > 0', 'DATOS_CREDITO_INVALIDOS');
+    }
+
+    const cuotas = modalidad === 'libre' ? 1 : asInt(data.cantidad_cuotas);
+    if (!cuotas || cuotas < 1) throw httpError(400, 'cantidad_cuotas debe ser entero ≥ 1', 'DATOS_CREDITO_INVALIDOS');
+
+    const descuento = data.descuento === undefined || data.descuento === null || data.descuento === '' ? 0 : Number(data.descuento);
+    if (!Number.isFinite(descuento) || descuento < 0 || descuento > 100) {
+        throw httpError(400, 'descuento debe estar entre 0 y 100 (porcentaje)', 'DATOS_CREDITO_INVALIDOS');
+    }
+
+    const compromiso = data.fecha_compromiso_pago ? String(data.fecha_compromiso_pago) : null;
+    if (compromiso && !YMD_RE.test(compromiso)) {
+        throw httpError(400, 'fecha_compromiso_pago debe ser YYYY-MM-DD', 'DATOS_CREDITO_INVALIDOS');
+    }
+
+    const cobradorId = data.cobrador_id === undefined || data.cobrador_id === null || data.cobrador_id === '' ? null : asInt(data.cobrador_id);
+    if (data.cobrador_id && !cobradorId) throw httpError(400, 'cobrador_id inválido', 'DATOS_CREDITO_INVALIDOS');
+
+    if (data.garantes !== undefined && data.garantes !== null && !Array.isArray(data.garantes)) {
+        throw httpError(400, 'garantes debe ser un array', 'DATOS_CREDITO_INVALIDOS');
+    }
+
+    const datos = {
+        modalidad_credito: modalidad,
+        tipo_credito: tipo,
+        cantidad_cuotas: cuotas,
+        monto_acreditar: fix2(monto),
+        descuento,
+        fecha_compromiso_pago: compromiso,
+        cobrador_id: cobradorId,
+        detalle_producto: texto(data.detalle_producto),
+        ...(Array.isArray(data.garantes) ? { garantes: data.garantes } : {})
+    };
+
+    let total = datos.monto_acreditar;
+    if (modalidad !== 'libre') {
+        try {
+            total = simularPlanCredito({ ...datos, rol_id: rolId }).monto_total_devolver;
+        } catch (e) {
+            throw httpError(400, e?.message || 'No se pudo simular el plan del crédito', 'DATOS_CREDITO_INVALIDOS');
+        }
+    }
+
+    return { datos, monto: datos.monto_acreditar, total: fix2(total) };
+};
+
+/* ───────────────── Checklist ───────────────── */
+
+/**
+ * Estado del checklist: por cada documento requerido, si está cargado (versión vigente)
+ * y si el evaluador lo verificó. Una verificación vale solo para la versión que se revisó.
+ */
+const evaluarChecklist = async (solicitud, { transaction } = {}) => {
+    const requeridos = Array.isArray(solicitud.documentos_requeridos) ? solicitud.documentos_requeridos : [];
+    const marcas = solicitud.checklist && typeof solicitud.checklist === 'object' ? solicitud.checklist : {};
+
+    const documentos = requeridos.length
+        ? await ClienteDocumento.findAll({
+            where: { cliente_id: solicitud.cliente_id, tipo: { [Op.in]: requeridos }, vigente: true, eliminado_en: null },
+            attributes: ['id', 'tipo', 'version', 'nombre_original', 'fecha_subida'],
+            order: [['version', 'DESC'], ['id', 'DESC']],
+            transaction
+        })
+        : [];
+
+    const porTipo = new Map();
+    for (const d of documentos) if (!porTipo.has(d.tipo)) porTipo.set(d.tipo, d);
+
+    const items = requeridos.map((tipo) => {
+        const doc = porTipo.get(tipo) || null;
+        const marca = marcas[tipo] || null;
+        const verificado = Boolean(doc && marca?.verificado && Number(marca.documento_id) === doc.id);
+        return {
+            tipo,
+            presente: Boolean(doc),
+            documento: doc ? { id: doc.id, version: doc.version, nombre_original: doc.nombre_original, fecha_subida: doc.fecha_subida } : null,
+            verificado,
+            verificado_por: verificado ? marca.verificado_por : null,
+            fecha_verificacion: verificado ? marca.fecha : null,
+            observacion: marca?.observacion ?? null
+        };
+    });
+
+    return {
+        items,
+        completo: items.every((i) => i.presente),
+        verificado: items.every((i) => i.verificado),
+        faltantes: items.filter((i) => !i.presente).map((i) => i.tipo),
+        sin_verificar: items.filter((i) => !i.verificado).map((i) => i.tipo)
+    };
+};
+
+/* ───────────────── Consultas ───────────────── */
+
+const INCLUDE_LISTADO = [
+    { model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido', 'dni'] },
+    { model: Usuario, as: 'creadoPor', attributes: ['id', 'nombre_completo'] },
+    { model: Usuario, as: 'resueltoPor', attributes: ['id', 'nombre_completo'] }
+];
+
+/**
+ * Listado paginado.
+ * query: { estado?, cliente_id?, desde?, hasta? (fecha de carga), page?, limit? }
+ */
+export const listarSolicitudes = async (query = {}) => {
+    const pageNum = Math.max(1, asInt(query.page) || 1);
+    const limitNum = Math.min(200, Math.max(1, asInt(query.limit) || 50));
+
+    const where = {};
+    const estados = String(query.estado || '').split(',').map((s) => s.trim()).filter((e) => ESTADOS_SOLICITUD.includes(e));
+    if (estados.length) where.estado = { [Op.in]: estados };
+
+    const clienteId = asInt(query.cliente_id ?? query.clienteId);
+    if (clienteId) where.cliente_id = clienteId;
+
+    const rango = {};
+    if (YMD_RE.test(String(query.desde || ''))) rango[Op.gte] = new Date(`${query.desde}T00:00:00`);
+    if (YMD_RE.test(String(query.hasta || ''))) rango[Op.lte] = new Date(`${query.hasta}T23:59:59.999`);
+    if (Object.getOwnPropertySymbols(rango).length) where.fecha_creacion = rango;
+
+    const { rows, count } = await SolicitudCredito.findAndCountAll({
+        where,
+        include: INCLUDE_LISTADO,
+        order: [['fecha_creacion', 'DESC'], ['id', 'DESC']],
+        limit: limitNum,
+        offset: (pageNum - 1) * limitNum
+    });
+
+    return { data: rows, pagination: { page: pageNum, limit: limitNum, total: count } };
+};
+
+/** Detalle: historial, checklist y la situación actual del cliente (bloqueo / límite) para evaluar */
+export const obtenerSolicitud = async (id) => {
+    const solicitud = await buscarSolicitud(id);
+
+    const completa = await SolicitudCredito.findByPk(solicitud.id, {
+        include: [
+            ...INCLUDE_LISTADO,
+            { model: Usuario, as: 'desembolsadoPor', attributes: ['id', 'nombre_completo'] },
+            {
+                model: SolicitudCreditoEvento,
+                as: 'eventos',
+                separate: true,
+                order: [['fecha', 'ASC'], ['id', 'ASC']],
+                include: [{ model: Usuario, as: 'usuario', attributes: ['id', 'nombre_completo'] }]
+            }
+        ]
+    });
+
+    const plain = completa.get({ plain: true });
+    plain.checklist_estado = await evaluarChecklist(solicitud);
+
+    // Solo informativo: el bloqueo y el límite se controlan de verdad al desembolsar
+    if (['borrador', 'en_evaluacion', 'aprobada'].includes(solicitud.estado)) {
+        try {
+            const bloqueo = await bloqueoVigente(solicitud.cliente_id);
+            const limite = await obtenerDisponibleCliente(solicitud.cliente_id);
+            plain.evaluacion = {
+                cliente_bloqueado: Boolean(bloqueo),
+                bloqueo: bloqueo ? { motivo: bloqueo.motivo, fecha_bloqueo: bloqueo.fecha_bloqueo } : null,
+                limite: limite.limite,
+                limite_origen: limite.origen,
+                exposicion: limite.exposicion,
+                disponible: limite.disponible,
+                puntaje: limite.puntaje,
+                excede_limite: limite.limite !== null && fix2(limite.exposicion + Number(solicitud.monto_total_estimado || 0)) > limite.limite
+            };
+        } catch (e) {
+            console.error('[obtenerSolicitud] No se pudo evaluar al cliente:', e?.message || e);
+            plain.evaluacion = null;
+        }
+    }
+
+    return plain;
+};
+
+/* ───────────────── Borrador ───────────────── */
+
+/**
+ * Body: { cliente_id, monto_acreditar, modalidad_credito, tipo_credito, cantidad_cuotas, descuento?,
+ *         fecha_compromiso_pago?, cobrador_id?, detalle_producto?, garantes?, documentos_requeridos?, comentario? }
+ */
+export const crearSolicitud = async (data = {}, { usuarioId = null, rolId = null } = {}) => {
+    const clienteId = asInt(data.cliente_id);
+    if (!clienteId || clienteId <= 0) throw httpError(400, 'cliente_id es requerido');
+
+    const cliente = await Cliente.findByPk(clienteId, { attributes: ['id'] });
+    if (!cliente) throw httpError(404, 'Cliente no encontrado');
+
+    const { datos, monto, total } = normalizarDatosCredito(data, { rolId });
+    const documentos = normalizarDocumentosRequeridos(data.documentos_requeridos);
+
+    return sequelize.transaction(async (t) => {
+        const solicitud = await SolicitudCredito.create({
+            cliente_id: clienteId,
+            estado: 'borrador',
+            modalidad_credito: datos.modalidad_credito,
+            monto_solicitado: monto,
+            monto_total_estimado: total,
+            datos_credito: datos,
+            documentos_requeridos: documentos,
+            checklist: {},
+            creado_por: asInt(usuarioId),
+            fecha_creacion: new Date()
+        }, { transaction: t });
+
+        await registrarEvento(solicitud, { estadoNuevo: 'borrador', comentario: data.comentario, usuarioId }, { transaction: t });
+        return solicitud;
+    });
+};
+
+/** Solo en borrador. Body parcial con los mismos campos que al crear (menos cliente_id) */
+export const actualizarSolicitud = async (id, data = {}, { usuarioId = null, rolId = null } = {}) => {
+    const solicitud = await buscarSolicitud(id);
+    assertEstado(solicitud, ['borrador'], 'editar');
+
+    const cambios = {};
+    const camposCredito = Object.keys(data).filter((k) => k !== 'documentos_requeridos' && k !== 'comentario' && k !== 'cliente_id');
+    if (camposCredito.length) {
+        const { datos, monto, total } = normalizarDatosCredito({ ...solicitud.datos_credito, ...data }, { rolId });
+        Object.assign(cambios, {
+            modalidad_credito: datos.modalidad_credito,
+            monto_solicitado: monto,
+            monto_total_estimado: total,
+            datos_credito: datos
+        });
+    }
+    if (data.documentos_requeridos !== undefined) {
+        cambios.documentos_requeridos = normalizarDocumentosRequeridos(data.documentos_requeridos);
+    }
+    if (!Object.keys(cambios).length) throw httpError(400, 'No hay cambios para guardar');
+
+    await solicitud.update(cambios);
+    if (texto(data.comentario)) {
+        await registrarEvento(solicitud, { tipo: 'comentario', comentario: data.comentario, usuarioId });
+    }
+    return solicitud;
+};
+
+/* ───────────────── Evaluación ───────────────── */
+
+/** borrador → en_evaluacion. Exige los documentos requeridos cargados y abre la tarea de aprobación */
+export const enviarSolicitud = async (id, { usuarioId = null, comentario = null } = {}) =>
+    sequelize.transaction(async (t) => {
+        const solicitud = await buscarSolicitud(id, { transaction: t, lock: true });
+        assertEstado(solicitud, ['borrador'], 'enviar a evaluación');
+
+        const checklist = await evaluarChecklist(solicitud, { transaction: t });
+        if (!checklist.completo) {
+            const err = httpError(
+                409,
+                `Faltan documentos del cliente para enviar la solicitud: ${checklist.faltantes.join(', ')}`,
+                'DOCUMENTACION_INCOMPLETA'
+            );
+            err.faltantes = checklist.faltantes;
+            throw err;
+        }
+
+        const cliente = await Cliente.findByPk(solicitud.cliente_id, { attributes: ['id', 'nombre', 'apellido'], transaction: t });
+        const tarea = await TareaPendiente.create({
+            tipo: TIPO_TAREA_SOLICITUD,
+            datos: {
+                solicitudId: solicitud.id,
+                clienteId: solicitud.cliente_id,
+                clienteNombre: cliente ? `${cliente.nombre} ${cliente.apellido}` : null,
+                modalidad: solicitud.modalidad_credito,
+                monto: Number(solicitud.monto_solicitado),
+                montoTotal: Number(solicitud.monto_total_estimado)
+            },
+            creadoPor: asInt(usuarioId) ?? solicitud.creado_por
+        }, { transaction: t });
+
+        return cambiarEstado(
+            solicitud,
+            'en_evaluacion',
+            { tarea_id: tarea.id, fecha_envio: new Date() },
+            { usuarioId, comentario, transaction: t }
+        );
+    });
+
+/**
+ * Marca (o desmarca) un documento del checklist como verificado.
+ * Body: { verificado: boolean, observacion? }
+ */
+export const verificarDocumentoSolicitud = async (id, tipo, { verificado, observacion } = {}, { usuarioId = null } = {}) => {
+    const solicitud = await buscarSolicitud(id);
+    assertEstado(solicitud, ['en_evaluacion'], 'verificar documentos de');
+
+    const requeridos = Array.isArray(solicitud.documentos_requeridos) ? solicitud.documentos_requeridos : [];
+    if (!requeridos.includes(tipo)) throw httpError(400, `El documento ${tipo} no es requisito de esta solicitud`, 'DOCUMENTO_NO_REQUERIDO');
+    if (typeof verificado !== 'boolean') throw httpError(400, 'verificado debe ser booleano');
+
+    const checklist = await evaluarChecklist(solicitud);
+    const item = checklist.items.find((i) => i.tipo === tipo);
+    if (verificado && !item.presente) throw httpError(409, `El cliente no tiene cargado el documento ${tipo}`, 'DOCUMENTACION_INCOMPLETA');
+
+    await solicitud.update({
+        checklist: {
+            ...(solicitud.checklist || {}),
+            [tipo]: {
+                verificado,
+                documento_id: item.documento?.id ?? null,
+                verificado_por: asInt(usuarioId),
+                fecha: new Date().toISOString(),
+                observacion: texto(observacion)
+            }
+        }
+    });
+    await registrarEvento(solicitud, {
+        tipo: 'checklist',
+        comentario: `${tipo}: ${verificado ? 'verificado' : 'sin verificar'}${texto(observacion) ? ` — ${texto(observacion)}` : ''}`,
+        usuarioId
+    });
+
+    return evaluarChecklist(solicitud);
+};
+
+export const comentarSolicitud = async (id, comentario, { usuarioId = null } = {}) => {
+    const solicitud = await buscarSolicitud(id);
+    if (!texto(comentario)) throw httpError(400, 'comentario es requerido');
+    return registrarEvento(solicitud, { tipo: 'comentario', comentario, usuarioId });
+};
+
+/** Cierra la tarea de /tareas asociada (si sigue pendiente) */
+const resolverTarea = async (solicitud, estado, { usuarioId, transaction }) => {
+    if (!solicitud.tarea_id) return;
+    await TareaPendiente.update(
+        { estado, aprobadoPor: asInt(usuarioId), fechaResolucion: new Date() },
+        { where: { id: solicitud.tarea_id, estado: 'pendiente' }, transaction }
+    );
+};
+
+/** en_evaluacion → aprobada. Requiere el checklist verificado completo */
+export const aprobarSolicitud = async (id, { usuarioId = null, rolId = null, comentario = null } = {}) =>
+    sequelize.transaction(async (t) => {
+        const solicitud = await buscarSolicitud(id, { transaction: t, lock: true });
+        assertEstado(solicitud, ['en_evaluacion'], 'aprobar');
+
+        if (Number(rolId) !== 0 && asInt(usuarioId) && asInt(usuarioId) === solicitud.creado_por) {
+            throw httpError(403, 'Quien cargó la solicitud no puede aprobarla', 'APROBADOR_ES_SOLICITANTE');
+        }
+
+        const checklist = await evaluarChecklist(solicitud, { transaction: t });
+        if (!checklist.verificado) {
+            const err = httpError(
+                409,
+                `Hay documentos sin verificar: ${checklist.sin_verificar.join(', ')}`,
+                'CHECKLIST_INCOMPLETO'
+            );
+            err.sin_verificar = checklist.sin_verificar;
+            throw err;
+        }
+
+        await resolverTarea(solicitud, 'aprobada', { usuarioId, transaction: t });
+        return cambiarEstado(
+            solicitud,
+            'aprobada',
+            { resuelto_por: asInt(usuarioId), fecha_resolucion: new Date(), motivo_rechazo: null },
+            { usuarioId, comentario, transaction: t }
+        );
+    });
+
+/** en_evaluacion → rechazada (motivo obligatorio) */
+export const rechazarSolicitud = async (id, { usuarioId = null, motivo = null } = {}) =>
+    sequelize.transaction(async (t) => {
+        const solicitud = await buscarSolicitud(id, { transaction: t, lock: true });
+        assertEstado(solicitud, ['en_evaluacion'], 'rechazar');
+
+        const motivoFinal = texto(motivo);
+        if (!motivoFinal) throw httpError(400, 'Indicá el motivo del rechazo', 'MOTIVO_REQUERIDO');
+
+        await resolverTarea(solicitud, 'rechazada', { usuarioId, transaction: t });
+        return cambiarEstado(
+            solicitud,
+            'rechazada',
+            { resuelto_por: asInt(usuarioId), fecha_resolucion: new Date(), motivo_rechazo: motivoFinal },
+            { usuarioId, comentario: motivoFinal, transaction: t }
+        );
+    });
+
+/** Desiste la solicitud antes del desembolso */
+export const cancelarSolicitud = async (id, { usuarioId = null, motivo = null } = {}) =>
+    sequelize.transaction(async (t) => {
+        const solicitud = await buscarSolicitud(id, { transaction: t, lock: true });
+        assertEstado(solicitud, ['borrador', 'en_evaluacion', 'aprobada'], 'cancelar');
+
+        await resolverTarea(solicitud, 'rechazada', { usuarioId, transaction: t });
+        return cambiarEstado(solicitud, 'cancelada', {}, { usuarioId, comentario: motivo, transaction: t });
+    });
+
+/* ───────────────── Desembolso ───────────────── */
+
+/**
+ * aprobada → desembolsada: crea el crédito (cuotas + egreso en caja) con los datos aprobados.
+ * Body: { fecha_compromiso_pago? (si la aprobada ya pasó), forzar_bloqueo?, forzar_limite?, motivo_forzado? }
+ * Bloqueo y límite se controlan en este momento (crearCredito), con los overrides de siempre.
+ */
+export const desembolsarSolicitud = async (id, data = {}, { usuarioId = null, rolId = null } = {}) =>
+    sequelize.transaction(async (t) => {
+        const solicitud = await buscarSolicitud(id, { transaction: t, lock: true });
+        assertEstado(solicitud, ['aprobada'], 'desembolsar');
+
+        const hoy = todayYMD();
+        const compromiso = data.fecha_compromiso_pago
+            ? String(data.fecha_compromiso_pago)
+            : solicitud.datos_credito?.fecha_compromiso_pago || null;
+        if (compromiso && !YMD_RE.test(compromiso)) throw httpError(400, 'fecha_compromiso_pago debe ser YYYY-MM-DD');
+        if (compromiso && compromiso < hoy) {
+            throw httpError(
+                409,
+                `La fecha de compromiso aprobada (${compromiso}) ya pasó: indicá una nueva fecha_compromiso_pago para desembolsar`,
+                'FECHA_COMPROMISO_VENCIDA'
+            );
+        }
+
+        const creditoId = await crearCredito({
+            ...solicitud.datos_credito,
+            cliente_id: solicitud.cliente_id,
+            fecha_solicitud: toYMD_TZ(new Date(solicitud.fecha_creacion)),
+            fecha_acreditacion: hoy,
+            fecha_compromiso_pago: compromiso,
+            rol_id: rolId,
+            usuario_id: usuarioId,
+            forzar_bloqueo: esVerdadero(data.forzar_bloqueo),
+            forzar_limite: esVerdadero(data.forzar_limite),
+            motivo_forzado: data.motivo_forzado ?? null
+        }, { transaction: t });
+
+        await cambiarEstado(
+            solicitud,
+            'desembolsada',
+            {
+                credito_id: creditoId,
+                desembolsado_por: asInt(usuarioId),
+                fecha_desembolso: new Date(),
+                ...(compromiso !== solicitud.datos_credito?.fecha_compromiso_pago
+                    ? { datos_credito: { ...solicitud.datos_credito, fecha_compromiso_pago: compromiso } }
+                    : {})
+            },
+            { usuarioId, comentario: `Crédito #${creditoId} desembolsado`, transaction: t }
+        );
+
+        return { solicitud, credito_id: creditoId };
+    });
@@ -0,0 +1,208 @@
+// services/suplantacion.service.js
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import Suplantacion from '../models/Suplantacion.js';
+import SuplantacionRegistro from '../models/SuplantacionRegistro.js';
+import Usuario from '../models/Usuario.js';
+import { sesionVigente, usuarioActivo } from './sesion.service.js';
+
+/* ───────────────── Config ───────────────── */
+
+const ROL_SUPERADMIN = 0;
+
+const toInt = (v, def) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : def;
+};
+
+const getMinutosDefault = () => Math.max(1, toInt(process.env.SUPLANTACION_MINUTOS, 30));
+const getMinutosMax = () => Math.max(1, toInt(process.env.SUPLANTACION_MAX_MINUTOS, 120));
+
+const getJwtSecret = () => {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        const err = new Error('Configuración inválida: falta JWT_SECRET');
+        err.status = 500;
+        throw err;
+    }
+    return secret;
+};
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const truncate = (v, max) => {
+    if (v == null) return null;
+    const s = String(v);
+    return s.length > max ? s.slice(0, max) : s;
+};
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+const METODOS_LECTURA = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+export const esMetodoLectura = (metodo) => METODOS_LECTURA.has(String(metodo || '').toUpperCase());
+
+/* ───────────────── API ───────────────── */
+
+/**
+ * Inicia una suplantación y devuelve el token "ver como".
+ * real: { id, rol_id, sid } del superadmin autenticado. Iniciar es exclusivo del superadmin
+ * (aunque otro rol tenga usuarios.suplantar): así nunca se obtienen permisos que no se tienen.
+ * opciones: { minutos?, motivo?, permitir_escritura? } (solo lectura por defecto)
+ */
+export const iniciarSuplantacion = async (real, usuarioId, opciones = {}, { ip = null, userAgent = null } = {}) => {
+    if (real?.suplantacion) {
+        throw httpError(400, 'No se puede iniciar una suplantación desde otra suplantación', 'SUPLANTACION_ANIDADA');
+    }
+    if (asInt(real?.rol_id) !== ROL_SUPERADMIN) {
+        throw httpError(403, 'Solo un superadmin puede suplantar usuarios', 'SUPLANTACION_NO_PERMITIDA');
+    }
+
+    const objetivoId = asInt(usuarioId);
+    if (!objetivoId) throw httpError(400, 'usuarioId inválido');
+    if (objetivoId === real.id) throw httpError(400, 'No podés suplantarte a vos mismo');
+
+    const objetivo = await Usuario.findByPk(objetivoId, {
+        attributes: ['id', 'rol_id', 'nombre_completo', 'nombre_usuario', 'estado']
+    });
+    if (!objetivo) throw httpError(404, 'Usuario no encontrado', 'USUARIO_NO_ENCONTRADO');
+    if (objetivo.estado === 'inactivo') throw httpError(400, 'No se puede suplantar a un usuario inactivo');
+    if (asInt(objetivo.rol_id) === ROL_SUPERADMIN) {
+        throw httpError(403, 'No se puede suplantar a otro superadmin', 'SUPLANTACION_NO_PERMITIDA');
+    }
+
+    const pedidos = asInt(opciones.minutos);
+    const minutos = Math.min(pedidos && pedidos > 0 ? pedidos : getMinutosDefault(), getMinutosMax());
+    const soloLectura = !(opciones.permitir_escritura === true || opciones.permitir_escritura === 'true');
+
+    const ahora = new Date();
+    const suplantacion = await Suplantacion.create({
+        superadmin_id: real.id,
+        usuario_id: objetivo.id,
+        sesion_id: real.sid ?? null,
+        motivo: truncate(opciones.motivo, 255),
+        solo_lectura: soloLectura,
+        ip: truncate(ip, 64),
+        user_agent: truncate(userAgent, 255),
+        creada_en: ahora,
+        expira_en: new Date(ahora.getTime() + minutos * 60 * 1000)
+    });
+
+    // id/rol_id = usuario suplantado (lo que ven los checks de permisos y los filtros por cobrador)
+    // imp = suplantación; real_id = superadmin (para auditoría)
+    const token = jwt.sign(
+        { id: objetivo.id, rol_id: objetivo.rol_id, imp: suplantacion.id, real_id: real.id },
+        getJwtSecret(),
+        { expiresIn: minutos * 60 }
+    );
+
+    return {
+        token,
+        expires_in: minutos * 60,
+        suplantacion: {
+            id: suplantacion.id,
+            usuario: { id: objetivo.id, nombre: objetivo.nombre_completo, rol_id: objetivo.rol_id },
+            solo_lectura: soloLectura,
+            expira_en: suplantacion.expira_en
+        }
+    };
+};
+
+/**
+ * Valida la suplantación de un token: existe, coincide con los ids del token,
+ * no está finalizada/vencida, la sesión del superadmin sigue viva y ambos usuarios activos.
+ * Devuelve la fila o null.
+ */
+export const suplantacionVigente = async (suplantacionId, { usuarioId, realId }) => {
+    const s = await Suplantacion.findByPk(asInt(suplantacionId));
+    if (!s) return null;
+    if (s.usuario_id !== usuarioId || s.superadmin_id !== realId) return null;
+    if (s.finalizada_en || new Date(s.expira_en) <= new Date()) return null;
+
+    const realVigente = s.sesion_id ? await sesionVigente(s.sesion_id, realId) : await usuarioActivo(realId);
+    if (!realVigente) return null;
+
+    return (await usuarioActivo(usuarioId)) ? s : null;
+};
+
+/** Registra una request hecha bajo suplantación (no rompe la request si falla). */
+export const registrarRequestSuplantacion = async ({ suplantacionId, metodo, ruta, status, bloqueada = false, duracionMs = null, ip = null }) => {
+    try {
+        await SuplantacionRegistro.create({
+            suplantacion_id: suplantacionId,
+            metodo: truncate(String(metodo || '').toUpperCase(), 10),
+            ruta: truncate(ruta || '/', 500),
+            status: asInt(status),
+            bloqueada: !!bloqueada,
+            duracion_ms: asInt(duracionMs),
+            ip: truncate(ip, 64),
+            fecha: new Date()
+        });
+    } catch (err) {
+        console.error('[suplantacion] No se pudo registrar la request:', err?.message || err);
+    }
+};
+
+/**
+ * Finaliza una suplantación. Puede hacerlo el superadmin que la inició
+ * (con su token o con el de la suplantación). Idempotente.
+ */
+export const finalizarSuplantacion = async (suplantacionId, realId) => {
+    const s = await Suplantacion.findByPk(asInt(suplantacionId));
+    if (!s || s.superadmin_id !== asInt(realId)) {
+        throw httpError(404, 'Suplantación no encontrada', 'SUPLANTACION_NO_ENCONTRADA');
+    }
+    if (!s.finalizada_en) await s.update({ finalizada_en: new Date() });
+    return s;
+};
+
+/** Historial de suplantaciones (filtros: superadmin_id, usuario_id, activas) */
+export const obtenerSuplantaciones = async (query = {}) => {
+    const pageNum = Math.max(1, asInt(query.page) || 1);
+    const limitNum = Math.min(200, Math.max(1, asInt(query.limit) || 50));
+
+    const where = {};
+    if (asInt(query.superadmin_id)) where.superadmin_id = asInt(query.superadmin_id);
+    if (asInt(query.usuario_id)) where.usuario_id = asInt(query.usuario_id);
+    if (query.activas === 'true' || query.activas === true) {
+        where.finalizada_en = null;
+        where.expira_en = { [Op.gt]: new Date() };
+    }
+
+    const { rows, count } = await Suplantacion.findAndCountAll({
+        where,
+        include: [
+            { model: Usuario, as: 'superadmin', attributes: ['id', 'nombre_completo'] },
+            { model: Usuario, as: 'usuario', attributes: ['id', 'nombre_completo', 'rol_id'] }
+        ],
+        order: [['creada_en', 'DESC']],
+        limit: limitNum,
+        offset: (pageNum - 1) * limitNum
+    });
+
+    return { data: rows, pagination: { page: pageNum, limit: limitNum, total: count } };
+};
+
+/** Detalle de una suplantación con todas las requests registradas */
+export const obtenerSuplantacion = async (suplantacionId) => {
+    const s = await Suplantacion.findByPk(asInt(suplantacionId), {
+        include: [
+            { model: Usuario, as: 'superadmin', attributes: ['id', 'nombre_completo'] },
+            { model: Usuario, as: 'usuario', attributes: ['id', 'nombre_completo', 'rol_id'] },
+            { model: SuplantacionRegistro, as: 'registros' }
+        ],
+        order: [[{ model: SuplantacionRegistro, as: 'registros' }, 'fecha', 'ASC']]
+    });
+    if (!s) throw httpError(404, 'Suplantación no encontrada', 'SUPLANTACION_NO_ENCONTRADA');
+    return s;
+};
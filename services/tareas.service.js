@@ -3,7 +3,8 @@
 import TareaPendiente from '../models/Tarea_pendiente.js';
 import Credito from '../models/Credito.js';
 import Cuota from '../models/Cuota.js';
-import { anularCredito } from './credito.service.js';
+import { anularCredito, TIPO_TAREA_PRORROGA, aprobarProrroga, rechazarProrroga } from './credito.service.js';
+import { TIPO_TAREA_SOLICITUD, aprobarSolicitud, rechazarSolicitud } from './solicitudCredito.service.js';
 import Usuario from '../models/Usuario.js';
 import Cliente from '../models/Cliente.js';
 import { Op } from 'sequelize';
@@ -31,6 +32,18 @@ const extractCreditoId = (tarea) => {
     return Number.isFinite(n) && n > 0 ? n : null;
 };
 
+/**
+ * tipos: tipos de tarea que puede ver/resolver quien llama (null = todos).
+ * Un admin sin 'tareas.resolver' solo resuelve solicitudes de crédito.
+ */
+const assertTipoPermitido = (tarea, tipos) => {
+    if (Array.isArray(tipos) && !tipos.includes(tarea.tipo)) {
+        const err = new Error('No tenés permiso para resolver este tipo de tarea');
+        err.status = 403;
+        throw err;
+    }
+};
+
 export const crearTareaTest = async () => {
     try {
         const nuevaTarea = await TareaPendiente.create({
@@ -49,10 +62,11 @@ export const crearTareaTest = async () => {
     }
 };
 
-export const aprobarTarea = async (id, aprobadoPor) => {
+export const aprobarTarea = async (id, aprobadoPor, { rolId = null, tipos = null } = {}) => {
     const tarea = await TareaPendiente.findByPk(id);
     if (!tarea) throw new Error('Tarea no encontrada');
     if (tarea.estado !== 'pendiente') throw new Error('La tarea ya fue procesada');
+    assertTipoPermitido(tarea, tipos);
 
     const datos = parseDatosTarea(tarea.datos);
 
@@ -82,6 +96,18 @@ export const aprobarTarea = async (id, aprobadoPor) => {
             break;
         }
 
+        case TIPO_TAREA_SOLICITUD: {
+            // La solicitud valida checklist / aprobador y cierra esta misma tarea
+            await aprobarSolicitud(datos.solicitudId, { usuarioId: aprobadoPor, rolId });
+            return TareaPendiente.findByPk(id);
+        }
+
+        case TIPO_TAREA_PRORROGA: {
+            // La prórroga se aplica y cierra esta misma tarea
+            await aprobarProrroga(datos.prorrogaId, { usuarioId: aprobadoPor });
+            return TareaPendiente.findByPk(id);
+        }
+
         default:
             throw new Error(`Tipo de tarea no soportado: ${tipo}`);
     }
@@ -94,10 +120,26 @@ export const aprobarTarea = async (id, aprobadoPor) => {
     return tarea;
 };
 
-export const rechazarTarea = async (id, aprobadoPor) => {
+export const rechazarTarea = async (id, aprobadoPor, { motivo = null, tipos = null } = {}) => {
     const tarea = await TareaPendiente.findByPk(id);
     if (!tarea) throw new Error('Tarea no encontrada');
     if (tarea.estado !== 'pendiente') throw new Error('La tarea ya fue procesada');
+    assertTipoPermitido(tarea, tipos);
+
+    if (tarea.tipo === TIPO_TAREA_SOLICITUD) {
+        const datos = parseDatosTarea(tarea.datos);
+        await rechazarSolicitud(datos.solicitudId, {
+            usuarioId: aprobadoPor,
+            motivo: motivo || 'Rechazada desde tareas pendientes'
+        });
+        return TareaPendiente.findByPk(id);
+    }
+
+    if (tarea.tipo === TIPO_TAREA_PRORROGA) {
+        const datos = parseDatosTarea(tarea.datos);
+        await rechazarProrroga(datos.prorrogaId, { usuarioId: aprobadoPor, motivo });
+        return TareaPendiente.findByPk(id);
+    }
 
     tarea.estado = 'rechazada';
     tarea.aprobadoPor = aprobadoPor;
@@ -107,9 +149,10 @@ export const rechazarTarea = async (id, aprobadoPor) => {
     return tarea;
 };
 
-export const obtenerTareas = async ({ estado }) => {
+export const obtenerTareas = async ({ estado, tipos = null }) => {
     const where = {};
     if (estado) where.estado = estado;
+    if (Array.isArray(tipos)) where.tipo = { [Op.in]: tipos };
 
     const tareas = await TareaPendiente.findAll({
         where,
@@ -134,7 +177,7 @@ export const obtenerTareas = async ({ estado }) => {
     const creditoIds = Array.from(
         new Set(
             tareasPlain
-                .filter((t) => t.tipo === 'anular_credito' || t.tipo === 'eliminar_credito')
+                .filter((t) => ['anular_credito', 'eliminar_credito', TIPO_TAREA_PRORROGA].includes(t.tipo))
                 .map((t) => extractCreditoId(t))
                 .filter(Boolean)
         )
@@ -0,0 +1,471 @@
+// services/totp.service.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Usuario from '../models/Usuario.js';
+import Role from '../models/Role.js';
+import sequelize from '../models/sequelize.js';
+import { revocarSesionesUsuario } from './sesion.service.js';
+import {
+    registrarIntentoLogin,
+    assertNoBloqueado,
+    registrarFalloLogin,
+    registrarExitoLogin
+} from './acceso.service.js';
+
+/* ───────────────── Config ───────────────── */
+
+const TOTP_PASO_SEGUNDOS = 30;
+const TOTP_DIGITOS = 6;
+// Pasos de tolerancia hacia atrás/adelante (desfase de reloj del celular)
+const TOTP_VENTANA = 1;
+
+const CANT_CODIGOS_RESPALDO = 10;
+
+const getIssuer = () => process.env.TOTP_ISSUER || 'Financiera';
+
+// Token temporal entre el paso 1 (password) y el paso 2 (código)
+const getDesafioExpiresIn = () => process.env.TOTP_DESAFIO_EXPIRES_IN || '5m';
+
+const getJwtSecret = () => {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        const err = new Error('Configuración inválida: falta JWT_SECRET');
+        err.status = 500;
+        throw err;
+    }
+    return secret;
+};
+
+// Clave de cifrado del secreto TOTP en DB (por defecto derivada de JWT_SECRET)
+const getClaveCifrado = () =>
+    crypto.createHash('sha256').update(String(process.env.TOTP_ENC_KEY || getJwtSecret())).digest();
+
+/* ───────────────── Helpers ───────────────── */
+
+const asInt = (v) => {
+    const n = Number.parseInt(String(v ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    if (code) err.code = code;
+    return err;
+};
+
+const BASE32_ALFABETO = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buf) => {
+    let bits = 0;
+    let valor = 0;
+    let out = '';
+    for (const byte of buf) {
+        valor = (valor << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALFABETO[(valor >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32_ALFABETO[(valor << (5 - bits)) & 31];
+    return out;
+};
+
+const base32Decode = (str) => {
+    const limpio = String(str || '').toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let valor = 0;
+    const out = [];
+    for (const ch of limpio) {
+        const idx = BASE32_ALFABETO.indexOf(ch);
+        if (idx === -1) throw new Error('Secreto base32 inválido');
+        valor = (valor << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((valor >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(out);
+};
+
+/** HOTP (RFC 4226) para un contador dado */
+const hotp = (secretoBase32, contador) => {
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64BE(BigInt(contador));
+    const hmac = crypto.createHmac('sha1', base32Decode(secretoBase32)).update(buf).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(bin % 10 ** TOTP_DIGITOS).padStart(TOTP_DIGITOS, '0');
+};
+
+const pasoActual = (ms = Date.now()) => Math.floor(ms / 1000 / TOTP_PASO_SEGUNDOS);
+
+/**
+ * Verifica un código TOTP (RFC 6238) con tolerancia de ±TOTP_VENTANA pasos.
+ * Devuelve el paso que coincidió (para anti-replay) o null.
+ */
+const verificarCodigo = (secretoBase32, codigo, ultimoPaso = null) => {
+    const limpio = String(codigo ?? '').replace(/\s+/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITOS}}$`).test(limpio)) return null;
+
+    const actual = pasoActual();
+    for (let d = -TOTP_VENTANA; d <= TOTP_VENTANA; d++) {
+        const paso = actual + d;
+        if (ultimoPaso != null && paso <= Number(ultimoPaso)) continue;
+        const esperado = hotp(secretoBase32, paso);
+        if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(limpio))) return paso;
+    }
+    return null;
+};
+
+const cifrar = (texto) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getClaveCifrado(), iv);
+    const enc = Buffer.concat([cipher.update(String(texto), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), enc].map((b) => b.toString('base64url')).join('.');
+};
+
+const descifrar = (payload) => {
+    const [iv, tag, enc] = String(payload || '').split('.').map((p) => Buffer.from(p, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getClaveCifrado(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(enc), decipher.final()]).toString('utf8');
+};
+
+const normalizarCodigoRespaldo = (c) => String(c ?? '').replace(/[\s-]+/g, '').toUpperCase();
+
+/** Genera códigos "XXXX-XXXX" (se muestran una sola vez; en DB queda el hash) */
+const generarCodigosRespaldo = () => {
+    const codigos = Array.from({ length: CANT_CODIGOS_RESPALDO }, () => {
+        const raw = base32Encode(crypto.randomBytes(5)).slice(0, 8);
+        return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+    return { codigos, hashes: codigos.map((c) => sha256(normalizarCodigoRespaldo(c))) };
+};
+
+const buildOtpauthUri = (secreto, nombreUsuario) => {
+    const issuer = getIssuer();
+    const label = encodeURIComponent(`${issuer}:${nombreUsuario}`);
+    const params = new URLSearchParams({
+        secret: secreto,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITOS),
+        period: String(TOTP_PASO_SEGUNDOS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const ATRIBUTOS_TOTP = [
+    'id', 'rol_id', 'nombre_completo', 'nombre_usuario', 'estado',
+    'intentos_fallidos', 'bloqueos_consecutivos', 'bloqueado_hasta',
+    'totp_secret', 'totp_habilitado', 'totp_ultimo_paso', 'totp_codigos_respaldo'
+];
+
+const buscarUsuario = async (usuarioId, options = {}) => {
+    const usuario = await Usuario.findByPk(asInt(usuarioId), { attributes: ATRIBUTOS_TOTP, ...options });
+    if (!usuario) throw httpError(404, 'Usuario no encontrado', 'USUARIO_NO_ENCONTRADO');
+    return usuario;
+};
+
+/**
+ * Valida un código TOTP o, si no coincide, un código de respaldo (que se consume).
+ * Actualiza totp_ultimo_paso / totp_codigos_respaldo. Devuelve 'totp' | 'respaldo' | null.
+ */
+const consumirSegundoFactor = async (usuario, codigo) => {
+    const secreto = descifrar(usuario.totp_secret);
+    const paso = verificarCodigo(secreto, codigo, usuario.totp_ultimo_paso);
+    if (paso != null) {
+        await usuario.update({ totp_ultimo_paso: paso });
+        return 'totp';
+    }
+
+    const normalizado = normalizarCodigoRespaldo(codigo);
+    const hash = sha256(normalizado);
+    const restantes = Array.isArray(usuario.totp_codigos_respaldo) ? usuario.totp_codigos_respaldo : [];
+    if (normalizado && restantes.includes(hash)) {
+        await usuario.update({ totp_codigos_respaldo: restantes.filter((h) => h !== hash) });
+        return 'respaldo';
+    }
+
+    return null;
+};
+
+/* ───────────────── Desafío de login (paso 2) ───────────────── */
+
+/**
+ * ¿Qué le falta al usuario (ya validado por password) para entrar?
+ *  - 'verificar' → tiene TOTP activo: debe ingresar el código
+ *  - 'enrolar'   → su rol exige 2FA y todavía no lo configuró
+ *  - null        → entra directo
+ */
+export const pasoSegundoFactor = async (usuario) => {
+    if (usuario?.totp_habilitado) return 'verificar';
+
+    const rol = await Role.findByPk(asInt(usuario?.rol_id), { attributes: ['id', 'requiere_2fa'] });
+    return rol?.requiere_2fa ? 'enrolar' : null;
+};
+
+/** Token temporal (no sirve como access token: verifyToken rechaza typ = '2fa') */
+export const emitirDesafio2FA = (usuario, paso) => ({
+    token_2fa: jwt.sign({ id: usuario.id, typ: '2fa', paso }, getJwtSecret(), {
+        expiresIn: getDesafioExpiresIn()
+    }),
+    expires_in: getDesafioExpiresIn()
+});
+
+/** Decodifica el token temporal; opcionalmente exige un paso puntual. */
+export const leerDesafio2FA = (token2fa, pasoEsperado = null) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token2fa || ''), getJwtSecret());
+    } catch (_err) {
+        throw httpError(401, 'El paso de verificación expiró. Iniciá sesión nuevamente.', 'DESAFIO_2FA_INVALIDO');
+    }
+    if (decoded?.typ !== '2fa' || !asInt(decoded?.id)) {
+        throw httpError(401, 'Token de verificación inválido', 'DESAFIO_2FA_INVALIDO');
+    }
+    if (pasoEsperado && decoded.paso !== pasoEsperado) {
+        throw httpError(400, 'Este token no corresponde a este paso de verificación', 'DESAFIO_2FA_PASO');
+    }
+    return { usuarioId: asInt(decoded.id), paso: decoded.paso };
+};
+
+/**
+ * Paso 2 del login: valida el código (TOTP o respaldo) del desafío.
+ * Los códigos erróneos cuentan para el bloqueo progresivo igual que una password inválida.
+ * Devuelve { id, rol_id, nombre_completo, metodo } listo para crearSesion.
+ */
+export const completarLogin2FA = async (token2fa, codigo, { ip = null, userAgent = null } = {}) => {
+    const { usuarioId } = leerDesafio2FA(token2fa, 'verificar');
+    const usuario = await buscarUsuario(usuarioId);
+
+    const intento = { usuarioId: usuario.id, nombreUsuario: usuario.nombre_usuario, ip, userAgent };
+
+    if (usuario.estado === 'inactivo' || !usuario.totp_habilitado) {
+        await registrarIntentoLogin({ ...intento, motivo: '2fa_no_disponible' });
+        throw httpError(401, 'No se pudo completar la verificación. Iniciá sesión nuevamente.', 'DESAFIO_2FA_INVALIDO');
+    }
+
+    try {
+        assertNoBloqueado(usuario);
+    } catch (err) {
+        await registrarIntentoLogin({ ...intento, motivo: 'bloqueado' });
+        throw err;
+    }
+
+    const metodo = await consumirSegundoFactor(usuario, codigo);
+    if (!metodo) {
+        const bloqueadoHasta = await registrarFalloLogin(usuario);
+        await registrarIntentoLogin({ ...intento, motivo: '2fa_invalido' });
+        if (bloqueadoHasta) assertNoBloqueado({ bloqueado_hasta: bloqueadoHasta });
+        throw httpError(401, 'Código de verificación inválido', 'CODIGO_2FA_INVALIDO');
+    }
+
+    await registrarExitoLogin(usuario);
+    await registrarIntentoLogin({ ...intento, exito: true, motivo: metodo === 'respaldo' ? 'ok_2fa_respaldo' : 'ok_2fa' });
+
+    return {
+        id: usuario.id,
+        rol_id: usuario.rol_id,
+        nombre_completo: usuario.nombre_completo,
+        metodo,
+        codigos_respaldo_restantes: (usuario.totp_codigos_respaldo || []).length
+    };
+};
+
+/* ───────────────── Enrolamiento ───────────────── */
+
+/** Estado de 2FA del usuario (sin exponer secretos) */
+export const obtenerEstado2FA = async (usuarioId) => {
+    const usuario = await Usuario.findByPk(asInt(usuarioId), {
+        attributes: ['id', 'rol_id', 'totp_habilitado', 'totp_confirmado_en', 'totp_codigos_respaldo'],
+        include: [{ model: Role, as: 'rol', attributes: ['id', 'requiere_2fa'] }]
+    });
+    if (!usuario) throw httpError(404, 'Usuario no encontrado', 'USUARIO_NO_ENCONTRADO');
+
+    return {
+        habilitado: !!usuario.totp_habilitado,
+        confirmado_en: usuario.totp_confirmado_en,
+        requerido_por_rol: !!usuario.rol?.requiere_2fa,
+        codigos_respaldo_restantes: usuario.totp_habilitado ? (usuario.totp_codigos_respaldo || []).length : 0
+    };
+};
+
+/**
+ * Inicia (o reinicia) el enrolamiento: genera un secreto nuevo y devuelve
+ * el URI otpauth:// para el QR. No se activa hasta confirmarEnrolamiento2FA.
+ */
+export const iniciarEnrolamiento2FA = async (usuarioId) => {
+    const usuario = await buscarUsuario(usuarioId);
+    if (usuario.totp_habilitado) {
+        throw httpError(409, 'El usuario ya tiene 2FA activo. Desactivalo antes de volver a enrolar.', 'TOTP_YA_ACTIVO');
+    }
+
+    const secreto = base32Encode(crypto.randomBytes(20));
+    await usuario.update({ totp_secret: cifrar(secreto), totp_ultimo_paso: null, totp_codigos_respaldo: null });
+
+    return {
+        secreto,
+        otpauth_uri: buildOtpauthUri(secreto, usuario.nombre_usuario),
+        digitos: TOTP_DIGITOS,
+        periodo: TOTP_PASO_SEGUNDOS
+    };
+};
+
+/**
+ * Confirma el enrolamiento con un código válido del secreto pendiente.
+ * Activa 2FA y devuelve los códigos de respaldo (única vez que se ven en claro).
+ */
+export const confirmarEnrolamiento2FA = async (usuarioId, codigo) => {
+    const usuario = await buscarUsuario(usuarioId);
+    if (usuario.totp_habilitado) throw httpError(409, 'El usuario ya tiene 2FA activo', 'TOTP_YA_ACTIVO');
+    if (!usuario.totp_secret) throw httpError(400, 'Primero iniciá el enrolamiento', 'TOTP_SIN_ENROLAMIENTO');
+
+    const paso = verificarCodigo(descifrar(usuario.totp_secret), codigo);
+    if (paso == null) throw httpError(400, 'Código de verificación inválido', 'CODIGO_2FA_INVALIDO');
+
+    const { codigos, hashes } = generarCodigosRespaldo();
+    await usuario.update({
+        totp_habilitado: true,
+        totp_confirmado_en: new Date(),
+        totp_ultimo_paso: paso,
+        totp_codigos_respaldo: hashes
+    });
+
+    return { codigos_respaldo: codigos };
+};
+
+/**
+ * Enrolamiento forzado durante el login (rol con requiere_2fa y usuario sin TOTP):
+ * confirma con el token temporal de paso 'enrolar' y deja el login completo.
+ * Los códigos erróneos cuentan para el bloqueo progresivo (como en completarLogin2FA).
+ * Devuelve { usuario, codigos_respaldo } para que la ruta cree la sesión.
+ */
+export const completarEnrolamientoLogin = async (token2fa, codigo, { ip = null, userAgent = null } = {}) => {
+    const { usuarioId } = leerDesafio2FA(token2fa, 'enrolar');
+    const usuario = await buscarUsuario(usuarioId);
+
+    const intento = { usuarioId: usuario.id, nombreUsuario: usuario.nombre_usuario, ip, userAgent };
+
+    if (usuario.estado === 'inactivo') {
+        throw httpError(401, 'No se pudo completar la verificación. Iniciá sesión nuevamente.', 'DESAFIO_2FA_INVALIDO');
+    }
+
+    try {
+        assertNoBloqueado(usuario);
+    } catch (err) {
+        await registrarIntentoLogin({ ...intento, motivo: 'bloqueado' });
+        throw err;
+    }
+
+    let codigos_respaldo;
+    try {
+        ({ codigos_respaldo } = await confirmarEnrolamiento2FA(usuario.id, codigo));
+    } catch (err) {
+        // Igual que en completarLogin2FA: un código erróneo cuenta para el bloqueo progresivo
+        if (err?.code !== 'CODIGO_2FA_INVALIDO') throw err;
+        const bloqueadoHasta = await registrarFalloLogin(usuario);
+        await registrarIntentoLogin({ ...intento, motivo: '2fa_invalido' });
+        if (bloqueadoHasta) assertNoBloqueado({ bloqueado_hasta: bloqueadoHasta });
+        throw err;
+    }
+
+    await registrarExitoLogin(usuario);
+    await registrarIntentoLogin({ ...intento, exito: true, motivo: 'ok_2fa_enrolado' });
+
+    return {
+        usuario: { id: usuario.id, rol_id: usuario.rol_id, nombre_completo: usuario.nombre_completo },
+        codigos_respaldo
+    };
+};
+
+/** Regenera los códigos de respaldo (invalida los anteriores). Requiere un código TOTP vigente. */
+export const regenerarCodigosRespaldo = async (usuarioId, codigo) => {
+    const usuario = await buscarUsuario(usuarioId);
+    if (!usuario.totp_habilitado) throw httpError(400, 'El usuario no tiene 2FA activo', 'TOTP_INACTIVO');
+
+    const paso = verificarCodigo(descifrar(usuario.totp_secret), codigo, usuario.totp_ultimo_paso);
+    if (paso == null) throw httpError(400, 'Código de verificación inválido', 'CODIGO_2FA_INVALIDO');
+
+    const { codigos, hashes } = generarCodigosRespaldo();
+    await usuario.update({ totp_ultimo_paso: paso, totp_codigos_respaldo: hashes });
+
+    return { codigos_respaldo: codigos };
+};
+
+/**
+ * El propio usuario desactiva su 2FA (con un código válido).
+ * Si su rol lo exige no puede: debería pedir un reset a un superadmin.
+ */
+export const desactivar2FA = async (usuarioId, codigo) => {
+    const usuario = await buscarUsuario(usuarioId);
+    if (!usuario.totp_habilitado) throw httpError(400, 'El usuario no tiene 2FA activo', 'TOTP_INACTIVO');
+
+    const rol = await Role.findByPk(asInt(usuario.rol_id), { attributes: ['id', 'requiere_2fa'] });
+    if (rol?.requiere_2fa) {
+        throw httpError(403, 'Tu rol exige 2FA: no podés desactivarlo', 'TOTP_REQUERIDO_POR_ROL');
+    }
+
+    if (!(await consumirSegundoFactor(usuario, codigo))) {
+        throw httpError(400, 'Código de verificación inválido', 'CODIGO_2FA_INVALIDO');
+    }
+
+    await usuario.update({
+        totp_secret: null,
+        totp_habilitado: false,
+        totp_confirmado_en: null,
+        totp_ultimo_paso: null,
+        totp_codigos_respaldo: null
+    });
+};
+
+/**
+ * Reset por superadmin (dispositivo perdido): borra secreto y códigos y corta sus sesiones.
+ * Si el rol exige 2FA, en el próximo login se le pedirá enrolar de nuevo.
+ */
+export const resetear2FA = async (usuarioId) => {
+    await sequelize.transaction(async (t) => {
+        const usuario = await buscarUsuario(usuarioId, { transaction: t });
+        await usuario.update({
+            totp_secret: null,
+            totp_habilitado: false,
+            totp_confirmado_en: null,
+            totp_ultimo_paso: null,
+            totp_codigos_respaldo: null
+        }, { transaction: t });
+        await revocarSesionesUsuario(usuario.id, '2fa_reseteado', { transaction: t });
+    });
+};
+
+/** Marca/desmarca un rol como "2FA obligatorio" */
+export const actualizarRequiere2FARol = async (rolId, requiere) => {
+    const rol = await Role.findByPk(asInt(rolId));
+    if (!rol) throw httpError(404, 'Rol no encontrado', 'ROL_NO_ENCONTRADO');
+
+    if (typeof requiere !== 'boolean') {
+        throw httpError(400, 'requiere_2fa debe ser true o false');
+    }
+
+    await sequelize.transaction(async (t) => {
+        await rol.update({ requiere_2fa: requiere }, { transaction: t });
+
+        // Al volverlo obligatorio, quien no tenga TOTP debe reloguearse (y enrolar)
+        if (requiere) {
+            const sinTotp = await Usuario.findAll({
+                where: { rol_id: rol.id, totp_habilitado: false },
+                attributes: ['id'],
+                transaction: t
+            });
+            for (const u of sinTotp) {
+                await revocarSesionesUsuario(u.id, '2fa_requerido', { transaction: t });
+            }
+        }
+    });
+
+    return rol;
+};
@@ -5,8 +5,31 @@ import bcrypt from 'bcryptjs';
 import Zona from '../models/Zona.js';
 import Cliente from '../models/Cliente.js';
 import sequelize from '../models/sequelize.js';
+import { revocarSesionesUsuario } from './sesion.service.js';
+import {
+    registrarIntentoLogin,
+    assertNoBloqueado,
+    registrarFalloLogin,
+    registrarExitoLogin,
+    assertHorarioLogin
+} from './acceso.service.js';
+import { pasoSegundoFactor } from './totp.service.js';
 
 /* ───────────────── Helpers ───────────────── */
+
+// Nunca salen en respuestas ni se editan por los endpoints genéricos de usuario
+const CAMPOS_SENSIBLES = ['password', 'totp_secret', 'totp_ultimo_paso', 'totp_codigos_respaldo'];
+const CAMPOS_PROTEGIDOS = [
+    'intentos_fallidos', 'bloqueos_consecutivos', 'bloqueado_hasta',
+    'totp_secret', 'totp_habilitado', 'totp_confirmado_en', 'totp_ultimo_paso', 'totp_codigos_respaldo'
+];
+
+const sinCamposProtegidos = (data = {}) => {
+    const out = { ...data };
+    for (const k of CAMPOS_PROTEGIDOS) delete out[k];
+    return out;
+};
+
 const asInt = (v) => {
     const n = Number.parseInt(String(v ?? ''), 10);
     return Number.isFinite(n) ? n : null;
@@ -20,7 +43,7 @@ export const obtenerUsuarios = () =>
             as: 'rol',
             attributes: ['id', 'nombre_rol']
         },
-        attributes: { exclude: ['password'] }
+        attributes: { exclude: CAMPOS_SENSIBLES }
     });
 
 // Obtener un usuario por ID (ahora incluye zonas)
@@ -39,13 +62,13 @@ export const obtenerUsuarioPorId = (id) =>
                 attributes: ['id', 'nombre']
             }
         ],
-        attributes: { exclude: ['password'] }
+        attributes: { exclude: CAMPOS_SENSIBLES }
     });
 
 // Crear un nuevo usuario (con múltiples zonas si es cobrador)
 export const crearUsuario = async (data) => {
     const hashedPassword = await bcrypt.hash(String(data.password ?? ''), 10);
-    const { zona_ids, ...datos } = data;
+    const { zona_ids, ...datos } = sinCamposProtegidos(data);
 
     const nuevoUsuario = await Usuario.create({
         ...datos,
@@ -66,6 +89,7 @@ export const crearUsuario = async (data) => {
  *  - cambio opcional de contraseña (hasheada)
  *  - manejo de zonas para rol cobrador
  *  - operación atómica con transacción
+ *  - revocación de todas sus sesiones (rol/estado/password pudieron cambiar)
  */
 export const actualizarUsuario = async (id, data) => {
     const t = await sequelize.transaction();
@@ -74,7 +98,7 @@ export const actualizarUsuario = async (id, data) => {
             zona_ids, // array opcional para cobradores
             password, // string opcional; si viene no vacía, se actualiza
             ...camposActualizables
-        } = { ...data };
+        } = sinCamposProtegidos(data);
 
         delete camposActualizables.password;
 
@@ -109,6 +133,9 @@ export const actualizarUsuario = async (id, data) => {
             await usuarioActual.setZonas([], { transaction: t });
         }
 
+        // 4) Cortamos sus sesiones: el próximo request vuelve a loguearse con los datos nuevos
+        await revocarSesionesUsuario(id, 'usuario_actualizado', { transaction: t });
+
         await t.commit();
     } catch (error) {
         await t.rollback();
@@ -116,52 +143,109 @@ export const actualizarUsuario = async (id, data) => {
     }
 };
 
-// Cambiar contraseña (endpoint dedicado)
+// Cambiar contraseña (endpoint dedicado) → revoca todas las sesiones del usuario
 export const cambiarPassword = async (id, nuevaPassword) => {
     const hashed = await bcrypt.hash(String(nuevaPassword ?? ''), 10);
-    await Usuario.update({ password: hashed }, { where: { id } });
+    await sequelize.transaction(async (t) => {
+        await Usuario.update({ password: hashed }, { where: { id }, transaction: t });
+        await revocarSesionesUsuario(id, 'password_cambiada', { transaction: t });
+    });
 };
 
-// Eliminar usuario (verifica si es cobrador con clientes asignados)
+// Eliminar usuario (verifica que no tenga clientes asignados)
 export const eliminarUsuario = async (id) => {
     const usuario = await Usuario.findByPk(id);
     if (!usuario) {
         throw new Error('Usuario no encontrado');
     }
 
-    // Si es cobrador (rol_id === 2), verificamos si tiene clientes asignados
-    if (asInt(usuario.rol_id) === 2) {
-        const clientesAsignados = await Cliente.count({ where: { cobrador: id } });
-        if (clientesAsignados > 0) {
-            throw new Error('No se puede eliminar un cobrador con clientes asignados');
-        }
+    // Cartera asignada (columna 'cobrador'): se controla para cualquier rol, no solo cobradores
+    const clientesAsignados = await Cliente.count({ where: { cobrador: id } });
+    if (clientesAsignados > 0) {
+        throw new Error('No se puede eliminar un usuario con clientes asignados');
     }
 
+    // Revocamos antes de borrar (las filas de sesión se eliminan luego por CASCADE)
+    await revocarSesionesUsuario(id, 'usuario_eliminado');
     await Usuario.destroy({ where: { id } });
 };
 
-// Login (devuelve un usuario "limpio" si es válido)
-export const loginUsuario = async (nombre_usuario, password) => {
+/**
+ * Login (devuelve un usuario "limpio" si es válido, null si las credenciales no sirven).
+ * Además:
+ *  - registra cada intento en intentos_login (usuario, IP, user agent, resultado)
+ *  - bloqueo progresivo tras LOGIN_MAX_INTENTOS fallos → lanza 423
+ *  - ventana horaria por rol → lanza 403 fuera de horario
+ *  - si corresponde 2FA, devuelve paso_2fa ('verificar' | 'enrolar') y la sesión se crea en el paso 2
+ */
+export const loginUsuario = async (nombre_usuario, password, { ip = null, userAgent = null } = {}) => {
     const userName = typeof nombre_usuario === 'string' ? nombre_usuario.trim() : '';
     const pass = typeof password === 'string' ? password : '';
 
     if (!userName || !pass) return null;
 
+    const intento = { nombreUsuario: userName, ip, userAgent };
+
     const usuario = await Usuario.findOne({
         where: { nombre_usuario: userName },
-        attributes: ['id', 'rol_id', 'nombre_completo', 'nombre_usuario', 'password']
+        attributes: [
+            'id', 'rol_id', 'nombre_completo', 'nombre_usuario', 'password', 'estado',
+            'intentos_fallidos', 'bloqueos_consecutivos', 'bloqueado_hasta', 'totp_habilitado'
+        ]
     });
 
-    if (!usuario) return null;
+    if (!usuario) {
+        await registrarIntentoLogin({ ...intento, motivo: 'usuario_inexistente' });
+        return null;
+    }
+
+    intento.usuarioId = usuario.id;
+
+    try {
+        assertNoBloqueado(usuario);
+    } catch (err) {
+        await registrarIntentoLogin({ ...intento, motivo: 'bloqueado' });
+        throw err;
+    }
 
     const valid = await bcrypt.compare(pass, usuario.password);
-    if (!valid) return null;
+    if (!valid) {
+        const bloqueadoHasta = await registrarFalloLogin(usuario);
+        await registrarIntentoLogin({ ...intento, motivo: 'password_invalida' });
+        // Si este intento disparó el bloqueo, lo informamos ya (mismo 423 que los siguientes)
+        if (bloqueadoHasta) assertNoBloqueado({ bloqueado_hasta: bloqueadoHasta });
+        return null;
+    }
 
-    return {
+    if (usuario.estado === 'inactivo') {
+        await registrarIntentoLogin({ ...intento, motivo: 'usuario_inactivo' });
+        return null;
+    }
+
+    try {
+        await assertHorarioLogin(usuario.rol_id);
+    } catch (err) {
+        await registrarIntentoLogin({ ...intento, motivo: 'fuera_de_horario' });
+        throw err;
+    }
+
+    const datos = {
         id: usuario.id,
         rol_id: usuario.rol_id,
         nombre_completo: usuario.nombre_completo
     };
+
+    // Segundo factor: el éxito (y el reset de contadores) se registra recién al validar el código
+    const paso2fa = await pasoSegundoFactor(usuario);
+    if (paso2fa) {
+        await registrarIntentoLogin({ ...intento, motivo: `2fa_${paso2fa}_pendiente` });
+        return { ...datos, paso_2fa: paso2fa };
+    }
+
+    await registrarExitoLogin(usuario);
+    await registrarIntentoLogin({ ...intento, exito: true, motivo: 'ok' });
+
+    return datos;
 };
 
 /* ──────────────────────────────────────────────────────────
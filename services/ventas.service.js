@@ -99,7 +99,7 @@ const buildNumeroComprobante = ({ id, puntoVenta = PUNTO_DE_VENTA }) => {
 };
 
 /* ───────────────── Crédito desde venta ───────────────── */
-const intentarCrearCreditoDesdeVenta = async (venta, rawData, t) => {
+const intentarCrearCreditoDesdeVenta = async (venta, rawData, t, actor = {}) => {
     const cliente_id = Number(rawData?.cliente_id ?? venta?.cliente_id ?? 0);
     const capital = toNumber(rawData?.capital ?? venta?.capital ?? 0);
     const cuotas = Number(rawData?.cuotas ?? venta?.cuotas ?? 1);
@@ -144,6 +144,13 @@ const intentarCrearCreditoDesdeVenta = async (venta, rawData, t) => {
         modalidad_credito: 'comun', // mantenemos modalidad
         origen_venta_manual_financiada: true, // hint no disruptivo
         detalle_producto: detalle_producto || null, // opcional
+
+        // 🚫 Cliente bloqueado: crearCredito decide (override solo superadmin, queda registrado)
+        rol_id: actor.rol_id ?? null,
+        usuario_id: actor.usuario_id ?? null,
+        forzar_bloqueo: rawData?.forzar_bloqueo === true || rawData?.forzar_bloqueo === 'true',
+        forzar_limite: rawData?.forzar_limite === true || rawData?.forzar_limite === 'true',
+        motivo_forzado: rawData?.motivo_forzado ?? null,
     };
 
     // ✅ Interés MANUAL si vino en la venta
@@ -273,7 +280,10 @@ export const crearVentaManual = async (req, res) => {
         // 3) Intentar crear CRÉDITO si corresponde (venta financiada)
         let creditoCreadoId = null;
         try {
-            const creditoInfo = await intentarCrearCreditoDesdeVenta(nueva, data, t);
+            const creditoInfo = await intentarCrearCreditoDesdeVenta(nueva, data, t, {
+                rol_id: req.user?.rol_id ?? null,
+                usuario_id
+            });
             if (creditoInfo?.creditoId) {
                 creditoCreadoId = creditoInfo.creditoId;
                 await nueva.update({ credito_id: creditoCreadoId }, { transaction: t });
@@ -282,7 +292,9 @@ export const crearVentaManual = async (req, res) => {
             await t.rollback();
             return res.status(creErr?.status || 500).json({
                 success: false,
-                message: creErr?.message || 'Error al crear crédito desde la venta financiada'
+                message: creErr?.message || 'Error al crear crédito desde la venta financiada',
+                ...(creErr?.code === 'CLIENTE_BLOQUEADO' ? { code: creErr.code, bloqueo: creErr.bloqueo } : {}),
+                ...(creErr?.code === 'LIMITE_CREDITO_EXCEDIDO' ? { code: creErr.code, limite: creErr.limite } : {})
             });
         }
 
@@ -0,0 +1,74 @@
+// test/credito.frances.test.js
+// Sistema francés: tasa por período y tabla de amortización (credito.utils)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tasaPeriodoFrances, calcularTablaFrances, fix2 } from '../services/credito/credito.utils.js';
+
+const sumar = (tabla, campo) => fix2(tabla.reduce((acc, c) => acc + c[campo], 0));
+
+test('tasaPeriodoFrances reparte el interés total entre las cuotas y aplica el descuento sobre la tasa', () => {
+  assert.equal(tasaPeriodoFrances(60, 1), 60);
+  assert.equal(tasaPeriodoFrances(120, 8), 15);
+  assert.equal(tasaPeriodoFrances(120, 8, 20), 12);
+  // descuento acotado a 0..100
+  assert.equal(tasaPeriodoFrances(120, 8, 150), 0);
+  assert.equal(tasaPeriodoFrances(120, 8, -10), 15);
+});
+
+test('calcularTablaFrances: cuota fija, interés sobre saldo y capital cancelado exacto', () => {
+  const tabla = calcularTablaFrances({ capital: 100000, tasaPeriodoPct: 10, cantidad_cuotas: 6 });
+
+  assert.equal(tabla.length, 6);
+  assert.deepEqual(tabla.map((c) => c.numero_cuota), [1, 2, 3, 4, 5, 6]);
+
+  // C·i / (1 − (1 + i)^−n) = 22960.74
+  for (const c of tabla.slice(0, -1)) assert.equal(c.importe_cuota, 22960.74);
+  assert.ok(Math.abs(tabla[5].importe_cuota - 22960.74) <= 0.05, 'la última absorbe solo el redondeo');
+
+  assert.deepEqual(tabla[0], {
+    numero_cuota: 1,
+    importe_cuota: 22960.74,
+    capital_cuota: 12960.74,
+    interes_cuota: 10000,
+    saldo_capital: 87039.26
+  });
+
+  let saldo = 100000;
+  for (const c of tabla) {
+    assert.equal(c.interes_cuota, fix2(saldo * 0.1));
+    assert.equal(fix2(c.capital_cuota + c.interes_cuota), c.importe_cuota);
+    saldo = fix2(saldo - c.capital_cuota);
+    assert.equal(c.saldo_capital, saldo);
+  }
+
+  assert.equal(sumar(tabla, 'capital_cuota'), 100000);
+  assert.equal(tabla[5].saldo_capital, 0);
+  // el capital amortizado crece y el interés baja
+  for (let k = 1; k < tabla.length; k++) {
+    assert.ok(tabla[k].capital_cuota > tabla[k - 1].capital_cuota);
+    assert.ok(tabla[k].interes_cuota < tabla[k - 1].interes_cuota);
+  }
+});
+
+test('calcularTablaFrances sin interés reparte el capital en partes iguales', () => {
+  const tabla = calcularTablaFrances({ capital: 1000, tasaPeriodoPct: 0, cantidad_cuotas: 3 });
+
+  assert.deepEqual(tabla.map((c) => c.importe_cuota), [333.33, 333.33, 333.34]);
+  assert.deepEqual(tabla.map((c) => c.interes_cuota), [0, 0, 0]);
+  assert.equal(sumar(tabla, 'capital_cuota'), 1000);
+  assert.equal(tabla[2].saldo_capital, 0);
+});
+
+test('calcularTablaFrances toma al menos una cuota', () => {
+  const tabla = calcularTablaFrances({ capital: 5000, tasaPeriodoPct: 60, cantidad_cuotas: 0 });
+
+  assert.equal(tabla.length, 1);
+  assert.deepEqual(tabla[0], {
+    numero_cuota: 1,
+    importe_cuota: 8000,
+    capital_cuota: 5000,
+    interes_cuota: 3000,
+    saldo_capital: 0
+  });
+});
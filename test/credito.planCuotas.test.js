@@ -0,0 +1,112 @@
+// test/credito.planCuotas.test.js
+// Plan de cuotas (común / progresivo / francés) y vencimientos con el calendario de cobranza
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import CalendarioDia from '../models/CalendarioDia.js';
+import CalendarioConfiguracion from '../models/CalendarioConfiguracion.js';
+import { cargarCalendario } from '../services/calendario.service.js';
+import { construirPlanCuotas, fix2 } from '../services/credito/credito.utils.js';
+
+const sumarImportes = (plan) => fix2(plan.reduce((acc, c) => acc + c.importe_cuota, 0));
+
+// Calendario en memoria sin DB: feriado el lunes 2026-03-02 (2026-03-01 es domingo)
+const calendario = async ({ correr_vencimientos }) => {
+  mock.method(CalendarioDia, 'findAll', async () => [
+    { fecha: '2026-03-02', tipo: 'feriado_nacional', descripcion: 'Feriado de prueba' }
+  ]);
+  mock.method(CalendarioConfiguracion, 'findOne', async () => ({
+    dias_sin_cobro: [0],
+    correr_vencimientos,
+    gracia_dia_no_habil: true
+  }));
+  await cargarCalendario();
+};
+
+before(() => calendario({ correr_vencimientos: false }));
+after(() => mock.restoreAll());
+
+test('común: cuotas fijas y la diferencia de redondeo va a la última', () => {
+  const plan = construirPlanCuotas({
+    modalidad_credito: 'comun',
+    tipo_credito: 'mensual',
+    cantidad_cuotas: 3,
+    monto_total_devolver: 1000
+  });
+
+  assert.deepEqual(plan.map((c) => c.importe_cuota), [333.33, 333.33, 333.34]);
+  assert.deepEqual(plan.map((c) => c.fecha_vencimiento), [null, null, null]);
+});
+
+test('progresivo: cuotas crecientes proporcionales a su número que suman el total', () => {
+  const plan = construirPlanCuotas({
+    modalidad_credito: 'progresivo',
+    tipo_credito: 'semanal',
+    cantidad_cuotas: 4,
+    monto_total_devolver: 1000
+  });
+
+  assert.deepEqual(plan.map((c) => c.importe_cuota), [100, 200, 300, 400]);
+  assert.equal(sumarImportes(plan), 1000);
+});
+
+test('francés: usa la tabla de amortización sobre el monto acreditado', () => {
+  const plan = construirPlanCuotas({
+    modalidad_credito: 'frances',
+    tipo_credito: 'mensual',
+    cantidad_cuotas: 6,
+    monto_acreditar: 100000,
+    tasa_periodo: 10,
+    fecha_compromiso_pago: '2026-04-10'
+  });
+
+  assert.equal(plan.length, 6);
+  assert.equal(plan[0].importe_cuota, 22960.74);
+  assert.equal(plan[0].interes_cuota, 10000);
+  assert.equal(plan[5].saldo_capital, 0);
+  assert.equal(fix2(plan.reduce((acc, c) => acc + c.capital_cuota, 0)), 100000);
+  assert.deepEqual(
+    plan.map((c) => c.fecha_vencimiento),
+    ['2026-04-10', '2026-05-10', '2026-06-10', '2026-07-10', '2026-08-10', '2026-09-10']
+  );
+});
+
+test('vencimientos: la cuota 1 vence en fecha_compromiso_pago y cada una suma un período', () => {
+  const base = { modalidad_credito: 'comun', cantidad_cuotas: 3, monto_total_devolver: 300, fecha_compromiso_pago: '2026-01-31' };
+
+  assert.deepEqual(
+    construirPlanCuotas({ ...base, tipo_credito: 'mensual' }).map((c) => c.fecha_vencimiento),
+    ['2026-01-31', '2026-02-28', '2026-03-31']
+  );
+  assert.deepEqual(
+    construirPlanCuotas({ ...base, tipo_credito: 'quincenal' }).map((c) => c.fecha_vencimiento),
+    ['2026-01-31', '2026-02-15', '2026-03-02']
+  );
+  assert.deepEqual(
+    construirPlanCuotas({ ...base, tipo_credito: 'semanal' }).map((c) => c.fecha_vencimiento),
+    ['2026-01-31', '2026-02-07', '2026-02-14']
+  );
+});
+
+test('vencimientos: con correr_vencimientos solo se corre la fecha no hábil y la serie sigue la nominal', async () => {
+  const base = { modalidad_credito: 'comun', tipo_credito: 'semanal', cantidad_cuotas: 3, monto_total_devolver: 300 };
+
+  // Sin la opción, el feriado queda como vencimiento (la mora tiene gracia aparte)
+  assert.deepEqual(
+    construirPlanCuotas({ ...base, fecha_compromiso_pago: '2026-02-23' }).map((c) => c.fecha_vencimiento),
+    ['2026-02-23', '2026-03-02', '2026-03-09']
+  );
+
+  mock.restoreAll();
+  await calendario({ correr_vencimientos: true });
+
+  assert.deepEqual(
+    construirPlanCuotas({ ...base, fecha_compromiso_pago: '2026-02-23' }).map((c) => c.fecha_vencimiento),
+    ['2026-02-23', '2026-03-03', '2026-03-09']
+  );
+  // domingo → lunes feriado → martes
+  assert.deepEqual(
+    construirPlanCuotas({ ...base, fecha_compromiso_pago: '2026-02-22' }).map((c) => c.fecha_vencimiento),
+    ['2026-02-23', '2026-03-03', '2026-03-09']
+  );
+});
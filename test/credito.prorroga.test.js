@@ -0,0 +1,122 @@
+// test/credito.prorroga.test.js
+// Prórroga de cuotas: vista previa del plan (simularProrroga) sobre un crédito en memoria
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Credito, Cuota } from '../models/associations.js';
+import CalendarioDia from '../models/CalendarioDia.js';
+import CalendarioConfiguracion from '../models/CalendarioConfiguracion.js';
+import { simularProrroga } from '../services/credito/credito.prorroga.service.js';
+
+const CREDITO = {
+  id: 10,
+  estado: 'pendiente',
+  modalidad_credito: 'comun',
+  tipo_credito: 'mensual',
+  saldo_actual: 3000
+};
+
+// Cuotas abiertas (la 1, pagada, no la devuelve la consulta): 2 vencida (no se corre, solo se congela); 3 a 5 prorrogables
+const CUOTAS = [
+  { id: 102, numero_cuota: 2, estado: 'vencida', importe_cuota: 1000, fecha_vencimiento: '2026-02-10' },
+  { id: 103, numero_cuota: 3, estado: 'pendiente', importe_cuota: 1000, fecha_vencimiento: '2026-03-10' },
+  { id: 104, numero_cuota: 4, estado: 'pendiente', importe_cuota: 1000, fecha_vencimiento: '2026-04-10' },
+  { id: 105, numero_cuota: 5, estado: 'parcial', importe_cuota: 1000, fecha_vencimiento: '2026-05-10' }
+];
+
+const rechaza = (promesa, status, code) =>
+  assert.rejects(promesa, (err) => {
+    assert.equal(err.status, status);
+    if (code) assert.equal(err.code, code);
+    return true;
+  });
+
+before(() => {
+  mock.method(Credito, 'findByPk', async (id) => (Number(id) === CREDITO.id ? { ...CREDITO } : null));
+  mock.method(Cuota, 'findAll', async () => CUOTAS.map((c) => ({ ...c })));
+  // Calendario: 2026-05-10 cae domingo (sin cobro) y se corren los vencimientos
+  mock.method(CalendarioDia, 'findAll', async () => []);
+  mock.method(CalendarioConfiguracion, 'findOne', async () => ({
+    dias_sin_cobro: [0],
+    correr_vencimientos: true,
+    gracia_dia_no_habil: true
+  }));
+});
+after(() => mock.restoreAll());
+
+test('corre todas las cuotas prorrogables y suma el cargo a la primera', async () => {
+  const plan = await simularProrroga(10, { periodos: 1, cargo: 150 });
+
+  assert.deepEqual(
+    plan.cuotas_despues.map((c) => [c.numero_cuota, c.fecha_vencimiento, c.importe_cuota]),
+    [
+      [3, '2026-04-10', 1150],
+      [4, '2026-05-11', 1000],
+      [5, '2026-06-10', 1000]
+    ]
+  );
+  assert.deepEqual(plan.cuotas_antes.map((c) => c.fecha_vencimiento), ['2026-03-10', '2026-04-10', '2026-05-10']);
+  assert.equal(plan.saldo_credito_antes, 3000);
+  assert.equal(plan.saldo_credito_despues, 3150);
+  assert.deepEqual(plan.cuotas_arrastradas, []);
+  assert.deepEqual(plan.cuotas_congeladas, []);
+});
+
+test('elegir una cuota intermedia sin arrastrar_posteriores responde 409 con las cuotas que quedarían', async () => {
+  await assert.rejects(simularProrroga(10, { periodos: 1, cuota_ids: [104] }), (err) => {
+    assert.equal(err.status, 409);
+    assert.equal(err.code, 'PRORROGA_NO_FINAL');
+    assert.deepEqual(err.cuotas_posteriores, [5]);
+    return true;
+  });
+});
+
+test('con arrastrar_posteriores corre también las posteriores y el cargo queda en la elegida', async () => {
+  const plan = await simularProrroga(10, { periodos: 2, cuota_ids: [104], cargo: 100, arrastrar_posteriores: true });
+
+  assert.equal(plan.arrastrar_posteriores, true);
+  assert.deepEqual(plan.cuotas_arrastradas, [5]);
+  assert.deepEqual(
+    plan.cuotas_despues.map((c) => [c.numero_cuota, c.fecha_vencimiento, c.importe_cuota]),
+    [
+      [4, '2026-06-10', 1100],
+      [5, '2026-07-10', 1000]
+    ]
+  );
+});
+
+test('una cuota vencida no se corre (se cubre congelando la mora)', async () => {
+  await assert.rejects(simularProrroga(10, { periodos: 1, cuota_ids: [102] }), (err) => {
+    assert.equal(err.code, 'CUOTAS_NO_PRORROGABLES');
+    assert.deepEqual(err.cuotas_invalidas, [102]);
+    return true;
+  });
+});
+
+test('solo congelar la mora: alcanza a todas las cuotas abiertas y el cargo va a la primera pendiente', async () => {
+  const plan = await simularProrroga(10, {
+    periodos: 0,
+    cargo: 50,
+    congelar_mora_desde: '2026-02-11',
+    congelar_mora_hasta: '2026-03-15'
+  });
+
+  assert.deepEqual(plan.congelar_mora, { desde: '2026-02-11', hasta: '2026-03-15' });
+  assert.deepEqual(plan.cuotas_congeladas, [2, 3, 4, 5]);
+  assert.deepEqual(
+    plan.cuotas_despues.map((c) => [c.numero_cuota, c.fecha_vencimiento, c.importe_cuota]),
+    [[3, '2026-03-10', 1050]]
+  );
+});
+
+test('valida el pedido antes de tocar el crédito', async () => {
+  await rechaza(simularProrroga(10, { periodos: 0 }), 400, 'PRORROGA_VACIA');
+  await rechaza(simularProrroga(10, { periodos: 13 }), 400, 'PERIODOS_INVALIDOS');
+  await rechaza(simularProrroga(10, { periodos: 1, cargo: -1 }), 400, 'CARGO_INVALIDO');
+  await rechaza(
+    simularProrroga(10, { periodos: 1, congelar_mora_desde: '2026-03-10', congelar_mora_hasta: '2026-03-01' }),
+    400,
+    'CONGELAMIENTO_INVALIDO'
+  );
+  await rechaza(simularProrroga(99, { periodos: 1 }), 404);
+});
@@ -0,0 +1,160 @@
+// test/credito.refinanciacionConsolidada.test.js
+// Refinanciación consolidada (varios créditos → uno) con modelos en memoria
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import sequelize from '../models/sequelize.js';
+import { Credito, Cuota, Cliente, CreditoGarante, ClienteBloqueo } from '../models/associations.js';
+import CalendarioDia from '../models/CalendarioDia.js';
+import CalendarioConfiguracion from '../models/CalendarioConfiguracion.js';
+import { refinanciarCreditosConsolidado } from '../services/credito/credito.refinanciacion.service.js';
+import { idsCreditosOrigen } from '../services/credito/credito.utils.js';
+
+const cuota = (id, estado, importe, pagado = 0, mora = 0) => ({
+  id,
+  estado,
+  importe_cuota: importe,
+  descuento_cuota: 0,
+  monto_pagado_acumulado: pagado,
+  intereses_vencidos_acumulados: mora
+});
+
+// #1: 500 + 300 pendientes de capital + 40 de mora = 840 ; #2: 1000 pendiente = 1000
+const credito = (id, cambios = {}) => {
+  const c = {
+    id,
+    cliente_id: 7,
+    cobrador_id: 3,
+    estado: 'vencido',
+    modalidad_credito: 'comun',
+    tipo_credito: 'mensual',
+    cantidad_cuotas: 4,
+    saldo_actual: 0,
+    cuotas:
+      id === 1
+        ? [cuota(11, 'pagada', 500, 500), cuota(12, 'vencida', 500, 0, 40), cuota(13, 'parcial', 500, 200)]
+        : [cuota(21, 'pendiente', 1000)],
+    ...cambios
+  };
+  c.update = mock.fn(async (valores) => Object.assign(c, valores));
+  return c;
+};
+
+let escenario;
+let t;
+
+const consolidar = (payload = {}) =>
+  refinanciarCreditosConsolidado(
+    { clienteId: 7, creditoIds: [2, 1], opcion: 'P1', cantidad_cuotas: 4, tipo_credito: 'mensual', ...payload },
+    { generarCuotasServicio: escenario.generarCuotas }
+  );
+
+beforeEach(() => {
+  escenario = {
+    originales: [credito(1), credito(2)],
+    // lo que ve la relectura con lock dentro de la TX
+    bloqueados: null,
+    creado: null,
+    generarCuotas: mock.fn(async () => {})
+  };
+  t = { LOCK: { UPDATE: 'UPDATE' }, commit: mock.fn(async () => {}), rollback: mock.fn(async () => {}) };
+
+  mock.method(Credito, 'findAll', async (opts = {}) => {
+    if (opts.transaction) return escenario.bloqueados ?? escenario.originales;
+    if (opts.include) return escenario.originales;
+    return []; // exposición del cliente (límite)
+  });
+  mock.method(Credito, 'create', async (valores) => {
+    escenario.creado = { id: 30, ...valores };
+    return escenario.creado;
+  });
+  mock.method(Cuota, 'update', async () => [1]);
+  mock.method(CreditoGarante, 'findAll', async () => []);
+  mock.method(ClienteBloqueo, 'findOne', async () => null);
+  mock.method(Cliente, 'findByPk', async (id) => ({ id, puntaje_crediticio: 0, limite_credito: 1000000 }));
+  mock.method(sequelize, 'transaction', async () => t);
+  mock.method(CalendarioDia, 'findAll', async () => []);
+  mock.method(CalendarioConfiguracion, 'findOne', async () => null);
+});
+afterEach(() => mock.restoreAll());
+
+test('suma los saldos base de todos los originales y arma el crédito nuevo ligado a todos', async () => {
+  const r = await consolidar();
+
+  assert.deepEqual(r.detalle_origenes.map((d) => [d.credito_id, d.saldo_base]), [[2, 1000], [1, 840]]);
+  assert.equal(r.saldo_base, 1840);
+  // P1 = 25% mensual, interés simple por 4 períodos
+  assert.equal(r.tasa_periodo_pct, 25);
+  assert.equal(r.interes_monto, 1840);
+  assert.equal(r.total_nuevo, 3680);
+  assert.equal(r.interes_total_pct_equivalente, 100);
+  assert.equal(r.credito_nuevo_id, 30);
+
+  const nuevo = escenario.creado;
+  assert.equal(nuevo.monto_acreditar, 1840);
+  assert.equal(nuevo.monto_total_devolver, 3680);
+  assert.equal(nuevo.modalidad_credito, 'comun');
+  assert.equal(nuevo.id_credito_origen, 2);
+  assert.deepEqual(nuevo.ids_creditos_origen, [2, 1]);
+  assert.deepEqual(idsCreditosOrigen(nuevo), [2, 1]);
+
+  for (const original of escenario.originales) {
+    assert.equal(original.estado, 'refinanciado');
+    assert.equal(original.saldo_actual, 0);
+  }
+  assert.equal(escenario.generarCuotas.mock.callCount(), 1);
+  assert.equal(t.commit.mock.callCount(), 1);
+  assert.equal(t.rollback.mock.callCount(), 0);
+});
+
+test('relee los originales con lock dentro de la transacción', async () => {
+  await consolidar();
+
+  const lectura = Credito.findAll.mock.calls.find((c) => c.arguments[0]?.transaction);
+  assert.ok(lectura, 'debe releer los créditos dentro de la TX');
+  assert.equal(lectura.arguments[0].transaction, t);
+  assert.deepEqual(lectura.arguments[0].lock, { level: 'UPDATE', of: Credito });
+  assert.deepEqual(lectura.arguments[0].order, [['id', 'ASC']]);
+});
+
+test('si un saldo cambió entre la lectura y el lock responde 409 y no crea nada', async () => {
+  const cambiado = credito(1);
+  cambiado.cuotas[1] = cuota(12, 'vencida', 500, 100, 40); // entró un pago de 100
+  escenario.bloqueados = [cambiado, credito(2)];
+
+  await assert.rejects(consolidar(), (err) => {
+    assert.equal(err.status, 409);
+    assert.equal(err.code, 'SALDO_MODIFICADO');
+    return true;
+  });
+  assert.equal(Credito.create.mock.callCount(), 0);
+  assert.equal(t.rollback.mock.callCount(), 1);
+  assert.equal(cambiado.update.mock.callCount(), 0);
+});
+
+test('si otro proceso ya refinanció un original responde 409', async () => {
+  escenario.bloqueados = [credito(1, { estado: 'refinanciado' }), credito(2)];
+
+  await assert.rejects(consolidar(), (err) => {
+    assert.equal(err.status, 409);
+    assert.equal(err.code, 'CREDITO_YA_REFINANCIADO');
+    return true;
+  });
+  assert.equal(Credito.create.mock.callCount(), 0);
+});
+
+test('valida los créditos pedidos', async () => {
+  await assert.rejects(consolidar({ creditoIds: [1] }), (err) => err.code === 'CREDITOS_INVALIDOS');
+  await assert.rejects(consolidar({ creditoIds: [1, 1] }), (err) => err.code === 'CREDITOS_INVALIDOS');
+  await assert.rejects(consolidar({ creditoIds: [1, 2, 3] }), (err) => err.status === 404 && /#3/.test(err.message));
+
+  escenario.originales = [credito(1), credito(2, { cliente_id: 8 })];
+  await assert.rejects(consolidar(), (err) => err.code === 'CREDITO_DE_OTRO_CLIENTE');
+  assert.equal(sequelize.transaction.mock.callCount(), 0);
+});
+
+test('idsCreditosOrigen cae a id_credito_origen en refinanciaciones simples', () => {
+  assert.deepEqual(idsCreditosOrigen({ id_credito_origen: 5 }), [5]);
+  assert.deepEqual(idsCreditosOrigen({ ids_creditos_origen: ['4', '6'], id_credito_origen: 4 }), [4, 6]);
+  assert.deepEqual(idsCreditosOrigen({}), []);
+});
@@ -0,0 +1,85 @@
+// test/cuota.mora.test.js
+// Mora con ventanas de congelamiento (prórroga): conteo plano y simulación día por día
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { contarDiasMoraCongelados, simularMoraCuotaHasta } from '../services/cuota/cuota.mora.service.js';
+
+// Lunes: sin gracia por día no hábil con el calendario por defecto (solo domingo sin cobro)
+const cuotaBase = (cambios = {}) => ({
+  id: 1,
+  importe_cuota: 1000,
+  descuento_cuota: 0,
+  fecha_vencimiento: '2026-03-02',
+  mora_congelamientos: [],
+  ...cambios
+});
+
+test('contarDiasMoraCongelados cuenta solo los días de (desde, hasta] dentro de la ventana', () => {
+  const cuota = cuotaBase({ mora_congelamientos: [{ desde: '2026-03-05', hasta: '2026-03-08', prorroga_id: 1 }] });
+
+  assert.equal(contarDiasMoraCongelados(cuota, '2026-03-02', '2026-03-12'), 4);
+  // el día "desde" no cuenta (la mora arranca al día siguiente)
+  assert.equal(contarDiasMoraCongelados(cuota, '2026-03-05', '2026-03-12'), 3);
+  // recorte por "hasta"
+  assert.equal(contarDiasMoraCongelados(cuota, '2026-03-02', '2026-03-06'), 2);
+  assert.equal(contarDiasMoraCongelados(cuota, '2026-03-10', '2026-03-12'), 0);
+});
+
+test('contarDiasMoraCongelados fusiona ventanas solapadas o contiguas (cada día cuenta una vez)', () => {
+  const cuota = cuotaBase({
+    mora_congelamientos: [
+      { desde: '2026-03-05', hasta: '2026-03-12', prorroga_id: 1 },
+      { desde: '2026-03-10', hasta: '2026-03-16', prorroga_id: 2 },
+      { desde: '2026-03-17', hasta: '2026-03-18', prorroga_id: 3 }
+    ]
+  });
+
+  assert.equal(contarDiasMoraCongelados(cuota, '2026-03-02', '2026-03-31'), 14);
+});
+
+test('contarDiasMoraCongelados acepta el JSON como string e ignora entradas incompletas', () => {
+  const cuota = cuotaBase({
+    mora_congelamientos: JSON.stringify([{ desde: '2026-03-05', hasta: '2026-03-06' }, { desde: '2026-03-08' }])
+  });
+
+  assert.equal(contarDiasMoraCongelados(cuota, '2026-03-02', '2026-03-12'), 2);
+  assert.equal(contarDiasMoraCongelados(cuotaBase({ mora_congelamientos: 'no-json' }), '2026-03-02', '2026-03-12'), 0);
+});
+
+test('simularMoraCuotaHasta: sin congelamiento genera 2,5% diario sobre el saldo', () => {
+  const r = simularMoraCuotaHasta(cuotaBase(), [], new Date('2026-03-12T12:00:00'));
+
+  assert.equal(r.totalMoraGenerada, 250);
+  assert.equal(r.moraPendiente, 250);
+  assert.equal(r.saldoPrincipalPendiente, 1000);
+});
+
+test('simularMoraCuotaHasta: los días congelados no generan mora', () => {
+  const cuota = cuotaBase({ mora_congelamientos: [{ desde: '2026-03-05', hasta: '2026-03-08', prorroga_id: 1 }] });
+  const r = simularMoraCuotaHasta(cuota, [], new Date('2026-03-12T12:00:00'));
+
+  assert.equal(r.totalMoraGenerada, 150);
+  assert.equal(r.moraPendiente, 150);
+});
+
+test('simularMoraCuotaHasta: un pago dentro de la ventana congelada se imputa igual', () => {
+  const cuota = cuotaBase({ mora_congelamientos: [{ desde: '2026-03-05', hasta: '2026-03-08', prorroga_id: 1 }] });
+  const pagos = [{ fecha_pago: '2026-03-06', monto_pagado: 575 }];
+  const r = simularMoraCuotaHasta(cuota, pagos, new Date('2026-03-12T12:00:00'));
+
+  // 03-03..03-04: 2 × 25 = 50 de mora; el pago del 06 cubre la mora (50) y 525 de capital
+  // 03-09..03-12: 4 × 2,5% × 475 = 47,52
+  assert.equal(r.totalPagadoEnMoraHistorico, 50);
+  assert.equal(r.principalPagadoHistorico, 525);
+  assert.equal(r.saldoPrincipalPendiente, 475);
+  assert.equal(r.totalMoraGenerada, 97.52);
+  assert.equal(r.moraPendiente, 47.52);
+});
+
+test('simularMoraCuotaHasta: antes del vencimiento no hay mora', () => {
+  const r = simularMoraCuotaHasta(cuotaBase(), [{ fecha_pago: '2026-03-01', monto_pagado: 400 }], new Date('2026-03-02T12:00:00'));
+
+  assert.equal(r.moraPendiente, 0);
+  assert.equal(r.saldoPrincipalPendiente, 600);
+});